@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { PgLink } = require('..')
+const { Migrator } = require('../lib/migration')
+
+const usage = `Usage: pglink-lite migrate <command> [options]
+
+Commands:
+  up                 apply the pending migrations
+  down               revert the last applied migration
+  status             list the migrations and whether they have been applied
+  create <name>      create a migration file
+
+Options:
+  --config <file>    a module exports the arguments of PgLink or a PgLink instance,
+                     default ./pglink.config.js, PGHOST, PGPORT, PGUSER, PGPASSWORD
+                     and PGDATABASE are used if it does not exist
+  --dir <directory>  the directory of migration files, default ./migrations
+  --table <name>     the ledger table, default pglink_migrations
+  --to <version>     up: the last version to apply, down: the version to keep
+  --step <count>     the count of migrations to apply or revert
+`
+
+/**
+ * @description parse "--key value" and "--key=value" options, the others are positional
+ * @param {Array<string>} argv
+ */
+const parseArgs = (argv) => {
+  const positional = []
+  const options = {}
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i]
+    if (arg.startsWith('--')) {
+      // only the first "=" separates, e.g. --config=a=b.js
+      const separator = arg.indexOf('=')
+      if (separator === -1) {
+        options[arg.slice(2)] = argv[(i += 1)]
+      } else {
+        options[arg.slice(2, separator)] = arg.slice(separator + 1)
+      }
+    } else {
+      positional.push(arg)
+    }
+  }
+  return { positional, options }
+}
+
+/**
+ * @description load the PgLink instance from the config file or environment variables
+ * @param {string} configFile
+ */
+const loadPgLink = (configFile) => {
+  const file = path.resolve(configFile || 'pglink.config.js')
+  if (fs.existsSync(file)) {
+    const config = require(file)
+    const resolved = config && config.default ? config.default : config
+    return resolved instanceof PgLink ? resolved : new PgLink(resolved)
+  }
+  if (configFile) throw new Error(`Config file ${file} does not exist`)
+  return new PgLink({
+    host: process.env.PGHOST,
+    port: process.env.PGPORT ? Number(process.env.PGPORT) : undefined,
+    userName: process.env.PGUSER,
+    password: process.env.PGPASSWORD,
+    database: process.env.PGDATABASE
+  })
+}
+
+const main = async () => {
+  const { positional, options } = parseArgs(process.argv.slice(2))
+  const [scope, command, name] = positional
+  if (scope !== 'migrate' || !command) {
+    console.info(usage)
+    process.exitCode = scope ? 1 : 0
+    return
+  }
+  const migratorOptions = { directory: options.dir, tableName: options.table }
+  Object.keys(migratorOptions).forEach((key) => {
+    if (migratorOptions[key] === undefined) delete migratorOptions[key]
+  })
+  const step = options.step ? Number(options.step) : undefined
+
+  if (command === 'create') {
+    // no database connection is needed to create a file
+    const file = new Migrator(migratorOptions).Create(name)
+    console.info(`Created ${path.relative(process.cwd(), file)}`)
+    return
+  }
+
+  const pglink = loadPgLink(options.config)
+  const migrator = pglink.migrator(migratorOptions)
+  try {
+    switch (command) {
+      case 'up': {
+        const done = await migrator.Up({ to: options.to, step })
+        done.forEach((m) => console.info(`Applied ${m.version}_${m.name}`))
+        if (done.length === 0) console.info('No pending migrations')
+        break
+      }
+      case 'down': {
+        const done = await migrator.Down({ to: options.to, step })
+        done.forEach((m) => console.info(`Reverted ${m.version}_${m.name}`))
+        if (done.length === 0) console.info('No applied migrations')
+        break
+      }
+      case 'status': {
+        const list = await migrator.Status()
+        list.forEach((m) => {
+          console.info(
+            `${m.status.toUpperCase().padEnd(8)} ${m.version}_${m.name}${
+              m.appliedAt ? ` (${new Date(m.appliedAt).toISOString()})` : ''
+            }`
+          )
+        })
+        if (list.length === 0) console.info('No migrations')
+        break
+      }
+      default:
+        console.info(usage)
+        process.exitCode = 1
+    }
+  } finally {
+    await pglink.dataAccess.Disconnect()
+  }
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e)
+    process.exitCode = 1
+  })
+}
+
+module.exports = { parseArgs }
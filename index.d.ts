@@ -1,7 +1,28 @@
 import { Pool } from 'pg'
-import { DataAccess } from './lib/core/dataAccess'
+import {
+  DataAccess,
+  TransactionOptions,
+  ReplicaSession,
+  InstrumentationOptions
+} from './lib/core/dataAccess'
+import { TransactionScope } from './lib/core/transaction'
 import { ModelBase } from './lib/model'
 import { DataType } from './lib/dataType'
+import { Migrator } from './lib/migration'
+import { GenerateGraphQL } from './lib/graphql'
+export {
+  PgLinkError,
+  StaleRecordError,
+  DatabaseError,
+  UniqueConstraintError,
+  ForeignKeyError,
+  NotNullViolationError,
+  CheckViolationError,
+  SerializationError,
+  InvalidWhereClauseError,
+  EmptyPayloadError
+} from './lib/errors'
+export { TransactionScope } from './lib/core/transaction'
 
 export declare class PgLink {
   constructor(args: {
@@ -55,7 +76,103 @@ export declare class PgLink {
      * @type {Array<string>}
      */
     globalAutoSetTimeFields?: Array<string>
+    /**
+     * @description the connection args of read replicas, the missing ones are taken from the primary, e.g. [{ host: 'replica1' }]
+     * @type {Array<object>}
+     */
+    replicas?: Array<{
+      host?: string
+      port?: number
+      userName?: string
+      password?: string
+      database?: string
+      connectionMax?: number
+      connectionTimeoutMillis?: number
+      idleTimeoutMillis?: number
+      ssl?: boolean
+    }>
+    /**
+     * @description how to choose a replica for a read, default round-robin
+     * @type {string}
+     */
+    replicaBalancing?: 'round-robin' | 'least-busy'
+    /**
+     * @description how long (ms) a session reads from the primary after it writes, default 0
+     * @type {number}
+     */
+    stickyWindow?: number
+    /**
+     * @description has debug, info, warn and error, e.g. pino or winston, default console, false to be silent
+     * @type {object}
+     */
+    logger?: InstrumentationOptions['logger']
+    /**
+     * @description a query takes it (ms) or longer is logged as a warning, default 0 means never
+     * @type {number}
+     */
+    slowQueryThreshold?: number
+    /**
+     * @description hide the values of placeholders in events and logs, default true, or a function (value, index, sql) => value
+     * @type {boolean|function}
+     */
+    redact?: InstrumentationOptions['redact']
   })
+  public dataAccess: DataAccess
   public Model: typeof ModelBase
   public DataTypes: DataType
+  /** the registered models */
+  public models: Array<typeof ModelBase>
+
+  /**
+   * @description run a function in a transaction, committed if it resolves, or rolled back if it throws,
+   * the functions of models run in it by { transaction: tx }, e.g.
+   * pglink.transaction(async (tx) => { await user.insertOne({ params, transaction: tx }) })
+   * @param {function} fn receives the transaction, tx.transaction(fn) nests a savepoint, tx.afterCommit(fn) runs fn after committing
+   * @param {TransactionOptions} options the modes of transaction, with retry, fn runs again in a new transaction on serialization failures and deadlocks
+   */
+  public transaction<T>(
+    fn: (tx: TransactionScope) => Promise<T>,
+    options?: TransactionOptions
+  ): Promise<T>
+
+  /**
+   * @description create a session for the queries of a request, pass it by { session } to the functions of models,
+   * its reads go to the primary for stickyWindow ms after it writes, so it reads its own writings
+   */
+  public session(): ReplicaSession
+
+  /**
+   * @description register models, so they can be used by sync and generateGraphQL
+   * @param {...typeof ModelBase} models the classes extend pglink.Model
+   */
+  public register(...models: Array<typeof ModelBase>): this
+
+  /**
+   * @description generate the GraphQL type definitions and resolvers of all registered models
+   * @param {{typeNames?: {[tableName: string]: string}, extend?: boolean}} options typeNames overrides the type names, default the class name without "Model"
+   * @returns {{typeDefs: string, resolvers: object}}
+   */
+  public generateGraphQL(options?: {
+    typeNames?: { [tableName: string]: string }
+    extend?: boolean
+  }): ReturnType<typeof GenerateGraphQL>
+
+  /**
+   * @description create or alter the tables of all registered models in registration order
+   * @param {{force?: boolean, alter?: boolean}} options
+   * @returns {Promise<Array<string>>} the executed sql statements
+   */
+  public sync(options?: {
+    force?: boolean
+    alter?: boolean
+  }): Promise<Array<string>>
+
+  /**
+   * @description create a migration runner on the connection of this instance
+   * @param {{directory?: string, tableName?: string}} options default directory 'migrations' and ledger table 'pglink_migrations'
+   */
+  public migrator(options?: {
+    directory?: string
+    tableName?: string
+  }): Migrator
 }
@@ -2,12 +2,29 @@
 
 const { Connection } = require('./lib/core/connection')
 const { DataAccess } = require('./lib/core/dataAccess')
+const { Logger } = require('./lib/core/logger')
 const { ModelImpl } = require('./lib/model')
 const { DataType } = require('./lib/dataType')
+const { Migrator } = require('./lib/migration')
+const { GenerateGraphQL } = require('./lib/graphql')
+const {
+  PgLinkError,
+  StaleRecordError,
+  DatabaseError,
+  UniqueConstraintError,
+  ForeignKeyError,
+  NotNullViolationError,
+  CheckViolationError,
+  SerializationError,
+  InvalidWhereClauseError,
+  EmptyPayloadError
+} = require('./lib/errors')
 
 class PgLink {
   /**
-   * @param {{host:string,port:number,userName:string,password:string,database:string,connectionMax:number,globalAutoSetTimeFields:Array<striing>,idleTimeoutMillis:number,connectionTimeoutMillis:number}} args
+   * @param {{host:string,port:number,userName:string,password:string,database:string,connectionMax:number,globalAutoSetTimeFields:Array<striing>,idleTimeoutMillis:number,connectionTimeoutMillis:number,replicas:Array<object>,replicaBalancing:string,stickyWindow:number,logger:object,slowQueryThreshold:number,redact:boolean|function}} args
+   * replicas are the connection args of read replicas, the missing ones are taken from the primary,
+   * logger has debug, info, warn and error, default console, false to be silent
    */
   constructor(args) {
     const {
@@ -20,8 +37,15 @@ class PgLink {
       connectionTimeoutMillis,
       idleTimeoutMillis,
       ssl, // v0.3.5
-      globalAutoSetTimeFields = [] // v0.1.8 for whole app to use
+      globalAutoSetTimeFields = [], // v0.1.8 for whole app to use
+      replicas = [],
+      replicaBalancing, // round-robin or least-busy
+      stickyWindow, // ms to read from the primary after a session writes
+      logger,
+      slowQueryThreshold, // ms to log a query as slow, 0 means never
+      redact // hide the values of placeholders in events and logs, default true
     } = args
+    const log = Logger(logger)
     const connection = Connection({
       host,
       port,
@@ -40,12 +64,129 @@ class PgLink {
       idleTimeoutMillis,
       ssl
     })
-    console.info(`Connected DB at ${host}:${port}/${database} successfully!👍`)
-    this.Model = ModelImpl(new DataAccess(connection), globalAutoSetTimeFields)
+    log.info(`Connected DB at ${host}:${port}/${database} successfully!👍`)
+    const replicaConnections = replicas.map((replica) =>
+      Connection({
+        host,
+        port,
+        password,
+        userName,
+        database,
+        connectionMax,
+        connectionTimeoutMillis,
+        idleTimeoutMillis,
+        ssl,
+        ...replica
+      })
+    )
+    if (replicas.length > 0) {
+      log.info(`Connected ${replicas.length} read replica(s) successfully!👍`)
+    }
+    this.dataAccess = new DataAccess(connection, {
+      replicas: replicaConnections,
+      balancing: replicaBalancing,
+      stickyWindow,
+      logger,
+      slowQueryThreshold,
+      redact
+    })
+    this.Model = ModelImpl(this.dataAccess, globalAutoSetTimeFields)
     this.DataTypes = DataType
+    this.models = []
+  }
+
+  /**
+   * @description create a migration runner on this connection
+   * @param {{directory?: string, tableName?: string}} options directory of migration files, default "migrations", the ledger table, default "pglink_migrations"
+   * @returns {Migrator}
+   */
+  migrator(options = {}) {
+    return new Migrator({ ...options, dataAccess: this.dataAccess })
+  }
+
+  /**
+   * @description run a function in a transaction, committed if it resolves, or rolled back if it throws,
+   * the functions of models run in it by { transaction: tx }, e.g.
+   * pglink.transaction(async (tx) => { await user.insertOne({ params, transaction: tx }) })
+   * @param {function} fn receives the transaction, tx.transaction(fn) nests a savepoint, tx.afterCommit(fn) runs fn after committing
+   * @param {{isolationLevel?: string, readOnly?: boolean, deferrable?: boolean, retry?: boolean|object}} options the modes of transaction,
+   * with retry, fn runs again in a new transaction on serialization failures and deadlocks
+   * @returns {Promise<any>} the result of fn
+   */
+  transaction(fn, options) {
+    return this.dataAccess.RunTransaction(fn, options)
+  }
+
+  /**
+   * @description create a session for the queries of a request, pass it by { session } to the functions of models,
+   * its reads go to the primary for stickyWindow ms after it writes, so it reads its own writings
+   * @returns {{lastWriteAt: number}}
+   */
+  session() {
+    return this.dataAccess.CreateSession()
+  }
+
+  /**
+   * @description register models, so they can be used by sync and generateGraphQL
+   * @param  {...typeof ModelBase} models the classes extend pglink.Model
+   * @returns {PgLink} this
+   */
+  register(...models) {
+    models.forEach((model) => {
+      if (!(model.prototype instanceof this.Model)) {
+        throw new Error(`${model.name} should extend pglink.Model`)
+      }
+      if (!this.models.includes(model)) this.models.push(model)
+    })
+    return this
+  }
+
+  /**
+   * @description generate the GraphQL type definitions and resolvers of all registered models
+   * @param {{typeNames?: {[tableName: string]: string}, extend?: boolean}} options typeNames overrides the type names, default the class name without "Model"
+   * @returns {{typeDefs: string, resolvers: object}}
+   */
+  generateGraphQL(options) {
+    return GenerateGraphQL(this.models, options)
+  }
+
+  /**
+   * @description create or alter the tables of all registered models in registration order
+   * @param {{force?: boolean, alter?: boolean}} options
+   * @returns {Promise<Array<string>>} the executed sql statements
+   */
+  async sync(options) {
+    const statements = []
+    // one by one, because tables may reference the tables registered before
+    for (const model of this.models) {
+      statements.push(...(await model.sync(options)))
+    }
+    return statements
   }
 }
 
-module.exports = { PgLink }
+module.exports = {
+  PgLink,
+  PgLinkError,
+  StaleRecordError,
+  DatabaseError,
+  UniqueConstraintError,
+  ForeignKeyError,
+  NotNullViolationError,
+  CheckViolationError,
+  SerializationError,
+  InvalidWhereClauseError,
+  EmptyPayloadError
+}
 module.exports.PgLink = PgLink
+module.exports.PgLinkError = PgLinkError
+module.exports.StaleRecordError = StaleRecordError
+module.exports.DatabaseError = DatabaseError
+module.exports.UniqueConstraintError = UniqueConstraintError
+module.exports.ForeignKeyError = ForeignKeyError
+module.exports.NotNullViolationError = NotNullViolationError
+module.exports.CheckViolationError = CheckViolationError
+module.exports.SerializationError = SerializationError
+module.exports.InvalidWhereClauseError = InvalidWhereClauseError
+module.exports.EmptyPayloadError = EmptyPayloadError
 module.exports.default = PgLink
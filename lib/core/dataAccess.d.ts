@@ -1,4 +1,38 @@
+import { EventEmitter } from 'events'
 import { Pool, Client } from 'pg'
+import { WhereFilter } from './filter'
+import { Attribute, ColumnType } from '../dataType'
+import { TransactionScope } from './transaction'
+import { LoggerType } from './logger'
+
+/**
+ * @description the modes of a transaction, and the policy to run it again on serialization failures (40001) and deadlocks (40P01)
+ */
+export type TransactionOptions = {
+  /** default the one of the database */
+  isolationLevel?:
+    | 'READ UNCOMMITTED'
+    | 'READ COMMITTED'
+    | 'REPEATABLE READ'
+    | 'SERIALIZABLE'
+  readOnly?: boolean
+  /** only works with SERIALIZABLE and READ ONLY */
+  deferrable?: boolean
+  /** true means { attempts: 3, backoff: 100 }, backoff is the delay (ms) before the second attempt and doubled every time, or a function of the failed attempt returns the delay */
+  retry?:
+    | boolean
+    | { attempts?: number; backoff?: number | ((attempt: number) => number) }
+}
+
+/**
+ * @description a statement of Transaction
+ */
+export type TransactionStep = {
+  sql: string
+  replacements?: Array<any>
+  /** to distinguish responses, and to find the rows of the step in the results of later steps */
+  alias?: string
+}
 
 type GererateSQLReturnType = {
   sql: string
@@ -6,8 +40,144 @@ type GererateSQLReturnType = {
   tableName: string
 }
 
-export class DataAccess {
-  constructor(connection: Pool)
+export type TableIndex = {
+  /** the columns of index */
+  fields: Array<string>
+  /** whether it is a unique index */
+  unique?: boolean
+  /** the name of index, default "<table>_<fields>_idx" or "<table>_<fields>_key" if unique */
+  name?: string
+}
+
+/**
+ * @description the conflict columns of upsert, e.g. 'email' or ['companyId', 'email'], or a named constraint
+ */
+export type ConflictTarget = string | Array<string> | { constraint: string }
+
+/**
+ * @description an aggregate metric, one function of a field, count can be of '*', e.g. { sum: 'amount' } or { count: 'userId', distinct: true }
+ */
+export type Metric = (
+  | { count: string }
+  | { sum: string }
+  | { avg: string }
+  | { min: string }
+  | { max: string }
+) & { distinct?: boolean }
+
+/**
+ * @description shared by the queries of a request, so its reads stick to the primary for a while after it writes, see CreateSession
+ */
+export type ReplicaSession = {
+  /** the time (ms) of the last writing, 0 if never */
+  lastWriteAt: number
+}
+
+/**
+ * @description where a read runs, see ReadPool
+ */
+export type ReadOptions = {
+  /** read from the primary even if there are replicas */
+  usePrimary?: boolean
+  /** read from the primary if the session wrote in the sticky window */
+  session?: ReplicaSession
+}
+
+/**
+ * @description the payload of query:start, replacements are redacted by the redact option
+ */
+export type QueryStartEvent = {
+  sql: string
+  replacementCount: number
+  replacements: Array<any>
+  /** the alias of the step in Transaction, if any */
+  alias?: string
+}
+
+/**
+ * @description the payload of query:end, error is set if the query failed
+ */
+export type QueryEndEvent = QueryStartEvent & {
+  /** ms */
+  duration: number
+  rowCount?: number
+  /** whether or not it takes slowQueryThreshold or longer */
+  slow: boolean
+  error?: Error
+}
+
+/**
+ * @description the payload of transaction:begin, transaction:commit and transaction:rollback
+ */
+export type TransactionEvent = {
+  /** the process id of the client */
+  processID: number
+  /** the BEGIN statement, only of transaction:begin */
+  sql?: string
+  /** only of transaction:rollback */
+  error?: any
+}
+
+/**
+ * @description the options of logging and instrumentation
+ */
+export type InstrumentationOptions = {
+  /** has debug, info, warn and error, default console, false to be silent */
+  logger?: Partial<LoggerType> | false | null
+  /** a query takes it (ms) or longer is logged as a warning, default 0 means never */
+  slowQueryThreshold?: number
+  /** hide the values of placeholders in events and logs, default true, or a function returns the value to show */
+  redact?: boolean | ((value: any, index: number, sql: string) => any)
+}
+
+export class DataAccess extends EventEmitter {
+  /**
+   * @param {Pool} connection the pool of the primary
+   * @param options the pools of read replicas, how to choose one of them, default round-robin,
+   * and how long (ms) a session reads from the primary after it writes, default 0,
+   * and the options of logging, see InstrumentationOptions
+   */
+  constructor(
+    connection: Pool,
+    options?: {
+      replicas?: Array<Pool>
+      balancing?: 'round-robin' | 'least-busy'
+      stickyWindow?: number
+    } & InstrumentationOptions
+  )
+
+  public on(
+    event: 'query:start',
+    listener: (event: QueryStartEvent) => void
+  ): this
+  public on(event: 'query:end', listener: (event: QueryEndEvent) => void): this
+  public on(
+    event: 'transaction:begin' | 'transaction:commit' | 'transaction:rollback',
+    listener: (event: TransactionEvent) => void
+  ): this
+  public on(
+    event: 'pool:error',
+    listener: (event: { error: Error; pool: Pool }) => void
+  ): this
+  public on(event: string, listener: (...args: Array<any>) => void): this
+
+  /** the logger with all levels */
+  public logger: LoggerType
+  /** a query takes it (ms) or longer is logged as a warning, 0 means never */
+  public slowQueryThreshold: number
+  /** how to hide the values of placeholders */
+  public redact: InstrumentationOptions['redact']
+
+  /** the pool of the primary */
+  public conn: Pool
+  /** the pools of read replicas */
+  public replicas: Array<Pool>
+  /** how to choose a replica */
+  public balancing: 'round-robin' | 'least-busy'
+  /** how long (ms) a session reads from the primary after it writes */
+  public stickyWindow: number
+  /** how many cursors are declared, to name them */
+  public cursorCount: number
 
   /**
    * @description check whether where clause includes illegal operator, e.g. ===
@@ -26,11 +196,51 @@ export class DataAccess {
   private cleanWhereClause(whereClause: string)
 
   /**
-   * @description check whether where clause is illegal
+   * @description check whether where clause is illegal, InvalidWhereClauseError is thrown if it is
    * @param {string} whereClause
    */
   private CheckWhereClause(whereClause: string): boolean
 
+  /**
+   * @description check the statements of a where clause split by AND and OR
+   * @param {Array<string>} statements the cleaned statements
+   */
+  private CheckWhereClauseStatements(statements: Array<string>): void
+
+  /**
+   * @description generate where clause from a raw where clause and/or a filter object, both are joined by AND
+   * @param {string} whereClause e.g. "employeeId" = '123'
+   * @param {WhereFilter} where a filter object, e.g. { employeeId: '123' }
+   * @param {number} startIndex the index of the first placeholder, default 1
+   * @param {{[field: string]: string}} expressions the sql of fields which are not columns, e.g. { total: 'SUM("amount")' } for HAVING
+   * @returns {{clause: string, replacements: Array<any>}} clause without "WHERE", empty string if there is no condition
+   */
+  public GenerateWhereSQL(args: {
+    whereClause?: string
+    where?: WhereFilter
+    startIndex?: number
+    expressions?: { [field: string]: string }
+  }): { clause: string; replacements: Array<any> }
+
+  /**
+   * @description generate the where clause of an update or a delete like GenerateWhereSQL,
+   * but throws InvalidWhereClauseError if there is no condition, e.g. { and: [] }, so all rows of a table are never changed by mistake
+   * @returns {{clause: string, replacements: Array<any>}} clause without "WHERE"
+   */
+  public GenerateTargetWhereSQL(args: {
+    whereClause?: string
+    where?: WhereFilter
+    startIndex?: number
+  }): { clause: string; replacements: Array<any> }
+
+  /**
+   * @description generate the sql of aggregate metrics, e.g. { total: { sum: 'amount' } } to { total: 'SUM("amount")' }
+   * @param {{[name: string]: Metric}} metrics
+   */
+  public GenerateMetricExpressions(metrics?: { [name: string]: Metric }): {
+    [name: string]: string
+  }
+
   /**
    * @description drain the pool of all active clients, disconnect them,
    * and shut down any internal timers in the pool.
@@ -40,43 +250,211 @@ export class DataAccess {
   private Disconnect(): void
 
   /**
-   * @description run a single query
+   * @description run a single query on the primary, or on a replica with useReplica if it is a SELECT without locking,
+   * a SELECT may call nextval or a function which writes, so it is only sent to a replica when the caller knows it is safe,
+   * the queries other than SELECT mark the session as written
    * @param {string} sql
+   * @param {Array<any>} replacements the values of placeholders, e.g. $1
+   * @param {ReadOptions & { useReplica?: boolean }} options usePrimary and session see ReadPool
    */
-  public Execute(sql: string): any
+  public Execute(
+    sql: string,
+    replacements?: Array<any>,
+    options?: ReadOptions & {
+      /** the sql only reads, so a SELECT without locking can run on a replica */
+      useReplica?: boolean
+    }
+  ): any
 
-  /** Begin a customize transaction */
-  public BeginTransaction(): Promise<Client | null>
+  /**
+   * @description run a query on a pool or client, emit query:start and query:end around it,
+   * and log it as a warning if it takes slowQueryThreshold or longer
+   * @param {Pool|Client} queryable a pool or a client
+   * @param {string} sql
+   * @param {Array<any>} replacements the values of placeholders, e.g. $1
+   * @param {string} alias the alias of the step in Transaction, if any
+   */
+  public Query(
+    queryable: Pool | Client | object,
+    sql: string,
+    replacements?: Array<any>,
+    alias?: string
+  ): Promise<any>
 
-  /** Commit customize transaction */
-  public CommitTransaction(client: Client): void
+  /**
+   * @description hide the values of placeholders by the redact option, for events and logs
+   * @param {string} sql
+   * @param {Array<any>} replacements the original one is never changed
+   */
+  public RedactReplacements(sql: string, replacements?: Array<any>): Array<any>
+
+  /**
+   * @description check whether a sql may run on a replica, only SELECT without locking may, because a WITH may write,
+   * but the functions it calls may write too, e.g. nextval, so Execute only sends it to a replica with useReplica
+   * @param {string} sql
+   */
+  public IsReadSQL(sql: string): boolean
+
+  /**
+   * @description choose the pool for a read, the primary if there are no replicas,
+   * usePrimary is true, or the session wrote in the sticky window, otherwise a replica by the balancing
+   * @param {ReadOptions} options
+   */
+  public ReadPool(options?: ReadOptions): Pool
+
+  /**
+   * @description create a session to stick the reads of a request to the primary after it writes,
+   * pass it to the functions of models by { session }
+   */
+  public CreateSession(): ReplicaSession
+
+  /**
+   * @description mark a session as written now, nothing if no session
+   * @param {ReplicaSession} session
+   */
+  public MarkWrite(session?: ReplicaSession): void
+
+  /**
+   * @description get the types of columns of a table, e.g. { id: 'integer', name: 'character varying(20)' },
+   * the result is cached per table until ClearColumnTypes
+   * @param {string} tableName the name of dbtable
+   */
+  public GetColumnTypes(
+    tableName: string
+  ): Promise<{ [column: string]: string }>
+
+  /**
+   * @description drop the cached types of columns, e.g. after altering tables
+   * @param {string} tableName the name of dbtable, default all tables
+   */
+  public ClearColumnTypes(tableName?: string): void
+
+  /**
+   * Begin a customize transaction
+   * @param {TransactionOptions} options the modes of transaction, retry is not supported here
+   * @param {Client} client a given client to begin on instead of a new one, it is counted like the given client of Transaction,
+   * so CommitTransaction only releases it when no other transaction holds it, and RollbackTransaction leaves it to its owner
+   */
+  public BeginTransaction(
+    options?: Omit<TransactionOptions, 'retry'>,
+    client?: Client
+  ): Promise<Client | null>
+
+  /**
+   * Commit customize transaction, it is rolled back if COMMIT fails, e.g. a serialization failure of SERIALIZABLE,
+   * and the error is thrown
+   */
+  public CommitTransaction(client: Client): Promise<void>
+
+  /**  Rollback Customize Transaction, a given client of BeginTransaction is not released */
+  public RollbackTransaction(args: {
+    client: Client
+    error: any
+  }): Promise<void>
 
-  /**  Rollback Customize Transaction */
-  public RollbackTransaction(args: { client: Client; error: any }): void
+  /** the given clients BeginTransaction began on, counted in clientCounter like the ones of Transaction */
+  protected givenClients: WeakSet<object>
+
+  /** the clients of RunTransaction and of the transactions begun by the hooks of models, Transaction leaves beginning, committing and releasing them to their owners */
+  protected transactionClients: WeakSet<object>
+
+  /**
+   * @description run a function in a transaction on one client, it is committed if the function resolves,
+   * or rolled back if it throws, and the client is released either way.
+   * The model functions run in it by { transaction: tx }, tx.transaction(fn) nests a savepoint,
+   * and the functions added by tx.afterCommit(fn) run after committing
+   * @param {function} fn receives the transaction, e.g. async (tx) => { ... }
+   * @param {TransactionOptions} options the modes of transaction, with retry, fn runs again in a new transaction on serialization failures and deadlocks
+   */
+  public RunTransaction<T>(
+    fn: (tx: TransactionScope) => Promise<T>,
+    options?: TransactionOptions
+  ): Promise<T>
+
+  /**
+   * @description generate the statement to begin a transaction, e.g. BEGIN ISOLATION LEVEL SERIALIZABLE READ ONLY DEFERRABLE
+   * @param {TransactionOptions} options deferrable only works with SERIALIZABLE and READ ONLY
+   */
+  public GenerateBeginSQL(options?: Omit<TransactionOptions, 'retry'>): string
+
+  /**
+   * @description run a whole transaction again on serialization failures (40001) and deadlocks (40P01),
+   * the other errors are thrown at once, the error of the last attempt is thrown with the count of attempts
+   * @param {TransactionOptions['retry']} retry true means { attempts: 3, backoff: 100 }
+   * @param {function} run receives the attempt, from 1, and runs the whole transaction
+   */
+  public RetryTransaction<T>(
+    retry: TransactionOptions['retry'],
+    run: (attempt: number) => Promise<T>
+  ): Promise<T>
 
   /**
    * Transaction
    * @description Commit many sqls in one transaction, and will rollback all if exist one sql execute failed.
-   * @param {{params: Array<{sql: string,replacements?: Array<any>,alias?: string}>,returnWithAlias?: boolean, returnSingleRecord?: boolean, forceFlat?: boolean client?: object, preserveClient?: boolean}} args includes sqls, their params and alias name.
+   * @param {{params: Array<{sql: string,replacements?: Array<any>,alias?: string}|function>,returnWithAlias?: boolean, returnSingleRecord?: boolean, forceFlat?: boolean client?: object, preserveClient?: boolean, ordered?: boolean}} args includes sqls, their params and alias name.
+   * With ordered, the steps run one by one in the order of params, and a step can be a function receives the rows of the steps before it by alias,
+   * e.g. (results) => ({ sql, replacements: [results.order[0].id] }), the error of a failed step has its index (step) and alias.
+   * isolationLevel, readOnly and deferrable are the modes of the transaction, with retry, the whole transaction runs again,
+   * including the callback, on serialization failures and deadlocks, they are ignored with a given client.
+   * pool is where to connect without a given client, default the primary
    * @param {Function} transaction you can use nested transaction here, you will receive the response from outer transaction, and if inner transaction rollback, others would be rollback
    * @author Janden Ma
    */
   public Transaction(
     args: {
-      params: Array<{
-        sql: string
-        replacements?: Array<any>
-        alias?: string
-      }>
+      params: Array<
+        | TransactionStep
+        | ((results: {
+            [alias: string]: Array<any>
+          }) => TransactionStep | Promise<TransactionStep>)
+      >
       client?: object
       returnWithAlias?: boolean
       returnSingleRecord?: boolean
       forceFlat?: boolean
       preserveClient?: boolean
-    },
+      /** run the steps one by one, so function steps can use the rows of the steps before them */
+      ordered?: boolean
+      /** where to connect without a given client, default the primary */
+      pool?: Pool
+    } & TransactionOptions,
     transaction: Function
   ): any
 
+  /**
+   * @description split the name of primary key to an array of columns
+   * @param {string|Array<string>} pkName e.g. 'id' or 'companyId,employeeId' or ['companyId', 'employeeId']
+   * @returns {Array<string>} e.g. ['companyId', 'employeeId']
+   */
+  public ParsePkName(pkName?: string | Array<string>): Array<string>
+
+  /**
+   * @description generate a filter object to match one row by primary key, every part of the key is required
+   * @param {string|Array<string>} pkName the name of primary key, e.g. 'id' or 'companyId,employeeId'
+   * @param {any} pk the value of primary key, an object with every key part, or a single value if there is only one key column
+   * @param {string} tableName the name of table, used in error messages
+   * @returns {WhereFilter} a filter object, e.g. { companyId: 1, employeeId: 2 }
+   */
+  public GeneratePkFilter(
+    pkName: string | Array<string>,
+    pk: any,
+    tableName: string
+  ): WhereFilter
+
+  /**
+   * @description generate a keyset filter to match the rows after (or before) a row in the order of sortBy,
+   * e.g. ("a" > $1) OR ("a" = $1 AND "b" > $2), so the sort fields should be unique together, e.g. end with the primary key
+   * @param {Array<{field: string, sequence: 'ASC'|'DESC'}>} sortBy the order of rows
+   * @param {Array<any>} values the values of sort fields of the row
+   * @param {boolean} before match the rows before the row instead of after
+   * @returns {WhereFilter} a filter object
+   */
+  public GenerateKeysetFilter(
+    sortBy: Array<{ field: string; sequence?: 'ASC' | 'DESC' }>,
+    values: Array<any>,
+    before?: boolean
+  ): WhereFilter
+
   /**
    * @description generate insert sql
    * @param {object} params an object includes the fields and values you want to insert
@@ -89,7 +467,7 @@ export class DataAccess {
   ): GererateSQLReturnType
 
   /**
-   * @description generate multiple insert sql
+   * @description generate multiple insert sql, the fields missing in an item are filled with DEFAULT
    * @param {Array<string>} insertFields the fields which you want to insert
    * @param {Array<object>} params an array includes the fields and values you want to insert
    * @param {string} tableName the name of table
@@ -101,6 +479,36 @@ export class DataAccess {
     tableName: string
   ): GererateSQLReturnType
 
+  /**
+   * @description generate the assignments of autoSetTimeFields, the fields not included in the table are skipped
+   * @param {string} tableName the name of table
+   * @param {Array<string>} autoSetTimeFields e.g. ['updatedAt']
+   * @returns {Promise<Array<string>>} e.g. ['"updatedAt" = CURRENT_TIMESTAMP']
+   */
+  public GenerateAutoSetTimeSQL(
+    tableName: string,
+    autoSetTimeFields?: Array<string>
+  ): Promise<Array<string>>
+
+  /**
+   * @description generate upsert sql (INSERT ... ON CONFLICT), every returned row has "pglink_inserted" which is false if the row is updated
+   * @param {object} args conflictTarget is the conflict columns or a named constraint, default the primary key,
+   * updateFields are set to the excluded (proposed) values on conflict, default the inserted fields except the conflict columns, an empty array means DO NOTHING,
+   * versionField is never copied from the excluded values, it is incremented on conflict instead,
+   * deletedAtField is set to NULL on conflict unless it is in updateFields, so a soft deleted row is restored by the upsert
+   * @returns {object} an object includes sql and params
+   */
+  public GenerateUpsertSQL(args: {
+    params: object | Array<object>
+    tableName: string
+    conflictTarget?: ConflictTarget
+    updateFields?: Array<string>
+    pkName?: string
+    autoSetTimeFields?: Array<string>
+    versionField?: string
+    deletedAtField?: string
+  }): Promise<GererateSQLReturnType>
+
   /**
    * @description generate update sql
    * @param {GenerateUpdateSQLArgsType} args
@@ -113,26 +521,61 @@ export class DataAccess {
     tableName: string
     /** e.g. "employeeId" = '123' */
     whereClause?: string
+    /** a filter object, e.g. { employeeId: '123' } */
+    where?: WhereFilter
     /** the name of primary key, default 'id' */
     pkName?: string
     /** those fields need to set time automatically */
     autoSetTimeFields?: Array<string>
-  }): GererateSQLReturnType
-
-  // /**
-  //  * @description generate multiple update sql (DONT USE IT UNLESS ALL FIELDS ARE STRING)
-  //  * @param {Array<string>} updateFields the fields which you want to update
-  //  * @param {Array<object>} params an array includes the fields and values you want to update
-  //  * @param {string} tableName the name of table
-  //  * @param {string} pkName the name of primary key, default 'id'
-  //  * @returns {object} an object includes sql and params
-  //  */
-  // public GenerateMultiUpdateSQL(
-  //   updateFields: Array<string>,
-  //   params: Array<object>,
-  //   tableName: string,
-  //   pkName?: string
-  // ): GererateSQLReturnType
+    /** the column of version, the row is only updated if its version equals the one in params, and the version is incremented */
+    versionField?: string
+  }): GererateSQLReturnType & {
+    /** set with versionField, so Transaction throws StaleRecordError if no row is updated */
+    stale?: {
+      tableName: string
+      pk: object
+      versionField: string
+      version: any
+    }
+  }
+
+  /**
+   * @description generate bulk update sql by primary key, UPDATE ... FROM (VALUES ...), every value is cast to the type of its column
+   * @param {object} args every item should include the primary key and the fields to update,
+   * where is an extra filter object of the rows to update, its columns are of the target table,
+   * so a field to update is compared with its value before the update
+   * @returns {object} an object includes sql and params
+   */
+  public GenerateBulkUpdateSQL(args: {
+    items: Array<object>
+    fields: Array<string>
+    tableName: string
+    pkName?: string | Array<string>
+    autoSetTimeFields?: Array<string>
+    where?: WhereFilter
+  }): Promise<GererateSQLReturnType>
+
+  /**
+   * @description generate DDL statements of a table
+   * @param {object} args attributes should be normalized, force drops the table first, alter adds the missing columns to an existing table
+   * @returns {Array<string>} the sql statements
+   */
+  public GenerateTableDDL(args: {
+    /** the name of table */
+    tableName: string
+    /** the normalized definitions of columns */
+    attributes: { [field: string]: Attribute & { type: ColumnType } }
+    /** the name of primary key, default 'id' */
+    pkName?: string | Array<string>
+    /** enum columns get a CHECK constraint of their values */
+    enumMapping?: object
+    /** e.g. [{ fields: ['email'], unique: true }] */
+    indexes?: Array<TableIndex>
+    /** drop the table first */
+    force?: boolean
+    /** add the missing columns to an existing table */
+    alter?: boolean
+  }): Array<string>
 
   /**
    * @description An execute inserting helper function
@@ -149,26 +592,31 @@ export class DataAccess {
     callback?: Function
     client?: object
     preserveClient?: boolean
+    /** the modes and retry of the transaction, see Transaction */
+    transactionOptions?: TransactionOptions
   }): object
 
   /**
-   * @description An execute inserting helper function
-   * @param {Array<string>} insertFields the fields which you want to insert
+   * @description An execute inserting helper function, rows are inserted by multi-row VALUES statements in one transaction,
+   * chunked to stay under the limit of bind parameters, and returned in the order of params
+   * @param {Array<string>} insertFields the fields which you want to insert, default the union of fields of all rows
    * @param {Array<object>} params an array includes the fields and values you want to insert
    * @param {string} tableName the name of table
    * @param {function} callback function to be run before committing the database transaction
    * @param {object} client the pg client used for each query in the transaction
    * @param {bool} preserveClient whether or not to skip committing the client after the transaction
-   * @returns {Array} the responses from postgres
+   * @returns {Array} the inserted rows
    */
   public MultiInsertToOneTableExecutor(args: {
-    insertFields: Array<string>
+    insertFields?: Array<string>
     params: Array<object>
     tableName: string
     callback?: Function
     client?: object
     preserveClient?: boolean
-  }): object
+    /** the modes and retry of the transaction, see Transaction */
+    transactionOptions?: TransactionOptions
+  }): Array<object>
 
   /**
    * @description An execute inserting helper function
@@ -185,14 +633,50 @@ export class DataAccess {
     callback?: Function
     client?: object
     preserveClient?: boolean
+    /** the modes and retry of the transaction, see Transaction */
+    transactionOptions?: TransactionOptions
   }): Array<object>
 
+  /**
+   * @description An execute upserting helper function (INSERT ... ON CONFLICT), every returned row has "pglink_inserted"
+   * @param {object|Array<object>} params the values of one row, or an array of rows with the same fields
+   * @param {string} tableName the name of table
+   * @param {ConflictTarget} conflictTarget the conflict columns or a named constraint, default the primary key
+   * @param {Array<string>} updateFields the fields set to the excluded values on conflict, an empty array means DO NOTHING
+   * @param {string} pkName the name of primary key, default 'id'
+   * @param {Array<string>} autoSetTimeFields the fields set to the current time on conflict
+   * @param {string} versionField the column of version, incremented on conflict instead of set to the excluded value
+   * @param {string} deletedAtField the column of soft delete, set to NULL on conflict, so a soft deleted row is restored
+   * @param {function} callback function to be run before committing the database transaction
+   * @param {object} client the pg client used for each query in the transaction
+   * @param {bool} preserveClient whether or not to skip committing the client after the transaction
+   * @returns {Array} the inserted or updated rows, the rows skipped by DO NOTHING are not returned
+   */
+  public UpsertExecutor(args: {
+    params: object | Array<object>
+    tableName: string
+    conflictTarget?: ConflictTarget
+    updateFields?: Array<string>
+    pkName?: string
+    autoSetTimeFields?: Array<string>
+    versionField?: string
+    deletedAtField?: string
+    callback?: Function
+    client?: object
+    preserveClient?: boolean
+    /** the modes and retry of the transaction, see Transaction */
+    transactionOptions?: TransactionOptions
+  }): Promise<Array<object>>
+
   /**
    * @description An execute updating helper function, update by primary key
    * @param {object} params an object includes the fields and values you want to update, must includes primary key and its value
    * @param {string} tableName the name of table
    * @param {string} pkName the name of primary key, default 'id'
    * @param {Array<string>} autoSetTimeFields Those fields need to set time automatically, should be included in params, e.g ['updatedAt']
+   * @param {WhereFilter} where an extra filter object besides the primary key, e.g. { deletedAt: null }
+   * @param {string} versionField the column of version for optimistic locking, its value in params should be the version read,
+   * StaleRecordError is thrown and the transaction is rolled back if the row has been changed since
    * @param {function} callback function to be run before committing the database transaction
    * @param {object} client the pg client used for each query in the transaction
    * @param {bool} preserveClient whether or not to skip committing the client after the transaction
@@ -203,9 +687,13 @@ export class DataAccess {
     tableName: string
     pkName?: string
     autoSetTimeFields?: Array<string>
+    where?: WhereFilter
+    versionField?: string
     callback?: Function
     client?: object
     preserveClient?: boolean
+    /** the modes and retry of the transaction, see Transaction */
+    transactionOptions?: TransactionOptions
   }): object
 
   /**
@@ -213,6 +701,7 @@ export class DataAccess {
    * @param {object} params an object includes the fields and values you want to update, must includes primary key and its value
    * @param {string} tableName the name of table
    * @param {string} whereClause e.g. "employeeId" = '123'
+   * @param {WhereFilter} where a filter object, e.g. { employeeId: '123' }
    * @param {Array<string>} autoSetTimeFields Those fields need to set time automatically, should be included in params, e.g ['updatedAt']
    * @param {function} callback function to be run before committing the database transaction
    * @param {object} client the pg client used for each query in the transaction
@@ -222,16 +711,20 @@ export class DataAccess {
   public UpdateExecutor(args: {
     params: object
     tableName: string
-    whereClause: string
+    whereClause?: string
+    where?: WhereFilter
     autoSetTimeFields?: Array<string>
     callback?: Function
     client?: object
     preserveClient?: boolean
+    /** the modes and retry of the transaction, see Transaction */
+    transactionOptions?: TransactionOptions
   }): object
 
   /**
    * @description An execute updating helper function, custom conditions
-   * @param {Array<{params: object, tableName: string, whereClause: string, pkName: string, autoSetTimeFields: Array<string>}>} items
+   * @param {Array<{params: object, tableName: string, whereClause: string, where: WhereFilter, pkName: string, autoSetTimeFields: Array<string>, versionField: string}>} items
+   * with versionField, StaleRecordError is thrown and the transaction is rolled back if an item updates no row
    * @forceFlat {boolean} if true, force all results into a single array
    * @param {function} callback function to be run before committing the database transaction
    * @param {object} client the pg client used for each query in the transaction
@@ -243,37 +736,56 @@ export class DataAccess {
       args: {
         params: object
         tableName: string
-        whereClause: string
+        whereClause?: string
+        where?: WhereFilter
         pkName: string
         autoSetTimeFields?: Array<string>
+        versionField?: string
         client?: object
         preserveClient?: boolean
+        /** the modes and retry of the transaction, see Transaction */
+        transactionOptions?: TransactionOptions
       }
     }>,
     forceFlat?: boolean,
     callback?: Function
   ): Array<object>
 
-  // /**
-  //  * @description An execute updating helper function (DONT USE IT UNLESS ALL FIELDS ARE STRING)
-  //  * @param {Array<string>} updateFields the fields which you want to update
-  //  * @param {Array<Object>} params an array includes the fields and values you want to update
-  //  * @param {string} tableName the name of table
-  //  * @param {string} pkName the name of primary key, default 'id'
-  //  * @returns {Array} the responses from postgres
-  //  */
-  // public MultiUpdateInOneTableExecutor(
-  //   updateFields: Array<string>,
-  //   params: Array<object>,
-  //   tableName: string,
-  //   pkName?: string
-  // ): object
+  /**
+   * @description An execute updating helper function, update many rows by primary key in UPDATE ... FROM (VALUES ...) statements,
+   * chunked to stay under the limit of bind parameters, all chunks run in one transaction
+   * @param {Array<object>} items every item includes the primary key and the fields to update
+   * @param {Array<string>} fields the fields to update, default the union of fields of all items except the primary key
+   * @param {string} tableName the name of table
+   * @param {string} pkName the name of primary key, default 'id'
+   * @param {Array<string>} autoSetTimeFields Those fields need to set time automatically, e.g ['updatedAt']
+   * @param {WhereFilter} where an extra filter object of the rows to update, e.g. { deletedAt: null }
+   * @param {function} callback function to be run before committing the database transaction
+   * @param {object} client the pg client used for each query in the transaction
+   * @param {bool} preserveClient whether or not to skip committing the client after the transaction
+   * @returns {Array<object>} the updated rows, the items not found are not returned
+   */
+  public BulkUpdateByPkExecutor(args: {
+    items: Array<object>
+    fields?: Array<string>
+    tableName: string
+    pkName?: string
+    autoSetTimeFields?: Array<string>
+    where?: WhereFilter
+    callback?: Function
+    client?: object
+    preserveClient?: boolean
+    /** the modes and retry of the transaction, see Transaction */
+    transactionOptions?: TransactionOptions
+  }): Promise<Array<object>>
 
   /**
    * @description An execute deleting helper function
    * @param {string} tableName the name of table
    * @param {string} whereClause e.g. "employeeId" = '123'
+   * @param {WhereFilter} where a filter object, e.g. { employeeId: '123' }
    * @param {boolean} returnSingleRecord if true, only return one record
+   * @param {string} softDeleteField set this field to the current time instead of deleting, e.g. 'deletedAt'
    * @param {function} callback function to be run before committing the database transaction
    * @param {object} client the pg client used for each query in the transaction
    * @param {bool} preserveClient whether or not to skip committing the client after the transaction
@@ -281,13 +793,47 @@ export class DataAccess {
    */
   public DeleteExecutor(args: {
     tableName: string
-    whereClause: string
+    whereClause?: string
+    where?: WhereFilter
     returnSingleRecord?: boolean
+    softDeleteField?: string
     callback?: Function
     client?: object
     preserveClient?: boolean
+    /** the modes and retry of the transaction, see Transaction */
+    transactionOptions?: TransactionOptions
   }): object
 
+  /**
+   * @description generate select sql for one table
+   * @param {GenerateSelectSQLArgsType} args
+   * @returns {{sql:string,replacements:Array<any>,alias:string}} an object includes sql and params
+   */
+  public GenerateSelectSQL(args: {
+    /** the name of table */
+    tableName: string
+    /** e.g. "employeeId" = '123' */
+    whereClause?: string
+    /** a filter object, e.g. { employeeId: '123' } */
+    where?: WhereFilter
+    /** the fields what you want to select, default * */
+    selectFields?: string
+    /** the field name for sorting, e.g.: [{field: 'id', sequence:'DESC'}] */
+    sortBy?: Array<{ field: string; sequence?: 'ASC' | 'DESC' }>
+    /** to limit the count of rows you want to query */
+    limit?: number
+    /** how many rows you want to skip */
+    offset?: number
+    /** whether or not to lock the selected rows (FOR UPDATE) */
+    forUpdate?: boolean
+    /** the fields to group by, they are selected with the metrics */
+    groupBy?: Array<string>
+    /** the aggregate metrics to select instead of selectFields, e.g. { total: { sum: 'amount' } } */
+    metrics?: { [name: string]: Metric }
+    /** a filter object of the metrics and the groupBy fields, e.g. { total: { gt: 100 } }, InvalidWhereClauseError is thrown if it has no condition */
+    having?: WhereFilter
+  }): { sql: string; replacements: Array<any>; alias: string }
+
   /**
    * @description An execute querying helper function for one table
    * @param {SingleQueryExecutorArgsType} args
@@ -297,7 +843,9 @@ export class DataAccess {
     /** the name of table */
     tableName: string
     /** e.g. "employeeId" = '123' */
-    whereClause: string
+    whereClause?: string
+    /** a filter object, e.g. { employeeId: '123' } */
+    where?: WhereFilter
     /** the fields what you want to select, default * */
     selectFields?: string
     /** the field name for sorting, e.g.: [{field: 'id', sequence:'DESC'}] */
@@ -306,6 +854,8 @@ export class DataAccess {
     limit?: number
     /** how many rows you want to skip */
     offset?: number
+    /** whether or not to lock the selected rows (FOR UPDATE) */
+    forUpdate?: boolean
     /**  function to run before committing */
     callback?: any
     /** whether or not to return a single record*/
@@ -314,5 +864,50 @@ export class DataAccess {
     client?: object
     // Whether or not to skip comitting the client after the query
     preserveClient?: boolean
+    /** the modes and retry of the transaction, see Transaction */
+    transactionOptions?: TransactionOptions
+    /** where to connect without a client, default the primary, e.g. ReadPool() to read from a replica */
+    pool?: Pool
+    /** the fields to group by, they are selected with the metrics */
+    groupBy?: Array<string>
+    /** the aggregate metrics to select instead of selectFields, e.g. { total: { sum: 'amount' } } */
+    metrics?: { [name: string]: Metric }
+    /** a filter object of the metrics and the groupBy fields, e.g. { total: { gt: 100 } } */
+    having?: WhereFilter
   }): object
+
+  /**
+   * @description read the rows of a query batch by batch by a server-side cursor (DECLARE ... CURSOR and FETCH),
+   * on a dedicated client in its own transaction, or on a given client in the transaction of its owner.
+   * The next batch is only fetched when the consumer asks for it, and the cursor is closed
+   * and the dedicated client released when the consumer stops, even if it breaks early
+   * @param {CursorExecutorArgsType} args
+   * @returns {AsyncGenerator<Array<object>>} the batches of rows
+   */
+  public CursorExecutor(args: {
+    /** the name of table */
+    tableName: string
+    /** e.g. "employeeId" = '123' */
+    whereClause?: string
+    /** a filter object, e.g. { employeeId: '123' } */
+    where?: WhereFilter
+    /** the fields what you want to select, default * */
+    selectFields?: string
+    /** the field name for sorting, e.g.: [{field: 'id', sequence:'DESC'}] */
+    sortBy?: Array<{ field: string; sequence?: 'ASC' | 'DESC' }>
+    /** to limit the count of rows you want to query */
+    limit?: number
+    /** how many rows you want to skip */
+    offset?: number
+    /** whether or not to lock the selected rows (FOR UPDATE) */
+    forUpdate?: boolean
+    /** the count of rows of a FETCH, default 100 */
+    batchSize?: number
+    /** client to be used for the cursor, it should be in a transaction already, which is left to its owner */
+    client?: object
+    /** the modes of the own transaction, retry is not supported */
+    transactionOptions?: Omit<TransactionOptions, 'retry'>
+    /** where to connect without a client, default the primary, e.g. ReadPool() to read from a replica */
+    pool?: Pool
+  }): AsyncGenerator<Array<object>, void, undefined>
 }
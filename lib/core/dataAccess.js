@@ -1,18 +1,93 @@
+const { EventEmitter } = require('events')
 const { Pool } = require('pg')
+const { CompileFilter, QuoteIdentifier, QuoteLiteral } = require('./filter')
+const { DataType } = require('../dataType')
+const {
+  PgLinkError,
+  StaleRecordError,
+  InvalidWhereClauseError,
+  EmptyPayloadError,
+  FromPgError
+} = require('../errors')
+const { TransactionScope } = require('./transaction')
+const { Logger } = require('./logger')
+
+// the isolation levels of postgres
+const isolationLevels = [
+  'READ UNCOMMITTED',
+  'READ COMMITTED',
+  'REPEATABLE READ',
+  'SERIALIZABLE'
+]
+
+// serialization_failure and deadlock_detected, the transaction may succeed if it runs again
+const retryableCodes = ['40001', '40P01']
+
+// the ways to choose a replica for a read
+const balancings = ['round-robin', 'least-busy']
+
+// the functions of aggregate metrics
+const aggregateFunctions = {
+  count: 'COUNT',
+  sum: 'SUM',
+  avg: 'AVG',
+  min: 'MIN',
+  max: 'MAX'
+}
 
 /**
  * @class A helper class for pg
  * @description Standardize every output to be object or array of objects
  * Transaction returns array of outputs or object with outputs mapped to aliases
- * No null or undefined returns, must always be array or object even if empty
+ * No null or undefined returns, must always be array or object even if empty.
+ * It emits query:start, query:end, transaction:begin, transaction:commit, transaction:rollback and pool:error
  */
-class DataAccess {
+class DataAccess extends EventEmitter {
   /**
-   * @param {Pool} connection
+   * @param {Pool} connection the pool of the primary
+   * @param {{replicas?: Array<Pool>, balancing?: 'round-robin'|'least-busy', stickyWindow?: number, logger?: object|false, slowQueryThreshold?: number, redact?: boolean|function}} options
+   * the pools of read replicas, how to choose one of them, default round-robin,
+   * and how long (ms) a session reads from the primary after it writes, default 0,
+   * logger has debug, info, warn and error, default console, false to be silent,
+   * a query takes slowQueryThreshold (ms) or longer is logged as a warning, default 0 means never,
+   * redact hides the values of placeholders in events and logs, default true, or a function (value, index, sql) => value
    */
-  constructor(connection) {
-    console.info('Instantiate DataAccess!💪')
+  constructor(connection, options = {}) {
+    super()
+    const {
+      replicas = [],
+      balancing = 'round-robin',
+      stickyWindow = 0,
+      logger,
+      slowQueryThreshold = 0,
+      redact = true
+    } = options
+    this.logger = Logger(logger)
+    this.logger.info('Instantiate DataAccess!💪')
+    if (!balancings.includes(balancing)) {
+      throw new Error(
+        `Invalid balancing "${balancing}", expected one of ${balancings.join(
+          ', '
+        )}`
+      )
+    }
     this.conn = connection
+    this.replicas = replicas
+    this.balancing = balancing
+    this.stickyWindow = stickyWindow
+    this.replicaIndex = 0 // the next replica of round-robin
+    this.cursorCount = 0 // to name the cursors of CursorExecutor
+    this.slowQueryThreshold = slowQueryThreshold
+    this.redact = redact
+    // an error of an idle client is emitted by its pool, it crashes the process if no one listens
+    for (const pool of [connection, ...replicas]) {
+      if (pool && typeof pool.on === 'function') {
+        pool.on('error', (error) => {
+          this.logger.error('Pg pool error: ', error)
+          this.emit('pool:error', { error, pool })
+        })
+      }
+    }
     this.op = [
       '=',
       '>',
@@ -34,76 +109,376 @@ class DataAccess {
     this.joiner = { and: 'AND', or: 'OR' }
     this.between = new RegExp('\\bBETWEEN\\b')
     this.clientCounter = {} // { [client.processID]: count }
+    this.columnTypes = {} // { [tableName]: Promise<{ [column]: type }> }
+    this.transactionClients = new WeakSet() // the clients whose transactions are owned by RunTransaction or the hooks of models
+    this.givenClients = new WeakSet() // the given clients BeginTransaction began on, counted in clientCounter like the ones of Transaction
   }
 
   /**
-   * @description run a single query
+   * @description run a single query on the primary, or on a replica with useReplica if it is a SELECT without locking,
+   * a SELECT may call nextval or a function which writes, so it is only sent to a replica when the caller knows it is safe,
+   * the queries other than SELECT mark the session as written
    * @param {string} sql
+   * @param {Array<any>} replacements the values of placeholders, e.g. $1
+   * @param {{useReplica?: boolean, usePrimary?: boolean, session?: object}} options usePrimary and session see ReadPool
    * @author Janden Ma
    */
-  async Execute(sql) {
+  async Execute(sql, replacements, options = {}) {
     if (!sql)
       throw new Error(
         '"sql" as an argument of Execute function is required but got undefined or null'
       )
+    const read = this.IsReadSQL(sql)
+    const pool = read && options.useReplica ? this.ReadPool(options) : this.conn
     try {
-      const res = await this.conn.query(sql)
+      const res = await this.Query(pool, sql, replacements)
+      if (!read) this.MarkWrite(options.session)
       return res
     } catch (e) {
       throw e
     }
   }
 
-  /** Begin a customize transaction */
-  async BeginTransaction() {
-    const client = await this.conn.connect()
+  /**
+   * @description run a query on a pool or client, emit query:start and query:end around it,
+   * and log it as a warning if it takes slowQueryThreshold or longer
+   * @param {Pool|object} queryable a pool or a client
+   * @param {string} sql
+   * @param {Array<any>} replacements the values of placeholders, e.g. $1
+   * @param {string} alias the alias of the step in Transaction, if any
+   * @returns {Promise<object>} the response from postgres
+   */
+  async Query(queryable, sql, replacements, alias) {
+    const info = {
+      sql,
+      replacementCount: replacements ? replacements.length : 0,
+      replacements: this.RedactReplacements(sql, replacements),
+      alias
+    }
+    this.emit('query:start', info)
+    const start = Date.now()
+    let res
+    let error
+    try {
+      res =
+        replacements && replacements.length > 0
+          ? await queryable.query(sql, replacements)
+          : await queryable.query(sql)
+      return res
+    } catch (e) {
+      // the errors of constraints and serialization are thrown as the classes of pglink
+      error = FromPgError(e, sql)
+      throw error
+    } finally {
+      const duration = Date.now() - start
+      const slow =
+        this.slowQueryThreshold > 0 && duration >= this.slowQueryThreshold
+      if (slow) {
+        this.logger.warn(
+          `SLOW QUERY (${duration}ms): ${sql}`,
+          info.replacements
+        )
+      }
+      this.emit('query:end', {
+        ...info,
+        duration,
+        rowCount: res ? res.rowCount : undefined,
+        slow,
+        error
+      })
+    }
+  }
+
+  /**
+   * @description hide the values of placeholders by the redact option, for events and logs
+   * @param {string} sql
+   * @param {Array<any>} replacements
+   * @returns {Array<any>} a new array, the original one is never changed
+   */
+  RedactReplacements(sql, replacements) {
+    if (!replacements) return []
+    if (typeof this.redact === 'function') {
+      return replacements.map((value, index) => this.redact(value, index, sql))
+    }
+    return this.redact
+      ? replacements.map(() => '[REDACTED]')
+      : replacements.slice()
+  }
+
+  /**
+   * @description check whether a sql may run on a replica, only SELECT without locking may, because a WITH may write,
+   * but the functions it calls may write too, e.g. nextval, so Execute only sends it to a replica with useReplica
+   * @param {string} sql
+   * @returns {boolean}
+   */
+  IsReadSQL(sql) {
+    return (
+      /^\s*SELECT\b/i.test(sql) &&
+      !/\bFOR\s+(NO\s+KEY\s+)?(UPDATE|SHARE)\b|\bFOR\s+KEY\s+SHARE\b|\bINTO\b/i.test(
+        sql
+      )
+    )
+  }
+
+  /**
+   * @description choose the pool for a read, the primary if there are no replicas,
+   * usePrimary is true, or the session wrote in the sticky window, otherwise a replica by the balancing
+   * @param {{usePrimary?: boolean, session?: object}} options session is from CreateSession, shared by the queries of a request
+   * @returns {Pool}
+   */
+  ReadPool({ usePrimary = false, session } = {}) {
+    if (this.replicas.length === 0 || usePrimary) return this.conn
+    if (
+      session &&
+      session.lastWriteAt &&
+      Date.now() - session.lastWriteAt < this.stickyWindow
+    ) {
+      return this.conn
+    }
+    if (this.balancing === 'least-busy') {
+      // the fewest checked out and waiting clients
+      const busy = (pool) =>
+        pool.totalCount - pool.idleCount + pool.waitingCount
+      return this.replicas.reduce((least, pool) =>
+        busy(pool) < busy(least) ? pool : least
+      )
+    }
+    const pool = this.replicas[this.replicaIndex % this.replicas.length]
+    this.replicaIndex = (this.replicaIndex + 1) % this.replicas.length
+    return pool
+  }
+
+  /**
+   * @description create a session to stick the reads of a request to the primary after it writes,
+   * pass it to the functions of models by { session }
+   * @returns {{lastWriteAt: number}} lastWriteAt is the time (ms) of the last writing, 0 if never
+   */
+  CreateSession() {
+    return { lastWriteAt: 0 }
+  }
+
+  /**
+   * @description mark a session as written now, nothing if no session
+   * @param {{lastWriteAt: number}} session
+   */
+  MarkWrite(session) {
+    if (session) session.lastWriteAt = Date.now()
+  }
+
+  /**
+   * Begin a customize transaction
+   * @param {{isolationLevel?: string, readOnly?: boolean, deferrable?: boolean}} options the modes of transaction, see GenerateBeginSQL
+   * @param {object} client a given client to begin on instead of a new one, it is counted like the given client of Transaction,
+   * so CommitTransaction only releases it when no other transaction holds it, and RollbackTransaction leaves it to its owner
+   */
+  async BeginTransaction(options, client) {
+    const beginSql = this.GenerateBeginSQL(options)
     if (client) {
+      await client.query(beginSql)
+      this.emit('transaction:begin', {
+        processID: client.processID,
+        sql: beginSql
+      })
+      this.clientCounter[client.processID] =
+        (this.clientCounter[client.processID] || 0) + 1
+      this.givenClients.add(client)
+      return client
+    }
+    const connected = await this.conn.connect()
+    if (connected) {
       try {
         if (process.env.NODE_ENV === 'development') {
-          console.info('Begin Transaction')
+          this.logger.info('Begin Transaction')
         }
-        client.query('BEGIN')
-        return client
+        await connected.query(beginSql)
+        this.emit('transaction:begin', {
+          processID: connected.processID,
+          sql: beginSql
+        })
+        return connected
       } catch (e) {
-        console.error(e)
+        this.logger.error(e)
+        connected.release(true)
         throw e
       }
     } else {
-      console.error('No client connected!')
+      this.logger.error('No client connected!')
       return null
     }
   }
 
-  /** Commit customize transaction */
+  /**
+   * Commit customize transaction, it is rolled back if COMMIT fails, e.g. a serialization failure of SERIALIZABLE,
+   * and the error is thrown
+   */
   async CommitTransaction(client) {
     if (client) {
       try {
         if (process.env.NODE_ENV === 'development') {
-          console.info('Commit Transaction')
+          this.logger.info('Commit Transaction')
         }
         await client.query('COMMIT')
-        client.release(true)
+        this.emit('transaction:commit', { processID: client.processID })
       } catch (error) {
         await this.RollbackTransaction({ error, client })
+        throw FromPgError(error)
+      }
+      if (this.givenClients.has(client)) {
+        this.givenClients.delete(client)
+        this.clientCounter[client.processID] -= 1
+        if (this.clientCounter[client.processID] > 0) return
+        delete this.clientCounter[client.processID]
       }
+      client.release(true)
     } else {
-      console.error('No client connected!')
+      this.logger.error('No client connected!')
     }
   }
 
-  /**  Rollback Customize Transaction */
+  /**  Rollback Customize Transaction, a given client of BeginTransaction is not released */
   async RollbackTransaction({ error, client }) {
     if (client) {
       try {
-        console.error('Rollback Transaction: ', error)
+        this.logger.error('Rollback Transaction: ', error)
         await client.query('ROLLBACK')
+        this.emit('transaction:rollback', {
+          processID: client.processID,
+          error
+        })
+        if (this.givenClients.has(client)) {
+          this.givenClients.delete(client)
+          return
+        }
         client.release(true)
       } catch (e) {
-        console.error(e)
+        this.logger.error(e)
         throw e
       }
     } else {
-      console.error('No client connected!')
+      this.logger.error('No client connected!')
+    }
+  }
+
+  /**
+   * @description run a function in a transaction on one client, it is committed if the function resolves,
+   * or rolled back if it throws, and the client is released either way.
+   * The model functions run in it by { transaction: tx }, tx.transaction(fn) nests a savepoint,
+   * and the functions added by tx.afterCommit(fn) run after committing
+   * @param {function} fn receives the transaction, e.g. async (tx) => { ... }
+   * @param {{isolationLevel?: string, readOnly?: boolean, deferrable?: boolean, retry?: boolean|object}} options the modes of transaction,
+   * see GenerateBeginSQL, with retry, fn runs again in a new transaction on serialization failures and deadlocks, see RetryTransaction
+   * @returns {Promise<any>} the result of fn
+   */
+  async RunTransaction(fn, options = {}) {
+    if (typeof fn !== 'function') {
+      throw new Error('The argument of transaction should be a function')
+    }
+    const { retry, ...modes } = options
+    if (retry) {
+      return this.RetryTransaction(retry, () => this.RunTransaction(fn, modes))
+    }
+    const beginSql = this.GenerateBeginSQL(modes)
+    const client = await this.conn.connect()
+    const tx = new TransactionScope({ client })
+    this.transactionClients.add(client)
+    let res
+    try {
+      await client.query(beginSql)
+      this.emit('transaction:begin', {
+        processID: client.processID,
+        sql: beginSql
+      })
+      res = await fn(tx)
+      await client.query('COMMIT')
+      this.emit('transaction:commit', { processID: client.processID })
+    } catch (err) {
+      try {
+        this.logger.warn('TRANSACTION ROLLBACK: ', err)
+        await client.query('ROLLBACK')
+        this.emit('transaction:rollback', {
+          processID: client.processID,
+          error: err
+        })
+      } catch (e) {
+        this.logger.warn('ROLLBACK ERROR: ', e)
+      }
+      throw FromPgError(err)
+    } finally {
+      tx.finished = true
+      this.transactionClients.delete(client)
+      client.release(true)
+    }
+    for (const hook of tx.afterCommitHooks) {
+      // committed already, so a failed hook can not fail the transaction
+      try {
+        await hook()
+      } catch (e) {
+        this.logger.warn('AFTER COMMIT ERROR: ', e)
+      }
+    }
+    return res
+  }
+
+  /**
+   * @description generate the statement to begin a transaction, e.g. BEGIN ISOLATION LEVEL SERIALIZABLE READ ONLY DEFERRABLE
+   * @param {{isolationLevel?: string, readOnly?: boolean, deferrable?: boolean}} options
+   * isolationLevel is READ UNCOMMITTED, READ COMMITTED, REPEATABLE READ or SERIALIZABLE, default the one of the database,
+   * deferrable only works with SERIALIZABLE and READ ONLY
+   * @returns {string}
+   */
+  GenerateBeginSQL({ isolationLevel, readOnly, deferrable } = {}) {
+    let sql = 'BEGIN'
+    if (isolationLevel) {
+      const level = String(isolationLevel).toUpperCase().replace(/_/g, ' ')
+      if (!isolationLevels.includes(level)) {
+        throw new Error(
+          `Invalid isolation level "${isolationLevel}", expected one of ${isolationLevels.join(
+            ', '
+          )}`
+        )
+      }
+      sql = sql.concat(` ISOLATION LEVEL ${level}`)
+    }
+    if (readOnly !== undefined) {
+      sql = sql.concat(readOnly ? ' READ ONLY' : ' READ WRITE')
+    }
+    if (deferrable !== undefined) {
+      sql = sql.concat(deferrable ? ' DEFERRABLE' : ' NOT DEFERRABLE')
+    }
+    return sql
+  }
+
+  /**
+   * @description run a whole transaction again on serialization failures (40001) and deadlocks (40P01),
+   * the other errors are thrown at once, the error of the last attempt is thrown with the count of attempts
+   * @param {boolean|{attempts?: number, backoff?: number|function}} retry true means { attempts: 3, backoff: 100 },
+   * backoff is the delay (ms) before the second attempt and doubled every time, or a function of the failed attempt returns the delay
+   * @param {function} run receives the attempt, from 1, and runs the whole transaction
+   * @returns {Promise<any>} the result of run
+   */
+  async RetryTransaction(retry, run) {
+    const { attempts = 3, backoff = 100 } = retry === true ? {} : retry
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        const res = await run(attempt)
+        if (attempt > 1) {
+          this.logger.info(`Transaction succeeded at attempt ${attempt}`)
+        }
+        return res
+      } catch (e) {
+        if (attempt >= attempts || !retryableCodes.includes(e.code)) {
+          if (e instanceof Error) e.attempts = attempt
+          throw e
+        }
+        const delay =
+          typeof backoff === 'function'
+            ? backoff(attempt)
+            : backoff * 2 ** (attempt - 1)
+        this.logger.warn(
+          `TRANSACTION RETRY: attempt ${attempt} of ${attempts} failed (${e.code}), retrying in ${delay}ms`
+        )
+        await new Promise((resolve) => setTimeout(resolve, delay))
+      }
     }
   }
 
@@ -116,16 +491,22 @@ class DataAccess {
    */
   async Disconnect() {
     try {
-      await this.conn.end()
-      console.info('Pg pool has disconnected!')
+      await Promise.all([this.conn, ...this.replicas].map((p) => p.end()))
+      this.logger.info('Pg pool has disconnected!')
     } catch (e) {
-      console.error('Error during pg disconnection: ', e.stack)
+      this.logger.error('Error during pg disconnection: ', e.stack)
     }
   }
 
   /**
    * @description Commit many sqls in one transaction, and will rollback all if exist one sql execute failed.
-   * @param {{params: Array<{sql: string,replacements: Array<any>,alias: string, returnSingleRecord: bool, forceFlat:bool}>,returnWithAlias: boolean, preserveClient: boolean}} args includes sqls, their params and alias name.
+   * @param {{params: Array<{sql: string,replacements: Array<any>,alias: string, returnSingleRecord: bool, forceFlat:bool}|function>,returnWithAlias: boolean, preserveClient: boolean, ordered: boolean}} args includes sqls, their params and alias name.
+   * With ordered, the steps run one by one in the order of params, and a step can be a function receives the rows of the steps before it by alias,
+   * e.g. (results) => ({ sql, replacements: [results.order[0].id] }), the error of a failed step tells its index and alias.
+   * isolationLevel, readOnly and deferrable are the modes of the transaction, see GenerateBeginSQL, they are ignored with a given client.
+   * With retry, the whole transaction runs again, including the callback, on serialization failures and deadlocks, see RetryTransaction,
+   * it is ignored with a given client, which is retried by its owner.
+   * pool is where to connect without a given client, default the primary, e.g. ReadPool() for reads
    * @param {Function} transaction you can use nested transaction here, you will receive the response from outer transaction, and if inner transaction rollback, others would be rollback
    * @author Janden Ma
    */
@@ -137,7 +518,9 @@ class DataAccess {
       returnWithAlias = false,
       returnSingleRecord = false,
       forceFlat = false,
-      preserveClient = false
+      preserveClient = false,
+      ordered = false,
+      retry
     } = args // v0.1.9
     // note: we don't try/catch this because if connecting throws an exception
     // we don't need to dispose of the client (it will be undefined)
@@ -147,48 +530,95 @@ class DataAccess {
         '"params" is invalid: Expected "Array" but got "null" or "undefined"'
       )
 
-    const client = args.client || (await this.conn.connect())
+    if (retry && !args.client) {
+      return this.RetryTransaction(retry, () =>
+        this.Transaction({ ...args, retry: undefined }, transaction)
+      )
+    }
+    const beginSql = this.GenerateBeginSQL(args)
+    const client = args.client || (await (args.pool || this.conn).connect())
+    // the client of RunTransaction or of the hooks of a model is begun, committed and released by its owner
+    const scoped = this.transactionClients.has(client)
     const result = returnWithAlias ? {} : []
-    this.clientCounter[client.processID]
-      ? (this.clientCounter[client.processID] += 1)
-      : (this.clientCounter[client.processID] = 1)
+    if (!scoped) {
+      this.clientCounter[client.processID]
+        ? (this.clientCounter[client.processID] += 1)
+        : (this.clientCounter[client.processID] = 1)
+    }
 
     // v0.1.9 for some real world situations we shouldn't throw error here -- Janden
     if (params.length === 0) {
-      console.warn('[Warning]: "params" is an empty array, skipped')
+      this.logger.warn('[Warning]: "params" is an empty array, skipped')
       return transaction
         ? transaction([returnSingleRecord ? {} : [], client])
         : []
     }
 
     try {
-      await client.query('BEGIN')
-      /* *************************************************************************  
-        We can't use async/await in forEach/map loop, if we call await on 
-        a non-promise, it will immediately resolve to the value (i.e. the array).  
-        It causes we can't not catch the inner error stacks normally.
-        Calling .map(...) returns an array, so we need to call Promise.all(...) 
-        to await all of them.  -- By Janden Ma
-      ************************************************************************** */
-      await Promise.all(
-        params.map(async (p) => {
-          const { sql, replacements, alias } = p // v0.1.9 change 'tableName' to 'alias' --Janden
-          if (returnWithAlias && !alias) {
-            throw new Error(
-              'alias should be string when returnWithAlias is true, but got undefined or null'
-            )
-          }
-          const res =
-            replacements && replacements.length > 0
-              ? await client.query(sql, replacements)
-              : await client.query(sql)
-          if (returnWithAlias) {
-            result[alias] = res.rows
-          } else {
-            result.push(res.rows)
-          }
+      if (!scoped) {
+        await client.query(beginSql)
+        this.emit('transaction:begin', {
+          processID: client.processID,
+          sql: beginSql
         })
-      )
+      }
+      const run = async (p) => {
+        if (!p || typeof p.sql !== 'string') {
+          throw new Error(
+            ordered
+              ? 'A step of Transaction should be { sql, replacements, alias } or a function returns it'
+              : 'A step of Transaction should be { sql, replacements, alias }, functions are only allowed with ordered'
+          )
+        }
+        const { sql, replacements, alias, stale } = p // v0.1.9 change 'tableName' to 'alias' --Janden
+        if (returnWithAlias && !alias) {
+          throw new Error(
+            'alias should be string when returnWithAlias is true, but got undefined or null'
+          )
+        }
+        const res = await this.Query(client, sql, replacements, alias)
+        // an update with the version matched nothing, so the whole transaction is rolled back
+        if (stale && res.rows.length === 0) throw new StaleRecordError(stale)
+        if (returnWithAlias) {
+          result[alias] = res.rows
+        } else {
+          result.push(res.rows)
+        }
+        return res.rows
+      }
+      if (ordered) {
+        // one by one, so a step can use the rows of the steps before it
+        const results = {}
+        for (let index = 0; index < params.length; index += 1) {
+          let alias
+          try {
+            const p =
+              typeof params[index] === 'function'
+                ? await params[index](results)
+                : params[index]
+            alias = p && p.alias
+            const rows = await run(p)
+            if (alias) results[alias] = rows
+          } catch (e) {
+            const error = e instanceof Error ? e : new Error(String(e))
+            error.step = index
+            error.alias = alias
+            error.message = `Step ${index}${
+              alias ? ` (${alias})` : ''
+            } of Transaction failed: ${error.message}`
+            throw error
+          }
+        }
+      } else {
+        /* *************************************************************************  
+          We can't use async/await in forEach/map loop, if we call await on 
+          a non-promise, it will immediately resolve to the value (i.e. the array).  
+          It causes we can't not catch the inner error stacks normally.
+          Calling .map(...) returns an array, so we need to call Promise.all(...) 
+          to await all of them.  -- By Janden Ma
+        ************************************************************************** */
+        await Promise.all(params.map(run))
+      }
 
       let finalRes = result
       // Avoiding unnecessary arrays, providing object return for single record transaction
@@ -199,9 +629,11 @@ class DataAccess {
       }
 
       if (transaction) await transaction([finalRes, client])
+      if (scoped) return finalRes
 
       if (!preserveClient) {
         await client.query('COMMIT')
+        this.emit('transaction:commit', { processID: client.processID })
         // Transaction succeeded so retain connection in pool
         try {
           this.clientCounter[client.processID] -= 1
@@ -210,16 +642,22 @@ class DataAccess {
             client.release(true)
           }
         } catch (err) {
-          console.warn(err)
+          this.logger.warn(err)
         }
       }
 
       // Return the work
       return finalRes
     } catch (err) {
+      // rolled back by RunTransaction, or to the savepoint if it is caught in a nested one
+      if (scoped) throw FromPgError(err)
       try {
-        console.warn('TRANSACTION ROLLBACK: ', err)
+        this.logger.warn('TRANSACTION ROLLBACK: ', err)
         await client.query('ROLLBACK')
+        this.emit('transaction:rollback', {
+          processID: client.processID,
+          error: err
+        })
         /* 
           because we use the same client in nested transactions, 
           we have to only release the outermost client, if not it 
@@ -231,7 +669,7 @@ class DataAccess {
           client.release(true)
         }
       } catch (e) {
-        console.warn('ROLLBACK ERROR: ', e)
+        this.logger.warn('ROLLBACK ERROR: ', e)
         // Rollback failed so discard connection
         try {
           /* 
@@ -245,11 +683,12 @@ class DataAccess {
             client.release(true)
           }
         } catch (err) {
-          console.warn(err)
+          this.logger.warn(err)
         }
         throw e
       }
-      throw err
+      // e.g. a deferred constraint fails on COMMIT
+      throw FromPgError(err)
     }
   }
 
@@ -269,6 +708,45 @@ class DataAccess {
     }
   }
 
+  /**
+   * @description get the types of columns of a table, e.g. { id: 'integer', name: 'character varying(20)' },
+   * the result is cached per table until ClearColumnTypes
+   * @param {String} tableName the name of dbtable
+   * @returns {Promise<object>}
+   */
+  async GetColumnTypes(tableName) {
+    if (!this.columnTypes[tableName]) {
+      const sql = `SELECT attname AS "name", format_type(atttypid, atttypmod) AS "type" FROM pg_attribute WHERE attrelid = $1::regclass AND attnum > 0 AND NOT attisdropped`
+      // on the primary, a replica may lag behind a migration
+      this.columnTypes[tableName] = this.Execute(sql, [tableName], {
+        usePrimary: true
+      }).then(
+        (res) => {
+          const types = {}
+          res.rows.forEach((r) => {
+            types[r.name] = r.type
+          })
+          return types
+        },
+        (e) => {
+          // not cached, so it can be retried
+          delete this.columnTypes[tableName]
+          throw e
+        }
+      )
+    }
+    return this.columnTypes[tableName]
+  }
+
+  /**
+   * @description drop the cached types of columns, e.g. after altering tables
+   * @param {String} tableName the name of dbtable, default all tables
+   */
+  ClearColumnTypes(tableName) {
+    if (tableName) delete this.columnTypes[tableName]
+    else this.columnTypes = {}
+  }
+
   /**
    * @description check whether where clause includes illegal operator, e.g. ===
    * @param {string} whereClause
@@ -287,7 +765,12 @@ class DataAccess {
       }
       return operatorRequired
     })
-    if (illegal) throw new Error('condition operator is illegal')
+    if (illegal) {
+      throw new InvalidWhereClauseError({
+        message: 'condition operator is illegal',
+        sql: whereClause
+      })
+    }
   }
 
   /**
@@ -316,7 +799,22 @@ class DataAccess {
       'gm'
     )
     const statements = cleanedWhereClause.split(joinerRegex)
+    try {
+      this.CheckWhereClauseStatements(statements)
+    } catch (e) {
+      // the statements are cleaned, so the original one is attached
+      throw new InvalidWhereClauseError({
+        message: e.message,
+        sql: whereClause
+      })
+    }
+  }
 
+  /**
+   * @description check the statements of a where clause split by AND and OR
+   * @param {Array<string>} statements the cleaned statements
+   */
+  CheckWhereClauseStatements(statements) {
     // The old method of splitting up where clauses didn't work for 'between' because the right side of the AND statement in a between doesn't contain a comparison operator
     let operatorRequired = true
     let betweenSide = 0
@@ -344,6 +842,167 @@ class DataAccess {
     })
   }
 
+  /**
+   * @description generate where clause from a raw where clause and/or a filter object, both are joined by AND
+   * @param {{whereClause?: string, where?: object, startIndex?: number, expressions?: object}} args startIndex is the index of the first placeholder, default 1,
+   * expressions are the sql of fields which are not columns, e.g. { total: 'SUM("amount")' } for HAVING
+   * @returns {{clause: string, replacements: Array<any>}} clause without "WHERE", empty string if there is no condition
+   */
+  GenerateWhereSQL({ whereClause, where, startIndex = 1, expressions }) {
+    const conditions = []
+    if (whereClause) {
+      this.CheckWhereClause(whereClause)
+      conditions.push(whereClause)
+    }
+    let compiled
+    try {
+      compiled = CompileFilter(where, startIndex, expressions)
+    } catch (e) {
+      throw new InvalidWhereClauseError({ message: e.message })
+    }
+    const { clause, replacements } = compiled
+    if (clause) conditions.push(clause)
+    return {
+      clause:
+        conditions.length > 1
+          ? conditions.map((c) => `(${c})`).join(' AND ')
+          : conditions.join(''),
+      replacements
+    }
+  }
+
+  /**
+   * @description generate the where clause of an update or a delete like GenerateWhereSQL,
+   * but throws InvalidWhereClauseError if there is no condition, e.g. { and: [] }, so all rows of a table are never changed by mistake
+   * @param {{whereClause?: string, where?: object, startIndex?: number}} args
+   * @returns {{clause: string, replacements: Array<any>}} clause without "WHERE"
+   */
+  GenerateTargetWhereSQL(args) {
+    const res = this.GenerateWhereSQL(args)
+    if (!res.clause) {
+      throw new InvalidWhereClauseError({
+        message: 'The conditions of an update or a delete should not be empty'
+      })
+    }
+    return res
+  }
+
+  /**
+   * @description generate the sql of aggregate metrics, e.g. { total: { sum: 'amount' }, buyers: { count: 'userId', distinct: true } }
+   * to { total: 'SUM("amount")', buyers: 'COUNT(DISTINCT "userId")' }
+   * @param {{[name: string]: {count?: string, sum?: string, avg?: string, min?: string, max?: string, distinct?: boolean}}} metrics
+   * every metric has one function of a field, count can be of '*'
+   * @returns {{[name: string]: string}}
+   */
+  GenerateMetricExpressions(metrics = {}) {
+    const expressions = {}
+    Object.keys(metrics).forEach((name) => {
+      const metric = metrics[name] || {}
+      const fns = Object.keys(metric).filter((k) =>
+        Object.prototype.hasOwnProperty.call(aggregateFunctions, k)
+      )
+      if (fns.length !== 1) {
+        throw new Error(
+          `Metric "${name}" should have one of ${Object.keys(
+            aggregateFunctions
+          ).join(', ')}`
+        )
+      }
+      const [fn] = fns
+      const field = metric[fn]
+      if (field === '*' && (fn !== 'count' || metric.distinct)) {
+        throw new Error(`Metric "${name}" can not ${fn} "*"`)
+      }
+      const argument = field === '*' ? '*' : QuoteIdentifier(field)
+      expressions[name] = `${aggregateFunctions[fn]}(${
+        metric.distinct ? 'DISTINCT ' : ''
+      }${argument})`
+    })
+    return expressions
+  }
+
+  /**
+   * @description split the name of primary key to an array of columns
+   * @param {string|Array<string>} pkName e.g. 'id' or 'companyId,employeeId' or ['companyId', 'employeeId']
+   * @returns {Array<string>} e.g. ['companyId', 'employeeId']
+   */
+  ParsePkName(pkName = 'id') {
+    const pkArr = (Array.isArray(pkName) ? pkName : String(pkName).split(','))
+      .map((p) => String(p).trim())
+      .filter((p) => p)
+    if (pkArr.length === 0) throw new Error('pkName should not be empty')
+    return pkArr
+  }
+
+  /**
+   * @description generate a filter object to match one row by primary key, every part of the key is required
+   * @param {string|Array<string>} pkName the name of primary key, e.g. 'id' or 'companyId,employeeId'
+   * @param {any} pk the value of primary key, an object with every key part, or a single value if there is only one key column
+   * @param {string} tableName the name of table, used in error messages
+   * @returns {object} a filter object, e.g. { companyId: 1, employeeId: 2 }
+   */
+  GeneratePkFilter(pkName, pk, tableName) {
+    const pkArr = this.ParsePkName(pkName)
+    const isObject = Object.prototype.toString.call(pk) === '[object Object]'
+    if (pkArr.length > 1 && !isObject) {
+      throw new Error(
+        `Invalid parameter "pk": It is multi primary keys (${pkArr.join(
+          ', '
+        )}) in ${tableName} table, expected an object`
+      )
+    }
+    const filter = {}
+    pkArr.forEach((p) => {
+      const value = isObject ? pk[p] : pk
+      if (value === undefined || value === null) {
+        throw new Error(
+          `Invalid parameter "pk": The value of primary key "${p}" in ${tableName} table is required`
+        )
+      }
+      // a single value only, arrays or operators would match more than one row
+      if (
+        Array.isArray(value) ||
+        Object.prototype.toString.call(value) === '[object Object]'
+      ) {
+        throw new Error(
+          `Invalid parameter "pk": The value of primary key "${p}" in ${tableName} table should be a single value`
+        )
+      }
+      filter[p] = value
+    })
+    return filter
+  }
+
+  /**
+   * @description generate a keyset filter to match the rows after (or before) a row in the order of sortBy,
+   * e.g. ("a" > $1) OR ("a" = $1 AND "b" > $2), so the sort fields should be unique together, e.g. end with the primary key
+   * @param {Array<{field: string, sequence: 'ASC'|'DESC'}>} sortBy the order of rows
+   * @param {Array<any>} values the values of sort fields of the row
+   * @param {boolean} before match the rows before the row instead of after
+   * @returns {object} a filter object
+   */
+  GenerateKeysetFilter(sortBy, values, before = false) {
+    if (!Array.isArray(values) || values.length !== sortBy.length) {
+      throw new Error('The values of keyset should match the sort fields')
+    }
+    return {
+      or: sortBy.map(({ field, sequence }, i) => {
+        if (values[i] === null || values[i] === undefined) {
+          throw new Error(
+            `The value of sort field "${field}" is null, sort fields of keyset should not be nullable`
+          )
+        }
+        const condition = {}
+        sortBy.slice(0, i).forEach((s, j) => {
+          condition[s.field] = { eq: values[j] }
+        })
+        const ascending = String(sequence).toUpperCase() !== 'DESC'
+        condition[field] = { [ascending !== before ? 'gt' : 'lt']: values[i] }
+        return condition
+      })
+    }
+  }
+
   /**
    * @description generate insert sql
    * @param {Object} params an object includes the fields and values you want to insert
@@ -357,7 +1016,10 @@ class DataAccess {
       (p) => params[p] !== undefined
     )
     if (!paramsArray || paramsArray.length === 0) {
-      throw new Error('There is no any valid value to insert!')
+      throw new EmptyPayloadError({
+        message: 'There is no any valid value to insert!',
+        tableName
+      })
     }
     paramsArray.forEach((key, index) => {
       cstr = cstr.concat(`"${key}"`)
@@ -376,7 +1038,7 @@ class DataAccess {
   }
 
   /**
-   * @description generate multiple insert sql (to one table)
+   * @description generate multiple insert sql (to one table), the fields missing in an item are filled with DEFAULT
    * @param {Array<string>} insertFields the fields which you want to insert
    * @param {Array<Object>} params an array includes the fields and values you want to insert
    * @param {string} tableName the name of table
@@ -386,7 +1048,10 @@ class DataAccess {
     if (!insertFields || insertFields.length === 0)
       throw new Error('insertFields is incorrect')
     if (!params || params.length === 0)
-      throw new Error('Can not generate a insert sql without data')
+      throw new EmptyPayloadError({
+        message: 'Can not generate a insert sql without data',
+        tableName
+      })
     let fstr = ''
     let pstr = ''
     const paramsArray = []
@@ -400,12 +1065,17 @@ class DataAccess {
     params.forEach((p, index) => {
       let tmp = ''
       insertFields.forEach((field, i) => {
-        tmp = tmp.concat(`$${frequency}`)
-        frequency += 1
+        // a missing field takes the default value of column
+        if (p[field] === undefined) {
+          tmp = tmp.concat('DEFAULT')
+        } else {
+          tmp = tmp.concat(`$${frequency}`)
+          frequency += 1
+          paramsArray.push(p[field])
+        }
         if (i !== insertFields.length - 1) {
           tmp = tmp.concat(', ') // If not the last one, concat comma
         }
-        paramsArray.push(p[field])
       })
       pstr = pstr.concat(`(${tmp})`)
       if (index !== params.length - 1) {
@@ -417,34 +1087,184 @@ class DataAccess {
     return { sql, replacements: paramsArray, alias: tableName }
   }
 
+  /**
+   * @description generate the assignments of autoSetTimeFields, the fields not included in the table are skipped
+   * @param {string} tableName the name of table
+   * @param {Array<string>} autoSetTimeFields e.g. ['updatedAt']
+   * @returns {Promise<Array<string>>} e.g. ['"updatedAt" = CURRENT_TIMESTAMP']
+   */
+  async GenerateAutoSetTimeSQL(tableName, autoSetTimeFields) {
+    if (!autoSetTimeFields || autoSetTimeFields.length === 0) return []
+    // #region v0.1.8 refactor logic by Janden
+    const exists = await Promise.all(
+      autoSetTimeFields.map((f) => this.CheckTableColumnExist(tableName, f))
+    )
+    // #endregion
+    return autoSetTimeFields
+      .filter((f, i) => {
+        // if dbtable includes autoSetTimeField, update it
+        if (!exists[i]) {
+          this.logger.warn(
+            `!![AutoSetTimeFields Warning]: Table ${tableName} doesn't include field "${f}", skipped!!`
+          )
+        }
+        return exists[i]
+      })
+      .map((f) => `"${f}" = CURRENT_TIMESTAMP`)
+  }
+
+  /**
+   * @description generate upsert sql (INSERT ... ON CONFLICT), every returned row has "pglink_inserted" which is false if the row is updated
+   * @param {{params: object|Array<object>, tableName: string, conflictTarget?: string|Array<string>|{constraint: string}, updateFields?: Array<string>, pkName?: string, autoSetTimeFields?: Array<string>, versionField?: string, deletedAtField?: string}} args
+   * conflictTarget is the conflict columns or a named constraint, default the primary key,
+   * updateFields are set to the excluded (proposed) values on conflict, default the inserted fields except the conflict columns, an empty array means DO NOTHING,
+   * versionField is never copied from the excluded values, it is incremented on conflict instead,
+   * deletedAtField is set to NULL on conflict unless it is in updateFields, so a soft deleted row is restored by the upsert
+   * @returns {Promise<{sql:string,replacements:Array<any>,alias:string}>} an object includes sql and params
+   */
+  async GenerateUpsertSQL(args) {
+    const {
+      params,
+      tableName,
+      conflictTarget,
+      updateFields,
+      pkName = 'id',
+      autoSetTimeFields,
+      versionField,
+      deletedAtField
+    } = args
+    let insert
+    let insertFields
+    if (Array.isArray(params)) {
+      if (params.length === 0) {
+        throw new EmptyPayloadError({
+          message: 'Can not generate a upsert sql without data',
+          tableName
+        })
+      }
+      const fieldsOf = (p) => Object.keys(p).filter((k) => p[k] !== undefined)
+      insertFields = fieldsOf(params[0])
+      if (
+        params.some(
+          (p) =>
+            fieldsOf(p).sort().join(',') !== [...insertFields].sort().join(',')
+        )
+      ) {
+        throw new Error('Every item to upsert should have the same fields')
+      }
+      insert = this.GenerateMultiInsertSQL(insertFields, params, tableName)
+    } else {
+      insert = this.GenerateInsertSQL(params, tableName)
+      insertFields = Object.keys(params).filter((k) => params[k] !== undefined)
+    }
+    let target
+    let conflictFields = []
+    if (
+      conflictTarget &&
+      Object.prototype.toString.call(conflictTarget) === '[object Object]'
+    ) {
+      if (!conflictTarget.constraint) {
+        throw new Error('"constraint" of conflictTarget is required')
+      }
+      target = `ON CONSTRAINT ${QuoteIdentifier(conflictTarget.constraint)}`
+    } else {
+      conflictFields = this.ParsePkName(conflictTarget || pkName)
+      target = `(${conflictFields.map((f) => QuoteIdentifier(f)).join(', ')})`
+    }
+    const setFields = (
+      updateFields
+        ? updateFields
+        : insertFields.filter(
+            (f) =>
+              !conflictFields.includes(f) &&
+              // the primary key is kept on conflict of a constraint
+              (conflictFields.length > 0 ||
+                !this.ParsePkName(pkName).includes(f))
+          )
+    ).filter((f) => f !== versionField)
+    let action = 'DO NOTHING'
+    if (setFields.length > 0) {
+      const assignments = setFields.map(
+        (f) => `${QuoteIdentifier(f)} = EXCLUDED.${QuoteIdentifier(f)}`
+      )
+      // the excluded version is the one of a new row, the updated row gets the next of its own
+      if (versionField) {
+        const version = QuoteIdentifier(versionField)
+        assignments.push(`${version} = ${tableName}.${version} + 1`)
+      }
+      if (deletedAtField && !setFields.includes(deletedAtField)) {
+        assignments.push(`${QuoteIdentifier(deletedAtField)} = NULL`)
+      }
+      // the time fields given explicitly are not overwritten
+      const timeSql = await this.GenerateAutoSetTimeSQL(
+        tableName,
+        (autoSetTimeFields || []).filter((f) => !setFields.includes(f))
+      )
+      action = `DO UPDATE SET ${assignments.concat(timeSql).join(', ')}`
+    }
+    // xmax is 0 for a row inserted by this statement
+    const sql = insert.sql.replace(
+      / RETURNING \*$/,
+      ` ON CONFLICT ${target} ${action} RETURNING *, (xmax = 0) AS "pglink_inserted"`
+    )
+    return { sql, replacements: insert.replacements, alias: tableName }
+  }
+
   /**
    * @description generate update sql
-   * @param {{params:object,tableName:string,whereClause:string,pkName:string,autoSetTimeFields:Array<string>}} args
-   * @returns {{sql:string,replacements:Array<any>,tableName:string}} an object includes sql and params
+   * @param {{params:object,tableName:string,whereClause:string,where:object,pkName:string,autoSetTimeFields:Array<string>,versionField:string}} args
+   * with versionField, the row is only updated if its version equals the one in params, and the version is incremented
+   * @returns {{sql:string,replacements:Array<any>,tableName:string,stale?:object}} an object includes sql and params,
+   * stale is set with versionField, so Transaction throws StaleRecordError if no row is updated
    */
   async GenerateUpdateSQL(args) {
     const {
       params = {},
       tableName,
       whereClause,
+      where: filter,
       pkName = 'id',
-      autoSetTimeFields
+      autoSetTimeFields,
+      versionField
     } = args
-    const pkArr = String(pkName).split(',')
+    const pkArr = this.ParsePkName(pkName)
+    if (
+      versionField &&
+      (params[versionField] === undefined || params[versionField] === null)
+    ) {
+      throw new Error(
+        `The value of version field "${versionField}" is required to update ${tableName} table`
+      )
+    }
     const paramsArray = Object.keys(params).filter(
-      (p) => pkArr.includes(p) || params[p] !== undefined
+      (p) => params[p] !== undefined && p !== versionField
     )
     if (!paramsArray || paramsArray.length === 0) {
-      throw new Error('There is no any valid value to update!')
+      throw new EmptyPayloadError({
+        message: 'There is no any valid value to update!',
+        tableName
+      })
     }
     let where = 'WHERE 1 = 1'
-    if (whereClause) {
-      this.CheckWhereClause(whereClause)
-      where = where.concat(` AND ${whereClause}`)
-    } else {
-      pkArr.forEach((p) => {
-        where = where.concat(` AND "${p}" = '${params[p] || null}'`)
-      })
+    const { clause, replacements: whereReplacements } =
+      this.GenerateTargetWhereSQL(
+        whereClause || filter
+          ? { whereClause, where: filter, startIndex: paramsArray.length + 1 }
+          : {
+              where: this.GeneratePkFilter(pkName, params, tableName),
+              startIndex: paramsArray.length + 1
+            }
+      )
+    if (clause) where = where.concat(` AND ${clause}`)
+    const replacements = [
+      ...paramsArray.map((p) => params[p]),
+      ...whereReplacements
+    ]
+    if (versionField) {
+      replacements.push(params[versionField])
+      where = where.concat(
+        ` AND ${QuoteIdentifier(versionField)} = $${replacements.length}`
+      )
     }
     let setSql = ''
     paramsArray.forEach((key, index) => {
@@ -453,102 +1273,272 @@ class DataAccess {
         setSql = setSql.concat(', ') // If not the last one, concat comma
       }
     })
-    // #region v0.1.8 refactor logic by Janden
-    if (autoSetTimeFields && autoSetTimeFields.length > 0) {
-      await Promise.all(
-        autoSetTimeFields.map(async (f) => {
-          await this.CheckTableColumnExist(tableName, f).then((res) => {
-            // if dbtable includes autoSetTimeField, update it
-            if (res) {
-              setSql = setSql.concat(`, "${f}" = CURRENT_TIMESTAMP`)
-            } else {
-              console.warn(
-                `!![AutoSetTimeFields Warning]: Table ${tableName} doesn't include field "${f}", skipped!!`
-              )
-            }
-          })
-        })
-      )
+    const timeSql = await this.GenerateAutoSetTimeSQL(
+      tableName,
+      autoSetTimeFields
+    )
+    if (timeSql.length > 0) setSql = setSql.concat(`, ${timeSql.join(', ')}`)
+    if (versionField) {
+      const version = QuoteIdentifier(versionField)
+      setSql = setSql.concat(`, ${version} = ${version} + 1`)
     }
-    // #endregion
     const sql = `UPDATE ${tableName} SET ${setSql} ${where} RETURNING *`
+    if (!versionField) return { sql, replacements, alias: tableName }
+    const pk = {}
+    pkArr.forEach((p) => {
+      if (params[p] !== undefined) pk[p] = params[p]
+    })
     return {
       sql,
-      replacements: paramsArray.map((p) => params[p]),
+      replacements,
+      alias: tableName,
+      stale: { tableName, pk, versionField, version: params[versionField] }
+    }
+  }
+
+  /**
+   * @description generate bulk update sql by primary key, UPDATE ... FROM (VALUES ...),
+   * every value is cast to the type of its column, so the VALUES list is typed like the table
+   * @param {{items: Array<object>, fields: Array<string>, tableName: string, pkName?: string|Array<string>, autoSetTimeFields?: Array<string>, where?: object}} args
+   * every item should include the primary key and the fields to update, where is an extra filter object of the rows to update,
+   * its columns are of the target table, so a field to update is compared with its value before the update
+   * @returns {Promise<{sql:string,replacements:Array<any>,alias:string}>} an object includes sql and params
+   */
+  async GenerateBulkUpdateSQL(args) {
+    const {
+      items,
+      fields,
+      tableName,
+      pkName = 'id',
+      autoSetTimeFields,
+      where
+    } = args
+    if (!fields || fields.length === 0) {
+      throw new EmptyPayloadError({
+        message: 'There is no any valid value to update!',
+        tableName
+      })
+    }
+    if (!items || items.length === 0) {
+      throw new EmptyPayloadError({
+        message: 'Can not generate a update sql without data',
+        tableName
+      })
+    }
+    const pkArr = this.ParsePkName(pkName)
+    fields.forEach((f) => {
+      if (pkArr.includes(f)) {
+        throw new Error(
+          `The primary key "${f}" can not be updated by bulk update`
+        )
+      }
+    })
+    const columns = [...pkArr, ...fields]
+    const types = await this.GetColumnTypes(tableName)
+    columns.forEach((c) => {
+      if (!types[c]) {
+        throw new Error(`Table ${tableName} doesn't include field "${c}"`)
+      }
+    })
+    const keys = new Set()
+    const replacements = []
+    const rows = items.map((item) => {
+      const filter = this.GeneratePkFilter(pkArr, item, tableName)
+      // a row matched twice in one statement is updated by either of them
+      const key = JSON.stringify(pkArr.map((p) => String(filter[p])))
+      if (keys.has(key)) {
+        throw new Error(
+          `Duplicate primary key ${key} in the items to update ${tableName} table`
+        )
+      }
+      keys.add(key)
+      const placeholders = columns.map((c) => {
+        if (item[c] === undefined) {
+          throw new Error(`Every item to update should include "${c}"`)
+        }
+        replacements.push(item[c])
+        return `CAST($${replacements.length} AS ${types[c]})`
+      })
+      return `(${placeholders.join(', ')})`
+    })
+    // the time fields given explicitly are not overwritten
+    const timeSql = await this.GenerateAutoSetTimeSQL(
+      tableName,
+      (autoSetTimeFields || []).filter((f) => !fields.includes(f))
+    )
+    const target = (c) => `pglink_target.${QuoteIdentifier(c)}`
+    const source = (c) => `pglink_values.${QuoteIdentifier(c)}`
+    const setSql = fields
+      .map((f) => `${QuoteIdentifier(f)} = ${source(f)}`)
+      .concat(timeSql)
+      .join(', ')
+    const valuesSql = `(VALUES ${rows.join(', ')}) AS pglink_values(${columns
+      .map((c) => QuoteIdentifier(c))
+      .join(', ')})`
+    let on = pkArr.map((p) => `${target(p)} = ${source(p)}`).join(' AND ')
+    // a column of both tables would be ambiguous, or resolve to the VALUES list
+    const expressions = {}
+    Object.keys(types).forEach((c) => {
+      expressions[c] = target(c)
+    })
+    const { clause, replacements: whereReplacements } = this.GenerateWhereSQL({
+      where,
+      startIndex: replacements.length + 1,
+      expressions
+    })
+    if (clause) on = on.concat(` AND ${clause}`)
+    const sql = `UPDATE ${tableName} AS pglink_target SET ${setSql} FROM ${valuesSql} WHERE ${on} RETURNING pglink_target.*`
+    return {
+      sql,
+      replacements: [...replacements, ...whereReplacements],
       alias: tableName
     }
   }
 
-  // /**
-  //  * @description generate multiple update sql (DONT USE IT UNLESS ALL FIELDS ARE STRING)
-  //  * @param {Array<string>} updateFields the fields which you want to update
-  //  * @param {Array<Object>} params an array includes the fields and values you want to update
-  //  * @param {string} tableName the name of table
-  //  * @returns {{sql:string,replacements:Array<any>,tableName:string}} an object includes sql and params
-  //  */
-  // GenerateMultiUpdateSQL(
-  //   updateFields = [],
-  //   params = [],
-  //   tableName,
-  //   pkName = 'id'
-  // ) {
-  //   if (!updateFields || updateFields.length === 0)
-  //     throw new Error('updateFields is incorrect')
-  //   if (!params || params.length === 0)
-  //     throw new Error('Can not generate a update sql without data')
-  //   let fstr = ''
-  //   let cstr = ''
-  //   let pstr = ''
-  //   const paramsArray = []
-  //   let frequency = 1
-  //   const pkArr = String(pkName).split(',')
-  //   updateFields.forEach((field, index) => {
-  //     cstr = cstr.concat(`"${field}"`)
-  //     if (typeof params[0][field] === 'number')
-  //       fstr = fstr.concat(`"${field}" = CAST(tmp."${field}" AS INTEGER)`)
-  //     else fstr = fstr.concat(`"${field}" = tmp."${field}"`)
-  //     if (index !== updateFields.length - 1) {
-  //       cstr = cstr.concat(', ') // If not the last one, concat comma
-  //       fstr = fstr.concat(', ') // If not the last one, concat comma
-  //     }
-  //   })
-  //   pkArr.forEach(p => {
-  //     cstr = cstr.concat(`, "${p}"`)
-  //   })
-  //   if (this.CheckTableColumnExist(tableName, 'updatedAt')) {
-  //     // if dbtable includes 'updatedAt', update it
-  //     fstr = fstr.concat(', "updatedAt" = CURRENT_TIMESTAMP')
-  //   }
-  //   params.forEach((p, index) => {
-  //     let tmp = ''
-  //     pkArr = pkArr.map(pk => {
-  //       pk = `"${pk}"`
-  //     })
-  //     const updateFieldsTmp = [...updateFields, pkArr.join(',')]
-  //     updateFieldsTmp.forEach((field, i) => {
-  //       tmp = tmp.concat(`$${frequency}`)
-  //       frequency += 1
-  //       if (i !== updateFieldsTmp.length - 1) {
-  //         tmp = tmp.concat(', ') // If not the last one, concat comma
-  //       }
-  //       paramsArray.push(p[field])
-  //     })
-  //     pstr = pstr.concat(`(${tmp})`)
-  //     if (index !== params.length - 1) {
-  //       pstr = pstr.concat(', ') // If not the last one, concat comma
-  //     }
-  //   })
-  //   let whereClause = ''
-  //   pkArr.forEach((p, i) => {
-  //     whereClause = whereClause.concat(`tmp."${p}" = "${tableName}"."${p}"`)
-  //     if (i !== pkArr.length - 1) {
-  //       whereClause = whereClause.concat(' AND ') // If not the last one, concat comma
-  //     }
-  //   })
-  //   const sql = `UPDATE ${tableName} SET ${fstr} FROM (VALUES ${pstr})
-  //   AS tmp(${cstr}) WHERE ${whereClause} RETURNING *;`
-  //   return { sql, paramsArray }
-  // }
+  /**
+   * @description generate DDL statements of a table
+   * @param {{tableName: string, attributes: object, pkName?: string|Array<string>, enumMapping?: object, indexes?: Array<{fields: Array<string>, unique?: boolean, name?: string}>, force?: boolean, alter?: boolean}} args
+   * attributes should be normalized, force drops the table first, alter adds the missing columns to an existing table
+   * @returns {Array<string>} the sql statements
+   */
+  GenerateTableDDL(args) {
+    const {
+      tableName,
+      attributes,
+      pkName = 'id',
+      enumMapping = {},
+      indexes = [],
+      force = false,
+      alter = false
+    } = args
+    if (!attributes || Object.keys(attributes).length === 0) {
+      throw new Error(`Can not generate DDL of ${tableName} without attributes`)
+    }
+    const pkArr = this.ParsePkName(pkName)
+    const referentialActions = [
+      'CASCADE',
+      'SET NULL',
+      'SET DEFAULT',
+      'RESTRICT',
+      'NO ACTION'
+    ]
+    const defaultLiteral = (type, value) => {
+      if (value === DataType.NOW) return DataType.NOW.sql
+      const coerced = value === null ? null : type.coerce(value)
+      return Array.isArray(coerced)
+        ? `ARRAY[${coerced.map((v) => QuoteLiteral(v)).join(', ')}]::${
+            type.sqlType
+          }`
+        : QuoteLiteral(coerced)
+    }
+    const columnDefinition = (field) => {
+      const {
+        type,
+        allowNull,
+        defaultValue,
+        autoIncrement,
+        unique,
+        references
+      } = attributes[field]
+      let definition = `${QuoteIdentifier(field)} ${type.sqlType}`
+      if (autoIncrement) {
+        definition = definition.concat(' GENERATED BY DEFAULT AS IDENTITY')
+      }
+      if (!allowNull || pkArr.includes(field)) {
+        definition = definition.concat(' NOT NULL')
+      }
+      // functions are evaluated when inserting, so there is no default in the table
+      if (defaultValue !== undefined && typeof defaultValue !== 'function') {
+        definition = definition.concat(
+          ` DEFAULT ${defaultLiteral(type, defaultValue)}`
+        )
+      }
+      if (unique) definition = definition.concat(' UNIQUE')
+      if (enumMapping[field]) {
+        const values = Object.keys(enumMapping[field]).map((k) =>
+          QuoteLiteral(enumMapping[field][k])
+        )
+        definition = definition.concat(
+          ` CHECK (${QuoteIdentifier(field)} IN (${values.join(', ')}))`
+        )
+      }
+      if (references) {
+        const { table, key = 'id', onDelete, onUpdate } = references
+        definition = definition.concat(
+          ` REFERENCES ${table} (${QuoteIdentifier(key)})`
+        )
+        ;[
+          ['DELETE', onDelete],
+          ['UPDATE', onUpdate]
+        ].forEach(([event, action]) => {
+          if (!action) return
+          if (!referentialActions.includes(String(action).toUpperCase())) {
+            throw new Error(`Invalid ON ${event} action "${action}"`)
+          }
+          definition = definition.concat(
+            ` ON ${event} ${String(action).toUpperCase()}`
+          )
+        })
+      }
+      return definition
+    }
+
+    const fields = Object.keys(attributes)
+    pkArr.forEach((p) => {
+      if (!fields.includes(p)) {
+        throw new Error(
+          `Primary key "${p}" is not defined in the attributes of ${tableName}`
+        )
+      }
+    })
+    const statements = []
+    if (force) statements.push(`DROP TABLE IF EXISTS ${tableName} CASCADE`)
+    const definitions = fields.map((f) => columnDefinition(f))
+    definitions.push(
+      `PRIMARY KEY (${pkArr.map((p) => QuoteIdentifier(p)).join(', ')})`
+    )
+    statements.push(
+      `CREATE TABLE IF NOT EXISTS ${tableName} (\n  ${definitions.join(
+        ',\n  '
+      )}\n)`
+    )
+    if (alter) {
+      fields
+        .filter((f) => !pkArr.includes(f))
+        .forEach((f) => {
+          statements.push(
+            `ALTER TABLE ${tableName} ADD COLUMN IF NOT EXISTS ${columnDefinition(
+              f
+            )}`
+          )
+        })
+    }
+    const allIndexes = [
+      ...fields
+        .filter((f) => attributes[f].index)
+        .map((f) => ({ fields: [f] })),
+      ...indexes
+    ]
+    allIndexes.forEach((index) => {
+      const { fields: indexFields, unique = false, name } = index
+      if (!indexFields || indexFields.length === 0) {
+        throw new Error(`The fields of index on ${tableName} are required`)
+      }
+      const indexName =
+        name ||
+        `${String(tableName).replace(/\W+/g, '_')}_${indexFields.join('_')}_${
+          unique ? 'key' : 'idx'
+        }`
+      statements.push(
+        `CREATE ${unique ? 'UNIQUE ' : ''}INDEX IF NOT EXISTS ${QuoteIdentifier(
+          indexName
+        )} ON ${tableName} (${indexFields
+          .map((f) => QuoteIdentifier(f))
+          .join(', ')})`
+      )
+    })
+    return statements
+  }
 
   /**
    * @description An execute inserting helper function
@@ -557,6 +1547,7 @@ class DataAccess {
    * @param {function} callback function to be run before committing the database transaction
    * @param {object} client
    * @param {bool} preserveClient
+   * @param {{isolationLevel?: string, readOnly?: boolean, deferrable?: boolean, retry?: boolean|object}} transactionOptions the modes and retry of the transaction, see Transaction
    * @returns {Object} the response from postgres
    */
   async InsertExecutor({
@@ -564,11 +1555,18 @@ class DataAccess {
     tableName,
     callback,
     client,
-    preserveClient
+    preserveClient,
+    transactionOptions
   }) {
     const sql = this.GenerateInsertSQL(params, tableName)
     const res = await this.Transaction(
-      { params: [sql], returnSingleRecord: true, client, preserveClient },
+      {
+        params: [sql],
+        returnSingleRecord: true,
+        client,
+        preserveClient,
+        ...transactionOptions
+      },
       callback
     )
 
@@ -576,14 +1574,16 @@ class DataAccess {
   }
 
   /**
-   * @description An execute inserting helper function
-   * @param {Array<string>} insertFields the fields which you want to insert
+   * @description An execute inserting helper function, rows are inserted by multi-row VALUES statements in one transaction,
+   * chunked to stay under the limit of bind parameters, and returned in the order of params
+   * @param {Array<string>} insertFields the fields which you want to insert, default the union of fields of all rows
    * @param {Array<Object>} params an array includes the fields and values you want to insert
    * @param {string} tableName the name of table
    * @param {function} callback function to be run before committing the database transaction
    * @param {object} client
    * @param {bool} preserveClient
-   * @returns {object} the responses from postgres
+   * @param {{isolationLevel?: string, readOnly?: boolean, deferrable?: boolean, retry?: boolean|object}} transactionOptions the modes and retry of the transaction, see Transaction
+   * @returns {Array<object>} the inserted rows
    */
   async MultiInsertToOneTableExecutor({
     insertFields,
@@ -591,11 +1591,43 @@ class DataAccess {
     tableName,
     callback,
     client,
-    preserveClient
+    preserveClient,
+    transactionOptions
   }) {
-    const sql = this.GenerateMultiInsertSQL(insertFields, params, tableName)
+    const fields =
+      insertFields && insertFields.length > 0
+        ? insertFields
+        : params.reduce(
+            (union, p) =>
+              union.concat(
+                Object.keys(p).filter(
+                  (k) => p[k] !== undefined && !union.includes(k)
+                )
+              ),
+            []
+          )
+    // postgres accepts 65535 bind parameters in one statement at most
+    const chunkSize = Math.max(1, Math.floor(65535 / fields.length))
+    const sqls = []
+    for (let i = 0; i < params.length; i += chunkSize) {
+      sqls.push(
+        this.GenerateMultiInsertSQL(
+          fields,
+          params.slice(i, i + chunkSize),
+          tableName
+        )
+      )
+    }
+    // one client runs the chunks one by one, and RETURNING keeps the order of VALUES,
+    // so the flattened rows are in the order of params
     const res = await this.Transaction(
-      { params: [sql], forceFlat: true, client, preserveClient },
+      {
+        params: sqls,
+        forceFlat: true,
+        client,
+        preserveClient,
+        ...transactionOptions
+      },
       callback
     )
     return res
@@ -607,6 +1639,7 @@ class DataAccess {
    * @param {function} callback function to be run before committing the database transaction
    * @param {object} client
    * @param {bool} preserveClient
+   * @param {{isolationLevel?: string, readOnly?: boolean, deferrable?: boolean, retry?: boolean|object}} transactionOptions the modes and retry of the transaction, see Transaction
    * @returns {Array} the responses from postgres
    */
   async MultiInsertExecutor({
@@ -614,7 +1647,8 @@ class DataAccess {
     forceFlat,
     callback,
     client,
-    preserveClient
+    preserveClient,
+    transactionOptions
   }) {
     const sqls = []
     items.forEach((item) => {
@@ -627,22 +1661,74 @@ class DataAccess {
         params: sqls,
         forceFlat,
         client,
-        preserveClient
+        preserveClient,
+        ...transactionOptions
       },
       callback
     )
     return res
   }
 
+  /**
+   * @description An execute upserting helper function (INSERT ... ON CONFLICT), every returned row has "pglink_inserted"
+   * @param {object|Array<object>} params the values of one row, or an array of rows with the same fields
+   * @param {string} tableName the name of table
+   * @param {string|Array<string>|{constraint: string}} conflictTarget the conflict columns or a named constraint, default the primary key
+   * @param {Array<string>} updateFields the fields set to the excluded values on conflict, an empty array means DO NOTHING
+   * @param {string} pkName the name of primary key, default 'id'
+   * @param {Array<string>} autoSetTimeFields the fields set to the current time on conflict
+   * @param {string} versionField the column of version, incremented on conflict instead of set to the excluded value
+   * @param {string} deletedAtField the column of soft delete, set to NULL on conflict, so a soft deleted row is restored
+   * @param {function} callback function to be run before committing the database transaction
+   * @param {object} client
+   * @param {bool} preserveClient
+   * @param {{isolationLevel?: string, readOnly?: boolean, deferrable?: boolean, retry?: boolean|object}} transactionOptions the modes and retry of the transaction, see Transaction
+   * @returns {Array<object>} the inserted or updated rows, the rows skipped by DO NOTHING are not returned
+   */
+  async UpsertExecutor({
+    params,
+    tableName,
+    conflictTarget,
+    updateFields,
+    pkName,
+    autoSetTimeFields,
+    versionField,
+    deletedAtField,
+    callback,
+    client,
+    preserveClient,
+    transactionOptions
+  }) {
+    const sql = await this.GenerateUpsertSQL({
+      params,
+      tableName,
+      conflictTarget,
+      updateFields,
+      pkName,
+      autoSetTimeFields,
+      versionField,
+      deletedAtField
+    })
+    const res = await this.Transaction(
+      { params: [sql], client, preserveClient, ...transactionOptions },
+      callback
+    )
+    return res
+  }
+
   /**
    * @description An execute updating helper function, update by primary key
    * @param {Object} params an object includes the fields and values you want to update, must includes primary key and its value
    * @param {string} tableName the name of table
    * @param {string} pkName the name of primary key, default 'id'
    * @param {Array<string>} autoSetTimeFields Those fields need to set time automatically, should be included in params, e.g ['updatedAt']
+   * @param {object} where an extra filter object besides the primary key, e.g. { deletedAt: null }
+   * @param {string} versionField the column of version for optimistic locking, its value in params should be the version read,
+   * StaleRecordError is thrown and the transaction is rolled back if the row has been changed since
    * @param {function} callback function to be run before committing the database transaction
    * @param {object} client
    * @param {bool} preserveClient
+   * @param {{isolationLevel?: string, readOnly?: boolean, deferrable?: boolean, retry?: boolean|object}} transactionOptions the modes and retry of the transaction, see Transaction
    * @returns {Object} the response from postgres
    */
   async UpdateByPkExecutor({
@@ -650,18 +1736,31 @@ class DataAccess {
     tableName,
     pkName = 'id',
     autoSetTimeFields, // v0.1.7 support set autoSetTimeFields in update
+    where,
+    versionField,
     callback,
     client,
-    preserveClient
+    preserveClient,
+    transactionOptions
   }) {
     const sql = await this.GenerateUpdateSQL({
       params,
       tableName,
       pkName,
-      autoSetTimeFields
+      where: where
+        ? { and: [this.GeneratePkFilter(pkName, params, tableName), where] }
+        : undefined,
+      autoSetTimeFields,
+      versionField
     })
     const res = await this.Transaction(
-      { params: [sql], returnSingleRecord: true, client, preserveClient },
+      {
+        params: [sql],
+        returnSingleRecord: true,
+        client,
+        preserveClient,
+        ...transactionOptions
+      },
       callback
     )
     return res
@@ -672,29 +1771,34 @@ class DataAccess {
    * @param {Object} params an object includes the fields and values you want to update, must includes primary key and its value
    * @param {string} tableName the name of table
    * @param {string} whereClause e.g. "employeeId" = '123'
+   * @param {object} where a filter object, e.g. { employeeId: '123' }
    * @param {Array<string>} autoSetTimeFields Those fields need to set time automatically, should be included in params, e.g ['updatedAt']
    * @param {function} callback function to be run before committing the database transaction
    * @param {object} client
    * @param {bool} preserveClient
+   * @param {{isolationLevel?: string, readOnly?: boolean, deferrable?: boolean, retry?: boolean|object}} transactionOptions the modes and retry of the transaction, see Transaction
    * @returns {Object} the response from postgres
    */
   async UpdateExecutor({
     params,
     tableName,
     whereClause,
+    where,
     autoSetTimeFields,
     callback,
     client,
-    preserveClient
+    preserveClient,
+    transactionOptions
   }) {
     const sql = await this.GenerateUpdateSQL({
       params,
       tableName,
       whereClause,
+      where,
       autoSetTimeFields // v0.1.7 support set autoSetTimeFields in update
     })
     const res = await this.Transaction(
-      { params: [sql], client, preserveClient },
+      { params: [sql], client, preserveClient, ...transactionOptions },
       callback
     )
     return res
@@ -702,11 +1806,13 @@ class DataAccess {
 
   /**
    * @description An execute updating helper function, custom conditions
-   * @param {Array<{params: Object, tableName: string, whereClause: string, pkName: string, autoSetTimeFields: Array<string>}>} items
+   * @param {Array<{params: Object, tableName: string, whereClause: string, where: object, pkName: string, autoSetTimeFields: Array<string>, versionField: string}>} items
+   * with versionField, StaleRecordError is thrown and the transaction is rolled back if an item updates no row
    * @param {boolean} forceFlat whether or not to force results into a single array
    * @param {function} callback function to be run before committing the database transaction
    * @param {object} client
    * @param {bool} preserveClient
+   * @param {{isolationLevel?: string, readOnly?: boolean, deferrable?: boolean, retry?: boolean|object}} transactionOptions the modes and retry of the transaction, see Transaction
    * @returns {Array<object>} the response from postgres
    */
   async MultiUpdateExecutor({
@@ -714,83 +1820,167 @@ class DataAccess {
     forceFlat,
     callback,
     client,
-    preserveClient
+    preserveClient,
+    transactionOptions
   }) {
     const sqls = []
     await Promise.all(
       items.map(async (item) => {
-        const { params, tableName, whereClause, pkName, autoSetTimeFields } =
-          item
+        const {
+          params,
+          tableName,
+          whereClause,
+          where,
+          pkName,
+          autoSetTimeFields,
+          versionField
+        } = item
         const sql = await this.GenerateUpdateSQL({
           params,
           tableName,
           whereClause,
+          where,
           pkName,
-          autoSetTimeFields // v0.1.7 support set autoSetTimeFields in update
+          autoSetTimeFields, // v0.1.7 support set autoSetTimeFields in update
+          versionField
         })
         sqls.push(sql)
       })
     )
     const res = await this.Transaction(
-      { params: sqls, forceFlat, client, preserveClient },
+      {
+        params: sqls,
+        forceFlat,
+        client,
+        preserveClient,
+        ...transactionOptions
+      },
       callback
     )
     return res
   }
 
-  // /**
-  //  * @description An execute updating helper function (DONT USE IT UNLESS ALL FIELDS ARE STRING)
-  //  * @param {Array<string>} updateFields the fields which you want to update
-  //  * @param {Array<Object>} params an array includes the fields and values you want to update
-  //  * @param {string} tableName the name of table
-  //  * @param {string} pkName the name of primary key, default 'id'
-  //  * @returns {object} the responses from postgres
-  //  */
-  // async MultiUpdateInOneTableExecutor(updateFields, params, tableName, pkName) {
-  //   console.log(updateFields, params)
-  //   const { sql, paramsArray } = this.GenerateMultiUpdateSQL(
-  //     updateFields,
-  //     params,
-  //     tableName,
-  //     pkName
-  //   )
-  //   console.log(sql, paramsArray)
-  //   const res = await this.Transaction([sql], [paramsArray])
-  //   return res
-  // }
+  /**
+   * @description An execute updating helper function, update many rows by primary key in UPDATE ... FROM (VALUES ...) statements,
+   * chunked to stay under the limit of bind parameters, all chunks run in one transaction
+   * @param {Array<object>} items every item includes the primary key and the fields to update
+   * @param {Array<string>} fields the fields to update, default the union of fields of all items except the primary key
+   * @param {string} tableName the name of table
+   * @param {string} pkName the name of primary key, default 'id'
+   * @param {Array<string>} autoSetTimeFields Those fields need to set time automatically, e.g ['updatedAt']
+   * @param {object} where an extra filter object of the rows to update, e.g. { deletedAt: null }
+   * @param {function} callback function to be run before committing the database transaction
+   * @param {object} client
+   * @param {bool} preserveClient
+   * @param {{isolationLevel?: string, readOnly?: boolean, deferrable?: boolean, retry?: boolean|object}} transactionOptions the modes and retry of the transaction, see Transaction
+   * @returns {Array<object>} the updated rows, the items not found are not returned
+   */
+  async BulkUpdateByPkExecutor({
+    items,
+    fields,
+    tableName,
+    pkName = 'id',
+    autoSetTimeFields,
+    where,
+    callback,
+    client,
+    preserveClient,
+    transactionOptions
+  }) {
+    const pkArr = this.ParsePkName(pkName)
+    const updateFields =
+      fields && fields.length > 0
+        ? fields
+        : items.reduce(
+            (union, item) =>
+              union.concat(
+                Object.keys(item).filter(
+                  (k) =>
+                    item[k] !== undefined &&
+                    !pkArr.includes(k) &&
+                    !union.includes(k)
+                )
+              ),
+            []
+          )
+    // postgres accepts 65535 bind parameters in one statement at most
+    const { replacements: whereReplacements } = this.GenerateWhereSQL({ where })
+    const chunkSize = Math.max(
+      1,
+      Math.floor(
+        (65535 - whereReplacements.length) /
+          (pkArr.length + updateFields.length)
+      )
+    )
+    const sqls = []
+    for (let i = 0; i < items.length; i += chunkSize) {
+      sqls.push(
+        await this.GenerateBulkUpdateSQL({
+          items: items.slice(i, i + chunkSize),
+          fields: updateFields,
+          tableName,
+          pkName,
+          autoSetTimeFields,
+          where
+        })
+      )
+    }
+    const res = await this.Transaction(
+      {
+        params: sqls,
+        forceFlat: true,
+        client,
+        preserveClient,
+        ...transactionOptions
+      },
+      callback
+    )
+    return res
+  }
 
   /**
    * @description An execute deleting helper function
    * @param {string} tableName the name of table
    * @param {string} whereClause e.g. "employeeId" = '123'
+   * @param {object} where a filter object, e.g. { employeeId: '123' }
    * @param {boolean} returnSingleRecord whether or not to only return one result
+   * @param {string} softDeleteField set this field to the current time instead of deleting, e.g. 'deletedAt'
    * @param {function} callback function to be run before committing the database transaction
    * @param {object} client
    * @param {bool} preserveClient
+   * @param {{isolationLevel?: string, readOnly?: boolean, deferrable?: boolean, retry?: boolean|object}} transactionOptions the modes and retry of the transaction, see Transaction
    * @returns {Object} the response from postgres
    */
   async DeleteExecutor({
     tableName,
     whereClause,
+    where,
     returnSingleRecord,
+    softDeleteField,
     callback,
     client,
-    preserveClient
+    preserveClient,
+    transactionOptions
   }) {
-    let sql = `DELETE FROM ${tableName}`
-    if (whereClause) {
-      this.CheckWhereClause(whereClause)
-      sql = sql.concat(` WHERE ${whereClause}`)
-    }
-    sql = sql.concat(` RETURNING *`)
+    let sql = softDeleteField
+      ? `UPDATE ${tableName} SET ${QuoteIdentifier(
+          softDeleteField
+        )} = CURRENT_TIMESTAMP`
+      : `DELETE FROM ${tableName}`
+    const { clause, replacements } = this.GenerateTargetWhereSQL({
+      whereClause,
+      where
+    })
+    sql = sql.concat(` WHERE ${clause} RETURNING *`)
     // actually return without alias, if need set returnWithAlias is true
     const res = await this.Transaction(
       {
-        params: [{ sql, alias: tableName }],
+        params: [{ sql, replacements, alias: tableName }],
         forceFlat: true,
         returnSingleRecord,
         client,
-        preserveClient
+        preserveClient,
+        ...transactionOptions
       },
       callback
     )
@@ -798,27 +1988,68 @@ class DataAccess {
   }
 
   /**
-   * @description An execute querying helper function for one table
-   * @param {tableName:string,whereClause:string,selectFields:string,sortBy:Array<{ field: String; sequence?: 'ASC' | 'DESC' }>,limit:number,offset:number, callback:function, returnSingleRecord: bool} args
-   * @returns {Object} the response from postgres
+   * @description generate select sql for one table
+   * @param {tableName:string,whereClause:string,where:object,selectFields:string,sortBy:Array<{ field: String; sequence?: 'ASC' | 'DESC' }>,limit:number,offset:number, forUpdate: bool, groupBy: Array<string>, metrics: object, having: object} args
+   * forUpdate locks the selected rows until the end of transaction.
+   * With metrics, the groupBy fields and the metrics are selected instead of selectFields, see GenerateMetricExpressions,
+   * having is a filter object of the metrics and the groupBy fields, e.g. { total: { gt: 100 } }, InvalidWhereClauseError is thrown if it has no condition
+   * @returns {{sql:string,replacements:Array<any>,alias:string}} an object includes sql and params
    */
-  async SingleQueryExecutor(args) {
+  GenerateSelectSQL(args) {
     const {
       tableName,
       whereClause,
+      where,
       selectFields = '*',
       sortBy,
       limit,
       offset,
-      callback,
-      returnSingleRecord,
-      client,
-      preserveClient
+      forUpdate,
+      groupBy = [],
+      metrics,
+      having
     } = args
-    let sql = `SELECT ${selectFields} FROM ${tableName}`
-    if (whereClause) {
-      this.CheckWhereClause(whereClause)
-      sql = sql.concat(` WHERE ${whereClause}`)
+    const expressions = this.GenerateMetricExpressions(metrics)
+    const fields = metrics
+      ? groupBy
+          .map((f) => QuoteIdentifier(f))
+          .concat(
+            Object.keys(expressions).map(
+              (name) => `${expressions[name]} AS ${QuoteIdentifier(name)}`
+            )
+          )
+          .join(', ')
+      : selectFields
+    let sql = `SELECT ${fields} FROM ${tableName}`
+    const { clause, replacements } = this.GenerateWhereSQL({
+      whereClause,
+      where
+    })
+    if (clause) {
+      sql = sql.concat(` WHERE ${clause}`)
+    }
+    if (groupBy.length > 0) {
+      sql = sql.concat(
+        ` GROUP BY ${groupBy.map((f) => QuoteIdentifier(f)).join(', ')}`
+      )
+    }
+    if (having) {
+      // the placeholders of having follow the ones of where
+      const { clause: havingClause, replacements: havingReplacements } =
+        this.GenerateWhereSQL({
+          where: having,
+          startIndex: replacements.length + 1,
+          expressions
+        })
+      // a having without conditions would return every group silently
+      if (!havingClause) {
+        throw new InvalidWhereClauseError({
+          message: 'The conditions of having should not be empty',
+          tableName
+        })
+      }
+      sql = sql.concat(` HAVING ${havingClause}`)
+      replacements.push(...havingReplacements)
     }
     if (sortBy && sortBy.length > 0) {
       let clause = ''
@@ -837,18 +2068,132 @@ class DataAccess {
     if (offset) {
       sql = sql.concat(` OFFSET ${offset}`)
     }
+    if (forUpdate) {
+      sql = sql.concat(' FOR UPDATE')
+    }
+    return { sql, replacements, alias: tableName }
+  }
+
+  /**
+   * @description An execute querying helper function for one table
+   * @param {tableName:string,whereClause:string,where:object,selectFields:string,sortBy:Array<{ field: String; sequence?: 'ASC' | 'DESC' }>,limit:number,offset:number, forUpdate: bool, callback:function, returnSingleRecord: bool, transactionOptions: object, pool: Pool, groupBy: Array<string>, metrics: object, having: object} args
+   * see GenerateSelectSQL, pool is where to connect without a client, default the primary, e.g. ReadPool() to read from a replica
+   * @returns {Object} the response from postgres
+   */
+  async SingleQueryExecutor(args) {
+    const {
+      tableName,
+      callback,
+      returnSingleRecord,
+      client,
+      preserveClient,
+      transactionOptions,
+      pool
+    } = args
+    const { sql, replacements } = this.GenerateSelectSQL(args)
     // actually return without alias, if need set returnWithAlias is true
     const res = await this.Transaction(
       {
-        params: [{ sql, alias: tableName }],
+        params: [{ sql, replacements, alias: tableName }],
         returnSingleRecord,
         client,
-        preserveClient
+        preserveClient,
+        pool,
+        ...transactionOptions
       },
       callback
     )
     return res
   }
+
+  /**
+   * @description read the rows of a query batch by batch by a server-side cursor (DECLARE ... CURSOR and FETCH),
+   * on a dedicated client in its own transaction, or on a given client in the transaction of its owner.
+   * The next batch is only fetched when the consumer asks for it, and the cursor is closed
+   * and the dedicated client released when the consumer stops, even if it breaks early
+   * @param {tableName:string,whereClause:string,where:object,selectFields:string,sortBy:Array<{ field: String; sequence?: 'ASC' | 'DESC' }>,limit:number,offset:number, batchSize: number, client: object, transactionOptions: object, pool: Pool} args
+   * see GenerateSelectSQL, batchSize is the count of rows of a FETCH, default 100,
+   * transactionOptions are the modes of the own transaction, retry is not supported because the rows may have been consumed,
+   * pool is where to connect without a client, default the primary,
+   * a given client should be in a transaction already, it is never begun, committed, rolled back or released here
+   * @returns {AsyncGenerator<Array<object>>} the batches of rows
+   */
+  async *CursorExecutor(args) {
+    const { batchSize = 100, client, transactionOptions = {}, pool } = args
+    if (!Number.isInteger(batchSize) || batchSize <= 0) {
+      throw new Error(
+        `"batchSize" should be a positive integer, but got ${batchSize}`
+      )
+    }
+    const { sql, replacements, alias } = this.GenerateSelectSQL(args)
+    const { retry, ...modes } = transactionOptions
+    const beginSql = this.GenerateBeginSQL(modes)
+    this.cursorCount += 1
+    const cursor = `pglink_cursor_${this.cursorCount}`
+    const conn = client || (await (pool || this.conn).connect())
+    let error
+    try {
+      // a given client is in the transaction of its owner, it is never begun or committed here
+      if (!client) {
+        await conn.query(beginSql)
+        this.emit('transaction:begin', {
+          processID: conn.processID,
+          sql: beginSql
+        })
+      }
+      try {
+        await this.Query(
+          conn,
+          `DECLARE ${cursor} NO SCROLL CURSOR FOR ${sql}`,
+          replacements,
+          alias
+        )
+      } catch (e) {
+        // no_active_sql_transaction, a cursor lives in a transaction
+        if (e.code === '25P01') {
+          throw new PgLinkError(
+            'The client of CursorExecutor should be in a transaction, e.g. the client of RunTransaction or BeginTransaction'
+          )
+        }
+        throw e
+      }
+      for (;;) {
+        const res = await this.Query(
+          conn,
+          `FETCH ${batchSize} FROM ${cursor}`,
+          [],
+          alias
+        )
+        if (res.rows.length > 0) yield res.rows
+        if (res.rows.length < batchSize) break
+      }
+    } catch (e) {
+      error = e
+      throw FromPgError(e)
+    } finally {
+      // here after the last batch, an error, or the consumer breaks
+      try {
+        if (client) {
+          // a failed transaction is rolled back by the owner of the client
+          if (!error) await conn.query(`CLOSE ${cursor}`)
+        } else if (error) {
+          await conn.query('ROLLBACK')
+          this.emit('transaction:rollback', {
+            processID: conn.processID,
+            error
+          })
+        } else {
+          // the cursor is closed by COMMIT
+          await conn.query('COMMIT')
+          this.emit('transaction:commit', { processID: conn.processID })
+        }
+      } catch (e) {
+        this.logger.warn('CURSOR CLEANUP ERROR: ', e)
+      } finally {
+        if (!client) conn.release(true)
+      }
+    }
+  }
 }
 
 module.exports = { DataAccess }
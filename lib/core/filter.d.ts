@@ -0,0 +1,80 @@
+type FilterValue = string | number | boolean | Date | null
+
+type FieldOperators = {
+  eq?: FilterValue
+  ne?: FilterValue
+  gt?: FilterValue
+  gte?: FilterValue
+  lt?: FilterValue
+  lte?: FilterValue
+  like?: string
+  notLike?: string
+  ilike?: string
+  notIlike?: string
+  in?: Array<FilterValue>
+  notIn?: Array<FilterValue>
+  between?: [FilterValue, FilterValue]
+  notBetween?: [FilterValue, FilterValue]
+  isNull?: boolean
+}
+
+/**
+ * @description a filter object, keys are field names except "and", "or" and "not",
+ * a plain value means "=", null means "IS NULL" and an array means "IN",
+ * e.g. { status: 'ACTIVE', age: { gte: 18 }, or: [{ name: { ilike: '%x%' } }, { id: { in: [1, 2] } }] }
+ */
+export type WhereFilter = {
+  and?: Array<WhereFilter>
+  or?: Array<WhereFilter>
+  not?: WhereFilter
+  [field: string]:
+    | FilterValue
+    | Array<FilterValue>
+    | FieldOperators
+    | Array<WhereFilter>
+    | WhereFilter
+    | undefined
+}
+
+/**
+ * @description quote an identifier (table or column name) for postgres
+ * @param {string} name
+ * @returns {string} e.g. "employeeId"
+ */
+export const QuoteIdentifier: (name: string) => string
+
+/**
+ * @description quote a literal value for postgres, only used where placeholders are not allowed, e.g. DDL
+ * @param {any} value
+ * @returns {string} e.g. 'it''s'
+ */
+export const QuoteLiteral: (value: any) => string
+
+/**
+ * @description compile a filter object to a parameterized sql condition
+ * @param {WhereFilter} where the filter object
+ * @param {number} startIndex the index of the first placeholder, default 1
+ * @param {{[field: string]: string}} expressions the sql of fields which are not columns, e.g. { total: 'SUM("amount")' } for HAVING
+ * undefined values and fields without operators are rejected, e.g. { id: undefined } or { id: {} }
+ * @returns {{clause: string, replacements: Array<any>}} clause without "WHERE", empty string if there is no condition, also for a filter matches every row, e.g. { id: { notIn: [] } }
+ */
+export const CompileFilter: (
+  where?: WhereFilter,
+  startIndex?: number,
+  expressions?: { [field: string]: string }
+) => { clause: string; replacements: Array<any> }
+
+/**
+ * @description map every value of a filter object, keeping its structure
+ * @param {WhereFilter} where the filter object
+ * @param {Function} mapper called once per value, array items are mapped one by one
+ * @returns {WhereFilter} a new filter object
+ */
+export const MapFilterValues: (
+  where: WhereFilter,
+  mapper: (field: string, value: any) => any
+) => WhereFilter
+
+export const comparisonOperators: { [operator: string]: string }
+
+export const listOperators: { [operator: string]: string }
@@ -0,0 +1,243 @@
+/**
+ * @description operators which compare a field with one bound value
+ */
+const comparisonOperators = {
+  eq: '=',
+  ne: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  like: 'LIKE',
+  notLike: 'NOT LIKE',
+  ilike: 'ILIKE',
+  notIlike: 'NOT ILIKE'
+}
+
+/**
+ * @description operators which compare a field with a list of bound values
+ */
+const listOperators = {
+  in: 'IN',
+  notIn: 'NOT IN',
+  between: 'BETWEEN',
+  notBetween: 'NOT BETWEEN'
+}
+
+const isPlainObject = (value) =>
+  Object.prototype.toString.call(value) === '[object Object]'
+
+/**
+ * @description quote an identifier (table or column name) for postgres
+ * @param {string} name
+ * @returns {string} e.g. "employeeId"
+ */
+const QuoteIdentifier = (name) => {
+  if (typeof name !== 'string' || name.length === 0) {
+    throw new Error(`Invalid identifier: expected string but got "${name}"`)
+  }
+  return `"${name.replace(/"/g, '""')}"`
+}
+
+/**
+ * @description quote a literal value for postgres, only used where placeholders are not allowed, e.g. DDL
+ * @param {any} value
+ * @returns {string} e.g. 'it''s'
+ */
+const QuoteLiteral = (value) => {
+  if (value === null || value === undefined) return 'NULL'
+  if (typeof value === 'number' || typeof value === 'bigint') {
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+      throw new Error(`Invalid literal: ${value}`)
+    }
+    return String(value)
+  }
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE'
+  const str =
+    value instanceof Date
+      ? value.toISOString()
+      : typeof value === 'object'
+      ? JSON.stringify(value)
+      : String(value)
+  return `'${str.replace(/'/g, "''")}'`
+}
+
+/**
+ * @description compile a filter object to a parameterized sql condition
+ * @param {object} where e.g. { status: 'ACTIVE', age: { gte: 18 }, or: [{ name: { ilike: '%x%' } }, { id: { in: [1, 2] } }] }
+ * @param {number} startIndex the index of the first placeholder, default 1
+ * @param {{[field: string]: string}} expressions the sql of fields which are not columns, e.g. { total: 'SUM("amount")' } for HAVING
+ * undefined values and fields without operators are rejected, e.g. { id: undefined } or { id: {} }
+ * @returns {{clause: string, replacements: Array<any>}} clause without "WHERE", empty string if there is no condition, also for a filter matches every row, e.g. { id: { notIn: [] } }
+ */
+const CompileFilter = (where, startIndex = 1, expressions = {}) => {
+  const replacements = []
+  const bind = (value) => {
+    replacements.push(value)
+    return `$${startIndex + replacements.length - 1}`
+  }
+
+  const compileOperator = (column, operator, value) => {
+    if (Object.prototype.hasOwnProperty.call(comparisonOperators, operator)) {
+      if (value === null) {
+        if (operator === 'eq') return `${column} IS NULL`
+        if (operator === 'ne') return `${column} IS NOT NULL`
+        throw new Error(`Operator "${operator}" does not accept null`)
+      }
+      return `${column} ${comparisonOperators[operator]} ${bind(value)}`
+    }
+    if (Object.prototype.hasOwnProperty.call(listOperators, operator)) {
+      if (!Array.isArray(value)) {
+        throw new Error(
+          `Operator "${operator}" expects an array but got ${typeof value}`
+        )
+      }
+      if (operator === 'between' || operator === 'notBetween') {
+        if (value.length !== 2) {
+          throw new Error(
+            `Operator "${operator}" expects exactly 2 values but got ${value.length}`
+          )
+        }
+        return `${column} ${listOperators[operator]} ${bind(
+          value[0]
+        )} AND ${bind(value[1])}`
+      }
+      // "IN ()" is a syntax error in postgres, so resolve empty lists here
+      // "NOT IN ()" is no condition, so the guards of empty conditions see it
+      if (value.length === 0) return operator === 'in' ? 'FALSE' : ''
+      return `${column} ${listOperators[operator]} (${value
+        .map((v) => bind(v))
+        .join(', ')})`
+    }
+    if (operator === 'isNull') {
+      return `${column} ${value ? 'IS NULL' : 'IS NOT NULL'}`
+    }
+    throw new Error(`Unknown filter operator "${operator}"`)
+  }
+
+  const compileField = (field, condition) => {
+    const column = Object.prototype.hasOwnProperty.call(expressions, field)
+      ? expressions[field]
+      : QuoteIdentifier(field)
+    if (condition === null) return `${column} IS NULL`
+    if (Array.isArray(condition))
+      return compileOperator(column, 'in', condition)
+    if (!isPlainObject(condition)) {
+      return `${column} = ${bind(condition)}`
+    }
+    const operators = Object.keys(condition)
+    // an empty condition would match every row silently
+    if (operators.length === 0) {
+      throw new Error(`Filter of "${field}" should have an operator`)
+    }
+    return operators
+      .map((operator) => {
+        if (condition[operator] === undefined) {
+          throw new Error(`Filter value of "${field}.${operator}" is undefined`)
+        }
+        return compileOperator(column, operator, condition[operator])
+      })
+      .filter((part) => part)
+      .join(' AND ')
+  }
+
+  const compileGroup = (nodes, joiner) => {
+    if (!Array.isArray(nodes)) {
+      throw new Error(`"${joiner.toLowerCase()}" expects an array of filters`)
+    }
+    const compiled = nodes.map((node) => compile(node))
+    // a branch without conditions matches every row, and so does the "or"
+    if (joiner === 'OR' && compiled.some((part) => !part)) {
+      return nodes.length === 0 ? 'FALSE' : ''
+    }
+    const parts = compiled.filter((part) => part)
+    if (parts.length === 0) return joiner === 'OR' ? 'FALSE' : ''
+    return parts.map((part) => `(${part})`).join(` ${joiner} `)
+  }
+
+  // "no condition" is TRUE, its negation is FALSE and the other way around
+  const compileNot = (node) => {
+    const part = compile(node)
+    if (!part) return 'FALSE'
+    if (part === 'FALSE') return ''
+    return `NOT (${part})`
+  }
+
+  const compile = (node) => {
+    if (!isPlainObject(node)) {
+      throw new Error(`Invalid filter: expected object but got ${typeof node}`)
+    }
+    const parts = []
+    Object.keys(node).forEach((key) => {
+      const value = node[key]
+      // a dropped condition would match more rows than intended
+      if (value === undefined) {
+        throw new Error(`Filter value of "${key}" is undefined`)
+      }
+      let part
+      if (key === 'and') part = compileGroup(value, 'AND')
+      else if (key === 'or') part = compileGroup(value, 'OR')
+      else if (key === 'not') part = compileNot(value)
+      else part = compileField(key, value)
+      if (part) parts.push(part)
+    })
+    if (parts.length <= 1) return parts.join('')
+    return parts.map((part) => `(${part})`).join(' AND ')
+  }
+
+  const clause = where ? compile(where) : ''
+  return { clause, replacements }
+}
+
+/**
+ * @description map every value of a filter object, keeping its structure
+ * @param {object} where the filter object
+ * @param {(field: string, value: any) => any} mapper called once per value, array items are mapped one by one
+ * @returns {object} a new filter object
+ */
+const MapFilterValues = (where, mapper) => {
+  if (!isPlainObject(where)) return where
+  const mapValue = (field, value) =>
+    Array.isArray(value)
+      ? value.map((v) => mapper(field, v))
+      : value === null || value === undefined
+      ? value
+      : mapper(field, value)
+  const result = {}
+  Object.keys(where).forEach((key) => {
+    const value = where[key]
+    if (key === 'and' || key === 'or') {
+      result[key] = Array.isArray(value)
+        ? value.map((node) => MapFilterValues(node, mapper))
+        : value
+    } else if (key === 'not') {
+      result[key] = MapFilterValues(value, mapper)
+    } else if (isPlainObject(value)) {
+      result[key] = {}
+      Object.keys(value).forEach((operator) => {
+        // isNull only carries a flag, there is no value to map
+        result[key][operator] =
+          operator === 'isNull'
+            ? value[operator]
+            : mapValue(key, value[operator])
+      })
+    } else {
+      result[key] = mapValue(key, value)
+    }
+  })
+  return result
+}
+
+module.exports = {
+  CompileFilter,
+  MapFilterValues,
+  QuoteIdentifier,
+  QuoteLiteral,
+  comparisonOperators,
+  listOperators
+}
+module.exports.CompileFilter = CompileFilter
+module.exports.MapFilterValues = MapFilterValues
+module.exports.QuoteIdentifier = QuoteIdentifier
+module.exports.QuoteLiteral = QuoteLiteral
+module.exports.default = CompileFilter
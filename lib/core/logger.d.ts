@@ -0,0 +1,15 @@
+/**
+ * @description a logger with all levels, e.g. console, pino or winston
+ */
+export type LoggerType = {
+  debug: (...args: Array<any>) => void
+  info: (...args: Array<any>) => void
+  warn: (...args: Array<any>) => void
+  error: (...args: Array<any>) => void
+}
+
+/**
+ * To make a logger with all levels from a partial one, the missing levels do nothing,
+ * false or null makes a silent one, default console
+ */
+export const Logger: (logger?: Partial<LoggerType> | false | null) => LoggerType
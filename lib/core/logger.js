@@ -0,0 +1,25 @@
+// the methods a logger should have, the missing ones do nothing
+const levels = ['debug', 'info', 'warn', 'error']
+
+const noop = () => {}
+
+/**
+ * @description make a logger with all levels from a partial one, e.g. pino, winston or console,
+ * false or null makes a silent one
+ * @param {{debug?: function, info?: function, warn?: function, error?: function}|false|null} logger default console
+ * @returns {{debug: function, info: function, warn: function, error: function}}
+ */
+const Logger = (logger = console) => {
+  const result = {}
+  levels.forEach((level) => {
+    result[level] =
+      logger && typeof logger[level] === 'function'
+        ? logger[level].bind(logger)
+        : noop
+  })
+  return result
+}
+
+module.exports = { Logger }
+module.exports.Logger = Logger
+module.exports.default = Logger
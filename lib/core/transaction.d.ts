@@ -0,0 +1,51 @@
+/**
+ * @description A transaction on one client, created by DataAccess.RunTransaction (pglink.transaction),
+ * pass it to the functions of models by { transaction: tx }, so they run in it.
+ * It is begun, committed or rolled back, and released by its owner, nested ones are savepoints
+ */
+export declare class TransactionScope {
+  constructor(args: {
+    client: object
+    parent?: TransactionScope
+    savepoint?: string
+  })
+
+  /** the pg client of the transaction, use client instead */
+  protected connection: object
+
+  /** the outer transaction, null for the outermost one */
+  public parent: TransactionScope | null
+
+  /** the name of savepoint, null for the outermost one */
+  public savepoint: string | null
+
+  /** the functions to run after the outermost transaction commits */
+  protected afterCommitHooks: Array<() => any>
+
+  /** how many savepoints are created in the outermost transaction, to name them */
+  protected savepointCount: number
+
+  /** whether or not it is committed, rolled back or released */
+  public finished: boolean
+
+  /**
+   * @description the pg client of the transaction, throws if the transaction is finished,
+   * so a query never runs out of the transaction silently
+   */
+  public readonly client: any
+
+  /**
+   * @description run a function in a nested transaction (SAVEPOINT), if it throws,
+   * only the changes of the nested transaction are rolled back, and the error is thrown again,
+   * with the error of rolling back as rollbackError if that fails too, its afterCommit hooks are dropped too. Nested transactions should run one by one, not in parallel
+   * @param {function} fn receives the nested transaction, e.g. async (tx) => { ... }
+   */
+  public transaction<T>(fn: (tx: TransactionScope) => Promise<T>): Promise<T>
+
+  /**
+   * @description add a function to run after the outermost transaction commits, in the order they are added,
+   * it never runs if the transaction (or the savepoint it is added in) is rolled back
+   * @param {function} fn e.g. () => cache.clear()
+   */
+  public afterCommit(fn: () => any): void
+}
@@ -0,0 +1,115 @@
+/**
+ * @class
+ * @description A transaction on one client, created by DataAccess.RunTransaction (pglink.transaction),
+ * pass it to the functions of models by { transaction: tx }, so they run in it.
+ * It is begun, committed or rolled back, and released by its owner, nested ones are savepoints
+ */
+class TransactionScope {
+  /**
+   * @param {{client: object, parent?: TransactionScope, savepoint?: string}} args
+   */
+  constructor({ client, parent = null, savepoint = null }) {
+    /**
+     * @member
+     * @description the pg client of the transaction, use client instead
+     */
+    this.connection = client
+    /**
+     * @member
+     * @description the outer transaction, null for the outermost one
+     */
+    this.parent = parent
+    /**
+     * @member
+     * @description the name of savepoint, null for the outermost one
+     */
+    this.savepoint = savepoint
+    /**
+     * @member
+     * @description the functions to run after the outermost transaction commits
+     */
+    this.afterCommitHooks = []
+    /**
+     * @member
+     * @description how many savepoints are created in the outermost transaction, to name them
+     */
+    this.savepointCount = 0
+    /**
+     * @member
+     * @description whether or not it is committed, rolled back or released
+     */
+    this.finished = false
+  }
+
+  /**
+   * @description the pg client of the transaction, throws if the transaction is finished,
+   * so a query never runs out of the transaction silently
+   */
+  get client() {
+    if (this.finished) {
+      throw new Error(
+        'The transaction has been committed or rolled back, it can not be used any more'
+      )
+    }
+    return this.connection
+  }
+
+  /**
+   * @description run a function in a nested transaction (SAVEPOINT), if it throws,
+   * only the changes of the nested transaction are rolled back, and the error is thrown again,
+   * with the error of rolling back as rollbackError if that fails too, its afterCommit hooks are dropped too. Nested transactions should run one by one, not in parallel
+   * @param {function} fn receives the nested transaction, e.g. async (tx) => { ... }
+   * @returns {Promise<any>} the result of fn
+   */
+  async transaction(fn) {
+    if (typeof fn !== 'function') {
+      throw new Error('The argument of transaction should be a function')
+    }
+    const client = this.client
+    let root = this
+    while (root.parent) root = root.parent
+    root.savepointCount += 1
+    const savepoint = `pglink_savepoint_${root.savepointCount}`
+    await client.query(`SAVEPOINT ${savepoint}`)
+    const nested = new TransactionScope({ client, parent: this, savepoint })
+    try {
+      const res = await fn(nested)
+      await client.query(`RELEASE SAVEPOINT ${savepoint}`)
+      nested.finished = true
+      this.afterCommitHooks.push(...nested.afterCommitHooks)
+      return res
+    } catch (e) {
+      nested.finished = true
+      try {
+        await client.query(`ROLLBACK TO SAVEPOINT ${savepoint}`)
+      } catch (rollbackError) {
+        // the error of fn tells what went wrong, the failed rollback goes with it
+        const error = e instanceof Error ? e : new Error(String(e))
+        error.rollbackError = rollbackError
+        throw error
+      }
+      throw e
+    }
+  }
+
+  /**
+   * @description add a function to run after the outermost transaction commits, in the order they are added,
+   * it never runs if the transaction (or the savepoint it is added in) is rolled back
+   * @param {function} fn e.g. () => cache.clear()
+   */
+  afterCommit(fn) {
+    if (typeof fn !== 'function') {
+      throw new Error('The argument of afterCommit should be a function')
+    }
+    if (this.finished) {
+      throw new Error(
+        'The transaction has been committed or rolled back, it can not be used any more'
+      )
+    }
+    this.afterCommitHooks.push(fn)
+  }
+}
+
+module.exports = { TransactionScope }
+module.exports.TransactionScope = TransactionScope
+module.exports.default = TransactionScope
@@ -1,10 +1,80 @@
+/**
+ * @description a column type, created by the functions of DataType, e.g. DataType.STRING(255)
+ */
+export declare type ColumnType = {
+  /** the name of type, e.g. 'STRING' */
+  key: string
+  /** the type in postgres, e.g. 'VARCHAR(255)' */
+  sqlType: string
+  /** convert an input value for the column, throw if it is invalid */
+  coerce: (value: any) => any
+  /** convert an output value from pg */
+  parse: (value: any, attribute: Attribute) => any
+}
+
+/**
+ * @description the definition of a column
+ */
+export declare type Attribute = {
+  /** the type of column, e.g. DataTypes.STRING(255) or DataTypes.INTEGER */
+  type: ColumnType | Function
+  /** whether the column accepts null, default true (false for primary key) */
+  allowNull?: boolean
+  /** filled when inserting without the field, a function will be called every time, DataTypes.NOW is filled by the database */
+  defaultValue?: any
+  /** whether the column is (a part of) the primary key, used if pkName is not provided */
+  primaryKey?: boolean
+  /** the value is generated by the database, so it is not required when inserting */
+  autoIncrement?: boolean
+  /** whether the values of column are unique */
+  unique?: boolean
+  /** the js type of BIGINT/NUMERIC outputs, which are strings from pg by default */
+  as?: 'string' | 'number' | 'bigint'
+  /** custom validation, return false or throw to reject the value */
+  validate?: (value: any) => boolean | void
+}
+
+export declare type Attributes = {
+  [field: string]: Attribute | ColumnType | Function
+}
+
 export declare type DataType = {
-  STRING: Function
-  INTEGER: Function
-  SMALLINT: Function
-  BIGINT: Function
-  NUMERIC: Function
-  BOOLEAN: Function
-  DATE: Function
-  ARRAY: Function
+  /** a marker for "defaultValue", the database fills the column with the current timestamp */
+  NOW: { key: 'NOW'; sql: string }
+  /** VARCHAR(length), default length 255 */
+  STRING: (length?: number) => ColumnType
+  TEXT: () => ColumnType
+  UUID: () => ColumnType
+  INTEGER: () => ColumnType
+  SMALLINT: () => ColumnType
+  /** strings from pg by default, see "as" of attribute */
+  BIGINT: () => ColumnType
+  /** strings from pg by default, see "as" of attribute */
+  NUMERIC: (precision?: number, scale?: number) => ColumnType
+  DOUBLE: () => ColumnType
+  BOOLEAN: () => ColumnType
+  /** TIMESTAMP WITH TIME ZONE */
+  DATE: () => ColumnType
+  /** DATE, e.g. '2019-08-12' */
+  DATEONLY: () => ColumnType
+  JSON: () => ColumnType
+  JSONB: () => ColumnType
+  ARRAY: (type: ColumnType | Function) => ColumnType
+}
+
+export declare const DataType: DataType
+
+/**
+ * @description accept both DataTypes.INTEGER and DataTypes.INTEGER()
+ * @param {ColumnType|Function} type
+ * @returns {ColumnType} the column type
+ */
+export declare function NormalizeType(type: ColumnType | Function): ColumnType
+
+/**
+ * @description normalize the attributes of a model, fill the default options
+ * @param {Attributes} attributes e.g. { email: { type: DataTypes.STRING(255), allowNull: false } }
+ */
+export declare function NormalizeAttributes(attributes: Attributes): {
+  [field: string]: Attribute & { type: ColumnType; allowNull: boolean }
 }
@@ -1,16 +1,238 @@
 'use strict'
 
+/**
+ * @description a marker for "defaultValue", the database fills the column with the current timestamp
+ */
+const NOW = Object.freeze({ key: 'NOW', sql: 'CURRENT_TIMESTAMP' })
+
+const fail = (message) => {
+  throw new Error(message)
+}
+
+const toStringValue = (value) => {
+  if (typeof value === 'string') return value
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value)
+  }
+  return fail(`expected string but got ${typeof value}`)
+}
+
+const toIntegerValue = (min, max) => (value) => {
+  const num =
+    typeof value === 'string' && /^\s*[-+]?\d+\s*$/.test(value)
+      ? Number(value)
+      : value
+  if (typeof num !== 'number' || !Number.isInteger(num)) {
+    return fail(`expected integer but got ${JSON.stringify(value)}`)
+  }
+  if (num < min || num > max) {
+    return fail(`integer ${num} is out of range [${min}, ${max}]`)
+  }
+  return num
+}
+
+const toNumericString = (value) => {
+  if (typeof value === 'bigint') return value.toString()
+  if (typeof value === 'number' && Number.isFinite(value)) return value
+  if (
+    typeof value === 'string' &&
+    /^\s*[-+]?(\d+\.?\d*|\.\d+)\s*$/.test(value)
+  ) {
+    return value.trim()
+  }
+  return fail(`expected numeric value but got ${JSON.stringify(value)}`)
+}
+
+/**
+ * @description convert a BIGINT/NUMERIC string from pg to the js type configured by "as" of the attribute
+ */
+const parseNumericString = (value, attribute) => {
+  if (typeof value !== 'string') return value
+  switch (attribute.as) {
+    case 'number':
+      return Number(value)
+    case 'bigint':
+      return BigInt(value)
+    default:
+      return value
+  }
+}
+
+/**
+ * @description create a column type
+ * @param {string} key the name of type, e.g. 'STRING'
+ * @param {string} sqlType the type in postgres, e.g. 'VARCHAR(255)'
+ * @param {(value: any) => any} coerce convert an input value for the column, throw if it is invalid
+ * @param {(value: any, attribute: object) => any} parse convert an output value from pg
+ */
+const createType = (key, sqlType, coerce, parse = (value) => value) => ({
+  key,
+  sqlType,
+  coerce,
+  parse
+})
+
 const DataType = {
-  STRING: () => {},
-  INTEGER: () => {},
-  SMALLINT: () => {},
-  BIGINT: () => {},
-  NUMERIC: () => {},
-  BOOLEAN: () => {},
-  DATE: () => {},
-  ARRAY: () => {}
+  NOW,
+  STRING: (length = 255) =>
+    createType('STRING', `VARCHAR(${length})`, (value) => {
+      const str = toStringValue(value)
+      if (str.length > length) {
+        fail(`string length ${str.length} is over the limit ${length}`)
+      }
+      return str
+    }),
+  TEXT: () => createType('TEXT', 'TEXT', toStringValue),
+  UUID: () =>
+    createType('UUID', 'UUID', (value) => {
+      const str = toStringValue(value)
+      if (!/^[0-9a-f]{8}-([0-9a-f]{4}-){3}[0-9a-f]{12}$/i.test(str)) {
+        fail(`expected uuid but got ${JSON.stringify(value)}`)
+      }
+      return str
+    }),
+  INTEGER: () =>
+    createType('INTEGER', 'INTEGER', toIntegerValue(-2147483648, 2147483647)),
+  SMALLINT: () =>
+    createType('SMALLINT', 'SMALLINT', toIntegerValue(-32768, 32767)),
+  BIGINT: () =>
+    createType(
+      'BIGINT',
+      'BIGINT',
+      (value) => {
+        const num = toNumericString(value)
+        if (
+          (typeof num === 'number' && !Number.isSafeInteger(num)) ||
+          (typeof num === 'string' && !/^[-+]?\d+$/.test(num))
+        ) {
+          fail(`expected integer but got ${JSON.stringify(value)}`)
+        }
+        return num
+      },
+      parseNumericString
+    ),
+  NUMERIC: (precision, scale) =>
+    createType(
+      'NUMERIC',
+      precision
+        ? `NUMERIC(${precision}${scale !== undefined ? `, ${scale}` : ''})`
+        : 'NUMERIC',
+      toNumericString,
+      parseNumericString
+    ),
+  DOUBLE: () =>
+    createType('DOUBLE', 'DOUBLE PRECISION', (value) => {
+      const num = typeof value === 'string' ? Number(value) : value
+      if (typeof num !== 'number' || Number.isNaN(num)) {
+        fail(`expected number but got ${JSON.stringify(value)}`)
+      }
+      return num
+    }),
+  BOOLEAN: () =>
+    createType('BOOLEAN', 'BOOLEAN', (value) => {
+      if (typeof value === 'boolean') return value
+      const str = String(value).toLowerCase()
+      if (['true', 't', '1', 'yes'].includes(str)) return true
+      if (['false', 'f', '0', 'no'].includes(str)) return false
+      return fail(`expected boolean but got ${JSON.stringify(value)}`)
+    }),
+  DATE: () =>
+    createType('DATE', 'TIMESTAMP WITH TIME ZONE', (value) => {
+      const date = value instanceof Date ? value : new Date(value)
+      if (
+        (typeof value !== 'string' &&
+          typeof value !== 'number' &&
+          !(value instanceof Date)) ||
+        Number.isNaN(date.getTime())
+      ) {
+        fail(`expected date but got ${JSON.stringify(value)}`)
+      }
+      return date
+    }),
+  DATEONLY: () =>
+    createType('DATEONLY', 'DATE', (value) => {
+      if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return value
+      }
+      // the local date like pg parses DATE, toISOString would shift it to UTC
+      if (value instanceof Date && !Number.isNaN(value.getTime())) {
+        return [
+          value.getFullYear(),
+          String(value.getMonth() + 1).padStart(2, '0'),
+          String(value.getDate()).padStart(2, '0')
+        ].join('-')
+      }
+      return fail(`expected date (YYYY-MM-DD) but got ${JSON.stringify(value)}`)
+    }),
+  JSON: () => createType('JSON', 'JSON', (value) => JSON.stringify(value)),
+  JSONB: () => createType('JSONB', 'JSONB', (value) => JSON.stringify(value)),
+  ARRAY: (type) => {
+    const itemType = NormalizeType(type)
+    return Object.assign(
+      createType(
+        'ARRAY',
+        `${itemType.sqlType}[]`,
+        (value) => {
+          if (!Array.isArray(value)) {
+            fail(`expected array but got ${typeof value}`)
+          }
+          return value.map((v) => (v === null ? v : itemType.coerce(v)))
+        },
+        (value, attribute) =>
+          Array.isArray(value)
+            ? value.map((v) => itemType.parse(v, attribute))
+            : value
+      ),
+      { itemType }
+    )
+  }
+}
+
+/**
+ * @description accept both DataTypes.INTEGER and DataTypes.INTEGER()
+ * @param {Function|object} type
+ * @returns {object} the column type
+ */
+function NormalizeType(type) {
+  const normalized = typeof type === 'function' ? type() : type
+  if (
+    !normalized ||
+    typeof normalized.coerce !== 'function' ||
+    !normalized.sqlType
+  ) {
+    throw new Error(`Invalid data type: ${type}`)
+  }
+  return normalized
+}
+
+/**
+ * @description normalize the attributes of a model, fill the default options
+ * @param {{[field: string]: object|Function}} attributes e.g. { email: { type: DataTypes.STRING(255), allowNull: false } }
+ * @returns {{[field: string]: {type: object, allowNull: boolean, defaultValue?: any, primaryKey?: boolean, autoIncrement?: boolean, unique?: boolean, as?: string, validate?: Function}}}
+ */
+const NormalizeAttributes = (attributes) => {
+  const normalized = {}
+  Object.keys(attributes).forEach((field) => {
+    const attribute = attributes[field]
+    // shorthand: { age: DataTypes.INTEGER }
+    const definition =
+      attribute && (typeof attribute === 'function' || attribute.sqlType)
+        ? { type: attribute }
+        : attribute
+    if (!definition || !definition.type) {
+      throw new Error(`The type of attribute "${field}" is required`)
+    }
+    normalized[field] = {
+      allowNull: !definition.primaryKey,
+      ...definition,
+      type: NormalizeType(definition.type)
+    }
+  })
+  return normalized
 }
 
-module.exports = { DataType }
+module.exports = { DataType, NormalizeType, NormalizeAttributes }
 module.exports.DataType = DataType
+module.exports.NormalizeType = NormalizeType
+module.exports.NormalizeAttributes = NormalizeAttributes
 module.exports.default = DataType
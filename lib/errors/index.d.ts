@@ -0,0 +1,113 @@
+/**
+ * @description The base class of the errors thrown by pglink, so they can be told from the errors of pg
+ */
+export declare class PgLinkError extends Error {
+  constructor(message: string)
+  /** the name of the error class, e.g. 'StaleRecordError' */
+  name: string
+}
+
+/**
+ * @description Thrown when an update with the version of a row matches nothing,
+ * the row was updated or deleted by others since it was read, the transaction is rolled back
+ */
+export declare class StaleRecordError extends PgLinkError {
+  constructor(args: {
+    tableName: string
+    pk?: object
+    versionField: string
+    version: any
+  })
+  /** the name of table */
+  tableName: string
+  /** the primary key of the record, e.g. { id: 1 } */
+  pk?: object
+  /** the column of version */
+  versionField: string
+  /** the version expected */
+  version: any
+}
+
+/**
+ * @description The base class of the errors of postgres mapped by SQLSTATE, see FromPgError,
+ * the message and code are the ones of postgres, the original error is in cause
+ */
+export declare class DatabaseError extends PgLinkError {
+  constructor(args: {
+    message: string
+    code?: string
+    constraint?: string
+    tableName?: string
+    column?: string
+    detail?: string
+    sql?: string
+    cause?: Error
+  })
+  /** the SQLSTATE of postgres, e.g. '23505' */
+  code?: string
+  /** the name of constraint, if any */
+  constraint?: string
+  /** the name of table, if any */
+  tableName?: string
+  /** the name of column, e.g. 'email', or the columns joined by comma of a composite key */
+  column?: string
+  /** the detail of postgres, e.g. Key (email)=(a@b.c) already exists. */
+  detail?: string
+  /** the failing sql */
+  sql?: string
+  /** the original error of pg */
+  cause?: Error
+}
+
+/** Thrown when a row conflicts with a unique index or primary key (23505) */
+export declare class UniqueConstraintError extends DatabaseError {}
+
+/** Thrown when a row references nothing, or is still referenced (23503) */
+export declare class ForeignKeyError extends DatabaseError {}
+
+/** Thrown when a NOT NULL column gets null (23502) */
+export declare class NotNullViolationError extends DatabaseError {}
+
+/** Thrown when a row fails a CHECK constraint (23514) */
+export declare class CheckViolationError extends DatabaseError {}
+
+/**
+ * Thrown on a serialization failure (40001) or a deadlock (40P01),
+ * the transaction may succeed if it runs again, see the retry of transactions
+ */
+export declare class SerializationError extends DatabaseError {}
+
+/**
+ * @description Thrown when a where clause or a filter object is invalid, before it is sent to postgres
+ */
+export declare class InvalidWhereClauseError extends PgLinkError {
+  constructor(args: {
+    message: string
+    tableName?: string
+    column?: string
+    sql?: string
+  })
+  /** the name of table, if any */
+  tableName?: string
+  /** the name of column, if any */
+  column?: string
+  /** the where clause */
+  sql?: string
+}
+
+/**
+ * @description Thrown when there is no valid value to insert or update
+ */
+export declare class EmptyPayloadError extends PgLinkError {
+  constructor(args: { message: string; tableName?: string })
+  /** the name of table, if any */
+  tableName?: string
+}
+
+/**
+ * @description map an error of pg to the error class of its SQLSTATE,
+ * the other errors, and the errors of pglink, are returned as they are
+ * @param {Error} error
+ * @param {string} sql the failing sql
+ */
+export declare const FromPgError: (error: any, sql?: string) => any
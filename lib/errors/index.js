@@ -0,0 +1,252 @@
+'use strict'
+
+/**
+ * @class
+ * @description The base class of the errors thrown by pglink, so they can be told from the errors of pg
+ */
+class PgLinkError extends Error {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message)
+    /**
+     * @member
+     * @description the name of the error class, e.g. 'StaleRecordError'
+     */
+    this.name = this.constructor.name
+  }
+}
+
+/**
+ * @class
+ * @description Thrown when an update with the version of a row matches nothing,
+ * the row was updated or deleted by others since it was read, the transaction is rolled back
+ */
+class StaleRecordError extends PgLinkError {
+  /**
+   * @param {{tableName: string, pk?: object, versionField: string, version: any}} args
+   */
+  constructor({ tableName, pk, versionField, version }) {
+    super(
+      `The record ${JSON.stringify(
+        pk
+      )} of ${tableName} is stale: "${versionField}" ${version} was updated or deleted by others`
+    )
+    /**
+     * @member
+     * @description the name of table
+     */
+    this.tableName = tableName
+    /**
+     * @member
+     * @description the primary key of the record, e.g. { id: 1 }
+     */
+    this.pk = pk
+    /**
+     * @member
+     * @description the column of version
+     */
+    this.versionField = versionField
+    /**
+     * @member
+     * @description the version expected
+     */
+    this.version = version
+  }
+}
+
+/**
+ * @class
+ * @description The base class of the errors of postgres mapped by SQLSTATE, see FromPgError,
+ * the message and code are the ones of postgres, the original error is in cause
+ */
+class DatabaseError extends PgLinkError {
+  /**
+   * @param {{message: string, code?: string, constraint?: string, tableName?: string, column?: string, detail?: string, sql?: string, cause?: Error}} args
+   */
+  constructor({
+    message,
+    code,
+    constraint,
+    tableName,
+    column,
+    detail,
+    sql,
+    cause
+  }) {
+    super(message)
+    /**
+     * @member
+     * @description the SQLSTATE of postgres, e.g. '23505'
+     */
+    this.code = code
+    /**
+     * @member
+     * @description the name of constraint, if any
+     */
+    this.constraint = constraint
+    /**
+     * @member
+     * @description the name of table, if any
+     */
+    this.tableName = tableName
+    /**
+     * @member
+     * @description the name of column, e.g. 'email', or the columns joined by comma of a composite key
+     */
+    this.column = column
+    /**
+     * @member
+     * @description the detail of postgres, e.g. Key (email)=(a@b.c) already exists.
+     */
+    this.detail = detail
+    /**
+     * @member
+     * @description the failing sql
+     */
+    this.sql = sql
+    /**
+     * @member
+     * @description the original error of pg
+     */
+    this.cause = cause
+  }
+}
+
+/**
+ * @class
+ * @description Thrown when a row conflicts with a unique index or primary key (23505)
+ */
+class UniqueConstraintError extends DatabaseError {}
+
+/**
+ * @class
+ * @description Thrown when a row references nothing, or is still referenced (23503)
+ */
+class ForeignKeyError extends DatabaseError {}
+
+/**
+ * @class
+ * @description Thrown when a NOT NULL column gets null (23502)
+ */
+class NotNullViolationError extends DatabaseError {}
+
+/**
+ * @class
+ * @description Thrown when a row fails a CHECK constraint (23514)
+ */
+class CheckViolationError extends DatabaseError {}
+
+/**
+ * @class
+ * @description Thrown on a serialization failure (40001) or a deadlock (40P01),
+ * the transaction may succeed if it runs again, see the retry of transactions
+ */
+class SerializationError extends DatabaseError {}
+
+/**
+ * @class
+ * @description Thrown when a where clause or a filter object is invalid, before it is sent to postgres
+ */
+class InvalidWhereClauseError extends PgLinkError {
+  /**
+   * @param {{message: string, tableName?: string, column?: string, sql?: string}} args
+   */
+  constructor({ message, tableName, column, sql }) {
+    super(message)
+    /**
+     * @member
+     * @description the name of table, if any
+     */
+    this.tableName = tableName
+    /**
+     * @member
+     * @description the name of column, if any
+     */
+    this.column = column
+    /**
+     * @member
+     * @description the where clause
+     */
+    this.sql = sql
+  }
+}
+
+/**
+ * @class
+ * @description Thrown when there is no valid value to insert or update
+ */
+class EmptyPayloadError extends PgLinkError {
+  /**
+   * @param {{message: string, tableName?: string}} args
+   */
+  constructor({ message, tableName }) {
+    super(message)
+    /**
+     * @member
+     * @description the name of table, if any
+     */
+    this.tableName = tableName
+  }
+}
+
+// SQLSTATE to the class of error
+const errorClasses = {
+  23505: UniqueConstraintError,
+  23503: ForeignKeyError,
+  23502: NotNullViolationError,
+  23514: CheckViolationError,
+  40001: SerializationError,
+  '40P01': SerializationError
+}
+
+/**
+ * @description map an error of pg to the error class of its SQLSTATE,
+ * the other errors, and the errors of pglink, are returned as they are
+ * @param {Error} error
+ * @param {string} sql the failing sql
+ * @returns {Error}
+ */
+const FromPgError = (error, sql) => {
+  if (!error || error instanceof PgLinkError) return error
+  const ErrorClass = errorClasses[error.code]
+  if (!ErrorClass) return error
+  // pg only tells the column of NOT NULL, the others are in the detail, e.g. Key (email)=(a@b.c) already exists.
+  const key = /^Key \((.+?)\)=/.exec(error.detail || '')
+  return new ErrorClass({
+    message: error.message,
+    code: error.code,
+    constraint: error.constraint,
+    tableName: error.table,
+    column: error.column || (key ? key[1] : undefined),
+    detail: error.detail,
+    sql,
+    cause: error
+  })
+}
+
+module.exports = {
+  PgLinkError,
+  StaleRecordError,
+  DatabaseError,
+  UniqueConstraintError,
+  ForeignKeyError,
+  NotNullViolationError,
+  CheckViolationError,
+  SerializationError,
+  InvalidWhereClauseError,
+  EmptyPayloadError,
+  FromPgError
+}
+module.exports.PgLinkError = PgLinkError
+module.exports.StaleRecordError = StaleRecordError
+module.exports.DatabaseError = DatabaseError
+module.exports.UniqueConstraintError = UniqueConstraintError
+module.exports.ForeignKeyError = ForeignKeyError
+module.exports.NotNullViolationError = NotNullViolationError
+module.exports.CheckViolationError = CheckViolationError
+module.exports.SerializationError = SerializationError
+module.exports.InvalidWhereClauseError = InvalidWhereClauseError
+module.exports.EmptyPayloadError = EmptyPayloadError
+module.exports.FromPgError = FromPgError
@@ -0,0 +1,26 @@
+import { ModelBase } from '../model'
+
+/**
+ * @description generate the GraphQL type definitions (SDL) and a resolver map from models,
+ * the models need "attributes", the output works with any server which accepts SDL and resolvers, e.g. apollo-server
+ * @param {Array<typeof ModelBase>} models the classes extend pglink.Model
+ * @param {{typeNames?: {[tableName: string]: string}, extend?: boolean}} options typeNames overrides the type names, default the class name without "Model",
+ * extend means "extend type Query" and "extend type Mutation", to be merged into an existing schema
+ * @returns {{typeDefs: string, resolvers: object}}
+ */
+export declare function GenerateGraphQL(
+  models: Array<typeof ModelBase>,
+  options?: {
+    typeNames?: { [tableName: string]: string }
+    extend?: boolean
+  }
+): {
+  typeDefs: string
+  resolvers: {
+    Query: { [field: string]: Function }
+    Mutation: { [field: string]: Function }
+    [typeName: string]: { [field: string]: Function }
+  }
+}
+
+export default GenerateGraphQL
@@ -0,0 +1,368 @@
+'use strict'
+
+const graphqlName = /^[_A-Za-z][_0-9A-Za-z]*$/
+
+const pascalCase = (str) =>
+  String(str)
+    .split(/[^0-9A-Za-z]+/)
+    .filter((s) => s)
+    .map((s) => s[0].toUpperCase() + s.slice(1))
+    .join('')
+
+const camelCase = (str) => {
+  const pascal = pascalCase(str)
+  return pascal[0].toLowerCase() + pascal.slice(1)
+}
+
+const pluralize = (str) => {
+  if (/[^aeiou]y$/i.test(str)) return `${str.slice(0, -1)}ies`
+  if (/(s|x|z|ch|sh)$/i.test(str)) return `${str}es`
+  return `${str}s`
+}
+
+const comparisonOperators = [
+  'eq',
+  'ne',
+  'gt',
+  'gte',
+  'lt',
+  'lte',
+  'in',
+  'notIn',
+  'between',
+  'notBetween',
+  'isNull'
+]
+
+/**
+ * @description the operators of filter inputs per scalar, the same names as the filter object of model
+ */
+const filterOperators = {
+  String: comparisonOperators.concat('like', 'notLike', 'ilike', 'notIlike'),
+  ID: ['eq', 'ne', 'in', 'notIn', 'isNull'],
+  Int: comparisonOperators,
+  Float: comparisonOperators,
+  Boolean: ['eq', 'ne', 'isNull'],
+  DateTime: comparisonOperators,
+  Date: comparisonOperators,
+  enum: ['eq', 'ne', 'in', 'notIn', 'isNull']
+}
+
+const operatorType = (operator, type) => {
+  if (operator === 'isNull') return 'Boolean'
+  if (['in', 'notIn', 'between', 'notBetween'].includes(operator)) {
+    return `[${type}!]`
+  }
+  return type
+}
+
+const parseJSONLiteral = (ast) => {
+  switch (ast.kind) {
+    case 'StringValue':
+    case 'BooleanValue':
+      return ast.value
+    case 'IntValue':
+    case 'FloatValue':
+      return Number(ast.value)
+    case 'ObjectValue':
+      return ast.fields.reduce(
+        (obj, field) => ({
+          ...obj,
+          [field.name.value]: parseJSONLiteral(field.value)
+        }),
+        {}
+      )
+    case 'ListValue':
+      return ast.values.map(parseJSONLiteral)
+    default:
+      return null
+  }
+}
+
+/**
+ * @description the custom scalars, in the resolver format of graphql-tools (apollo-server)
+ */
+const scalarResolvers = {
+  DateTime: {
+    __serialize: (value) =>
+      value instanceof Date ? value.toISOString() : value,
+    __parseValue: (value) => value,
+    __parseLiteral: (ast) =>
+      ast.kind === 'StringValue' ? ast.value : undefined
+  },
+  Date: {
+    // pg parses DATE to a Date at local midnight
+    __serialize: (value) =>
+      value instanceof Date
+        ? [
+            value.getFullYear(),
+            String(value.getMonth() + 1).padStart(2, '0'),
+            String(value.getDate()).padStart(2, '0')
+          ].join('-')
+        : value,
+    __parseValue: (value) => value,
+    __parseLiteral: (ast) =>
+      ast.kind === 'StringValue' ? ast.value : undefined
+  },
+  JSON: {
+    __serialize: (value) => value,
+    __parseValue: (value) => value,
+    __parseLiteral: parseJSONLiteral
+  }
+}
+
+/**
+ * @description get the graphql type of a column type, without "!"
+ * @param {object} type the column type, e.g. DataTypes.INTEGER()
+ * @param {object} attribute
+ */
+const scalarOf = (type, attribute) => {
+  switch (type.key) {
+    case 'INTEGER':
+    case 'SMALLINT':
+      return 'Int'
+    case 'BIGINT':
+    case 'NUMERIC':
+      return attribute.as === 'number' ? 'Float' : 'String'
+    case 'DOUBLE':
+      return 'Float'
+    case 'BOOLEAN':
+      return 'Boolean'
+    case 'DATE':
+      return 'DateTime'
+    case 'DATEONLY':
+      return 'Date'
+    case 'JSON':
+    case 'JSONB':
+      return 'JSON'
+    case 'ARRAY':
+      return `[${scalarOf(type.itemType, attribute)}]`
+    default:
+      return 'String'
+  }
+}
+
+/**
+ * @description generate the GraphQL type definitions (SDL) and a resolver map from models,
+ * the models need "attributes", the output works with any server which accepts SDL and resolvers, e.g. apollo-server
+ * @param {Array<typeof ModelBase>} models the classes extend pglink.Model
+ * @param {{typeNames?: {[tableName: string]: string}, extend?: boolean}} options typeNames overrides the type names, default the class name without "Model",
+ * extend means "extend type Query" and "extend type Mutation", to be merged into an existing schema
+ * @returns {{typeDefs: string, resolvers: object}}
+ */
+const GenerateGraphQL = (models, { typeNames = {}, extend = false } = {}) => {
+  if (!models || models.length === 0) {
+    throw new Error('No models to generate GraphQL, register models first')
+  }
+  const entries = models.map((Model) => {
+    const inst = new Model()
+    const name =
+      typeNames[inst.tableName] ||
+      (Model.name && Model.name !== 'Model'
+        ? Model.name.replace(/Model$/, '')
+        : '') ||
+      pascalCase(inst.tableName)
+    if (!graphqlName.test(name)) {
+      throw new Error(`Invalid GraphQL type name "${name}"`)
+    }
+    if (!inst.attributes) {
+      throw new Error(`${name} needs "attributes" to generate GraphQL types`)
+    }
+    return { Model, inst, name }
+  })
+  const typeOfModel = (Model) => {
+    const entry = entries.find((e) => e.Model === Model)
+    return entry ? entry.name : null
+  }
+
+  const blocks = []
+  const usedScalars = {}
+  const filterInputs = {}
+  const queryLines = []
+  const mutationLines = []
+  const Query = {}
+  const Mutation = {}
+  const resolvers = {}
+
+  entries.forEach(({ Model, inst, name }) => {
+    const { attributes, pkFields } = inst
+    const enumMapping = inst.enumMapping || {}
+    const fields = Object.keys(attributes)
+    pkFields.forEach((pk) => {
+      if (!attributes[pk]) {
+        throw new Error(
+          `The primary key "${pk}" of ${name} is not an attribute`
+        )
+      }
+    })
+    // the graphql type of each field, without "!"
+    const fieldTypes = {}
+    fields.forEach((field) => {
+      if (!graphqlName.test(field)) {
+        throw new Error(`Invalid GraphQL field name "${field}" of ${name}`)
+      }
+      if (enumMapping[field]) {
+        const enumName = `${name}${pascalCase(field)}`
+        const values = Object.keys(enumMapping[field])
+        values.forEach((v) => {
+          if (!graphqlName.test(v)) {
+            throw new Error(`Invalid GraphQL enum value "${v}" of ${enumName}`)
+          }
+        })
+        blocks.push(`enum ${enumName} {\n  ${values.join('\n  ')}\n}`)
+        filterInputs[`${enumName}Filter`] = { type: enumName, kind: 'enum' }
+        fieldTypes[field] = enumName
+      } else if (pkFields.length === 1 && field === pkFields[0]) {
+        fieldTypes[field] = 'ID'
+      } else {
+        fieldTypes[field] = scalarOf(attributes[field].type, attributes[field])
+      }
+      const scalar = fieldTypes[field].replace(/[[\]]/g, '')
+      if (scalarResolvers[scalar]) usedScalars[scalar] = true
+      if (filterOperators[scalar] && !/^\[/.test(fieldTypes[field])) {
+        filterInputs[`${scalar}Filter`] = { type: scalar, kind: scalar }
+      }
+    })
+    const required = (field) => !attributes[field].allowNull
+
+    // object type, with the associations whose targets are generated too
+    const associations = Model.associations || {}
+    const associationLines = []
+    const typeResolvers = {}
+    Object.keys(associations).forEach((as) => {
+      const { type, target, foreignKey, targetKey } = associations[as]
+      const targetName = typeOfModel(target)
+      if (!targetName || fieldTypes[as]) return
+      associationLines.push(
+        `  ${as}: ${type === 'belongsTo' ? targetName : `[${targetName}!]!`}`
+      )
+      const targetPks = new target().pkFields
+      // a parent by its primary key is batched by the loader of the request
+      const byLoader =
+        type === 'belongsTo' &&
+        targetPks.length === 1 &&
+        (!targetKey || targetKey === targetPks[0])
+      // loaded already by "include", otherwise load it now
+      typeResolvers[as] = async (parent, args, context) => {
+        if (parent[as] !== undefined) return parent[as]
+        if (byLoader && context && typeof context === 'object') {
+          const value = parent[foreignKey]
+          return value === null || value === undefined
+            ? null
+            : target.loader(context).load(value)
+        }
+        await new Model().loadAssociations(parent, [as])
+        return parent[as]
+      }
+    })
+    blocks.push(
+      `type ${name} {\n${fields
+        .map((f) => `  ${f}: ${fieldTypes[f]}${required(f) ? '!' : ''}`)
+        .concat(associationLines)
+        .join('\n')}\n}`
+    )
+    if (associationLines.length > 0) resolvers[name] = typeResolvers
+
+    // inputs
+    blocks.push(
+      `input ${name}CreateInput {\n${fields
+        .map((f) => {
+          const { autoIncrement, defaultValue } = attributes[f]
+          const mandatory =
+            required(f) && !autoIncrement && defaultValue === undefined
+          return `  ${f}: ${fieldTypes[f]}${mandatory ? '!' : ''}`
+        })
+        .join('\n')}\n}`
+    )
+    blocks.push(
+      `input ${name}UpdateInput {\n${fields
+        .map(
+          (f) => `  ${f}: ${fieldTypes[f]}${pkFields.includes(f) ? '!' : ''}`
+        )
+        .join('\n')}\n}`
+    )
+    blocks.push(
+      `input ${name}Filter {\n  and: [${name}Filter!]\n  or: [${name}Filter!]\n  not: ${name}Filter\n${fields
+        .filter((f) => !/^\[/.test(fieldTypes[f]) && fieldTypes[f] !== 'JSON')
+        .map((f) => `  ${f}: ${fieldTypes[f]}Filter`)
+        .join('\n')}\n}`
+    )
+    blocks.push(`enum ${name}Field {\n  ${fields.join('\n  ')}\n}`)
+    blocks.push(
+      `input ${name}OrderBy {\n  field: ${name}Field!\n  sequence: SortSequence = ASC\n}`
+    )
+
+    // queries and mutations
+    const single = camelCase(name)
+    const plural = pluralize(single)
+    const pkArgs = pkFields.map((pk) => `${pk}: ${fieldTypes[pk]}!`).join(', ')
+    const nullIfEmpty = (res) =>
+      res && Object.keys(res).length > 0 ? res : null
+    queryLines.push(
+      `${single}(${pkArgs}): ${name}`,
+      `${plural}(where: ${name}Filter, orderBy: [${name}OrderBy!], limit: Int, offset: Int): [${name}!]!`
+    )
+    mutationLines.push(
+      `create${name}(input: ${name}CreateInput!): ${name}`,
+      `update${name}(input: ${name}UpdateInput!): ${name}`,
+      `delete${pascalCase(plural)}(where: ${name}Filter!): [${name}!]!`
+    )
+    Query[single] = async (_, args) =>
+      nullIfEmpty(
+        await new Model().findByPk({
+          pk:
+            pkFields.length === 1
+              ? args[pkFields[0]]
+              : pkFields.reduce((pk, f) => ({ ...pk, [f]: args[f] }), {})
+        })
+      )
+    Query[plural] = (_, { where, orderBy, limit, offset }) =>
+      new Model().findByConditions({
+        where,
+        options: { sortBy: orderBy, limit, offset }
+      })
+    Mutation[`create${name}`] = (_, { input }) =>
+      new Model().insertOne({ params: { ...input } })
+    Mutation[`update${name}`] = async (_, { input }) =>
+      nullIfEmpty(await new Model().updateByPk({ params: { ...input } }))
+    Mutation[`delete${pascalCase(plural)}`] = async (_, { where }) => {
+      const model = new Model()
+      // a client can send a filter without conditions, e.g. { and: [] }, it would delete every row
+      model.dataAccess.GenerateTargetWhereSQL({ where })
+      return model.deleteByConditions({ where })
+    }
+  })
+
+  const filterBlocks = Object.keys(filterInputs).map((filterName) => {
+    const { type, kind } = filterInputs[filterName]
+    return `input ${filterName} {\n${filterOperators[kind]
+      .map((op) => `  ${op}: ${operatorType(op, type)}`)
+      .join('\n')}\n}`
+  })
+  const scalarNames = Object.keys(usedScalars)
+  const typeDefs = []
+    .concat(
+      scalarNames.map((s) => `scalar ${s}`),
+      ['enum SortSequence {\n  ASC\n  DESC\n}'],
+      filterBlocks,
+      blocks,
+      [
+        `${extend ? 'extend ' : ''}type Query {\n  ${queryLines.join(
+          '\n  '
+        )}\n}`,
+        `${extend ? 'extend ' : ''}type Mutation {\n  ${mutationLines.join(
+          '\n  '
+        )}\n}`
+      ]
+    )
+    .join('\n\n')
+    .concat('\n')
+  scalarNames.forEach((s) => {
+    resolvers[s] = scalarResolvers[s]
+  })
+  return { typeDefs, resolvers: { ...resolvers, Query, Mutation } }
+}
+
+module.exports = { GenerateGraphQL }
+module.exports.GenerateGraphQL = GenerateGraphQL
+module.exports.default = GenerateGraphQL
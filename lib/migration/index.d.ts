@@ -0,0 +1,104 @@
+import { DataAccess } from '../core/dataAccess'
+
+type MigrationFile = { version: string; name: string; file: string }
+
+type MigrationModule = {
+  up: (args: { client: any; dataAccess: DataAccess }) => Promise<any>
+  down: (args: { client: any; dataAccess: DataAccess }) => Promise<any>
+  /** false to run without a transaction, e.g. for CREATE INDEX CONCURRENTLY, default true */
+  transaction?: boolean
+}
+
+/**
+ * @description A versioned migration runner, applied versions are recorded in a ledger table,
+ * every migration runs in its own transaction unless it exports transaction: false,
+ * and an advisory lock keeps two instances from migrating concurrently
+ */
+export declare class Migrator {
+  /**
+   * @param {{dataAccess?: DataAccess, directory?: string, tableName?: string}} args dataAccess is only optional for Create
+   */
+  constructor(args: {
+    dataAccess?: DataAccess
+    /** the directory of migration files, default 'migrations' */
+    directory?: string
+    /** the ledger table of applied versions, default 'pglink_migrations' */
+    tableName?: string
+  })
+  dataAccess: DataAccess
+  directory: string
+  tableName: string
+
+  /**
+   * @description read the migration files ordered by version
+   */
+  ReadMigrations(): Array<MigrationFile>
+
+  /**
+   * @description load a migration module, it should export up and down functions,
+   * and transaction: false to run without a transaction, e.g. for CREATE INDEX CONCURRENTLY
+   */
+  LoadMigration(migration: MigrationFile): MigrationModule
+
+  /**
+   * @description run a function on a dedicated client holding the advisory lock of the ledger
+   */
+  WithLock<T>(fn: (client: any) => Promise<T>): Promise<T>
+
+  /**
+   * @description run up or down of a migration together with its record in the ledger,
+   * in a transaction unless the migration exports transaction: false
+   */
+  RunMigration(
+    client: any,
+    mod: MigrationModule,
+    fn: (client: any) => Promise<any>,
+    record: { sql: string; replacements: Array<any> }
+  ): Promise<void>
+
+  /**
+   * @description read the applied versions from the ledger
+   */
+  ReadApplied(
+    client: any
+  ): Promise<Array<{ version: string; name: string; appliedAt: Date }>>
+
+  /**
+   * @description list every migration and whether it has been applied,
+   * "missing" means it is recorded in the ledger but the file does not exist
+   */
+  Status(): Promise<
+    Array<{
+      version: string
+      name: string
+      status: 'applied' | 'pending' | 'missing'
+      appliedAt: Date | null
+    }>
+  >
+
+  /**
+   * @description apply the pending migrations in order
+   * @param {{to?: string, step?: number}} options to is the last version to apply, step is the count to apply
+   */
+  Up(options?: {
+    to?: string
+    step?: number
+  }): Promise<Array<{ version: string; name: string }>>
+
+  /**
+   * @description revert the applied migrations in reverse order, default the last one
+   * @param {{to?: string, step?: number}} options to is the version to keep (exclusive), step is the count to revert
+   */
+  Down(options?: {
+    to?: string
+    step?: number
+  }): Promise<Array<{ version: string; name: string }>>
+
+  /**
+   * @description create a migration file, the version is the current time, e.g. 20190812093000_create_users.js
+   * @returns {string} the path of file
+   */
+  Create(name: string): string
+}
+
+export default Migrator
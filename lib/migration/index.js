@@ -0,0 +1,299 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+const migrationFilePattern = /^(\d+)_([\w-]+)\.js$/
+
+/**
+ * @class
+ * @description A versioned migration runner, applied versions are recorded in a ledger table,
+ * every migration runs in its own transaction unless it exports transaction: false,
+ * and an advisory lock keeps two instances from migrating concurrently
+ */
+class Migrator {
+  /**
+   * @param {{dataAccess?: DataAccess, directory?: string, tableName?: string}} args dataAccess is only optional for Create
+   */
+  constructor(args) {
+    const {
+      dataAccess,
+      directory = 'migrations',
+      tableName = 'pglink_migrations'
+    } = args
+    /**
+     * @member
+     * @description the database operator
+     */
+    this.dataAccess = dataAccess
+    /**
+     * @member
+     * @description the directory of migration files
+     */
+    this.directory = path.resolve(directory)
+    /**
+     * @member
+     * @description the ledger table of applied versions
+     */
+    this.tableName = tableName
+  }
+
+  /**
+   * @description read the migration files ordered by version
+   * @returns {Array<{version: string, name: string, file: string}>}
+   */
+  ReadMigrations() {
+    if (!fs.existsSync(this.directory)) return []
+    return fs
+      .readdirSync(this.directory)
+      .map((file) => {
+        const matched = file.match(migrationFilePattern)
+        return matched
+          ? {
+              version: matched[1],
+              name: matched[2],
+              file: path.join(this.directory, file)
+            }
+          : null
+      })
+      .filter((m) => m)
+      .sort((a, b) =>
+        a.version.localeCompare(b.version, 'en', { numeric: true })
+      )
+  }
+
+  /**
+   * @description load a migration module, it should export up and down functions,
+   * and transaction: false to run without a transaction, e.g. for CREATE INDEX CONCURRENTLY
+   * @param {{version: string, file: string}} migration
+   */
+  LoadMigration(migration) {
+    const mod = require(migration.file)
+    if (typeof mod.up !== 'function' || typeof mod.down !== 'function') {
+      throw new Error(
+        `Migration ${path.basename(
+          migration.file
+        )} should export "up" and "down" functions`
+      )
+    }
+    return mod
+  }
+
+  /**
+   * @description run a function on a dedicated client holding the advisory lock of the ledger,
+   * another instance waits here until the lock is released
+   * @param {(client: object) => Promise<any>} fn
+   */
+  async WithLock(fn) {
+    if (!this.dataAccess)
+      throw new Error('"dataAccess" for Migrator is required')
+    const client = await this.dataAccess.conn.connect()
+    try {
+      await client.query('SELECT pg_advisory_lock(hashtext($1))', [
+        this.tableName
+      ])
+      try {
+        await client.query(
+          `CREATE TABLE IF NOT EXISTS ${this.tableName} ("version" VARCHAR(255) PRIMARY KEY, "name" VARCHAR(255) NOT NULL, "appliedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP)`
+        )
+        return await fn(client)
+      } finally {
+        await client.query('SELECT pg_advisory_unlock(hashtext($1))', [
+          this.tableName
+        ])
+      }
+    } finally {
+      // discard the connection, so the session lock can never leak back to the pool
+      client.release(true)
+    }
+  }
+
+  /**
+   * @description run up or down of a migration together with its record in the ledger,
+   * in a transaction unless the migration exports transaction: false
+   * @param {object} client the client holding the advisory lock
+   * @param {{transaction?: boolean}} mod the migration module
+   * @param {(client: object) => Promise<any>} fn up or down
+   * @param {{sql: string, replacements: Array<any>}} record the statement of the ledger
+   */
+  async RunMigration(client, mod, fn, record) {
+    if (mod.transaction === false) {
+      // the ledger is written after the migration succeeds, so a failed one is pending again
+      await fn(client)
+      await client.query(record.sql, record.replacements)
+      return
+    }
+    await this.dataAccess.Transaction({ params: [record] }, ([, trxClient]) =>
+      fn(trxClient)
+    )
+  }
+
+  /**
+   * @description read the applied versions from the ledger
+   * @param {object} client
+   * @returns {Array<{version: string, name: string, appliedAt: Date}>}
+   */
+  async ReadApplied(client) {
+    const res = await client.query(
+      `SELECT "version", "name", "appliedAt" FROM ${this.tableName}`
+    )
+    return res.rows.sort((a, b) =>
+      a.version.localeCompare(b.version, 'en', { numeric: true })
+    )
+  }
+
+  /**
+   * @description list every migration and whether it has been applied,
+   * "missing" means it is recorded in the ledger but the file does not exist
+   * @returns {Promise<Array<{version: string, name: string, status: 'applied'|'pending'|'missing', appliedAt: Date|null}>>}
+   */
+  async Status() {
+    return this.WithLock(async (client) => {
+      const applied = await this.ReadApplied(client)
+      const migrations = this.ReadMigrations()
+      const list = migrations.map((m) => {
+        const record = applied.find((a) => a.version === m.version)
+        return {
+          version: m.version,
+          name: m.name,
+          status: record ? 'applied' : 'pending',
+          appliedAt: record ? record.appliedAt : null
+        }
+      })
+      applied
+        .filter((a) => !migrations.some((m) => m.version === a.version))
+        .forEach((a) => {
+          list.push({
+            version: a.version,
+            name: a.name,
+            status: 'missing',
+            appliedAt: a.appliedAt
+          })
+        })
+      return list.sort((a, b) =>
+        a.version.localeCompare(b.version, 'en', { numeric: true })
+      )
+    })
+  }
+
+  /**
+   * @description apply the pending migrations in order
+   * @param {{to?: string, step?: number}} options to is the last version to apply, step is the count to apply
+   * @returns {Promise<Array<{version: string, name: string}>>} the applied migrations
+   */
+  async Up({ to, step } = {}) {
+    return this.WithLock(async (client) => {
+      const applied = (await this.ReadApplied(client)).map((a) => a.version)
+      let pending = this.ReadMigrations().filter(
+        (m) =>
+          !applied.includes(m.version) &&
+          (!to || m.version.localeCompare(to, 'en', { numeric: true }) <= 0)
+      )
+      if (step) pending = pending.slice(0, step)
+      const done = []
+      // one by one, a migration may depend on the ones before it
+      for (const migration of pending) {
+        const mod = this.LoadMigration(migration)
+        await this.RunMigration(
+          client,
+          mod,
+          (migrationClient) =>
+            mod.up({ client: migrationClient, dataAccess: this.dataAccess }),
+          {
+            sql: `INSERT INTO ${this.tableName} ("version", "name") VALUES ($1, $2)`,
+            replacements: [migration.version, migration.name]
+          }
+        )
+        // the migration may alter the columns
+        this.dataAccess.ClearColumnTypes()
+        done.push({ version: migration.version, name: migration.name })
+      }
+      return done
+    })
+  }
+
+  /**
+   * @description revert the applied migrations in reverse order, default the last one
+   * @param {{to?: string, step?: number}} options to is the version to keep (exclusive), step is the count to revert
+   * @returns {Promise<Array<{version: string, name: string}>>} the reverted migrations
+   */
+  async Down({ to, step = to ? undefined : 1 } = {}) {
+    return this.WithLock(async (client) => {
+      const migrations = this.ReadMigrations()
+      let applied = (await this.ReadApplied(client))
+        .reverse()
+        .filter(
+          (a) => !to || a.version.localeCompare(to, 'en', { numeric: true }) > 0
+        )
+      if (step) applied = applied.slice(0, step)
+      const done = []
+      for (const record of applied) {
+        const migration = migrations.find((m) => m.version === record.version)
+        if (!migration) {
+          throw new Error(
+            `Can not revert ${record.version}_${record.name}: the migration file is missing`
+          )
+        }
+        const mod = this.LoadMigration(migration)
+        await this.RunMigration(
+          client,
+          mod,
+          (migrationClient) =>
+            mod.down({ client: migrationClient, dataAccess: this.dataAccess }),
+          {
+            sql: `DELETE FROM ${this.tableName} WHERE "version" = $1`,
+            replacements: [migration.version]
+          }
+        )
+        // the migration may alter the columns
+        this.dataAccess.ClearColumnTypes()
+        done.push({ version: migration.version, name: migration.name })
+      }
+      return done
+    })
+  }
+
+  /**
+   * @description create a migration file, the version is the current time, e.g. 20190812093000_create_users.js
+   * @param {string} name e.g. create_users
+   * @returns {string} the path of file
+   */
+  Create(name) {
+    const slug = String(name || '')
+      .trim()
+      .replace(/[^\w-]+/g, '_')
+    if (!slug) throw new Error('The name of migration is required')
+    const version = new Date().toISOString().replace(/\D/g, '').slice(0, 14)
+    if (!fs.existsSync(this.directory)) {
+      fs.mkdirSync(this.directory, { recursive: true })
+    }
+    const file = path.join(this.directory, `${version}_${slug}.js`)
+    fs.writeFileSync(
+      file,
+      `'use strict'
+
+/**
+ * @param {{client: object, dataAccess: object}} args client is the pg client of the migration transaction
+ */
+const up = async ({ client }) => {
+  // e.g. await client.query('CREATE TABLE ...')
+}
+
+/**
+ * @param {{client: object, dataAccess: object}} args client is the pg client of the migration transaction
+ */
+const down = async ({ client }) => {
+  // e.g. await client.query('DROP TABLE ...')
+}
+
+// export transaction: false to run without a transaction, e.g. for CREATE INDEX CONCURRENTLY
+module.exports = { up, down }
+`
+    )
+    return file
+  }
+}
+
+module.exports = { Migrator }
+module.exports.Migrator = Migrator
+module.exports.default = Migrator
@@ -1,5 +1,176 @@
+import { Readable, Writable } from 'stream'
 import { Pool } from 'pg'
-import { DataAccess } from '../core/dataAccess'
+import {
+  DataAccess,
+  TableIndex,
+  ConflictTarget,
+  TransactionOptions,
+  ReplicaSession,
+  Metric
+} from '../core/dataAccess'
+import { WhereFilter } from '../core/filter'
+import { Attribute, Attributes, ColumnType } from '../dataType'
+import { Loader } from './loader'
+import { TransactionScope } from '../core/transaction'
+
+/**
+ * @description an association declared by hasMany, belongsTo or manyToMany, keyed by "as"
+ */
+export type Association = {
+  type: 'hasMany' | 'belongsTo' | 'manyToMany'
+  target: typeof ModelBase
+  /** hasMany: the column of target, belongsTo: the column of this model, manyToMany: the column of junction table referencing this model */
+  foreignKey: string
+  /** the column of this model, default the primary key */
+  sourceKey?: string
+  /** the column of target, default its primary key */
+  targetKey?: string
+  /** manyToMany: the junction table, or its model class */
+  through?: string | typeof ModelBase
+  /** manyToMany: the column of junction table referencing the target */
+  otherKey?: string
+  /** the name of the nested field, default the table name of target */
+  as: string
+}
+
+/**
+ * @description the associations to load, e.g. ['posts', { association: 'tags', where: { status: 'ACTIVE' } }]
+ */
+export type Include = Array<
+  | string
+  | {
+      /** the "as" of the association */
+      association: string
+      /** a filter object for the related rows */
+      where?: WhereFilter
+      selectFields?: string
+      sortBy?: Array<{ field: String; sequence?: 'ASC' | 'DESC' }>
+      /** the associations of the related rows */
+      include?: Include
+      /** include the soft deleted related rows */
+      withDeleted?: boolean
+    }
+>
+
+/**
+ * @description the names of lifecycle hooks
+ */
+export type HookName =
+  | 'beforeInsert'
+  | 'afterInsert'
+  | 'beforeUpdate'
+  | 'afterUpdate'
+  | 'beforeDelete'
+  | 'afterDelete'
+  | 'afterFind'
+
+/**
+ * @description an entry of the audit table, see history
+ */
+export type AuditEntry = {
+  id: string
+  tableName: string
+  /** the value of primary key, or a JSON object for multiple primary keys, e.g. '{"id":"1","cid":"2"}' */
+  pk: string
+  operation: 'INSERT' | 'UPDATE' | 'DELETE'
+  /** the row before the change, null for INSERT */
+  before: object | null
+  /** the row after the change, null for DELETE */
+  after: object | null
+  /** the changed fields, e.g. { name: { from: 'a', to: 'b' } } */
+  diff: { [field: string]: { from: any; to: any } }
+  actorId: string | null
+  createdAt: Date
+}
+
+/**
+ * @description a lifecycle hook, receives the input (before) or a row (after), it can mutate them in place, or throw to abort
+ */
+export type Hook = (
+  target: any,
+  context: { client?: Object; model: ModelBase }
+) => void | Promise<void>
+
+/**
+ * @description the result of paginate, in the shape of Relay connection
+ */
+export type Connection = {
+  edges: Array<{ node: any; cursor: string }>
+  pageInfo: {
+    hasNextPage: boolean
+    hasPreviousPage: boolean
+    startCursor: string | null
+    endCursor: string | null
+  }
+  /** only if withTotalCount is true */
+  totalCount?: number
+}
+
+/** the options of iterate and stream */
+export type StreamOptions = {
+  /** a filter object, e.g. { status: 'ACTIVE' } */
+  where?: WhereFilter
+  /** e.g. "employeeId" = '123' */
+  whereClause?: string
+  /** the sort fields, e.g. [{ field: 'id', sequence: 'DESC' }] */
+  orderBy?: Array<{ field: string; sequence?: 'ASC' | 'DESC' }>
+  /** which columns you want to query, default '*' */
+  selectFields?: string
+  /** the count of rows fetched at a time, default 100 */
+  batchSize?: number
+  withDeleted?: boolean
+  /** read from the primary even if there are replicas, default false */
+  usePrimary?: boolean
+  /** from pglink.session(), to read from the primary for a while after the session writes */
+  session?: ReplicaSession
+  /** the modes of the transaction of the cursor, ignored in the transaction of pglink.transaction */
+  transactionOptions?: Omit<TransactionOptions, 'retry'>
+  /** the transaction of pglink.transaction, instead of client and preserveClient */
+  transaction?: TransactionScope
+  client?: Object
+  preserveClient?: Boolean
+}
+
+/** the options of exportTo */
+export type ExportOptions = StreamOptions & {
+  /** default 'csv' */
+  format?: 'csv' | 'ndjson'
+  /** the columns to export in order, default the attributes, or the fields of the first row without attributes */
+  columns?: Array<string>
+  /** whether or not to end the stream after the last row, default true */
+  end?: boolean
+}
+
+/** the options of importFrom */
+export type ImportOptions = {
+  /** default 'csv' */
+  format?: 'csv' | 'ndjson'
+  /** the count of rows inserted at a time, default 500 */
+  batchSize?: number
+  /** 'error' fails the batch (default), 'ignore' skips the conflicting rows, 'update' updates them, or the options of upsert */
+  onConflict?:
+    | 'error'
+    | 'ignore'
+    | 'update'
+    | { conflictTarget?: ConflictTarget; updateFields?: Array<string> }
+  /** who makes the change, recorded in the audit table if audit is on */
+  actorId?: string | number
+  /** from pglink.session(), marked as written by every batch which is kept */
+  session?: ReplicaSession
+  /** the transaction of pglink.transaction, every batch runs in a savepoint of it */
+  transaction?: TransactionScope
+}
+
+/** the result of importFrom */
+export type ImportReport = {
+  inserted: number
+  /** the count of the rows updated by onConflict */
+  updated: number
+  /** the count of the rows skipped by onConflict 'ignore' */
+  skipped: number
+  /** the lines can not be parsed, validated or inserted, line is where the record starts, from 1 */
+  rejected: Array<{ line: number; message: string; error: Error }>
+}
 
 /**
  * @interface
@@ -11,24 +182,277 @@ export class ModelBase {
    * @constructor
    * @description A base class for other classes to operate CRUD
    * @param {string} tableName the name of table
-   * @param {string} pkName the name of primary key, default 'id'
+   * @param {string|Array<string>} pkName the name of primary key, default 'id', multiple primary keys are joined by comma or passed as an array
    * @param {Object} enumMapping to defined the key and value, key should be included in the fields, e.g. {role: {ADMIN: 0, USER: 1}}
+   * @param {Attributes} attributes the definitions of columns, e.g. { email: { type: DataTypes.STRING(255), allowNull: false } }
+   * @param {Array<TableIndex>} indexes the indexes of table, used in DDL, e.g. [{ fields: ['email'], unique: true }]
    * @param {Array<string>} autoSetTimeFields used to define fields that should be automatically updated with a current timestamp default from globalAutoSetTimeFields
+   * @param {boolean} paranoid soft delete, deleting sets deletedAtField to the current time, and the soft deleted rows are excluded by default
+   * @param {string} deletedAtField the column of the time of soft delete, default 'deletedAt'
+   * @param {boolean|{tableName?: string}} audit record every insert, update and delete in the audit table, default table pglink_audit
+   * @param {string} versionField the column of version for optimistic locking, e.g. 'version'
    */
   constructor(props: {
     /** the name of table */
     tableName: string
-    /** the name of primary key, default 'id' */
-    pkName?: string
+    /** the name of primary key, default 'id', e.g. 'companyId,employeeId' or ['companyId', 'employeeId'] */
+    pkName?: string | Array<string>
     /** to defined the key and value, key should be included in the fields, e.g. {role: {ADMIN: 0, USER: 1}} */
     enumMapping?: object
+    /** the definitions of columns, inputs are validated and coerced against it, e.g. { email: { type: DataTypes.STRING(255), allowNull: false } } */
+    attributes?: Attributes
+    /** the indexes of table, used in DDL, e.g. [{ fields: ['email'], unique: true }] */
+    indexes?: Array<TableIndex>
     /** used to define fields that should be automatically updated with a current timestamp default from globalAutoSetTimeFields */
     autoSetTimeFields?: Array<string>
+    /** soft delete, deleting sets deletedAtField to the current time, and the soft deleted rows are excluded by default */
+    paranoid?: boolean
+    /** the column of the time of soft delete, default 'deletedAt', it is added to attributes if missing */
+    deletedAtField?: string
+    /** record every insert, update and delete in the audit table in the same transaction, default table pglink_audit */
+    audit?: boolean | { tableName?: string }
+    /** the column of version for optimistic locking, updateByPk and multiUpdateWithConditions only update the rows of the version in params and increment it, it is added to attributes if missing */
+    versionField?: string
   })
 
   /** db operator */
   protected dataAccess: DataAccess
 
+  /** the name of primary key, multiple primary keys are joined by comma */
+  protected pkName: string
+
+  /** the columns of primary key */
+  protected pkFields: Array<string>
+
+  /** soft delete, the deleted rows are kept with a timestamp in deletedAtField */
+  protected paranoid: boolean
+
+  /** the column of the time of soft delete */
+  protected deletedAtField: string
+
+  /** record every insert, update and delete in the audit table */
+  protected audit: boolean
+
+  /** the name of the audit table */
+  protected auditTableName: string
+
+  /** the column of version for optimistic locking */
+  protected versionField?: string
+
+  /** the normalized definitions of columns, null if not provided */
+  protected attributes: {
+    [field: string]: Attribute & { type: ColumnType; allowNull: boolean }
+  } | null
+
+  /**
+   * @static
+   * @description create or alter the table of the model, see sync method
+   * @param {{force?: boolean, alter?: boolean}} options
+   */
+  static sync(options?: {
+    force?: boolean
+    alter?: boolean
+  }): Promise<Array<string>>
+
+  /**
+   * @static
+   * @description get the DDL of the model, see toDDL method
+   * @param {{force?: boolean, alter?: boolean}} options
+   */
+  static toDDL(options?: { force?: boolean; alter?: boolean }): string
+
+  /**
+   * @static
+   * @description get the audit entries of a row, see history method
+   * @param {string|number|object} pk primary key value, use object if multiple primary keys, e.g. {id: 1, cid: 2}
+   * @param {{limit?: number}} options
+   */
+  static history(
+    pk: string | number | Object,
+    options?: { limit?: number }
+  ): Promise<Array<AuditEntry>>
+
+  /**
+   * @static
+   * @description count the rows, see count method
+   */
+  static count(options?: {
+    whereClause?: string
+    where?: WhereFilter
+    field?: string
+    distinct?: boolean
+    withDeleted?: boolean
+  }): Promise<number>
+
+  /**
+   * @static
+   * @description aggregate the rows, see aggregate method
+   */
+  static aggregate(options: {
+    whereClause?: string
+    where?: WhereFilter
+    groupBy?: Array<string>
+    having?: WhereFilter
+    metrics?: { [name: string]: Metric }
+    options?: {
+      sortBy?: Array<{ field: String; sequence?: 'ASC' | 'DESC' }>
+      limit?: number
+      offset?: number
+    }
+    withDeleted?: boolean
+  }): Promise<Array<{ [field: string]: any }>>
+
+  /**
+   * @static
+   * @description check whether any row matches, see exists method
+   */
+  static exists(options?: {
+    whereClause?: string
+    where?: WhereFilter
+    withDeleted?: boolean
+  }): Promise<boolean>
+
+  /**
+   * @static
+   * @description read the rows by a server-side cursor as a Readable stream, see stream method
+   */
+  static stream(options?: StreamOptions): Readable
+
+  /**
+   * @static
+   * @description write the rows to a stream as csv or ndjson, see exportTo method
+   */
+  static exportTo(stream: Writable, options?: ExportOptions): Promise<number>
+
+  /**
+   * @static
+   * @description insert the rows of a csv or ndjson stream in batches, see importFrom method
+   */
+  static importFrom(
+    stream: Readable,
+    options?: ImportOptions
+  ): Promise<ImportReport>
+
+  /**
+   * @static
+   * @description get the loader of this model for a context, e.g. Model.loader(context).load(pk),
+   * lookups in the same tick are coalesced into one query and cached as long as the context lives
+   * @param {object} context an object lives as long as the request, e.g. the context of a GraphQL request
+   * @param {{maxBatchSize?: number, usePrimary?: boolean, session?: object}} options only used when the loader is created,
+   * usePrimary reads from the primary even if there are replicas, session is from pglink.session(), so the batches read from the primary after the request writes
+   */
+  static loader(
+    context: object,
+    options?: {
+      maxBatchSize?: number
+      usePrimary?: boolean
+      session?: { lastWriteAt: number }
+    }
+  ): Loader
+
+  /** the associations of the model, keyed by alias */
+  static associations: { [as: string]: Association }
+
+  /**
+   * @static
+   * @description declare that each row of this model has many rows of the target, e.g. UserModel.hasMany(PostModel, { foreignKey: 'userId', as: 'posts' })
+   * @param {typeof ModelBase} target the model class of related rows
+   * @param {{foreignKey: string, sourceKey?: string, as?: string}} options foreignKey is the column of target, sourceKey is the column of this model, default the primary key
+   */
+  static hasMany(
+    target: typeof ModelBase,
+    options: { foreignKey: string; sourceKey?: string; as?: string }
+  ): typeof ModelBase
+
+  /**
+   * @static
+   * @description declare that each row of this model belongs to one row of the target, e.g. PostModel.belongsTo(UserModel, { foreignKey: 'userId', as: 'author' })
+   * @param {typeof ModelBase} target the model class of related rows
+   * @param {{foreignKey: string, targetKey?: string, as?: string}} options foreignKey is the column of this model, targetKey is the column of target, default its primary key
+   */
+  static belongsTo(
+    target: typeof ModelBase,
+    options: { foreignKey: string; targetKey?: string; as?: string }
+  ): typeof ModelBase
+
+  /**
+   * @static
+   * @description declare a many-to-many association through a junction table, e.g. UserModel.manyToMany(TagModel, { through: 'user_tags', foreignKey: 'userId', otherKey: 'tagId', as: 'tags' })
+   * @param {typeof ModelBase} target the model class of related rows
+   * @param {object} options foreignKey and otherKey are the columns of junction table referencing this model and the target
+   */
+  static manyToMany(
+    target: typeof ModelBase,
+    options: {
+      through: string | typeof ModelBase
+      foreignKey: string
+      otherKey: string
+      sourceKey?: string
+      targetKey?: string
+      as?: string
+    }
+  ): typeof ModelBase
+
+  /**
+   * @static
+   * @description add an association to this model class, the subclasses inherit it
+   */
+  static addAssociation(association: Association): typeof ModelBase
+
+  /** the lifecycle hooks of the model, keyed by name */
+  static hooks: { [name: string]: Array<Hook> }
+
+  /**
+   * @static
+   * @description add a lifecycle hook to this model class, the subclasses inherit it, hooks run in the order they are added.
+   * The before hooks receive the params or each item (Insert, Update), or { pk } / { whereClause, where } (Delete),
+   * the after hooks receive each returned row, all of them run in the transaction of the writing
+   * @param {HookName} name
+   * @param {Hook} fn receives the input or a row and { client, model }, throw to abort and the transaction is rolled back
+   */
+  static addHook(name: HookName, fn: Hook): typeof ModelBase
+
+  /**
+   * @method
+   * @description get the DDL of the table from attributes, primary key, enum mapping and indexes without executing
+   * @param {object} object
+   * @param {boolean} object.force drop the table first
+   * @param {boolean} object.alter add the missing columns to an existing table
+   * @returns {string} the sql statements
+   */
+  public toDDL(object?: { force?: boolean; alter?: boolean }): string
+
+  /**
+   * @method
+   * @description create the table from attributes, primary key, enum mapping and indexes in one transaction
+   * @param {object} object
+   * @param {boolean} object.force drop the table first
+   * @param {boolean} object.alter add the missing columns to an existing table
+   * @param {object} object.client the pg client used for each query in the transaction
+   * @param {bool} object.preserveClient whether or not to skip committing the client after the transaction
+   * @returns {Array<string>} the executed sql statements
+   */
+  public sync(object?: {
+    force?: boolean
+    alter?: boolean
+    /** the modes and retry of the transaction of this query, ignored with a given client */
+    transactionOptions?: TransactionOptions
+    /** the transaction of pglink.transaction, instead of client and preserveClient */
+    transaction?: TransactionScope
+    client?: Object
+    preserveClient?: Boolean
+  }): Promise<Array<string>>
+
+  /**
+   * @method
+   * @description to generate the statements of the table, and the audit table if audit is on
+   * @param {{force?: boolean, alter?: boolean}} options force never drops the audit table
+   */
+  protected generateDDL(options?: {
+    force?: boolean
+    alter?: boolean
+  }): Array<string>
+
   /**
    * @method
    * @param {object} object
@@ -37,7 +461,9 @@ export class ModelBase {
    * @param {string} options.limit as sql string to limit the results of the queiry
    * @param {offset} options.offset an sql string to offset the results of the query
    * @param {bool} object.preserveClient whether or not to skip committing the client after the transaction
+   * @param {boolean} object.withDeleted include the soft deleted rows of a paranoid model
    * @param {function} callback Function to be run before comitting the database operation
+   * @param {Include} object.include the associations to load, e.g. ['posts']
    * @description query without conditions for one table
    */
   protected findAll(object?: {
@@ -47,32 +473,84 @@ export class ModelBase {
       offset?: String
       preserveClient?: Boolean
     }
+    include?: Include
+    withDeleted?: boolean
     callback?: Function
+    /** read from the primary even if there are replicas, default false */
+    usePrimary?: boolean
+    /** from pglink.session(), to read from the primary for a while after the session writes */
+    session?: ReplicaSession
+    /** the modes and retry of the transaction of this query, ignored with a given client */
+    transactionOptions?: TransactionOptions
+    /** the transaction of pglink.transaction, instead of client and preserveClient */
+    transaction?: TransactionScope
   }): object
 
   /**
    * @method
    * @description query by primary key for one table
    * @param {object} object
-   * @param {string|number} object.pk primary key value
+   * @param {string|number|object} object.pk primary key value, use object if multiple primary keys, e.g. {id: 1, cid: 2}
    * @param {string} object.selectFields which columns you want to query, default '*'
+   * @param {Include} object.include the associations to load, e.g. ['posts', { association: 'tags', where: { status: 'ACTIVE' } }]
+   * @param {boolean} object.withDeleted include the soft deleted rows of a paranoid model
    * @param {function} object.callback Function to be run before comitting the database operation
+   * @param {object} object.client the pg client used for each query in the transaction
    * @param {bool} object.preserveClient whether or not to skip committing the client after the transaction
    */
   protected findByPk(object: {
     pk: string | number | Object
     selectFields?: string
+    include?: Include
+    withDeleted?: boolean
     callback?: Function
+    /** read from the primary even if there are replicas, default false */
+    usePrimary?: boolean
+    /** from pglink.session(), to read from the primary for a while after the session writes */
+    session?: ReplicaSession
+    /** the modes and retry of the transaction of this query, ignored with a given client */
+    transactionOptions?: TransactionOptions
+    /** the transaction of pglink.transaction, instead of client and preserveClient */
+    transaction?: TransactionScope
+    client?: Object
     preserveClient?: Boolean
   }): object
 
+  /**
+   * @method
+   * @description check whether a row exists by primary key
+   * @param {object} object
+   * @param {string|number|object} object.pk primary key value, use object if multiple primary keys, e.g. {id: 1, cid: 2}
+   * @param {boolean} object.withDeleted include the soft deleted rows of a paranoid model
+   * @param {boolean} object.usePrimary read from the primary even if there are replicas
+   * @param {object} object.client the pg client used for each query in the transaction
+   * @param {bool} object.preserveClient whether or not to skip committing the client after the transaction
+   * @returns {boolean} exist or not
+   */
+  protected existsByPk(object: {
+    pk: string | number | Object
+    withDeleted?: boolean
+    usePrimary?: boolean
+    /** from pglink.session(), to read from the primary for a while after the session writes */
+    session?: ReplicaSession
+    /** the modes and retry of the transaction of this query, ignored with a given client */
+    transactionOptions?: TransactionOptions
+    /** the transaction of pglink.transaction, instead of client and preserveClient */
+    transaction?: TransactionScope
+    client?: Object
+    preserveClient?: Boolean
+  }): Promise<boolean>
+
   /**
    * @method
    * @description query with conditions for one table
    * @param {object} object
    * @param {string} object.whereClause e.g. "employeeId" = '123'
+   * @param {WhereFilter} object.where a filter object, e.g. { status: 'ACTIVE', age: { gte: 18 } }
    * @param {string} object.selectFields which columns you want to query, default '*'
    * @param {object} object.options may contain fields such as sortBy, offset, or limit
+   * @param {Include} object.include the associations to load, e.g. ['posts', { association: 'tags', where: { status: 'ACTIVE' } }]
+   * @param {boolean} object.withDeleted include the soft deleted rows of a paranoid model
    * @param {function} object.callback Function to be run before comitting the database operation
    * @param {bool} objerct.preserveClient whether or not to skip committing the client after the transaction
    * @param {Array<{ field: String; sequence?: 'ASC' | 'DESC' }>} options.sortBy an sql string to sort the results of the query
@@ -80,58 +558,254 @@ export class ModelBase {
    * @param {offset} options.offset an sql string to offset the results of the query
    */
   protected findByConditions(object: {
-    whereClause: string
+    whereClause?: string
+    where?: WhereFilter
     selectFields?: string
     options?: {
       sortBy?: Array<{ field: String; sequence?: 'ASC' | 'DESC' }>
       limit?: String
       offset?: String
     }
+    include?: Include
+    withDeleted?: boolean
+    /** read from the primary even if there are replicas, default false */
+    usePrimary?: boolean
+    /** from pglink.session(), to read from the primary for a while after the session writes */
+    session?: ReplicaSession
+    /** the modes and retry of the transaction of this query, ignored with a given client */
+    transactionOptions?: TransactionOptions
+    /** the transaction of pglink.transaction, instead of client and preserveClient */
+    transaction?: TransactionScope
     client?: Object
     preserveClient?: Boolean
     callback?: Function
   }): Array<Object>
 
+  /**
+   * @method
+   * @description check whether any row matches the conditions
+   * @param {object} object
+   * @param {string} object.whereClause e.g. "employeeId" = '123'
+   * @param {WhereFilter} object.where a filter object, e.g. { status: 'ACTIVE', age: { gte: 18 } }
+   * @param {boolean} object.withDeleted include the soft deleted rows of a paranoid model
+   * @returns {boolean} exist or not
+   */
+  protected exists(object?: {
+    whereClause?: string
+    where?: WhereFilter
+    withDeleted?: boolean
+    /** read from the primary even if there are replicas, default false */
+    usePrimary?: boolean
+    /** from pglink.session(), to read from the primary for a while after the session writes */
+    session?: ReplicaSession
+    /** the modes and retry of the transaction of this query, ignored with a given client */
+    transactionOptions?: TransactionOptions
+    /** the transaction of pglink.transaction, instead of client and preserveClient */
+    transaction?: TransactionScope
+    client?: Object
+    preserveClient?: Boolean
+  }): Promise<boolean>
+
+  /**
+   * @method
+   * @description count the rows matched by the conditions
+   * @param {object} object
+   * @param {string} object.whereClause e.g. "employeeId" = '123'
+   * @param {WhereFilter} object.where a filter object, e.g. { status: 'ACTIVE', age: { gte: 18 } }
+   * @param {string} object.field count the rows whose field is not null, default '*' counts all rows
+   * @param {boolean} object.distinct count the distinct values of field
+   * @param {boolean} object.withDeleted include the soft deleted rows of a paranoid model
+   * @returns {number} the count
+   */
+  protected count(object?: {
+    whereClause?: string
+    where?: WhereFilter
+    field?: string
+    distinct?: boolean
+    withDeleted?: boolean
+    /** read from the primary even if there are replicas, default false */
+    usePrimary?: boolean
+    /** from pglink.session(), to read from the primary for a while after the session writes */
+    session?: ReplicaSession
+    /** the modes and retry of the transaction of this query, ignored with a given client */
+    transactionOptions?: TransactionOptions
+    /** the transaction of pglink.transaction, instead of client and preserveClient */
+    transaction?: TransactionScope
+    client?: Object
+    preserveClient?: Boolean
+  }): Promise<number>
+
+  /**
+   * @method
+   * @description aggregate the rows matched by the conditions, grouped by fields, e.g.
+   * aggregate({ where: { status: 'PAID' }, groupBy: ['userId'], having: { total: { gt: 100 } }, metrics: { total: { sum: 'amount' } } })
+   * @param {object} object
+   * @param {string} object.whereClause e.g. "employeeId" = '123'
+   * @param {WhereFilter} object.where a filter object of the rows, e.g. { status: 'ACTIVE' }
+   * @param {Array<string>} object.groupBy the fields to group by, the enum values of them are decoded, default [] means one group of all rows
+   * @param {WhereFilter} object.having a filter object of the metrics and the groupBy fields, e.g. { total: { gt: 100 } },
+   * InvalidWhereClauseError is thrown if it has no condition, e.g. { and: [] }
+   * @param {{[name: string]: Metric}} object.metrics e.g. { total: { sum: 'amount' }, buyers: { count: 'userId', distinct: true } },
+   * count, sum and avg are numbers, min and max have the type of the field
+   * @param {object} object.options may contain fields such as sortBy, offset, or limit, sortBy can be of the groupBy fields and the metrics
+   * @param {boolean} object.withDeleted include the soft deleted rows of a paranoid model
+   * @returns {Array<object>} a row per group with the groupBy fields and the metrics
+   */
+  protected aggregate(object: {
+    whereClause?: string
+    where?: WhereFilter
+    groupBy?: Array<string>
+    having?: WhereFilter
+    metrics?: { [name: string]: Metric }
+    options?: {
+      sortBy?: Array<{ field: String; sequence?: 'ASC' | 'DESC' }>
+      limit?: number
+      offset?: number
+    }
+    withDeleted?: boolean
+    /** read from the primary even if there are replicas, default false */
+    usePrimary?: boolean
+    /** from pglink.session(), to read from the primary for a while after the session writes */
+    session?: ReplicaSession
+    /** the modes and retry of the transaction of this query, ignored with a given client */
+    transactionOptions?: TransactionOptions
+    /** the transaction of pglink.transaction, instead of client and preserveClient */
+    transaction?: TransactionScope
+    client?: Object
+    preserveClient?: Boolean
+  }): Promise<Array<{ [field: string]: any }>>
+
+  /**
+   * @method
+   * @description paginate by keyset (cursor), returns a Relay-style connection, the primary key is appended to orderBy as the tiebreaker
+   * @param {object} object
+   * @param {WhereFilter} object.where a filter object, e.g. { status: 'ACTIVE' }
+   * @param {string} object.whereClause e.g. "employeeId" = '123'
+   * @param {Array<{ field: String; sequence?: 'ASC' | 'DESC' }>} object.orderBy the sort fields, they should not be nullable
+   * @param {number} object.first the count of rows after the cursor "after"
+   * @param {string} object.after the cursor of the row to start after
+   * @param {number} object.last the count of rows before the cursor "before"
+   * @param {string} object.before the cursor of the row to end before
+   * @param {boolean} object.withTotalCount whether to count all rows matched by where
+   * @param {Include} object.include the associations to load, e.g. ['posts']
+   * @param {boolean} object.withDeleted include the soft deleted rows of a paranoid model
+   * @param {boolean} object.usePrimary read from the primary even if there are replicas
+   */
+  protected paginate(object?: {
+    where?: WhereFilter
+    whereClause?: string
+    orderBy?: Array<{ field: string; sequence?: 'ASC' | 'DESC' }>
+    first?: number
+    after?: string
+    last?: number
+    before?: string
+    withTotalCount?: boolean
+    include?: Include
+    withDeleted?: boolean
+    usePrimary?: boolean
+    /** from pglink.session(), to read from the primary for a while after the session writes */
+    session?: ReplicaSession
+    /** the modes and retry of the transaction of this query, ignored with a given client */
+    transactionOptions?: TransactionOptions
+    /** the transaction of pglink.transaction, instead of client and preserveClient */
+    transaction?: TransactionScope
+    client?: Object
+    preserveClient?: Boolean
+  }): Promise<Connection>
+
+  /**
+   * @method
+   * @description read the rows one by one by a server-side cursor, batch by batch as the consumer asks for them,
+   * so a large table is read without holding it in memory. Breaking the loop early closes the cursor and releases the client,
+   * e.g. for await (const row of user.iterate({ where: { status: 'ACTIVE' } })) { ... }
+   * @param {StreamOptions} object
+   * @returns {AsyncGenerator<object>} the rows
+   */
+  protected iterate(
+    object?: StreamOptions
+  ): AsyncGenerator<{ [field: string]: any }, void, undefined>
+
+  /**
+   * @method
+   * @description read the rows by a server-side cursor as a Readable stream in object mode, see iterate method,
+   * the next batch is fetched only when the buffer of the stream is drained, so a slow consumer holds the reading back.
+   * It is async iterable too, e.g. for await (const row of user.stream({ batchSize: 500 })) { ... },
+   * or user.stream().pipe(transform), destroying the stream closes the cursor and releases the client
+   * @param {StreamOptions} object see iterate method
+   */
+  protected stream(object?: StreamOptions): Readable
+
+  /**
+   * @method
+   * @description write the rows to a stream as csv or ndjson, read by a server-side cursor, see iterate method,
+   * the enum values are decoded, and the next row is written only when the stream is drained.
+   * The first line of csv is the header of columns, e.g. await user.exportTo(fs.createWriteStream('users.csv'))
+   * @param {Writable} stream where to write, e.g. a file or the response of a request
+   * @param {ExportOptions} object
+   * @returns {Promise<number>} the count of exported rows
+   */
+  protected exportTo(stream: Writable, object?: ExportOptions): Promise<number>
+
   /**
    * @method
    * @description insert one row
    * @param {Object} object
    * @param {Object} object.params an object includes the fields and values
+   * @param {string|number} object.actorId who makes the change, recorded in the audit table if audit is on
    * @param {function} object.callback Function to be run before comitting the database operation
    * @param {object} object.client the pg client used for each query in the transaction
    * @param {bool} object.preserveClient whether or not to skip committing the client after the transaction
    */
   protected insertOne(object: {
     params: Object
+    actorId?: string | number
     callback?: Function
+    /** from pglink.session(), marked as written after the row is inserted, so it reads the row from the primary */
+    session?: ReplicaSession
+    /** the modes and retry of the transaction of this query, ignored with a given client */
+    transactionOptions?: TransactionOptions
+    /** the transaction of pglink.transaction, instead of client and preserveClient */
+    transaction?: TransactionScope
     client?: Object
     preserveClient?: Boolean
   }): object
 
   /**
    * @method
-   * @description multiple insert
+   * @description multiple insert by multi-row VALUES statements in one transaction, the fields missing in an item take the default values of columns
    * @param {Object} object
    * @param {Array<object>} object.items the array of data to be inserted into table
-   * @param { bool } object.forceFlat force the results into a single array
+   * @param { bool } object.forceFlat return the rows in a single array, otherwise every row is wrapped in an array
+   * @param {string|number} object.actorId who makes the change, recorded in the audit table if audit is on
    * @param {function} object.callback Function to be run before comitting the database operation
    * @param {object} object.client the pg client used for each query in the transaction
    * @param {bool} object.preserveClient whether or not to skip committing the client after the transaction
+   * @returns {Array} the inserted rows in the order of items
    */
   protected multiInsert(object: {
     items: Array<object>
     forceFlat?: boolean
+    actorId?: string | number
     callback?: Function
+    /** from pglink.session(), marked as written once all items are inserted */
+    session?: ReplicaSession
+    /** the modes and retry of the transaction of this query, ignored with a given client */
+    transactionOptions?: TransactionOptions
+    /** the transaction of pglink.transaction, instead of client and preserveClient */
+    transaction?: TransactionScope
     client?: Object
     preserveClient?: Boolean
   }): Array<any>
 
   /**
    * @method
-   * @description update by primary key, but the primary key should be included in the params
+   * @description update by primary key, but the primary key should be included in the params,
+   * and the version read if the model has versionField, StaleRecordError is thrown if the row has been changed since
    * @param {Object} object
    * @param {Object} object.params an object includes the fields and values
    * @param {Array<string>} object.autoSetTimeFields Those fields need to set time automatically, should be included in params, e.g ['updatedAt']
+   * @param {boolean} object.withDeleted update the soft deleted rows of a paranoid model too
+   * @param {string|number} object.actorId who makes the change, recorded in the audit table if audit is on
    * @param {function} object.callback Function to be run before comitting the database operation
    * @param {object} object.client the pg client used for each query in the transaction
    * @param {bool} object.preserveClient whether or not to skip committing the client after the transaction
@@ -139,7 +813,15 @@ export class ModelBase {
   protected updateByPk(object: {
     params: object
     autoSetTimeFields?: Array<string>
+    withDeleted?: boolean
+    actorId?: string | number
     callback?: Function
+    /** from pglink.session(), marked as written after the row is updated, so it reads the new version from the primary */
+    session?: ReplicaSession
+    /** the modes and retry of the transaction of this query, ignored with a given client */
+    transactionOptions?: TransactionOptions
+    /** the transaction of pglink.transaction, instead of client and preserveClient */
+    transaction?: TransactionScope
     client?: Object
     preserveClient?: Boolean
   }): object
@@ -150,29 +832,44 @@ export class ModelBase {
    * @param {Object} object
    * @param {Object} object.params an object includes the fields and values
    * @param {string} object.whereClause e.g. "employeeId" = '123'
+   * @param {WhereFilter} object.where a filter object, e.g. { employeeId: '123' }
    * @param {Array<string>} object.autoSetTimeFields Those fields need to set time automatically, should be included in params, e.g ['updatedAt']
+   * @param {boolean} object.withDeleted update the soft deleted rows of a paranoid model too
+   * @param {string|number} object.actorId who makes the change, recorded in the audit table if audit is on
    * @param {function} object.callback Function to be run before comitting the database operation
    * @param {object} object.client the pg client used for each query in the transaction
    * @param {bool} object.preserveClient whether or not to skip committing the client after the transaction
    */
   protected updateByConditions(object: {
     params: object
-    whereClause: string
+    whereClause?: string
+    where?: WhereFilter
     autoSetTimeFields?: Array<string>
+    withDeleted?: boolean
+    actorId?: string | number
     callback?: Function
+    /** from pglink.session(), marked as written after the update, even if no row matches */
+    session?: ReplicaSession
+    /** the modes and retry of the transaction of this query, ignored with a given client */
+    transactionOptions?: TransactionOptions
+    /** the transaction of pglink.transaction, instead of client and preserveClient */
+    transaction?: TransactionScope
     client?: Object
     preserveClient?: Boolean
   }): object
 
   /**
    * @method
-   * @description multiple update by where conditions
+   * @description multiple update by where conditions, every item should include the version read if the model has versionField,
+   * StaleRecordError is thrown and all are rolled back if one of them updates no row
    * @param {Object} object
    * @param {Array<object>} object.items the array of data to be updated into table
    * @param {string} object.whereClause e.g. "'companyId' = $1"
    * @param {Array<string>} object.replacementFields e.g ['companyId']
    * @param {Array<string>} object.autoSetTimeFields Those fields need to set time automatically, should be included in items, e.g ['updatedAt']
    * @param { bool } object.forceFlat force the results into a single array
+   * @param {boolean} object.withDeleted update the soft deleted rows of a paranoid model too
+   * @param {string|number} object.actorId who makes the change, recorded in the audit table if audit is on
    * @param {function} object.callback Function to be run before comitting the database operation
    * @param {object} object.client the pg client used for each query in the transaction
    * @param {bool} object.preserveClient whether or not to skip committing the client after the transaction
@@ -183,29 +880,529 @@ export class ModelBase {
     replacementFields?: Array<string>
     autoSetTimeFields?: Array<string>
     forceFlat?: boolean
+    withDeleted?: boolean
+    actorId?: string | number
     callback?: Function
+    /** from pglink.session(), marked as written after all items are updated in the transaction */
+    session?: ReplicaSession
+    /** the modes and retry of the transaction of this query, ignored with a given client */
+    transactionOptions?: TransactionOptions
+    /** the transaction of pglink.transaction, instead of client and preserveClient */
+    transaction?: TransactionScope
     client?: Object
     preserveClient?: Boolean
   }): Array<any>
 
+  /**
+   * @method
+   * @description update many rows by primary key in one statement, UPDATE ... FROM (VALUES ...)
+   * @param {Object} object
+   * @param {Array<object>} object.items every item includes the primary key and the fields to update
+   * @param {Array<string>} object.fields the fields to update, default the union of fields of all items except the primary key
+   * @param {Array<string>} object.autoSetTimeFields Those fields need to set time automatically, e.g ['updatedAt']
+   * @param {boolean} object.withDeleted update the soft deleted rows of a paranoid model too
+   * @param {string|number} object.actorId who makes the change, recorded in the audit table if audit is on
+   * @param {function} object.callback Function to be run before comitting the database operation
+   * @param {object} object.client the pg client used for each query in the transaction
+   * @param {bool} object.preserveClient whether or not to skip committing the client after the transaction
+   * @returns {Array<object>} the updated rows in the order of items, the items not found are not returned
+   */
+  protected bulkUpdateByPk(object: {
+    items: Array<object>
+    fields?: Array<string>
+    autoSetTimeFields?: Array<string>
+    withDeleted?: boolean
+    actorId?: string | number
+    callback?: Function
+    /** from pglink.session(), marked as written after the UPDATE ... FROM statement succeeds */
+    session?: ReplicaSession
+    /** the modes and retry of the transaction of this query, ignored with a given client */
+    transactionOptions?: TransactionOptions
+    /** the transaction of pglink.transaction, instead of client and preserveClient */
+    transaction?: TransactionScope
+    client?: Object
+    preserveClient?: Boolean
+  }): Promise<Array<object>>
+
+  /**
+   * @method
+   * @description insert a row, or update it if it conflicts (INSERT ... ON CONFLICT)
+   * @param {Object} object
+   * @param {Object} object.params an object includes the fields and values
+   * @param {ConflictTarget} object.conflictTarget the conflict columns or a named constraint, default the primary key
+   * @param {Array<string>} object.updateFields the fields to update on conflict, default the given fields except the conflict columns, [] means DO NOTHING,
+   * the version of a model with versionField is incremented on conflict, and a soft deleted row of a paranoid model is restored
+   * @param {Array<string>} object.autoSetTimeFields Those fields are set to the current time on conflict, e.g ['updatedAt']
+   * @param {string|number} object.actorId who makes the change, recorded in the audit table if audit is on
+   * @param {function} object.callback Function to be run before comitting the database operation
+   * @returns {{row: object|null, inserted: boolean}} row is null if it is skipped by DO NOTHING
+   */
+  protected upsert(object: {
+    params: Object
+    conflictTarget?: ConflictTarget
+    updateFields?: Array<string>
+    autoSetTimeFields?: Array<string>
+    actorId?: string | number
+    callback?: Function
+    /** from pglink.session(), marked as written after the statement, even if the row is skipped by DO NOTHING */
+    session?: ReplicaSession
+    /** the modes and retry of the transaction of this query, ignored with a given client */
+    transactionOptions?: TransactionOptions
+    /** the transaction of pglink.transaction, instead of client and preserveClient */
+    transaction?: TransactionScope
+    client?: Object
+    preserveClient?: Boolean
+  }): Promise<{ row: any | null; inserted: boolean }>
+
+  /**
+   * @method
+   * @description insert rows in one statement, or update them if they conflict (INSERT ... ON CONFLICT)
+   * @param {Object} object
+   * @param {Array<object>} object.items the rows with the same fields
+   * @param {ConflictTarget} object.conflictTarget the conflict columns or a named constraint, default the primary key
+   * @param {Array<string>} object.updateFields the fields to update on conflict, default the given fields except the conflict columns, [] means DO NOTHING,
+   * the version of a model with versionField is incremented on conflict, and a soft deleted row of a paranoid model is restored
+   * @param {Array<string>} object.autoSetTimeFields Those fields are set to the current time on conflict, e.g ['updatedAt']
+   * @param {string|number} object.actorId who makes the change, recorded in the audit table if audit is on
+   * @param {function} object.callback Function to be run before comitting the database operation
+   * @returns {Array<{row: object, inserted: boolean}>} the rows skipped by DO NOTHING are not returned
+   */
+  protected multiUpsert(object: {
+    items: Array<Object>
+    conflictTarget?: ConflictTarget
+    updateFields?: Array<string>
+    autoSetTimeFields?: Array<string>
+    actorId?: string | number
+    callback?: Function
+    /** from pglink.session(), marked as written after the statement, whether the rows are inserted, updated or skipped */
+    session?: ReplicaSession
+    /** the modes and retry of the transaction of this query, ignored with a given client */
+    transactionOptions?: TransactionOptions
+    /** the transaction of pglink.transaction, instead of client and preserveClient */
+    transaction?: TransactionScope
+    client?: Object
+    preserveClient?: Boolean
+  }): Promise<Array<{ row: any; inserted: boolean }>>
+
+  /**
+   * @method
+   * @description to get the columns an upsert conflicts on, the primary key for a named constraint
+   * @param {ConflictTarget} conflictTarget see upsert method
+   */
+  protected conflictFields(conflictTarget?: ConflictTarget): Array<string>
+
+  /**
+   * @method
+   * @description to get the default fields an upsert updates on conflict, the fields given in the item except the conflict columns,
+   * so the columns filled by the defaults of attributes and the version are not overwritten
+   * @param {object} item an item to upsert, every item has the same fields
+   * @param {ConflictTarget} conflictTarget see upsert method
+   */
+  protected upsertFields(
+    item: object,
+    conflictTarget?: ConflictTarget
+  ): Array<string>
+
+  /**
+   * @method
+   * @description to get the conditions of the rows which the items of an upsert may conflict with, to read them for the audit table,
+   * by the conflict columns, or the primary key for a named constraint, the items without all of the fields are skipped
+   * @param {Array<object>} items the rows to upsert
+   * @param {ConflictTarget} conflictTarget see upsert method
+   */
+  protected conflictFilters(
+    items: Array<object>,
+    conflictTarget?: ConflictTarget
+  ): Array<{ where: WhereFilter }>
+
+  /**
+   * @method
+   * @description insert the rows of a csv or ndjson stream in batches, every batch in a transaction (a savepoint in the given transaction).
+   * The values are coerced against attributes and the enum values are encoded, a line can not be parsed or validated is rejected
+   * and the others go on, if a batch fails, its lines are all rejected with the error, and the batches before it are kept.
+   * The first line of csv is the header of columns, an empty field is null, and a quoted empty one ("") is an empty string
+   * @param {Readable} stream where to read, e.g. fs.createReadStream('users.csv')
+   * @param {ImportOptions} object with onConflict other than 'error', a batch is cut where the fields of rows change too
+   */
+  protected importFrom(
+    stream: Readable,
+    object?: ImportOptions
+  ): Promise<ImportReport>
+
+  /**
+   * @method
+   * @description delete by primary key
+   * @param {object} object
+   * @param {string|number|object} object.pk primary key value, use object if multiple primary keys, e.g. {id: 1, cid: 2}
+   * @param {boolean} object.forceDelete delete the row of a paranoid model permanently, even if it is soft deleted
+   * @param {string|number} object.actorId who makes the change, recorded in the audit table if audit is on
+   * @param {function} object.callback Function to be run before comitting the database operation
+   * @param {object} object.client the pg client used for each query in the transaction
+   * @param {bool} object.preserveClient whether or not to skip committing the client after the transaction
+   */
+  protected deleteByPk(object: {
+    pk: string | number | Object
+    forceDelete?: boolean
+    actorId?: string | number
+    callback?: Function
+    /** from pglink.session(), marked as written after the delete, so a read of the row goes to the primary */
+    session?: ReplicaSession
+    /** the modes and retry of the transaction of this query, ignored with a given client */
+    transactionOptions?: TransactionOptions
+    /** the transaction of pglink.transaction, instead of client and preserveClient */
+    transaction?: TransactionScope
+    client?: Object
+    preserveClient?: Boolean
+  }): object
+
   /**
    * @method
    * @description delete by where conditions
    * @param {object} object
    * @param {string} object.whereClause e.g. "employeeId" = '123'
+   * @param {WhereFilter} object.where a filter object, e.g. { employeeId: '123' }
    * @param {boolean} object.returnSingleRecord whether or not to only return one record
+   * @param {boolean} object.forceDelete delete the rows of a paranoid model permanently, including the soft deleted ones
+   * @param {string|number} object.actorId who makes the change, recorded in the audit table if audit is on
    * @param {function} object.callback Function to be run before comitting the database operation
    * @param {object} object.client the pg client used for each query in the transaction
    * @param {bool} object.preserveClient whether or not to skip committing the client after the transaction
    */
   protected deleteByConditions(object: {
-    whereClause: string
+    whereClause?: string
+    where?: WhereFilter
     returnSingleRecord?: boolean
+    forceDelete?: boolean
+    actorId?: string | number
     callback?: Function
+    /** from pglink.session(), marked as written after the delete, soft or not */
+    session?: ReplicaSession
+    /** the modes and retry of the transaction of this query, ignored with a given client */
+    transactionOptions?: TransactionOptions
+    /** the transaction of pglink.transaction, instead of client and preserveClient */
+    transaction?: TransactionScope
     client?: Object
     preserveClient?: Boolean
   }): object
 
+  /**
+   * @method
+   * @description restore the soft deleted rows of a paranoid model, by primary key or where conditions
+   * @param {object} object
+   * @param {string|number|object} object.pk primary key value, use object if multiple primary keys, e.g. {id: 1, cid: 2}
+   * @param {string} object.whereClause e.g. "employeeId" = '123'
+   * @param {WhereFilter} object.where a filter object, e.g. { employeeId: '123' }
+   * @param {Array<string>} object.autoSetTimeFields Those fields need to set time automatically, e.g ['updatedAt']
+   * @param {string|number} object.actorId who makes the change, recorded in the audit table if audit is on
+   * @param {function} object.callback Function to be run before comitting the database operation
+   * @param {object} object.client the pg client used for each query in the transaction
+   * @param {bool} object.preserveClient whether or not to skip committing the client after the transaction
+   * @returns {Array<object>} the restored rows
+   */
+  protected restore(object: {
+    pk?: string | number | Object
+    whereClause?: string
+    where?: WhereFilter
+    autoSetTimeFields?: Array<string>
+    actorId?: string | number
+    callback?: Function
+    /** from pglink.session(), marked as written after the rows are restored */
+    session?: ReplicaSession
+    /** the modes and retry of the transaction of this query, ignored with a given client */
+    transactionOptions?: TransactionOptions
+    /** the transaction of pglink.transaction, instead of client and preserveClient */
+    transaction?: TransactionScope
+    client?: Object
+    preserveClient?: Boolean
+  }): Promise<Array<object>>
+
+  /**
+   * @method
+   * @description get the audit entries of a row in the order of changes, the model should be with audit
+   * @param {object} object
+   * @param {string|number|object} object.pk primary key value, use object if multiple primary keys, e.g. {id: 1, cid: 2}
+   * @param {number} object.limit the max count of entries
+   * @param {object} object.client the pg client used for each query in the transaction
+   * @param {bool} object.preserveClient whether or not to skip committing the client after the transaction
+   */
+  protected history(object: {
+    pk: string | number | Object
+    limit?: number
+    /** the modes and retry of the transaction of this query, ignored with a given client */
+    transactionOptions?: TransactionOptions
+    /** the transaction of pglink.transaction, instead of client and preserveClient */
+    transaction?: TransactionScope
+    client?: Object
+    preserveClient?: Boolean
+  }): Promise<Array<AuditEntry>>
+
+  /**
+   * @method
+   * @description to load the included associations into the rows, one batched query per association (two for manyToMany)
+   * @param {Array|Object} rows the formatted output
+   * @param {Include} include e.g. ['posts', { association: 'tags', where, selectFields, sortBy, include, withDeleted }]
+   * @param {{client?: object, preserveClient?: boolean, usePrimary?: boolean, session?: ReplicaSession}} options the client is only reused while it is preserved,
+   * otherwise usePrimary and session choose where to read, see DataAccess.ReadPool
+   */
+  protected loadAssociations(
+    rows: Array<any> | object,
+    include?: Include,
+    options?: {
+      client?: Object
+      preserveClient?: Boolean
+      usePrimary?: boolean
+      session?: ReplicaSession
+    }
+  ): Promise<Array<any> | object>
+
+  /**
+   * @method
+   * @description to run the hooks of a name one by one, for every target in order
+   * @param {HookName} name e.g. 'beforeInsert'
+   * @param {Array<object>} targets the inputs or rows
+   * @param {object} client the client of the transaction, if any
+   */
+  protected runHooks(
+    name: HookName,
+    targets: Array<any>,
+    client?: Object
+  ): Promise<void>
+
+  /**
+   * @method
+   * @description to run a writing with its before and after hooks in one transaction,
+   * the hooks get the client, and the transaction is rolled back if one throws,
+   * the changed rows are recorded in the audit table in the same transaction if audit is on
+   * @param {object} options inputs are passed to the before hooks, they are read by run after the hooks, Upsert runs the beforeInsert hooks,
+   * and the afterInsert or afterUpdate hooks of every row by whether it is inserted, run returns [{ row, inserted }] for it,
+   * audit.filters returns the conditions of the writing to read the rows before it, called after the before hooks,
+   * transactionOptions are used if the transaction begins here, with retry, the hooks run again too on the inputs as they were given,
+   * a given client is begun, committed or rolled back here like Transaction does unless preserveClient is true,
+   * and released after committing if no other transaction holds it, session is marked as written after run succeeds
+   * @param {function} run receives { client, preserveClient, transactionOptions } and returns the formatted result
+   */
+  protected withHooks<T>(
+    options: {
+      event: 'Insert' | 'Update' | 'Delete' | 'Upsert'
+      inputs: Array<any>
+      client?: Object
+      preserveClient?: Boolean
+      transactionOptions?: TransactionOptions
+      session?: ReplicaSession
+      audit?: {
+        actorId?: string | number
+        filters?: () => Array<{ whereClause?: string; where?: WhereFilter }>
+      }
+    },
+    run: (clientArgs: {
+      client?: Object
+      preserveClient?: Boolean
+      transactionOptions?: TransactionOptions
+    }) => Promise<T>
+  ): Promise<T>
+
+  /**
+   * @method
+   * @description to group the rows in the result of a writing by what happened to them
+   * @param {'Insert'|'Update'|'Delete'|'Upsert'} event the event of withHooks
+   * @param {Array|Object} res the formatted output, [{ row, inserted }] for Upsert
+   */
+  protected changesOf(
+    event: 'Insert' | 'Update' | 'Delete' | 'Upsert',
+    res: Array<any> | object
+  ): Array<{ event: 'Insert' | 'Update' | 'Delete'; rows: Array<object> }>
+
+  /**
+   * @method
+   * @description to read and lock the rows to be changed, so they can be compared in the audit table
+   * @param {Array<{whereClause?: string, where?: WhereFilter}>} filters the conditions of the writing
+   * @param {object} client the client of the transaction
+   */
+  protected readForAudit(
+    filters: Array<{ whereClause?: string; where?: WhereFilter }>,
+    client: Object
+  ): Promise<Array<object>>
+
+  /**
+   * @method
+   * @description to insert the audit entries of the changed rows, with the diff of every row
+   * @param {object} args previous are the rows before the writing, rows are the rows returned by it
+   */
+  protected writeAudit(args: {
+    operation: 'INSERT' | 'UPDATE' | 'DELETE'
+    previous: Array<object>
+    rows: Array<object>
+    actorId?: string | number
+    client: Object
+  }): Promise<void>
+
+  /**
+   * @method
+   * @description to get the primary key of a row in the audit table, the value for a single primary key,
+   * or a JSON object for multiple primary keys, e.g. '1' or '{"id":"1","cid":"2"}'
+   * @param {object} row a row or an object includes the primary key
+   */
+  protected auditKey(row: object): string
+
+  /**
+   * @method
+   * @description to compare two versions of a row, e.g. { name: { from: 'a', to: 'b' } }
+   * @param {object|null} before the row before the writing, null for inserting
+   * @param {object|null} after the row after the writing, null for deleting
+   */
+  protected diffRows(
+    before: object | null,
+    after: object | null
+  ): { [field: string]: { from: any; to: any } }
+
+  /**
+   * @method
+   * @description to collect the rows in a result, e.g. the nested arrays of multiInsert, empty objects are skipped
+   * @param {Array|Object} res the formatted output
+   */
+  protected rowsOf(res: Array<any> | object): Array<object>
+
+  /**
+   * @method
+   * @description to run the afterFind hooks on the rows of a result
+   * @param {Array|Object} res the formatted output
+   * @param {{client?: object, preserveClient?: boolean}} options the client is only passed while it is preserved
+   */
+  protected runAfterFind<T>(
+    res: T,
+    options?: { client?: Object; preserveClient?: Boolean }
+  ): Promise<T>
+
+  /**
+   * @method
+   * @description to encode enum and validate the input before writing
+   * @param {Object} params the input request
+   * @param {{isNew?: boolean}} options isNew means a new row, so default values are filled and required fields are checked
+   */
+  protected formatInput(params: object, options?: { isNew?: boolean }): object
+
+  /**
+   * @method
+   * @description to coerce and decode enum for the output
+   * @param {Array|Object} res the response from postgres
+   */
+  protected formatOutput(res: Array<any> | object): Array<any> | object
+
+  /**
+   * @method
+   * @description to validate and coerce the input against attributes, unknown columns are rejected
+   * @param {Object} params the input request, enum should be encoded already
+   * @param {{isNew?: boolean}} options isNew means a new row, so default values are filled and required fields are checked
+   * @returns {Object} a new object with coerced values
+   */
+  protected validateParams(
+    params: object,
+    options?: { isNew?: boolean }
+  ): object
+
+  /**
+   * @method
+   * @description to split the rows of upsert into the formatted row and whether it is inserted
+   * @param {Array<object>} res the rows with "pglink_inserted"
+   */
+  protected formatUpsertOutput(
+    res: Array<object>
+  ): Array<{ row: any; inserted: boolean }>
+
+  /**
+   * @method
+   * @description to coerce the output against attributes, e.g. BIGINT strings to numbers
+   * @param {Array|Object} args the output response
+   */
+  protected parseOutput(args: Array<any> | object): Array<any> | object
+
+  /**
+   * @method
+   * @description to convert a record of importFrom to a row, the fields of JSON, JSONB and ARRAY are parsed from csv,
+   * throws if the count of csv values does not match the header, or an enum value is unknown
+   * @param {Array<string|null>|object} values the values of csv, or the object of ndjson
+   * @param {Array<string>} header the columns of csv, null for ndjson
+   */
+  protected parseImportRecord(
+    values: Array<string | null> | object,
+    header: Array<string> | null
+  ): object
+
+  /**
+   * @method
+   * @description to format a row of aggregate, the groupBy fields are formatted as the output of rows,
+   * min and max are parsed as their fields, and the other metrics are cast to numbers
+   * @param {object} row the raw row
+   * @param {Array<string>} groupBy the fields to group by
+   * @param {{[name: string]: Metric}} metrics e.g. { total: { sum: 'amount' } }
+   */
+  protected formatAggregateRow(
+    row: object,
+    groupBy: Array<string>,
+    metrics: { [name: string]: Metric }
+  ): object
+
+  /**
+   * @method
+   * @description to validate the sort fields and append the primary key as the tiebreaker
+   */
+  protected getSortKeys(
+    orderBy?: Array<{ field: string; sequence?: 'ASC' | 'DESC' }>
+  ): Array<{ field: string; sequence: 'ASC' | 'DESC' }>
+
+  /**
+   * @method
+   * @description to encode the values of sort fields of a row to an opaque cursor,
+   * the values are the text of the columns selected by paginate, so they compare with the columns exactly
+   * @param {object} row the raw row with the text of every sort field, e.g. { pglink_cursor_0: '2020-01-01 00:00:00.123456+00' }
+   */
+  protected encodeCursor(
+    row: object,
+    sortBy: Array<{ field: string; sequence: 'ASC' | 'DESC' }>
+  ): string
+
+  /**
+   * @method
+   * @description to decode the values of sort fields from a cursor, it should be created with the same sort fields
+   */
+  protected decodeCursor(
+    cursor: string,
+    sortBy: Array<{ field: string; sequence: 'ASC' | 'DESC' }>
+  ): Array<any>
+
+  /**
+   * @method
+   * @description to build a filter object which matches one row by primary key
+   * @param {string|number|object} pk primary key value, use object if multiple primary keys, e.g. {id: 1, cid: 2}
+   */
+  protected getPkFilter(pk: string | number | Object): WhereFilter
+
+  /**
+   * @method
+   * @description to encode a single value of a field from enum to integer
+   * @param {string} field the field name
+   * @param {any} value e.g. 'ADMIN'
+   */
+  protected encodeEnumValue(field: string, value: any): any
+
+  /**
+   * @method
+   * @description to encode a filter object, and exclude the soft deleted rows if the model is paranoid
+   * @param {WhereFilter} where the filter object
+   * @param {{withDeleted?: boolean}} options withDeleted keeps the soft deleted rows
+   */
+  protected scopeWhere(
+    where?: WhereFilter,
+    options?: { withDeleted?: boolean }
+  ): WhereFilter | undefined
+
+  /**
+   * @method
+   * @description to encode the values in a filter object from enum to integer
+   * @param {WhereFilter} where the filter object
+   */
+  protected encodeWhere(where?: WhereFilter): WhereFilter | undefined
+
   /**
    * @method
    * @description to encode value from enum to integer
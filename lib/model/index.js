@@ -1,3 +1,74 @@
+const { Readable } = require('stream')
+const { once } = require('events')
+const { MapFilterValues, QuoteIdentifier } = require('../core/filter')
+const { DataType, NormalizeAttributes } = require('../dataType')
+const { Loader } = require('./loader')
+const {
+  CheckTransferFormat,
+  FormatCsvRecord,
+  ReadRecords
+} = require('./transfer')
+
+// the loaders of each context, e.g. a GraphQL request, dropped with the context
+const contextLoaders = new WeakMap()
+
+// the alias of the text of a sort field selected by paginate, which the cursor keeps
+const cursorColumn = (index) => `pglink_cursor_${index}`
+
+// the names of lifecycle hooks, see addHook
+const hookNames = [
+  'beforeInsert',
+  'afterInsert',
+  'beforeUpdate',
+  'afterUpdate',
+  'beforeDelete',
+  'afterDelete',
+  'afterFind'
+]
+
+// the columns of the audit table, shared by all models with audit
+const auditAttributes = {
+  id: { type: DataType.BIGINT, primaryKey: true, autoIncrement: true },
+  tableName: { type: DataType.TEXT, allowNull: false },
+  pk: { type: DataType.TEXT, allowNull: false },
+  operation: { type: DataType.TEXT, allowNull: false },
+  before: DataType.JSONB,
+  after: DataType.JSONB,
+  diff: DataType.JSONB,
+  actorId: DataType.TEXT,
+  createdAt: {
+    type: DataType.DATE,
+    allowNull: false,
+    defaultValue: DataType.NOW
+  }
+}
+
+const isPlainObject = (value) =>
+  Object.prototype.toString.call(value) === '[object Object]'
+
+// a copy of an input of hooks, the arrays and plain objects in it are copied too, the other values are shared
+const cloneInput = (value) => {
+  if (Array.isArray(value)) return value.map(cloneInput)
+  if (!isPlainObject(value)) return value
+  const copy = {}
+  Object.keys(value).forEach((key) => {
+    copy[key] = cloneInput(value[key])
+  })
+  return copy
+}
+
+// put an input of hooks back to its copy, in place, since the writing reads the same object
+const restoreInput = (input, original) => {
+  if (Array.isArray(input)) {
+    input.splice(0, input.length, ...cloneInput(original))
+    return
+  }
+  Object.keys(input).forEach((key) => {
+    delete input[key]
+  })
+  Object.assign(input, cloneInput(original))
+}
+
 const ModelImpl = (dataAccess, globalAutoSetTimeFields) =>
   /**
    * @class
@@ -8,14 +79,20 @@ const ModelImpl = (dataAccess, globalAutoSetTimeFields) =>
     /**
      * @constructor
      * @description A base class for other classes to operate CRUD
-     * @param {{tableName: string, pkName?: string, enumMapping?: object, autoSetTimeFields?: Array<string>}} args
+     * @param {{tableName: string, pkName?: string|Array<string>, enumMapping?: object, attributes?: object, indexes?: Array<object>, autoSetTimeFields?: Array<string>, paranoid?: boolean, deletedAtField?: string, audit?: boolean|{tableName?: string}, versionField?: string}} args
      */
     constructor(args) {
       const {
         tableName,
-        pkName = 'id',
+        pkName,
         enumMapping,
-        autoSetTimeFields = globalAutoSetTimeFields // v0.1.8 for whole model to use
+        attributes,
+        indexes = [],
+        autoSetTimeFields = globalAutoSetTimeFields, // v0.1.8 for whole model to use
+        paranoid = false,
+        deletedAtField = 'deletedAt',
+        audit = false,
+        versionField
       } = args
       /**
        * @member
@@ -24,19 +101,80 @@ const ModelImpl = (dataAccess, globalAutoSetTimeFields) =>
       this.tableName = tableName
       /**
        * @member
-       * @description the name of primary key
+       * @description the definitions of columns, inputs are validated and coerced against it if provided
+       */
+      // the columns of soft delete and version are declared implicitly
+      const declared = { ...attributes }
+      if (paranoid && !declared[deletedAtField]) {
+        declared[deletedAtField] = DataType.DATE
+      }
+      if (versionField && !declared[versionField]) {
+        declared[versionField] = {
+          type: DataType.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        }
+      }
+      this.attributes = attributes ? NormalizeAttributes(declared) : null
+      // without pkName, the primary key comes from attributes, default 'id'
+      const attributePks = this.attributes
+        ? Object.keys(this.attributes).filter(
+            (f) => this.attributes[f].primaryKey
+          )
+        : []
+      /**
+       * @member
+       * @description the columns of primary key
+       */
+      this.pkFields = dataAccess.ParsePkName(
+        pkName || (attributePks.length > 0 ? attributePks : 'id')
+      )
+      /**
+       * @member
+       * @description the name of primary key, multiple primary keys are joined by comma
        */
-      this.pkName = pkName
+      this.pkName = this.pkFields.join(',')
       /**
        * @member
        * @description the mapping for enum
        */
       this.enumMapping = enumMapping
+      /**
+       * @member
+       * @description the indexes of table, used in DDL, e.g. [{ fields: ['email'], unique: true }]
+       */
+      this.indexes = indexes
       /**
        * @member
        * @description array of column names that should be automatically updated with a current timestamp
        */
       this.autoSetTimeFields = autoSetTimeFields
+      /**
+       * @member
+       * @description soft delete, the deleted rows are kept with a timestamp in deletedAtField and excluded by default
+       */
+      this.paranoid = paranoid
+      /**
+       * @member
+       * @description the column of the time of soft delete
+       */
+      this.deletedAtField = deletedAtField
+      /**
+       * @member
+       * @description record every insert, update and delete in the audit table, in the transaction of the writing
+       */
+      this.audit = !!audit
+      /**
+       * @member
+       * @description the name of the audit table, default pglink_audit
+       */
+      this.auditTableName = (audit && audit.tableName) || 'pglink_audit'
+      /**
+       * @member
+       * @description the column of version for optimistic locking, updateByPk and multiUpdateWithConditions
+       * only update the rows of the version in params, and increment it
+       */
+      this.versionField = versionField
       /**
        * @member
        * @description the database operator
@@ -44,6 +182,295 @@ const ModelImpl = (dataAccess, globalAutoSetTimeFields) =>
       this.dataAccess = dataAccess
     }
 
+    /**
+     * @static
+     * @description create or alter the table of the model, see sync method
+     * @param {{force?: boolean, alter?: boolean}} options
+     */
+    static sync(options) {
+      return new this().sync(options)
+    }
+
+    /**
+     * @static
+     * @description get the DDL of the model, see toDDL method
+     * @param {{force?: boolean, alter?: boolean}} options
+     */
+    static toDDL(options) {
+      return new this().toDDL(options)
+    }
+
+    /**
+     * @static
+     * @description get the audit entries of a row, see history method
+     * @param {string|number|object} pk primary key value, use object if multiple primary keys, e.g. {id: 1, cid: 2}
+     * @param {{limit?: number}} options
+     */
+    static history(pk, options) {
+      return new this().history({ ...options, pk })
+    }
+
+    /**
+     * @static
+     * @description count the rows, see count method
+     * @param {{whereClause?: string, where?: object, field?: string, distinct?: boolean, withDeleted?: boolean}} options
+     */
+    static count(options) {
+      return new this().count(options)
+    }
+
+    /**
+     * @static
+     * @description aggregate the rows, see aggregate method
+     * @param {{whereClause?: string, where?: object, groupBy?: Array<string>, having?: object, metrics?: object, options?: object, withDeleted?: boolean}} options
+     */
+    static aggregate(options) {
+      return new this().aggregate(options)
+    }
+
+    /**
+     * @static
+     * @description check whether any row matches, see exists method
+     * @param {{whereClause?: string, where?: object, withDeleted?: boolean}} options
+     */
+    static exists(options) {
+      return new this().exists(options)
+    }
+
+    /**
+     * @static
+     * @description read the rows by a server-side cursor as a Readable stream, see stream method
+     * @param {{where?: object, whereClause?: string, orderBy?: Array<object>, selectFields?: string, batchSize?: number, withDeleted?: boolean}} options
+     */
+    static stream(options) {
+      return new this().stream(options)
+    }
+
+    /**
+     * @static
+     * @description write the rows to a stream as csv or ndjson, see exportTo method
+     * @param {Writable} stream
+     * @param {{format?: string, where?: object, whereClause?: string, columns?: Array<string>, orderBy?: Array<object>, batchSize?: number, withDeleted?: boolean, end?: boolean}} options
+     */
+    static exportTo(stream, options) {
+      return new this().exportTo(stream, options)
+    }
+
+    /**
+     * @static
+     * @description insert the rows of a csv or ndjson stream in batches, see importFrom method
+     * @param {Readable} stream
+     * @param {{format?: string, batchSize?: number, onConflict?: string|object}} options
+     */
+    static importFrom(stream, options) {
+      return new this().importFrom(stream, options)
+    }
+
+    /**
+     * @static
+     * @description get the loader of this model for a context, e.g. Model.loader(context).load(pk),
+     * lookups in the same tick are coalesced into one query and cached as long as the context lives
+     * @param {object} context an object lives as long as the request, e.g. the context of a GraphQL request
+     * @param {{maxBatchSize?: number, usePrimary?: boolean, session?: object}} options only used when the loader is created,
+     * usePrimary reads from the primary even if there are replicas, session is from pglink.session(), so the batches read from the primary after the request writes
+     * @returns {Loader}
+     */
+    static loader(context, options) {
+      if (!context || typeof context !== 'object') {
+        throw new Error(
+          '"context" of loader should be an object, e.g. the context of a GraphQL request'
+        )
+      }
+      if (!contextLoaders.has(context)) contextLoaders.set(context, new Map())
+      const loaders = contextLoaders.get(context)
+      if (!loaders.has(this)) loaders.set(this, new Loader(new this(), options))
+      return loaders.get(this)
+    }
+
+    /**
+     * @static
+     * @description declare that each row of this model has many rows of the target, e.g. UserModel.hasMany(PostModel, { foreignKey: 'userId', as: 'posts' })
+     * @param {typeof ModelBase} target the model class of related rows
+     * @param {{foreignKey: string, sourceKey?: string, as?: string}} options foreignKey is the column of target, sourceKey is the column of this model, default the primary key
+     */
+    static hasMany(target, { foreignKey, sourceKey, as } = {}) {
+      return this.addAssociation({
+        type: 'hasMany',
+        target,
+        foreignKey,
+        sourceKey,
+        as
+      })
+    }
+
+    /**
+     * @static
+     * @description declare that each row of this model belongs to one row of the target, e.g. PostModel.belongsTo(UserModel, { foreignKey: 'userId', as: 'author' })
+     * @param {typeof ModelBase} target the model class of related rows
+     * @param {{foreignKey: string, targetKey?: string, as?: string}} options foreignKey is the column of this model, targetKey is the column of target, default its primary key
+     */
+    static belongsTo(target, { foreignKey, targetKey, as } = {}) {
+      return this.addAssociation({
+        type: 'belongsTo',
+        target,
+        foreignKey,
+        targetKey,
+        as
+      })
+    }
+
+    /**
+     * @static
+     * @description declare a many-to-many association through a junction table, e.g. UserModel.manyToMany(TagModel, { through: 'user_tags', foreignKey: 'userId', otherKey: 'tagId', as: 'tags' })
+     * @param {typeof ModelBase} target the model class of related rows
+     * @param {{through: string|typeof ModelBase, foreignKey: string, otherKey: string, sourceKey?: string, targetKey?: string, as?: string}} options
+     * foreignKey and otherKey are the columns of junction table referencing this model and the target
+     */
+    static manyToMany(
+      target,
+      { through, foreignKey, otherKey, sourceKey, targetKey, as } = {}
+    ) {
+      if (!through || !otherKey) {
+        throw new Error('"through" and "otherKey" of manyToMany are required')
+      }
+      return this.addAssociation({
+        type: 'manyToMany',
+        target,
+        through,
+        foreignKey,
+        otherKey,
+        sourceKey,
+        targetKey,
+        as
+      })
+    }
+
+    /**
+     * @static
+     * @description add an association to this model class, the subclasses inherit it
+     * @param {object} association
+     */
+    static addAssociation(association) {
+      const { type, target, foreignKey } = association
+      if (
+        typeof target !== 'function' ||
+        !(target.prototype instanceof ModelBase)
+      ) {
+        throw new Error(`The target of ${type} should be a class extends Model`)
+      }
+      if (!foreignKey) {
+        throw new Error(`"foreignKey" of ${type} is required`)
+      }
+      const as = association.as || new target().tableName
+      /**
+       * @static
+       * @description the associations of the model, keyed by alias
+       */
+      this.associations = {
+        ...this.associations,
+        [as]: { ...association, as }
+      }
+      return this
+    }
+
+    /**
+     * @static
+     * @description add a lifecycle hook to this model class, the subclasses inherit it, hooks run in the order they are added
+     * @param {string} name beforeInsert, afterInsert, beforeUpdate, afterUpdate, beforeDelete, afterDelete or afterFind
+     * @param {function} fn receives the input (before) or a row (after) and { client, model }, it can mutate them in place,
+     * or throw to abort, and the transaction is rolled back
+     */
+    static addHook(name, fn) {
+      if (!hookNames.includes(name)) {
+        throw new Error(
+          `Unknown hook "${name}", expected one of ${hookNames.join(', ')}`
+        )
+      }
+      if (typeof fn !== 'function') {
+        throw new Error(`The hook "${name}" should be a function`)
+      }
+      const hooks = this.hooks || {}
+      /**
+       * @static
+       * @description the lifecycle hooks of the model, keyed by name
+       */
+      this.hooks = { ...hooks, [name]: (hooks[name] || []).concat(fn) }
+      return this
+    }
+
+    /**
+     * @method
+     * @description get the DDL of the table from attributes, primary key, enum mapping and indexes without executing
+     * @param {object} object
+     * @param {boolean} object.force drop the table first
+     * @param {boolean} object.alter add the missing columns to an existing table
+     * @returns {string} the sql statements
+     */
+    toDDL({ force, alter } = {}) {
+      return this.generateDDL({ force, alter })
+        .map((sql) => `${sql};`)
+        .join('\n')
+    }
+
+    /**
+     * @method
+     * @description create the table from attributes, primary key, enum mapping and indexes in one transaction
+     * @param {object} object
+     * @param {boolean} object.force drop the table first
+     * @param {boolean} object.alter add the missing columns to an existing table
+     * @returns {Array<string>} the executed sql statements
+     */
+    async sync({
+      force,
+      alter,
+      transactionOptions,
+      transaction,
+      client = transaction && transaction.client,
+      preserveClient = !!transaction
+    } = {}) {
+      try {
+        const statements = this.generateDDL({ force, alter })
+        await this.dataAccess.Transaction({
+          params: statements.map((sql) => ({ sql })),
+          client,
+          preserveClient,
+          transactionOptions
+        })
+        this.dataAccess.ClearColumnTypes(this.tableName)
+        return statements
+      } catch (e) {
+        throw e
+      }
+    }
+
+    /**
+     * @method
+     * @description to generate the statements of the table, and the audit table if audit is on
+     * @param {{force?: boolean, alter?: boolean}} options force never drops the audit table
+     * @returns {Array<string>} the sql statements
+     */
+    generateDDL({ force, alter } = {}) {
+      const statements = this.dataAccess.GenerateTableDDL({
+        tableName: this.tableName,
+        attributes: this.attributes,
+        pkName: this.pkFields,
+        enumMapping: this.enumMapping,
+        indexes: this.indexes,
+        force,
+        alter
+      })
+      if (!this.audit) return statements
+      return statements.concat(
+        this.dataAccess.GenerateTableDDL({
+          tableName: this.auditTableName,
+          attributes: NormalizeAttributes(auditAttributes),
+          pkName: 'id',
+          indexes: [{ fields: ['tableName', 'pk'] }],
+          alter
+        })
+      )
+    }
+
     /**
      * @method
      * @param {object} object
@@ -52,18 +479,48 @@ const ModelImpl = (dataAccess, globalAutoSetTimeFields) =>
      * @param {string} options.limit as sql string to limit the results of the queiry
      * @param {offset} options.offset an sql string to offset the results of the query
      * @param {function} callback Function to be run before comitting the database operation
+     * @param {Array<string|object>} object.include the associations to load, e.g. ['posts']
+     * @param {boolean} object.withDeleted include the soft deleted rows of a paranoid model
+     * @param {boolean} object.usePrimary read from the primary even if there are replicas
+     * @param {object} object.session from pglink.session(), to read from the primary for a while after the session writes
      * @description query without conditions for one table
      */
-    async findAll({ options = {}, callback, client, preserveClient }) {
+    async findAll({
+      options = {},
+      include,
+      withDeleted,
+      usePrimary = false,
+      session,
+      callback,
+      transactionOptions,
+      transaction,
+      client = transaction && transaction.client,
+      preserveClient = !!transaction
+    }) {
       try {
         const res = await this.dataAccess.SingleQueryExecutor({
           tableName: this.tableName,
           ...options,
+          where: this.scopeWhere(undefined, { withDeleted }),
           callback,
           client,
-          preserveClient
+          preserveClient,
+          transactionOptions,
+          pool: client
+            ? undefined
+            : this.dataAccess.ReadPool({ usePrimary, session })
         })
-        return res ? this.decodeToEnum(res) : []
+        return res
+          ? this.runAfterFind(
+              await this.loadAssociations(this.formatOutput(res), include, {
+                client,
+                preserveClient,
+                usePrimary,
+                session
+              }),
+              { client, preserveClient }
+            )
+          : []
       } catch (e) {
         throw e
       }
@@ -73,43 +530,92 @@ const ModelImpl = (dataAccess, globalAutoSetTimeFields) =>
      * @method
      * @description query by primary key for one table
      * @param {object} object
-     * @param {string|number} object.pk primary key value
+     * @param {string|number|object} object.pk primary key value, use object if multiple primary keys, e.g. {id: 1, cid: 2}
      * @param {string} object.selectFields which columns you want to query, default '*'
+     * @param {Array<string|object>} object.include the associations to load, e.g. ['posts', { association: 'tags', where: { status: 'ACTIVE' } }]
+     * @param {boolean} object.withDeleted include the soft deleted rows of a paranoid model
+     * @param {boolean} object.usePrimary read from the primary even if there are replicas
+     * @param {object} object.session from pglink.session(), to read from the primary for a while after the session writes
      * @param {function} object.callback Function to be run before comitting the database operation
      */
     async findByPk({
       pk,
       selectFields = '*',
+      include,
+      withDeleted,
+      usePrimary = false,
+      session,
       callback,
-      client,
-      preserveClient
+      transactionOptions,
+      transaction,
+      client = transaction && transaction.client,
+      preserveClient = !!transaction
     }) {
       try {
-        let whereClause = '1 = 1'
-        const pks = this.pkName.split(',')
-        if (pks.length > 1) {
-          if (pk.constructor === Object && Object.keys(pk).length > 0) {
-            pks.forEach((p) => {
-              whereClause = whereClause.concat(` AND "${p}" = '${pk[p]}'`)
-            })
-          } else {
-            throw new Error(
-              `Invalid parameter "pk": It is multi primary keys in ${this.tableName} table`
-            )
-          }
-        } else {
-          whereClause = `"${this.pkName}" = '${pk}'`
-        }
         const res = await this.dataAccess.SingleQueryExecutor({
           tableName: this.tableName,
-          whereClause,
+          where: this.scopeWhere(this.getPkFilter(pk), { withDeleted }),
           selectFields,
           callback,
           returnSingleRecord: true,
           client,
-          preserveClient
+          preserveClient,
+          transactionOptions,
+          pool: client
+            ? undefined
+            : this.dataAccess.ReadPool({ usePrimary, session })
+        })
+        return res
+          ? this.runAfterFind(
+              await this.loadAssociations(this.formatOutput(res), include, {
+                client,
+                preserveClient,
+                usePrimary,
+                session
+              }),
+              { client, preserveClient }
+            )
+          : {}
+      } catch (e) {
+        throw e
+      }
+    }
+
+    /**
+     * @method
+     * @description check whether a row exists by primary key
+     * @param {object} object
+     * @param {string|number|object} object.pk primary key value, use object if multiple primary keys, e.g. {id: 1, cid: 2}
+     * @param {boolean} object.withDeleted include the soft deleted rows of a paranoid model
+     * @param {boolean} object.usePrimary read from the primary even if there are replicas
+     * @param {object} object.session from pglink.session(), to read from the primary for a while after the session writes
+     * @returns {boolean} exist or not
+     */
+    async existsByPk({
+      pk,
+      withDeleted,
+      usePrimary = false,
+      session,
+      transactionOptions,
+      transaction,
+      client = transaction && transaction.client,
+      preserveClient = !!transaction
+    }) {
+      try {
+        const res = await this.dataAccess.SingleQueryExecutor({
+          tableName: this.tableName,
+          where: this.scopeWhere(this.getPkFilter(pk), { withDeleted }),
+          selectFields: '1',
+          limit: 1,
+          returnSingleRecord: true,
+          client,
+          preserveClient,
+          transactionOptions,
+          pool: client
+            ? undefined
+            : this.dataAccess.ReadPool({ usePrimary, session })
         })
-        return res ? this.decodeToEnum(res) : {}
+        return !!res
       } catch (e) {
         throw e
       }
@@ -120,8 +626,13 @@ const ModelImpl = (dataAccess, globalAutoSetTimeFields) =>
      * @description query with conditions for one table
      * @param {object} object
      * @param {string} object.whereClause e.g. "employeeId" = '123'
+     * @param {object} object.where a filter object, e.g. { status: 'ACTIVE', age: { gte: 18 } }
      * @param {string} object.selectFields which columns you want to query, default '*'
      * @param {object} object.options may contain fields such as sortBy, offset, or limit
+     * @param {Array<string|object>} object.include the associations to load, e.g. ['posts', { association: 'tags', where: { status: 'ACTIVE' } }]
+     * @param {boolean} object.withDeleted include the soft deleted rows of a paranoid model
+     * @param {boolean} object.usePrimary read from the primary even if there are replicas
+     * @param {object} object.session from pglink.session(), to read from the primary for a while after the session writes
      * @param {function} object.callback Function to be run before comitting the database operation
      * @param {Array<{ field: String; sequence?: 'ASC' | 'DESC' }>} options.sortBy an sql string to sort the results of the query
      * @param {string} options.limit as sql string to limit the results of the queiry
@@ -129,23 +640,45 @@ const ModelImpl = (dataAccess, globalAutoSetTimeFields) =>
      */
     async findByConditions({
       whereClause,
+      where,
       selectFields = '*',
       options = {},
+      include,
+      withDeleted,
+      usePrimary = false,
+      session,
       callback,
-      client,
-      preserveClient
+      transactionOptions,
+      transaction,
+      client = transaction && transaction.client,
+      preserveClient = !!transaction
     }) {
       try {
         const res = await this.dataAccess.SingleQueryExecutor({
           tableName: this.tableName,
           whereClause,
+          where: this.scopeWhere(where, { withDeleted }),
           selectFields,
           ...options,
           callback,
           client,
-          preserveClient
+          preserveClient,
+          transactionOptions,
+          pool: client
+            ? undefined
+            : this.dataAccess.ReadPool({ usePrimary, session })
         })
-        return res ? this.decodeToEnum(res) : []
+        return res
+          ? this.runAfterFind(
+              await this.loadAssociations(this.formatOutput(res), include, {
+                client,
+                preserveClient,
+                usePrimary,
+                session
+              }),
+              { client, preserveClient }
+            )
+          : []
       } catch (e) {
         throw e
       }
@@ -153,21 +686,42 @@ const ModelImpl = (dataAccess, globalAutoSetTimeFields) =>
 
     /**
      * @method
-     * @description insert one row
-     * @param {Object} object
-     * @param {Object} object.params an object includes the fields and values
-     * @param {function} object.callback Function to be run before comitting the database operation
+     * @description check whether any row matches the conditions
+     * @param {object} object
+     * @param {string} object.whereClause e.g. "employeeId" = '123'
+     * @param {object} object.where a filter object, e.g. { status: 'ACTIVE', age: { gte: 18 } }
+     * @param {boolean} object.withDeleted include the soft deleted rows of a paranoid model
+     * @param {boolean} object.usePrimary read from the primary even if there are replicas
+     * @param {object} object.session from pglink.session(), to read from the primary for a while after the session writes
+     * @returns {boolean} exist or not
      */
-    async insertOne({ params, callback, client, preserveClient }) {
+    async exists({
+      whereClause,
+      where,
+      withDeleted,
+      usePrimary = false,
+      session,
+      transactionOptions,
+      transaction,
+      client = transaction && transaction.client,
+      preserveClient = !!transaction
+    } = {}) {
       try {
-        const res = await this.dataAccess.InsertExecutor({
-          params: this.encodeFromEnum(params),
+        const res = await this.dataAccess.SingleQueryExecutor({
           tableName: this.tableName,
-          callback,
+          whereClause,
+          where: this.scopeWhere(where, { withDeleted }),
+          selectFields: '1',
+          limit: 1,
+          returnSingleRecord: true,
           client,
-          preserveClient
+          preserveClient,
+          transactionOptions,
+          pool: client
+            ? undefined
+            : this.dataAccess.ReadPool({ usePrimary, session })
         })
-        return res ? this.decodeToEnum(res) : {}
+        return !!res
       } catch (e) {
         throw e
       }
@@ -175,30 +729,46 @@ const ModelImpl = (dataAccess, globalAutoSetTimeFields) =>
 
     /**
      * @method
-     * @description update by primary key, but the primary key should be included in the params
-     * @param {Object} object
-     * @param {Object} object.params an object includes the fields and values
-     * @param {Array<string>} object.autoSetTimeFields Those fields need to set time automatically, should be included in params, e.g ['updatedAt']
-     * @param {function} object.callback Function to be run before comitting the database operation
+     * @description count the rows matched by the conditions
+     * @param {object} object
+     * @param {string} object.whereClause e.g. "employeeId" = '123'
+     * @param {object} object.where a filter object, e.g. { status: 'ACTIVE', age: { gte: 18 } }
+     * @param {string} object.field count the rows whose field is not null, default '*' counts all rows
+     * @param {boolean} object.distinct count the distinct values of field
+     * @param {boolean} object.withDeleted include the soft deleted rows of a paranoid model
+     * @param {boolean} object.usePrimary read from the primary even if there are replicas
+     * @param {object} object.session from pglink.session(), to read from the primary for a while after the session writes
+     * @returns {number} the count
      */
-    async updateByPk({
-      params,
-      autoSetTimeFields = this.autoSetTimeFields,
-      callback,
-      client,
-      preserveClient
-    }) {
+    async count({
+      whereClause,
+      where,
+      field = '*',
+      distinct = false,
+      withDeleted,
+      usePrimary = false,
+      session,
+      transactionOptions,
+      transaction,
+      client = transaction && transaction.client,
+      preserveClient = !!transaction
+    } = {}) {
       try {
-        const res = await this.dataAccess.UpdateByPkExecutor({
-          params: this.encodeFromEnum(params),
+        const res = await this.dataAccess.SingleQueryExecutor({
           tableName: this.tableName,
-          pkName: this.pkName,
-          autoSetTimeFields, // v0.1.7 support set autoSetTimeFields in update
-          callback,
+          whereClause,
+          where: this.scopeWhere(where, { withDeleted }),
+          metrics: { count: { count: field, distinct } },
+          returnSingleRecord: true,
           client,
-          preserveClient
+          preserveClient,
+          transactionOptions,
+          pool: client
+            ? undefined
+            : this.dataAccess.ReadPool({ usePrimary, session })
         })
-        return res ? this.decodeToEnum(res) : {}
+        // COUNT is a BIGINT, which is a string in pg
+        return Number(res.count)
       } catch (e) {
         throw e
       }
@@ -206,32 +776,59 @@ const ModelImpl = (dataAccess, globalAutoSetTimeFields) =>
 
     /**
      * @method
-     * @description update by where conditions
-     * @param {Object} object
-     * @param {Object} object.params an object includes the fields and values
+     * @description aggregate the rows matched by the conditions, grouped by fields, e.g.
+     * aggregate({ where: { status: 'PAID' }, groupBy: ['userId'], having: { total: { gt: 100 } }, metrics: { total: { sum: 'amount' } } })
+     * @param {object} object
      * @param {string} object.whereClause e.g. "employeeId" = '123'
-     * @param {Array<string>} object.autoSetTimeFields Those fields need to set time automatically, should be included in params, e.g ['updatedAt']
-     * @param {function} object.callback Function to be run before comitting the database operation
+     * @param {object} object.where a filter object of the rows, e.g. { status: 'ACTIVE' }
+     * @param {Array<string>} object.groupBy the fields to group by, the enum values of them are decoded, default [] means one group of all rows
+     * @param {object} object.having a filter object of the metrics and the groupBy fields, e.g. { total: { gt: 100 } },
+     * InvalidWhereClauseError is thrown if it has no condition, e.g. { and: [] }
+     * @param {object} object.metrics the name and function of metrics, e.g. { total: { sum: 'amount' }, buyers: { count: 'userId', distinct: true } },
+     * the functions are count, sum, avg, min and max, count, sum and avg are numbers, min and max have the type of the field
+     * @param {object} object.options may contain fields such as sortBy, offset, or limit, sortBy can be of the groupBy fields and the metrics
+     * @param {boolean} object.withDeleted include the soft deleted rows of a paranoid model
+     * @param {boolean} object.usePrimary read from the primary even if there are replicas
+     * @param {object} object.session from pglink.session(), to read from the primary for a while after the session writes
+     * @returns {Array<object>} a row per group with the groupBy fields and the metrics
      */
-    async updateByConditions({
-      params,
+    async aggregate({
       whereClause,
-      autoSetTimeFields = this.autoSetTimeFields,
-      callback,
-      client,
-      preserveClient
-    }) {
+      where,
+      groupBy = [],
+      having,
+      metrics = {},
+      options = {},
+      withDeleted,
+      usePrimary = false,
+      session,
+      transactionOptions,
+      transaction,
+      client = transaction && transaction.client,
+      preserveClient = !!transaction
+    } = {}) {
       try {
-        const res = await this.dataAccess.UpdateExecutor({
-          params: this.encodeFromEnum(params),
+        if (groupBy.length === 0 && Object.keys(metrics).length === 0) {
+          throw new Error('"groupBy" or "metrics" is required to aggregate')
+        }
+        const res = await this.dataAccess.SingleQueryExecutor({
           tableName: this.tableName,
           whereClause,
-          autoSetTimeFields, // v0.1.7 support set autoSetTimeFields in update
-          callback,
+          where: this.scopeWhere(where, { withDeleted }),
+          groupBy,
+          metrics,
+          having: this.encodeWhere(having),
+          ...options,
           client,
-          preserveClient
+          preserveClient,
+          transactionOptions,
+          pool: client
+            ? undefined
+            : this.dataAccess.ReadPool({ usePrimary, session })
         })
-        return res ? this.decodeToEnum(res) : []
+        return (res || []).map((row) =>
+          this.formatAggregateRow(row, groupBy, metrics)
+        )
       } catch (e) {
         throw e
       }
@@ -239,29 +836,140 @@ const ModelImpl = (dataAccess, globalAutoSetTimeFields) =>
 
     /**
      * @method
-     * @description multiple insert
-     * @param {Object} object
-     * @param {Array<object>} object.items the array of data to be inserted into table
-     * @param { bool } object.forceFlat force the results into a single array
-     * @param {function} object.callback Function to be run before comitting the database operation
+     * @description paginate by keyset (cursor), returns a Relay-style connection, the primary key is appended to orderBy as the tiebreaker
+     * @param {object} object
+     * @param {object} object.where a filter object, e.g. { status: 'ACTIVE' }
+     * @param {string} object.whereClause e.g. "employeeId" = '123'
+     * @param {Array<{ field: String; sequence?: 'ASC' | 'DESC' }>} object.orderBy the sort fields, they should not be nullable
+     * @param {number} object.first the count of rows after the cursor "after"
+     * @param {string} object.after the cursor of the row to start after
+     * @param {number} object.last the count of rows before the cursor "before"
+     * @param {string} object.before the cursor of the row to end before
+     * @param {boolean} object.withTotalCount whether to count all rows matched by where
+     * @param {Array<string|object>} object.include the associations to load, e.g. ['posts']
+     * @param {boolean} object.withDeleted include the soft deleted rows of a paranoid model
+     * @param {boolean} object.usePrimary read from the primary even if there are replicas
+     * @param {object} object.session from pglink.session(), to read from the primary for a while after the session writes
+     * @returns {{edges: Array<{node: object, cursor: string}>, pageInfo: {hasNextPage: boolean, hasPreviousPage: boolean, startCursor: string|null, endCursor: string|null}, totalCount?: number}}
      */
-    async multiInsert({ items, forceFlat, callback, client, preserveClient }) {
+    async paginate({
+      where,
+      whereClause,
+      orderBy = [],
+      first,
+      after,
+      last,
+      before,
+      withTotalCount = false,
+      include,
+      withDeleted,
+      usePrimary = false,
+      session,
+      transactionOptions,
+      transaction,
+      client = transaction && transaction.client,
+      preserveClient = !!transaction
+    } = {}) {
       try {
-        const datas = []
-        items.forEach((item) => {
-          datas.push({
-            params: this.encodeFromEnum(item),
-            tableName: this.tableName
-          })
-        })
-        const res = await this.dataAccess.MultiInsertExecutor({
-          items: datas,
-          forceFlat,
-          callback,
+        const isSet = (n) => n !== undefined && n !== null
+        if (isSet(first) && isSet(last)) {
+          throw new Error('"first" and "last" should not be used together')
+        }
+        for (const n of [first, last]) {
+          if (isSet(n) && (!Number.isInteger(n) || n < 0)) {
+            throw new Error(
+              `"first" and "last" should be non-negative integers, but got ${n}`
+            )
+          }
+        }
+        const sortBy = this.getSortKeys(orderBy)
+        const backward = isSet(last) || (!isSet(first) && !!before)
+        const count = backward ? last : first
+        const cursor = backward ? before : after
+        const encodedWhere = this.scopeWhere(where, { withDeleted })
+        const filters = [encodedWhere]
+        if (cursor) {
+          filters.push(
+            this.dataAccess.GenerateKeysetFilter(
+              sortBy,
+              this.decodeCursor(cursor, sortBy),
+              backward
+            )
+          )
+        }
+        const res = await this.dataAccess.SingleQueryExecutor({
+          tableName: this.tableName,
+          whereClause,
+          where: { and: filters.filter((f) => f) },
+          // the sort fields in text too, a Date would lose the microseconds of a timestamp and the zone of a date
+          selectFields: ['*']
+            .concat(
+              sortBy.map(
+                ({ field }, i) =>
+                  `${QuoteIdentifier(field)}::text AS ${QuoteIdentifier(
+                    cursorColumn(i)
+                  )}`
+              )
+            )
+            .join(', '),
+          // query backward in the reverse order, then reverse the rows
+          sortBy: backward
+            ? sortBy.map(({ field, sequence }) => ({
+                field,
+                sequence: sequence === 'ASC' ? 'DESC' : 'ASC'
+              }))
+            : sortBy,
+          // one more row tells whether there is another page
+          limit: isSet(count) ? count + 1 : undefined,
           client,
-          preserveClient
+          preserveClient,
+          transactionOptions,
+          pool: client
+            ? undefined
+            : this.dataAccess.ReadPool({ usePrimary, session })
         })
-        return res ? this.decodeToEnum(res) : []
+        const rows = res || []
+        const hasMore = isSet(count) && rows.length > count
+        const page = hasMore ? rows.slice(0, count) : rows
+        if (backward) page.reverse()
+        const cursors = page.map((row) => this.encodeCursor(row, sortBy))
+        const rowsOfPage = page.map((row) => {
+          const copy = { ...row }
+          sortBy.forEach((s, i) => {
+            delete copy[cursorColumn(i)]
+          })
+          return copy
+        })
+        const clientArgs =
+          client && preserveClient ? { client, preserveClient: true } : {}
+        const nodes = await this.runAfterFind(
+          await this.loadAssociations(this.formatOutput(rowsOfPage), include, {
+            ...clientArgs,
+            usePrimary,
+            session
+          }),
+          clientArgs
+        )
+        const connection = {
+          edges: nodes.map((node, i) => ({ node, cursor: cursors[i] })),
+          pageInfo: {
+            hasNextPage: backward ? !!before : hasMore,
+            hasPreviousPage: backward ? hasMore : !!after,
+            startCursor: cursors.length > 0 ? cursors[0] : null,
+            endCursor: cursors.length > 0 ? cursors[cursors.length - 1] : null
+          }
+        }
+        if (withTotalCount) {
+          connection.totalCount = await this.count({
+            whereClause,
+            where,
+            withDeleted,
+            usePrimary,
+            session,
+            ...clientArgs
+          })
+        }
+        return connection
       } catch (e) {
         throw e
       }
@@ -269,54 +977,896 @@ const ModelImpl = (dataAccess, globalAutoSetTimeFields) =>
 
     /**
      * @method
-     * @description multiple update by where conditions
-     * @param {Object} object
-     * @param {Array<object>} object.items the array of data to be updated into table
-     * @param {string} object.whereClause e.g. "'companyId' = $1"
-     * @param {Array<string>} object.replacementFields e.g ['companyId']
-     * @param {Array<string>} object.autoSetTimeFields Those fields need to set time automatically, should be included in items, e.g ['updatedAt']
-     * @param { bool } object.forceFlat force the results into a single array
-     * @param {function} object.callback Function to be run before comitting the database operation
+     * @description read the rows one by one by a server-side cursor, batch by batch as the consumer asks for them,
+     * so a large table is read without holding it in memory. Breaking the loop early closes the cursor and releases the client,
+     * e.g. for await (const row of user.iterate({ where: { status: 'ACTIVE' } })) { ... }
+     * @param {object} object
+     * @param {object} object.where a filter object, e.g. { status: 'ACTIVE' }
+     * @param {string} object.whereClause e.g. "employeeId" = '123'
+     * @param {Array<{ field: String; sequence?: 'ASC' | 'DESC' }>} object.orderBy the sort fields
+     * @param {string} object.selectFields which columns you want to query, default '*'
+     * @param {number} object.batchSize the count of rows fetched at a time, default 100
+     * @param {boolean} object.withDeleted include the soft deleted rows of a paranoid model
+     * @param {boolean} object.usePrimary read from the primary even if there are replicas
+     * @param {object} object.session from pglink.session(), to read from the primary for a while after the session writes
+     * @returns {AsyncGenerator<object>} the rows
      */
-    async multiUpdateWithConditions({
-      items,
-      whereClause = null,
-      replacementFields,
-      autoSetTimeFields = this.autoSetTimeFields, // v0.1.7 support set autoSetTimeFields in multi update
+    async *iterate({
+      where,
+      whereClause,
+      orderBy = [],
+      selectFields,
+      batchSize,
+      withDeleted,
+      usePrimary = false,
+      session,
+      transactionOptions,
+      transaction,
+      client = transaction && transaction.client,
+      preserveClient = !!transaction
+    } = {}) {
+      const batches = this.dataAccess.CursorExecutor({
+        tableName: this.tableName,
+        whereClause,
+        where: this.scopeWhere(where, { withDeleted }),
+        selectFields,
+        sortBy: orderBy,
+        batchSize,
+        client,
+        transactionOptions,
+        pool: client
+          ? undefined
+          : this.dataAccess.ReadPool({ usePrimary, session })
+      })
+      for await (const rows of batches) {
+        yield* await this.runAfterFind(this.formatOutput(rows), {
+          client,
+          preserveClient
+        })
+      }
+    }
+
+    /**
+     * @method
+     * @description read the rows by a server-side cursor as a Readable stream in object mode, see iterate method,
+     * the next batch is fetched only when the buffer of the stream is drained, so a slow consumer holds the reading back.
+     * It is async iterable too, e.g. for await (const row of user.stream({ batchSize: 500 })) { ... },
+     * or user.stream().pipe(transform), destroying the stream closes the cursor and releases the client
+     * @param {object} options see iterate method
+     * @returns {Readable} the stream of rows
+     */
+    stream(options) {
+      return Readable.from(this.iterate(options))
+    }
+
+    /**
+     * @method
+     * @description write the rows to a stream as csv or ndjson, read by a server-side cursor, see iterate method,
+     * the enum values are decoded, and the next row is written only when the stream is drained.
+     * The first line of csv is the header of columns, e.g. await user.exportTo(fs.createWriteStream('users.csv'))
+     * @param {Writable} stream where to write, e.g. a file or the response of a request
+     * @param {object} object
+     * @param {string} object.format 'csv' or 'ndjson', default 'csv'
+     * @param {object} object.where a filter object, e.g. { status: 'ACTIVE' }
+     * @param {string} object.whereClause e.g. "employeeId" = '123'
+     * @param {Array<string>} object.columns the columns to export in order, default the attributes, or the fields of the first row without attributes
+     * @param {Array<{ field: String; sequence?: 'ASC' | 'DESC' }>} object.orderBy the sort fields
+     * @param {number} object.batchSize the count of rows fetched at a time, default 100
+     * @param {boolean} object.withDeleted include the soft deleted rows of a paranoid model
+     * @param {boolean} object.end whether or not to end the stream after the last row, default true
+     * @returns {Promise<number>} the count of exported rows
+     */
+    async exportTo(
+      stream,
+      { format = 'csv', columns, end = true, ...options } = {}
+    ) {
+      try {
+        CheckTransferFormat(format)
+        if (columns && (!Array.isArray(columns) || columns.length === 0)) {
+          throw new Error('"columns" should be a non-empty array')
+        }
+        const write = async (text) => {
+          if (!stream.write(text)) await once(stream, 'drain')
+        }
+        let header =
+          columns || (this.attributes ? Object.keys(this.attributes) : null)
+        let count = 0
+        const rows = this.iterate({
+          ...options,
+          selectFields: columns
+            ? columns.map((c) => QuoteIdentifier(c)).join(', ')
+            : undefined
+        })
+        for await (const row of rows) {
+          if (!header) header = Object.keys(row)
+          if (format === 'csv' && count === 0) {
+            await write(`${FormatCsvRecord(header)}\n`)
+          }
+          const values = header.map((field) =>
+            row[field] === undefined ? null : row[field]
+          )
+          await write(
+            format === 'csv'
+              ? `${FormatCsvRecord(values)}\n`
+              : `${JSON.stringify(
+                  header.reduce((o, field, i) => {
+                    o[field] = values[i]
+                    return o
+                  }, {})
+                )}\n`
+          )
+          count += 1
+        }
+        // the header is still written without rows, if the columns are known
+        if (format === 'csv' && count === 0 && header) {
+          await write(`${FormatCsvRecord(header)}\n`)
+        }
+        if (end) {
+          stream.end()
+          await once(stream, 'finish')
+        }
+        return count
+      } catch (e) {
+        throw e
+      }
+    }
+
+    /**
+     * @method
+     * @description insert one row
+     * @param {Object} object
+     * @param {Object} object.params an object includes the fields and values
+     * @param {string|number} object.actorId who makes the change, recorded in the audit table if audit is on
+     * @param {function} object.callback Function to be run before comitting the database operation
+     * @param {object} object.session from pglink.session(), marked as written after the row is inserted, so it reads the row from the primary
+     */
+    async insertOne({
+      params,
+      actorId,
+      callback,
+      session,
+      transactionOptions,
+      transaction,
+      client = transaction && transaction.client,
+      preserveClient = !!transaction
+    }) {
+      try {
+        return await this.withHooks(
+          {
+            event: 'Insert',
+            inputs: [params],
+            client,
+            preserveClient,
+            transactionOptions,
+            session,
+            audit: { actorId }
+          },
+          async (clientArgs) => {
+            const res = await this.dataAccess.InsertExecutor({
+              params: this.formatInput(params, { isNew: true }),
+              tableName: this.tableName,
+              callback,
+              ...clientArgs
+            })
+            return res ? this.formatOutput(res) : {}
+          }
+        )
+      } catch (e) {
+        throw e
+      }
+    }
+
+    /**
+     * @method
+     * @description update by primary key, but the primary key should be included in the params,
+     * and the version read if the model has versionField, StaleRecordError is thrown if the row has been changed since
+     * @param {Object} object
+     * @param {Object} object.params an object includes the fields and values
+     * @param {Array<string>} object.autoSetTimeFields Those fields need to set time automatically, should be included in params, e.g ['updatedAt']
+     * @param {boolean} object.withDeleted update the soft deleted rows of a paranoid model too
+     * @param {string|number} object.actorId who makes the change, recorded in the audit table if audit is on
+     * @param {function} object.callback Function to be run before comitting the database operation
+     * @param {object} object.session from pglink.session(), marked as written after the row is updated, so it reads the new version from the primary
+     */
+    async updateByPk({
+      params,
+      autoSetTimeFields = this.autoSetTimeFields,
+      withDeleted,
+      actorId,
+      callback,
+      session,
+      transactionOptions,
+      transaction,
+      client = transaction && transaction.client,
+      preserveClient = !!transaction
+    }) {
+      try {
+        return await this.withHooks(
+          {
+            event: 'Update',
+            inputs: [params],
+            client,
+            preserveClient,
+            transactionOptions,
+            session,
+            audit: {
+              actorId,
+              filters: () => [
+                {
+                  where: this.scopeWhere(this.getPkFilter(params), {
+                    withDeleted
+                  })
+                }
+              ]
+            }
+          },
+          async (clientArgs) => {
+            const res = await this.dataAccess.UpdateByPkExecutor({
+              params: this.formatInput(params),
+              tableName: this.tableName,
+              pkName: this.pkName,
+              autoSetTimeFields, // v0.1.7 support set autoSetTimeFields in update
+              where: this.scopeWhere(undefined, { withDeleted }),
+              versionField: this.versionField,
+              callback,
+              ...clientArgs
+            })
+            return res ? this.formatOutput(res) : {}
+          }
+        )
+      } catch (e) {
+        throw e
+      }
+    }
+
+    /**
+     * @method
+     * @description update by where conditions
+     * @param {Object} object
+     * @param {Object} object.params an object includes the fields and values
+     * @param {string} object.whereClause e.g. "employeeId" = '123'
+     * @param {object} object.where a filter object, e.g. { employeeId: '123' }
+     * @param {Array<string>} object.autoSetTimeFields Those fields need to set time automatically, should be included in params, e.g ['updatedAt']
+     * @param {boolean} object.withDeleted update the soft deleted rows of a paranoid model too
+     * @param {string|number} object.actorId who makes the change, recorded in the audit table if audit is on
+     * @param {function} object.callback Function to be run before comitting the database operation
+     * @param {object} object.session from pglink.session(), marked as written after the update, even if no row matches
+     */
+    async updateByConditions({
+      params,
+      whereClause,
+      where,
+      autoSetTimeFields = this.autoSetTimeFields,
+      withDeleted,
+      actorId,
+      callback,
+      session,
+      transactionOptions,
+      transaction,
+      client = transaction && transaction.client,
+      preserveClient = !!transaction
+    }) {
+      try {
+        // checked before scoping, { deletedAt: null } would match all rows
+        if (whereClause || where) {
+          this.dataAccess.GenerateTargetWhereSQL({ whereClause, where })
+        }
+        // without conditions, it is updated by the primary key in params
+        const filter = () =>
+          this.scopeWhere(
+            whereClause || where ? where : this.getPkFilter(params),
+            { withDeleted }
+          )
+        return await this.withHooks(
+          {
+            event: 'Update',
+            inputs: [params],
+            client,
+            preserveClient,
+            transactionOptions,
+            session,
+            audit: {
+              actorId,
+              filters: () => [{ whereClause, where: filter() }]
+            }
+          },
+          async (clientArgs) => {
+            const res = await this.dataAccess.UpdateExecutor({
+              params: this.formatInput(params),
+              tableName: this.tableName,
+              whereClause,
+              where: filter(),
+              autoSetTimeFields, // v0.1.7 support set autoSetTimeFields in update
+              callback,
+              ...clientArgs
+            })
+            return res ? this.formatOutput(res) : []
+          }
+        )
+      } catch (e) {
+        throw e
+      }
+    }
+
+    /**
+     * @method
+     * @description multiple insert by multi-row VALUES statements in one transaction, the fields missing in an item take the default values of columns
+     * @param {Object} object
+     * @param {Array<object>} object.items the array of data to be inserted into table
+     * @param { bool } object.forceFlat return the rows in a single array, otherwise every row is wrapped in an array
+     * @param {string|number} object.actorId who makes the change, recorded in the audit table if audit is on
+     * @param {function} object.callback Function to be run before comitting the database operation
+     * @param {object} object.session from pglink.session(), marked as written once all items are inserted
+     * @returns {Array} the inserted rows in the order of items
+     */
+    async multiInsert({
+      items,
       forceFlat,
+      actorId,
       callback,
-      client,
-      preserveClient
+      session,
+      transactionOptions,
+      transaction,
+      client = transaction && transaction.client,
+      preserveClient = !!transaction
     }) {
       try {
-        const datas = []
-        items.forEach((item) => {
-          let where = whereClause
-          if (
-            whereClause &&
-            replacementFields &&
-            replacementFields.length > 0
-          ) {
-            replacementFields.forEach((r, i) => {
-              where = where.replace(`$${i}`, `${item[r]}`) // v0.1.7 bug fixes
+        if (!items || items.length === 0) return []
+        return await this.withHooks(
+          {
+            event: 'Insert',
+            inputs: items,
+            client,
+            preserveClient,
+            transactionOptions,
+            session,
+            audit: { actorId }
+          },
+          async (clientArgs) => {
+            const res = await this.dataAccess.MultiInsertToOneTableExecutor({
+              params: items.map((item) =>
+                this.formatInput(item, { isNew: true })
+              ),
+              tableName: this.tableName,
+              callback,
+              ...clientArgs
             })
+            const rows = res ? this.formatOutput(res) : []
+            // the same shape as inserting one by one
+            return forceFlat || rows.length === 1
+              ? rows
+              : rows.map((row) => [row])
           }
-          datas.push({
-            params: this.encodeFromEnum(item),
-            tableName: this.tableName,
-            whereClause: where,
-            pkName: this.pkName,
-            autoSetTimeFields
+        )
+      } catch (e) {
+        throw e
+      }
+    }
+
+    /**
+     * @method
+     * @description multiple update by where conditions, every item should include the version read if the model has versionField,
+     * StaleRecordError is thrown and all are rolled back if one of them updates no row
+     * @param {Object} object
+     * @param {Array<object>} object.items the array of data to be updated into table
+     * @param {string} object.whereClause e.g. "'companyId' = $1"
+     * @param {Array<string>} object.replacementFields e.g ['companyId']
+     * @param {Array<string>} object.autoSetTimeFields Those fields need to set time automatically, should be included in items, e.g ['updatedAt']
+     * @param { bool } object.forceFlat force the results into a single array
+     * @param {boolean} object.withDeleted update the soft deleted rows of a paranoid model too
+     * @param {string|number} object.actorId who makes the change, recorded in the audit table if audit is on
+     * @param {function} object.callback Function to be run before comitting the database operation
+     * @param {object} object.session from pglink.session(), marked as written after all items are updated in the transaction
+     */
+    async multiUpdateWithConditions({
+      items,
+      whereClause = null,
+      replacementFields,
+      autoSetTimeFields = this.autoSetTimeFields, // v0.1.7 support set autoSetTimeFields in multi update
+      forceFlat,
+      withDeleted,
+      actorId,
+      callback,
+      session,
+      transactionOptions,
+      transaction,
+      client = transaction && transaction.client,
+      preserveClient = !!transaction
+    }) {
+      try {
+        // the conditions of every item, read after the before hooks
+        const filters = () =>
+          items.map((item) => {
+            let where = whereClause
+            if (
+              whereClause &&
+              replacementFields &&
+              replacementFields.length > 0
+            ) {
+              replacementFields.forEach((r, i) => {
+                where = where.replace(`$${i}`, `${item[r]}`) // v0.1.7 bug fixes
+              })
+            }
+            return {
+              whereClause: where,
+              // without whereClause, it is updated by the primary key in item
+              where: this.scopeWhere(
+                where ? undefined : this.getPkFilter(item),
+                { withDeleted }
+              )
+            }
           })
-        })
-        const res = await this.dataAccess.MultiUpdateExecutor({
-          items: datas,
-          forceFlat,
+        return await this.withHooks(
+          {
+            event: 'Update',
+            inputs: items,
+            client,
+            preserveClient,
+            transactionOptions,
+            session,
+            audit: { actorId, filters }
+          },
+          async (clientArgs) => {
+            const datas = filters().map((filter, i) => ({
+              params: this.formatInput(items[i]),
+              tableName: this.tableName,
+              ...filter,
+              pkName: this.pkName,
+              autoSetTimeFields,
+              versionField: this.versionField
+            }))
+            const res = await this.dataAccess.MultiUpdateExecutor({
+              items: datas,
+              forceFlat,
+              callback,
+              ...clientArgs
+            })
+            return res ? this.formatOutput(res) : []
+          }
+        )
+      } catch (e) {
+        throw e
+      }
+    }
+
+    /**
+     * @method
+     * @description update many rows by primary key in one statement, UPDATE ... FROM (VALUES ...)
+     * @param {Object} object
+     * @param {Array<object>} object.items every item includes the primary key and the fields to update
+     * @param {Array<string>} object.fields the fields to update, default the union of fields of all items except the primary key
+     * @param {Array<string>} object.autoSetTimeFields Those fields need to set time automatically, e.g ['updatedAt']
+     * @param {boolean} object.withDeleted update the soft deleted rows of a paranoid model too
+     * @param {string|number} object.actorId who makes the change, recorded in the audit table if audit is on
+     * @param {function} object.callback Function to be run before comitting the database operation
+     * @param {object} object.session from pglink.session(), marked as written after the UPDATE ... FROM statement succeeds
+     * @returns {Array<object>} the updated rows in the order of items, the items not found are not returned
+     */
+    async bulkUpdateByPk({
+      items,
+      fields,
+      autoSetTimeFields = this.autoSetTimeFields,
+      withDeleted,
+      actorId,
+      callback,
+      session,
+      transactionOptions,
+      transaction,
+      client = transaction && transaction.client,
+      preserveClient = !!transaction
+    }) {
+      try {
+        if (!items || items.length === 0) return []
+        return await this.withHooks(
+          {
+            event: 'Update',
+            inputs: items,
+            client,
+            preserveClient,
+            transactionOptions,
+            session,
+            audit: {
+              actorId,
+              // the rows of the items after the before hooks, read in chunks as
+              // postgres accepts 65535 bind parameters in one statement at most
+              filters: () => {
+                const chunkSize = Math.max(
+                  1,
+                  Math.floor(65535 / this.pkFields.length)
+                )
+                const filters = []
+                for (let i = 0; i < items.length; i += chunkSize) {
+                  const chunk = items.slice(i, i + chunkSize)
+                  filters.push({
+                    where: this.scopeWhere(
+                      { or: chunk.map((item) => this.getPkFilter(item)) },
+                      { withDeleted }
+                    )
+                  })
+                }
+                return filters
+              }
+            }
+          },
+          async (clientArgs) => {
+            const params = items.map((item) => this.formatInput(item))
+            const res = await this.dataAccess.BulkUpdateByPkExecutor({
+              items: params,
+              fields,
+              tableName: this.tableName,
+              pkName: this.pkName,
+              autoSetTimeFields,
+              where: this.scopeWhere(undefined, { withDeleted }),
+              callback,
+              ...clientArgs
+            })
+            // RETURNING of UPDATE ... FROM has no order, so rows are matched back to items
+            const keyOf = (row) =>
+              JSON.stringify(this.pkFields.map((f) => String(row[f])))
+            const rows = {}
+            for (const row of res || []) rows[keyOf(row)] = row
+            return this.formatOutput(
+              params.map((p) => rows[keyOf(p)]).filter((row) => row)
+            )
+          }
+        )
+      } catch (e) {
+        throw e
+      }
+    }
+
+    /**
+     * @method
+     * @description insert a row, or update it if it conflicts (INSERT ... ON CONFLICT)
+     * @param {Object} object
+     * @param {Object} object.params an object includes the fields and values
+     * @param {string|Array<string>|{constraint: string}} object.conflictTarget the conflict columns or a named constraint, default the primary key
+     * @param {Array<string>} object.updateFields the fields to update on conflict, default the given fields except the conflict columns, [] means DO NOTHING,
+     * the version of a model with versionField is incremented on conflict, and a soft deleted row of a paranoid model is restored
+     * @param {Array<string>} object.autoSetTimeFields Those fields are set to the current time on conflict, e.g ['updatedAt']
+     * @param {string|number} object.actorId who makes the change, recorded in the audit table if audit is on
+     * @param {function} object.callback Function to be run before comitting the database operation
+     * @param {object} object.session from pglink.session(), marked as written after the statement, even if the row is skipped by DO NOTHING
+     * @returns {{row: object|null, inserted: boolean}} row is null if it is skipped by DO NOTHING
+     */
+    async upsert({
+      params,
+      conflictTarget,
+      updateFields,
+      autoSetTimeFields = this.autoSetTimeFields,
+      actorId,
+      callback,
+      session,
+      transactionOptions,
+      transaction,
+      client = transaction && transaction.client,
+      preserveClient = !!transaction
+    }) {
+      try {
+        const [result] = await this.multiUpsert({
+          items: [params],
+          conflictTarget,
+          updateFields,
+          autoSetTimeFields,
+          actorId,
           callback,
+          session,
+          transactionOptions,
           client,
           preserveClient
         })
-        return res ? this.decodeToEnum(res) : []
+        return result || { row: null, inserted: false }
+      } catch (e) {
+        throw e
+      }
+    }
+
+    /**
+     * @method
+     * @description insert rows in one statement, or update them if they conflict (INSERT ... ON CONFLICT)
+     * @param {Object} object
+     * @param {Array<object>} object.items the rows with the same fields
+     * @param {string|Array<string>|{constraint: string}} object.conflictTarget the conflict columns or a named constraint, default the primary key
+     * @param {Array<string>} object.updateFields the fields to update on conflict, default the given fields except the conflict columns, [] means DO NOTHING,
+     * the version of a model with versionField is incremented on conflict, and a soft deleted row of a paranoid model is restored
+     * @param {Array<string>} object.autoSetTimeFields Those fields are set to the current time on conflict, e.g ['updatedAt']
+     * @param {string|number} object.actorId who makes the change, recorded in the audit table if audit is on
+     * @param {function} object.callback Function to be run before comitting the database operation
+     * @param {object} object.session from pglink.session(), marked as written after the statement, whether the rows are inserted, updated or skipped
+     * @returns {Array<{row: object, inserted: boolean}>} the rows skipped by DO NOTHING are not returned
+     */
+    async multiUpsert({
+      items,
+      conflictTarget,
+      updateFields,
+      autoSetTimeFields = this.autoSetTimeFields,
+      actorId,
+      callback,
+      session,
+      transactionOptions,
+      transaction,
+      client = transaction && transaction.client,
+      preserveClient = !!transaction
+    }) {
+      try {
+        return await this.withHooks(
+          {
+            event: 'Upsert',
+            inputs: items,
+            client,
+            preserveClient,
+            transactionOptions,
+            session,
+            audit: {
+              actorId,
+              filters: () => this.conflictFilters(items, conflictTarget)
+            }
+          },
+          async (clientArgs) => {
+            const res = await this.dataAccess.UpsertExecutor({
+              params: items.map((item) =>
+                this.formatInput(item, { isNew: true })
+              ),
+              tableName: this.tableName,
+              conflictTarget,
+              // read after the hooks, and before the defaults of attributes are filled for inserting
+              updateFields:
+                updateFields || this.upsertFields(items[0], conflictTarget),
+              pkName: this.pkName,
+              autoSetTimeFields,
+              versionField: this.versionField,
+              deletedAtField: this.paranoid ? this.deletedAtField : undefined,
+              callback,
+              ...clientArgs
+            })
+            return this.formatUpsertOutput(res)
+          }
+        )
+      } catch (e) {
+        throw e
+      }
+    }
+
+    /**
+     * @method
+     * @description to get the columns an upsert conflicts on, the primary key for a named constraint
+     * @param {string|Array<string>|{constraint: string}} conflictTarget see upsert method
+     * @returns {Array<string>}
+     */
+    conflictFields(conflictTarget) {
+      if (typeof conflictTarget === 'string') return [conflictTarget]
+      if (Array.isArray(conflictTarget)) return conflictTarget
+      return this.pkFields
+    }
+
+    /**
+     * @method
+     * @description to get the default fields an upsert updates on conflict, the fields given in the item except the conflict columns,
+     * so the columns filled by the defaults of attributes and the version are not overwritten
+     * @param {object} item an item to upsert, every item has the same fields
+     * @param {string|Array<string>|{constraint: string}} conflictTarget see upsert method
+     * @returns {Array<string>}
+     */
+    upsertFields(item, conflictTarget) {
+      const conflictFields = this.conflictFields(conflictTarget)
+      return Object.keys(item).filter(
+        (f) =>
+          item[f] !== undefined &&
+          !conflictFields.includes(f) &&
+          f !== this.versionField
+      )
+    }
+
+    /**
+     * @method
+     * @description to get the conditions of the rows which the items of an upsert may conflict with, to read them for the audit table,
+     * by the conflict columns, or the primary key for a named constraint, the items without all of the fields are skipped
+     * @param {Array<object>} items the rows to upsert
+     * @param {string|Array<string>|{constraint: string}} conflictTarget see upsert method
+     * @returns {Array<{where: object}>} no condition if no item has the fields
+     */
+    conflictFilters(items, conflictTarget) {
+      const fields = this.conflictFields(conflictTarget)
+      const keys = items
+        .filter((item) =>
+          fields.every((f) => item[f] !== undefined && item[f] !== null)
+        )
+        .map((item) => {
+          const key = {}
+          for (const f of fields) key[f] = item[f]
+          return key
+        })
+      // a conflict can be with a soft deleted row too
+      return keys.length > 0 ? [{ where: this.encodeWhere({ or: keys }) }] : []
+    }
+
+    /**
+     * @method
+     * @description insert the rows of a csv or ndjson stream in batches, every batch in a transaction (a savepoint in the given transaction).
+     * The values are coerced against attributes and the enum values are encoded, a line can not be parsed or validated is rejected
+     * and the others go on, if a batch fails, its lines are all rejected with the error, and the batches before it are kept.
+     * The first line of csv is the header of columns, an empty field is null, and a quoted empty one ("") is an empty string
+     * @param {Readable} stream where to read, e.g. fs.createReadStream('users.csv')
+     * @param {object} object
+     * @param {string} object.format 'csv' or 'ndjson', default 'csv'
+     * @param {number} object.batchSize the count of rows inserted at a time, default 500
+     * @param {string|object} object.onConflict 'error' fails the batch (default), 'ignore' skips the conflicting rows, 'update' updates them,
+     * or { conflictTarget, updateFields } see upsert method, with them a batch is cut where the fields of rows change too
+     * @param {string|number} object.actorId who makes the change, recorded in the audit table if audit is on
+     * @param {object} object.session from pglink.session(), marked as written by every batch which is kept
+     * @returns {Promise<{inserted: number, updated: number, skipped: number, rejected: Array<{line: number, message: string, error: Error}>}>}
+     * skipped is the count of the rows skipped by 'ignore', line is where the rejected record starts, from 1
+     */
+    async importFrom(
+      stream,
+      {
+        format = 'csv',
+        batchSize = 500,
+        onConflict = 'error',
+        actorId,
+        session,
+        transaction
+      } = {}
+    ) {
+      try {
+        CheckTransferFormat(format)
+        if (!Number.isInteger(batchSize) || batchSize <= 0) {
+          throw new Error(
+            `"batchSize" should be a positive integer, but got ${batchSize}`
+          )
+        }
+        let upsert = null
+        if (onConflict === 'ignore') {
+          upsert = { updateFields: [] }
+        } else if (onConflict === 'update') {
+          upsert = {}
+        } else if (onConflict && typeof onConflict === 'object') {
+          upsert = onConflict
+        } else if (onConflict !== 'error') {
+          throw new Error(
+            `"onConflict" should be 'error', 'ignore', 'update' or { conflictTarget, updateFields }, but got ${onConflict}`
+          )
+        }
+        const report = { inserted: 0, updated: 0, skipped: 0, rejected: [] }
+        const reject = (line, error) =>
+          report.rejected.push({ line, message: error.message, error })
+        let batch = []
+        const flush = async () => {
+          if (batch.length === 0) return
+          const lines = batch
+          batch = []
+          const items = lines.map(({ row }) => row)
+          const write = (args) =>
+            upsert
+              ? this.multiUpsert({
+                  ...upsert,
+                  items,
+                  actorId,
+                  session,
+                  ...args
+                })
+              : this.multiInsert({
+                  items,
+                  forceFlat: true,
+                  actorId,
+                  session,
+                  ...args
+                })
+          try {
+            const res = await (transaction
+              ? transaction.transaction((tx) => write({ transaction: tx }))
+              : write({}))
+            if (upsert) {
+              res.forEach(({ inserted }) => {
+                if (inserted) report.inserted += 1
+                else report.updated += 1
+              })
+              report.skipped += items.length - res.length
+            } else {
+              report.inserted += res.length
+            }
+          } catch (e) {
+            // the batch is rolled back as a whole
+            lines.forEach(({ line }) => reject(line, e))
+          }
+        }
+        let header = null
+        let fields = null
+        for await (const record of ReadRecords(stream, format)) {
+          const { line, values, error } = record
+          if (format === 'csv' && !header) {
+            // the rows can not be read without the header
+            if (error) throw error
+            if (values.some((v) => !v)) {
+              throw new Error(
+                `The header of csv has an empty column at line ${line}`
+              )
+            }
+            header = values
+            continue
+          }
+          if (error) {
+            reject(line, error)
+            continue
+          }
+          let row
+          try {
+            row = this.parseImportRecord(values, header)
+            // validate a copy, the rows are formatted again by multiInsert or multiUpsert
+            this.formatInput({ ...row }, { isNew: true })
+          } catch (e) {
+            reject(line, e)
+            continue
+          }
+          // the rows of an upsert should have the same fields
+          const rowFields = Object.keys(row)
+            .filter((k) => row[k] !== undefined)
+            .sort()
+            .join(',')
+          if (upsert && batch.length > 0 && rowFields !== fields) await flush()
+          fields = rowFields
+          batch.push({ line, row })
+          if (batch.length >= batchSize) await flush()
+        }
+        await flush()
+        report.rejected.sort((a, b) => a.line - b.line)
+        return report
+      } catch (e) {
+        throw e
+      }
+    }
+
+    /**
+     * @method
+     * @description delete by primary key
+     * @param {object} object
+     * @param {string|number|object} object.pk primary key value, use object if multiple primary keys, e.g. {id: 1, cid: 2}
+     * @param {boolean} object.forceDelete delete the row of a paranoid model permanently, even if it is soft deleted
+     * @param {string|number} object.actorId who makes the change, recorded in the audit table if audit is on
+     * @param {function} object.callback Function to be run before comitting the database operation
+     * @param {object} object.session from pglink.session(), marked as written after the delete, so a read of the row goes to the primary
+     */
+    async deleteByPk({
+      pk,
+      forceDelete,
+      actorId,
+      callback,
+      session,
+      transactionOptions,
+      transaction,
+      client = transaction && transaction.client,
+      preserveClient = !!transaction
+    }) {
+      try {
+        // the before hooks can change the target
+        const target = { pk }
+        const filter = () =>
+          this.scopeWhere(this.getPkFilter(target.pk), {
+            withDeleted: forceDelete
+          })
+        return await this.withHooks(
+          {
+            event: 'Delete',
+            inputs: [target],
+            client,
+            preserveClient,
+            transactionOptions,
+            session,
+            audit: { actorId, filters: () => [{ where: filter() }] }
+          },
+          async (clientArgs) => {
+            const res = await this.dataAccess.DeleteExecutor({
+              tableName: this.tableName,
+              where: filter(),
+              returnSingleRecord: true,
+              softDeleteField:
+                this.paranoid && !forceDelete ? this.deletedAtField : undefined,
+              callback,
+              ...clientArgs
+            })
+            return res ? this.formatOutput(res) : {}
+          }
+        )
       } catch (e) {
         throw e
       }
@@ -327,34 +1877,908 @@ const ModelImpl = (dataAccess, globalAutoSetTimeFields) =>
      * @description delete by where conditions
      * @param {object} object
      * @param {string} object.whereClause e.g. "employeeId" = '123'
+     * @param {object} object.where a filter object, e.g. { employeeId: '123' }
      * @param {boolean} object.returnSingleRecord whether or not to only return one record
+     * @param {boolean} object.forceDelete delete the rows of a paranoid model permanently, including the soft deleted ones
+     * @param {string|number} object.actorId who makes the change, recorded in the audit table if audit is on
      * @param {function} object.callback Function to be run before comitting the database operation
+     * @param {object} object.session from pglink.session(), marked as written after the delete, soft or not
      */
     async deleteByConditions({
       whereClause,
+      where,
       returnSingleRecord,
+      forceDelete,
+      actorId,
+      callback,
+      session,
+      transactionOptions,
+      transaction,
+      client = transaction && transaction.client,
+      preserveClient = !!transaction
+    }) {
+      try {
+        // checked before scoping, { deletedAt: null } would match all rows
+        this.dataAccess.GenerateTargetWhereSQL({ whereClause, where })
+        // the before hooks can change the target
+        const target = { whereClause, where }
+        const filter = () =>
+          this.scopeWhere(target.where, { withDeleted: forceDelete })
+        return await this.withHooks(
+          {
+            event: 'Delete',
+            inputs: [target],
+            client,
+            preserveClient,
+            transactionOptions,
+            session,
+            audit: {
+              actorId,
+              filters: () => [
+                { whereClause: target.whereClause, where: filter() }
+              ]
+            }
+          },
+          async (clientArgs) => {
+            this.dataAccess.GenerateTargetWhereSQL(target)
+            const res = await this.dataAccess.DeleteExecutor({
+              tableName: this.tableName,
+              whereClause: target.whereClause,
+              where: filter(),
+              returnSingleRecord,
+              softDeleteField:
+                this.paranoid && !forceDelete ? this.deletedAtField : undefined,
+              callback,
+              ...clientArgs
+            })
+            return res ? this.formatOutput(res) : []
+          }
+        )
+      } catch (e) {
+        throw e
+      }
+    }
+
+    /**
+     * @method
+     * @description restore the soft deleted rows of a paranoid model, by primary key or where conditions
+     * @param {object} object
+     * @param {string|number|object} object.pk primary key value, use object if multiple primary keys, e.g. {id: 1, cid: 2}
+     * @param {string} object.whereClause e.g. "employeeId" = '123'
+     * @param {object} object.where a filter object, e.g. { employeeId: '123' }
+     * @param {Array<string>} object.autoSetTimeFields Those fields need to set time automatically, e.g ['updatedAt']
+     * @param {string|number} object.actorId who makes the change, recorded in the audit table if audit is on
+     * @param {function} object.callback Function to be run before comitting the database operation
+     * @param {object} object.session from pglink.session(), marked as written after the rows are restored
+     * @returns {Array<object>} the restored rows
+     */
+    async restore({
+      pk,
+      whereClause,
+      where,
+      autoSetTimeFields = this.autoSetTimeFields,
+      actorId,
       callback,
-      client,
-      preserveClient
+      session,
+      transactionOptions,
+      transaction,
+      client = transaction && transaction.client,
+      preserveClient = !!transaction
     }) {
       try {
-        if (!whereClause) {
+        if (!this.paranoid) {
           throw new Error(
-            `Error: whereClause is required but got undefined or null!`
+            `${this.tableName} is not paranoid, nothing to restore`
           )
         }
-        const res = await this.dataAccess.DeleteExecutor({
-          tableName: this.tableName,
+        // checked before scoping, { deletedAt: { ne: null } } would match all deleted rows
+        if (pk === undefined || pk === null) {
+          this.dataAccess.GenerateTargetWhereSQL({ whereClause, where })
+        }
+        const filter = this.encodeWhere(
+          pk === undefined || pk === null ? where : this.getPkFilter(pk)
+        )
+        const deleted = { [this.deletedAtField]: { ne: null } }
+        const target = {
           whereClause,
-          returnSingleRecord,
-          callback,
+          where: filter ? { and: [filter, deleted] } : deleted
+        }
+        const params = { [this.deletedAtField]: null }
+        return await this.withHooks(
+          {
+            event: 'Update',
+            inputs: [params],
+            client,
+            preserveClient,
+            transactionOptions,
+            session,
+            audit: { actorId, filters: () => [target] }
+          },
+          async (clientArgs) => {
+            const res = await this.dataAccess.UpdateExecutor({
+              params: this.formatInput(params),
+              tableName: this.tableName,
+              ...target,
+              autoSetTimeFields,
+              callback,
+              ...clientArgs
+            })
+            return res ? this.formatOutput(res) : []
+          }
+        )
+      } catch (e) {
+        throw e
+      }
+    }
+
+    /**
+     * @method
+     * @description get the audit entries of a row in the order of changes, the model should be with audit
+     * @param {object} object
+     * @param {string|number|object} object.pk primary key value, use object if multiple primary keys, e.g. {id: 1, cid: 2}
+     * @param {number} object.limit the max count of entries
+     * @returns {Array<{id: string, tableName: string, pk: string, operation: string, before: object, after: object, diff: object, actorId: string, createdAt: Date}>}
+     */
+    async history({
+      pk,
+      limit,
+      transactionOptions,
+      transaction,
+      client = transaction && transaction.client,
+      preserveClient = !!transaction
+    }) {
+      try {
+        if (!this.audit) {
+          throw new Error(`${this.tableName} is not audited, no history`)
+        }
+        const res = await this.dataAccess.SingleQueryExecutor({
+          tableName: this.auditTableName,
+          where: {
+            tableName: this.tableName,
+            pk: this.auditKey(this.getPkFilter(pk))
+          },
+          sortBy: [{ field: 'id', sequence: 'ASC' }],
+          limit,
           client,
-          preserveClient
+          preserveClient,
+          transactionOptions
+        })
+        return res || []
+      } catch (e) {
+        throw e
+      }
+    }
+
+    /**
+     * @method
+     * @description to load the included associations into the rows, one batched query per association (two for manyToMany),
+     * so related rows are decoded by the enum mapping of their own model
+     * @param {Array|Object} rows the formatted output
+     * @param {Array<string|object>} include e.g. ['posts', { association: 'tags', where, selectFields, sortBy, include, withDeleted }]
+     * @param {{client?: object, preserveClient?: boolean, usePrimary?: boolean, session?: object}} options the client is only reused while it is preserved,
+     * otherwise usePrimary and session choose where to read, see DataAccess.ReadPool
+     * @returns {Array|Object} the rows with nested objects
+     */
+    async loadAssociations(
+      rows,
+      include,
+      { client, preserveClient, usePrimary, session } = {}
+    ) {
+      if (!include || !rows) return rows
+      const list = (Array.isArray(rows) ? rows : [rows]).filter(
+        (row) => row && typeof row === 'object'
+      )
+      const clientArgs =
+        client && preserveClient ? { client, preserveClient: true } : {}
+      // the associations are read from where the rows are, if not in the transaction
+      const readArgs = client && preserveClient ? {} : { usePrimary, session }
+      const associations = this.constructor.associations || {}
+      const keyOf = (value) => String(value)
+      const uniqueValues = (field) => {
+        const values = {}
+        list.forEach((row) => {
+          if (row[field] !== null && row[field] !== undefined) {
+            values[keyOf(row[field])] = row[field]
+          }
+        })
+        return Object.values(values)
+      }
+      const withKeys = (field, values, where) => {
+        const filter = { [field]: { in: values } }
+        return where ? { and: [filter, where] } : filter
+      }
+
+      for (const item of [].concat(include)) {
+        const {
+          association: name,
+          where,
+          selectFields,
+          sortBy,
+          include: nested,
+          withDeleted
+        } = typeof item === 'string' ? { association: item } : item
+        const association = associations[name]
+        if (!association) {
+          throw new Error(
+            `Association "${name}" is not defined on ${this.tableName}`
+          )
+        }
+        const { type, as, foreignKey, otherKey, through } = association
+        const target = new association.target()
+        const find = (key, values) =>
+          values.length > 0
+            ? target.findByConditions({
+                where: withKeys(key, values, where),
+                selectFields,
+                options: { sortBy },
+                include: nested,
+                withDeleted,
+                ...readArgs,
+                ...clientArgs
+              })
+            : []
+
+        if (type === 'belongsTo') {
+          const targetKey = association.targetKey || target.pkFields[0]
+          const parents = await find(targetKey, uniqueValues(foreignKey))
+          const parentMap = {}
+          parents.forEach((p) => {
+            parentMap[keyOf(p[targetKey])] = p
+          })
+          list.forEach((row) => {
+            const value = row[foreignKey]
+            row[as] =
+              value !== null && value !== undefined
+                ? parentMap[keyOf(value)] || null
+                : null
+          })
+        } else {
+          const sourceKey = association.sourceKey || this.pkFields[0]
+          const keys = uniqueValues(sourceKey)
+          const childrenMap = {}
+          if (type === 'hasMany') {
+            const children = await find(foreignKey, keys)
+            children.forEach((c) => {
+              const key = keyOf(c[foreignKey])
+              childrenMap[key] = (childrenMap[key] || []).concat(c)
+            })
+          } else {
+            const targetKey = association.targetKey || target.pkFields[0]
+            const junction =
+              typeof through === 'function' ? new through() : null
+            const pairs =
+              keys.length > 0
+                ? await this.dataAccess.SingleQueryExecutor({
+                    tableName: junction ? junction.tableName : through,
+                    where: junction
+                      ? junction.scopeWhere(
+                          { [foreignKey]: { in: keys } },
+                          { withDeleted }
+                        )
+                      : { [foreignKey]: { in: keys } },
+                    selectFields: `${QuoteIdentifier(
+                      foreignKey
+                    )}, ${QuoteIdentifier(otherKey)}`,
+                    pool: clientArgs.client
+                      ? undefined
+                      : this.dataAccess.ReadPool(readArgs),
+                    ...clientArgs
+                  })
+                : []
+            const others = {}
+            pairs.forEach((p) => {
+              others[keyOf(p[otherKey])] = p[otherKey]
+            })
+            const children = await find(targetKey, Object.values(others))
+            // keep the order of target rows, e.g. sorted by sortBy
+            pairs.forEach((p) => {
+              const key = keyOf(p[foreignKey])
+              childrenMap[key] = childrenMap[key] || {}
+              childrenMap[key][keyOf(p[otherKey])] = true
+            })
+            Object.keys(childrenMap).forEach((key) => {
+              childrenMap[key] = children.filter(
+                (c) => childrenMap[key][keyOf(c[targetKey])]
+              )
+            })
+          }
+          list.forEach((row) => {
+            row[as] = childrenMap[keyOf(row[sourceKey])] || []
+          })
+        }
+      }
+      return rows
+    }
+
+    /**
+     * @method
+     * @description to run the hooks of a name one by one, for every target in order
+     * @param {string} name e.g. 'beforeInsert'
+     * @param {Array<object>} targets the inputs or rows
+     * @param {object} client the client of the transaction, if any
+     */
+    async runHooks(name, targets, client) {
+      const hooks = (this.constructor.hooks || {})[name] || []
+      for (const hook of hooks) {
+        for (const target of targets) {
+          await hook(target, { client, model: this })
+        }
+      }
+    }
+
+    /**
+     * @method
+     * @description to run a writing with its before and after hooks in one transaction,
+     * the hooks get the client, and the transaction is rolled back if one throws,
+     * the changed rows are recorded in the audit table in the same transaction if audit is on
+     * @param {{event: 'Insert'|'Update'|'Delete'|'Upsert', inputs: Array<object>, client?: object, preserveClient?: boolean, transactionOptions?: object, session?: object, audit?: {actorId?: string|number, filters?: function}}} options
+     * inputs are passed to the before hooks, they are read by run after the hooks, Upsert runs the beforeInsert hooks,
+     * and the afterInsert or afterUpdate hooks of every row by whether it is inserted, run returns [{ row, inserted }] for it,
+     * audit.filters returns the [{ whereClause, where }] of the writing to read the rows before it, called after the before hooks,
+     * transactionOptions are used if the transaction begins here, with retry, the hooks run again too on the inputs as they were given,
+     * a given client is begun, committed or rolled back here like Transaction does unless preserveClient is true,
+     * and released after committing if no other transaction holds it, session is marked as written after run succeeds
+     * @param {function} run receives { client, preserveClient, transactionOptions } and returns the formatted result
+     * @returns {Promise<any>} the result of run
+     */
+    async withHooks(
+      {
+        event,
+        inputs,
+        client,
+        preserveClient,
+        transactionOptions,
+        session,
+        audit = {}
+      },
+      run
+    ) {
+      const hooks = this.constructor.hooks || {}
+      // an upsert runs the hooks of inserting before, and of inserting or updating after, by what happened to every row
+      const before = `before${event === 'Upsert' ? 'Insert' : event}`
+      const afters = (event === 'Upsert' ? ['Insert', 'Update'] : [event]).map(
+        (e) => `after${e}`
+      )
+      if (!hooks[before] && !afters.some((a) => hooks[a]) && !this.audit) {
+        const res = await run({ client, preserveClient, transactionOptions })
+        this.dataAccess.MarkWrite(session)
+        return res
+      }
+      if (!client && transactionOptions && transactionOptions.retry) {
+        const { retry, ...options } = transactionOptions
+        // the hooks may change the inputs, so every attempt starts from them as they were given
+        const originals = inputs.map(cloneInput)
+        return this.dataAccess.RetryTransaction(retry, (attempt) => {
+          if (attempt > 1) {
+            inputs.forEach((input, i) => restoreInput(input, originals[i]))
+          }
+          return this.withHooks(
+            { event, inputs, transactionOptions: options, session, audit },
+            run
+          )
         })
-        return res ? this.decodeToEnum(res) : []
+      }
+      const { dataAccess } = this
+      // like Transaction, a given client is ended here unless it is preserved or in a transaction of its owner
+      const own =
+        !client ||
+        (!preserveClient && !dataAccess.transactionClients.has(client))
+      const trx = own
+        ? await dataAccess.BeginTransaction(transactionOptions, client)
+        : client
+      // so the queries of run leave the transaction to here
+      if (own) dataAccess.transactionClients.add(trx)
+      let res
+      try {
+        await this.runHooks(before, inputs, trx)
+        const previous = this.audit
+          ? await this.readForAudit(audit.filters ? audit.filters() : [], trx)
+          : []
+        res = await run({ client: trx, preserveClient: true })
+        const changes = this.changesOf(event, res)
+        if (this.audit) {
+          for (const { event: e, rows } of changes) {
+            await this.writeAudit({
+              operation: e.toUpperCase(),
+              previous,
+              rows,
+              actorId: audit.actorId,
+              client: trx
+            })
+          }
+        }
+        for (const { event: e, rows } of changes) {
+          await this.runHooks(`after${e}`, rows, trx)
+        }
       } catch (e) {
+        // a preserved client is rolled back by its owner
+        if (own) {
+          dataAccess.transactionClients.delete(trx)
+          try {
+            await dataAccess.RollbackTransaction({ error: e, client: trx })
+          } catch (rollbackError) {
+            dataAccess.logger.warn('ROLLBACK ERROR: ', rollbackError)
+          }
+        }
         throw e
       }
+      if (own) {
+        dataAccess.transactionClients.delete(trx)
+        // a failed COMMIT is rolled back and thrown, e.g. a serialization failure to retry
+        await dataAccess.CommitTransaction(trx)
+      }
+      dataAccess.MarkWrite(session)
+      return res
+    }
+
+    /**
+     * @method
+     * @description to group the rows in the result of a writing by what happened to them
+     * @param {'Insert'|'Update'|'Delete'|'Upsert'} event the event of withHooks
+     * @param {Array|Object} res the formatted output, [{ row, inserted }] for Upsert
+     * @returns {Array<{event: 'Insert'|'Update'|'Delete', rows: Array<object>}>} the groups with rows
+     */
+    changesOf(event, res) {
+      if (event !== 'Upsert') return [{ event, rows: this.rowsOf(res) }]
+      const results = [res].flat().filter((r) => r && r.row)
+      return [
+        {
+          event: 'Insert',
+          rows: results.filter((r) => r.inserted).map((r) => r.row)
+        },
+        {
+          event: 'Update',
+          rows: results.filter((r) => !r.inserted).map((r) => r.row)
+        }
+      ]
+    }
+
+    /**
+     * @method
+     * @description to read and lock the rows to be changed, so they can be compared in the audit table
+     * @param {Array<{whereClause?: string, where?: object}>} filters the conditions of the writing
+     * @param {object} client the client of the transaction
+     * @returns {Promise<Array<object>>} the formatted rows
+     */
+    async readForAudit(filters, client) {
+      const rows = []
+      for (const { whereClause, where } of filters) {
+        const res = await this.dataAccess.SingleQueryExecutor({
+          tableName: this.tableName,
+          whereClause,
+          where,
+          forUpdate: true,
+          client,
+          preserveClient: true
+        })
+        rows.push(...this.formatOutput(res || []))
+      }
+      return rows
+    }
+
+    /**
+     * @method
+     * @description to insert the audit entries of the changed rows, with the diff of every row
+     * @param {{operation: 'INSERT'|'UPDATE'|'DELETE', previous: Array<object>, rows: Array<object>, actorId?: string|number, client: object}} args
+     * previous are the rows before the writing, rows are the rows returned by it
+     */
+    async writeAudit({ operation, previous, rows, actorId, client }) {
+      if (rows.length === 0) return
+      const previousRows = {}
+      for (const row of previous) previousRows[this.auditKey(row)] = row
+      const entries = rows.map((row) => {
+        const key = this.auditKey(row)
+        const before = operation === 'INSERT' ? null : previousRows[key] || null
+        const after = operation === 'DELETE' ? null : row
+        return {
+          tableName: this.tableName,
+          pk: key,
+          operation,
+          before,
+          after,
+          diff: this.diffRows(before, after),
+          actorId:
+            actorId === undefined || actorId === null ? null : String(actorId)
+        }
+      })
+      const { sql, replacements } = this.dataAccess.GenerateMultiInsertSQL(
+        Object.keys(entries[0]),
+        entries,
+        this.auditTableName
+      )
+      await this.dataAccess.Query(client, sql, replacements)
+    }
+
+    /**
+     * @method
+     * @description to get the primary key of a row in the audit table, the value for a single primary key,
+     * or a JSON object for multiple primary keys, e.g. '1' or '{"id":"1","cid":"2"}'
+     * @param {object} row a row or an object includes the primary key
+     * @returns {string}
+     */
+    auditKey(row) {
+      if (this.pkFields.length === 1) return String(row[this.pkFields[0]])
+      const key = {}
+      for (const field of this.pkFields) key[field] = String(row[field])
+      return JSON.stringify(key)
+    }
+
+    /**
+     * @method
+     * @description to compare two versions of a row, e.g. { name: { from: 'a', to: 'b' } }
+     * @param {object|null} before the row before the writing, null for inserting
+     * @param {object|null} after the row after the writing, null for deleting
+     * @returns {object} the changed fields
+     */
+    diffRows(before, after) {
+      const diff = {}
+      for (const field of Object.keys({ ...before, ...after })) {
+        const from =
+          before && before[field] !== undefined ? before[field] : null
+        const to = after && after[field] !== undefined ? after[field] : null
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+          diff[field] = { from, to }
+        }
+      }
+      return diff
+    }
+
+    /**
+     * @method
+     * @description to collect the rows in a result, e.g. the nested arrays of multiInsert, empty objects are skipped
+     * @param {Array|Object} res the formatted output
+     * @returns {Array<object>}
+     */
+    rowsOf(res) {
+      return [res]
+        .flat(Infinity)
+        .filter((r) => r && typeof r === 'object' && Object.keys(r).length > 0)
+    }
+
+    /**
+     * @method
+     * @description to run the afterFind hooks on the rows of a result
+     * @param {Array|Object} res the formatted output
+     * @param {{client?: object, preserveClient?: boolean}} options the client is only passed while it is preserved
+     * @returns {Promise<Array|Object>} the result
+     */
+    async runAfterFind(res, { client, preserveClient } = {}) {
+      await this.runHooks(
+        'afterFind',
+        this.rowsOf(res),
+        client && preserveClient ? client : undefined
+      )
+      return res
+    }
+
+    /**
+     * @method
+     * @description to encode enum and validate the input before writing
+     * @param {Object} params the input request
+     * @param {{isNew?: boolean}} options isNew means a new row, so default values are filled and required fields are checked
+     */
+    formatInput(params, options) {
+      return this.validateParams(this.encodeFromEnum(params), options)
+    }
+
+    /**
+     * @method
+     * @description to coerce and decode enum for the output
+     * @param {Array|Object} res the response from postgres
+     */
+    formatOutput(res) {
+      return this.decodeToEnum(this.parseOutput(res))
+    }
+
+    /**
+     * @method
+     * @description to validate and coerce the input against attributes, unknown columns are rejected
+     * @param {Object} params the input request, enum should be encoded already
+     * @param {{isNew?: boolean}} options isNew means a new row, so default values are filled and required fields are checked
+     * @returns {Object} a new object with coerced values
+     */
+    validateParams(params, { isNew = false } = {}) {
+      if (!this.attributes || !params) return params
+      const errors = []
+      const result = {}
+      Object.keys(params).forEach((field) => {
+        const attribute = this.attributes[field]
+        const value = params[field]
+        if (!attribute) {
+          errors.push(`unknown column "${field}"`)
+          return
+        }
+        if (value === undefined) return
+        if (value === null) {
+          if (!attribute.allowNull) errors.push(`"${field}" should not be null`)
+          result[field] = null
+          return
+        }
+        try {
+          result[field] = attribute.type.coerce(value)
+          if (
+            attribute.validate &&
+            attribute.validate(result[field]) === false
+          ) {
+            errors.push(`"${field}" is invalid`)
+          }
+        } catch (e) {
+          errors.push(`"${field}" is invalid: ${e.message}`)
+        }
+      })
+      if (isNew) {
+        Object.keys(this.attributes).forEach((field) => {
+          if (params[field] !== undefined) return
+          const { defaultValue, allowNull, autoIncrement, type } =
+            this.attributes[field]
+          // DataTypes.NOW is filled by the database
+          if (defaultValue !== undefined && defaultValue !== DataType.NOW) {
+            const value =
+              typeof defaultValue === 'function' ? defaultValue() : defaultValue
+            result[field] = value === null ? null : type.coerce(value)
+          } else if (
+            !allowNull &&
+            !autoIncrement &&
+            defaultValue === undefined
+          ) {
+            errors.push(`"${field}" is required`)
+          }
+        })
+      }
+      if (errors.length > 0) {
+        throw new Error(
+          `Validation failed for ${this.tableName}: ${errors.join('; ')}`
+        )
+      }
+      return result
+    }
+
+    /**
+     * @method
+     * @description to split the rows of upsert into the formatted row and whether it is inserted
+     * @param {Array<object>} res the rows with "pglink_inserted"
+     * @returns {Array<{row: object, inserted: boolean}>}
+     */
+    formatUpsertOutput(res) {
+      return (res || []).map((r) => {
+        const { pglink_inserted: inserted, ...row } = r
+        return { row: this.formatOutput(row), inserted }
+      })
+    }
+
+    /**
+     * @method
+     * @description to coerce the output against attributes, e.g. BIGINT strings to numbers
+     * @param {Array|Object} args the output response
+     */
+    parseOutput(args) {
+      if (!this.attributes || !args || typeof args !== 'object') return args
+      if (Array.isArray(args)) return args.map((arg) => this.parseOutput(arg))
+      const argTmp = args
+      Object.keys(argTmp).forEach((key) => {
+        const attribute = this.attributes[key]
+        if (attribute && argTmp[key] !== null && argTmp[key] !== undefined) {
+          argTmp[key] = attribute.type.parse(argTmp[key], attribute)
+        }
+      })
+      return argTmp
+    }
+
+    /**
+     * @method
+     * @description to convert a record of importFrom to a row, the fields of JSON, JSONB and ARRAY are parsed from csv,
+     * throws if the count of csv values does not match the header, or an enum value is unknown
+     * @param {Array<string|null>|object} values the values of csv, or the object of ndjson
+     * @param {Array<string>} header the columns of csv, null for ndjson
+     * @returns {object} the row
+     */
+    parseImportRecord(values, header) {
+      let row = values
+      if (header) {
+        if (values.length !== header.length) {
+          throw new Error(
+            `Expected ${header.length} fields but got ${values.length}`
+          )
+        }
+        row = {}
+        header.forEach((field, i) => {
+          const attribute = this.attributes && this.attributes[field]
+          const value = values[i]
+          row[field] = value
+          if (
+            attribute &&
+            typeof value === 'string' &&
+            ['JSON', 'JSONB', 'ARRAY'].includes(attribute.type.key)
+          ) {
+            try {
+              row[field] = JSON.parse(value)
+            } catch (e) {
+              throw new Error(`"${field}" is invalid JSON: ${e.message}`)
+            }
+          }
+        })
+      }
+      Object.keys(this.enumMapping || {}).forEach((field) => {
+        const enumItem = this.enumMapping[field]
+        const value = row[field]
+        if (
+          value !== null &&
+          value !== undefined &&
+          !Object.prototype.hasOwnProperty.call(enumItem, value) &&
+          !Object.values(enumItem).map(String).includes(String(value))
+        ) {
+          throw new Error(
+            `"${field}" should be one of ${Object.keys(enumItem).join(
+              ', '
+            )}, but got ${value}`
+          )
+        }
+      })
+      return row
+    }
+
+    /**
+     * @method
+     * @description to format a row of aggregate, the groupBy fields are formatted as the output of rows,
+     * min and max are parsed as their fields, and the other metrics are cast to numbers
+     * @param {object} row the raw row
+     * @param {Array<string>} groupBy the fields to group by
+     * @param {object} metrics e.g. { total: { sum: 'amount' } }
+     * @returns {object}
+     */
+    formatAggregateRow(row, groupBy, metrics) {
+      const keys = {}
+      groupBy.forEach((field) => {
+        keys[field] = row[field]
+      })
+      const result = this.formatOutput(keys)
+      Object.keys(metrics).forEach((name) => {
+        const value = row[name]
+        const field = metrics[name].min || metrics[name].max
+        if (value === null || value === undefined) {
+          result[name] = null
+        } else if (field) {
+          result[name] = this.formatOutput({ [field]: value })[field]
+        } else {
+          // COUNT is a BIGINT, SUM and AVG may be NUMERIC, which are strings in pg
+          result[name] = Number(value)
+        }
+      })
+      return result
+    }
+
+    /**
+     * @method
+     * @description to validate the sort fields and append the primary key as the tiebreaker
+     * @param {Array<{ field: String; sequence?: 'ASC' | 'DESC' }>} orderBy
+     * @returns {Array<{ field: String; sequence: 'ASC' | 'DESC' }>}
+     */
+    getSortKeys(orderBy = []) {
+      if (!Array.isArray(orderBy)) {
+        throw new Error('"orderBy" should be an array of { field, sequence }')
+      }
+      const sortBy = orderBy.map(({ field, sequence = 'ASC' } = {}) => {
+        const seq = String(sequence).toUpperCase()
+        if (!field || typeof field !== 'string') {
+          throw new Error('The field of "orderBy" is required')
+        }
+        if (this.attributes && !this.attributes[field]) {
+          throw new Error(
+            `Invalid sort field "${field}": it is not a column of ${this.tableName}`
+          )
+        }
+        if (seq !== 'ASC' && seq !== 'DESC') {
+          throw new Error(
+            `Invalid sequence "${sequence}" of sort field "${field}", expected ASC or DESC`
+          )
+        }
+        return { field, sequence: seq }
+      })
+      sortBy.forEach(({ field }, i) => {
+        if (sortBy.findIndex((s) => s.field === field) !== i) {
+          throw new Error(`Duplicate sort field "${field}"`)
+        }
+      })
+      this.pkFields.forEach((field) => {
+        if (!sortBy.some((s) => s.field === field)) {
+          sortBy.push({ field, sequence: 'ASC' })
+        }
+      })
+      return sortBy
+    }
+
+    /**
+     * @method
+     * @description to encode the values of sort fields of a row to an opaque cursor,
+     * the values are the text of the columns selected by paginate, so they compare with the columns exactly
+     * @param {object} row the raw row with the text of every sort field, e.g. { pglink_cursor_0: '2020-01-01 00:00:00.123456+00' }
+     * @param {Array<{ field: String; sequence: 'ASC' | 'DESC' }>} sortBy
+     */
+    encodeCursor(row, sortBy) {
+      return Buffer.from(
+        JSON.stringify({
+          f: sortBy.map((s) => s.field),
+          v: sortBy.map((s, i) => row[cursorColumn(i)])
+        })
+      ).toString('base64')
+    }
+
+    /**
+     * @method
+     * @description to decode the values of sort fields from a cursor, it should be created with the same sort fields
+     * @param {string} cursor
+     * @param {Array<{ field: String; sequence: 'ASC' | 'DESC' }>} sortBy
+     * @returns {Array<any>} the values of sort fields
+     */
+    decodeCursor(cursor, sortBy) {
+      let decoded
+      try {
+        decoded = JSON.parse(Buffer.from(String(cursor), 'base64').toString())
+      } catch (e) {
+        decoded = null
+      }
+      const fields = sortBy.map((s) => s.field)
+      if (
+        !decoded ||
+        !Array.isArray(decoded.f) ||
+        !Array.isArray(decoded.v) ||
+        decoded.f.join(',') !== fields.join(',') ||
+        decoded.v.length !== fields.length
+      ) {
+        throw new Error(
+          `Invalid cursor "${cursor}" for the order of ${fields.join(', ')}`
+        )
+      }
+      return decoded.v
+    }
+
+    /**
+     * @method
+     * @description to build a filter object which matches one row by primary key
+     * @param {string|number|object} pk primary key value, use object if multiple primary keys, e.g. {id: 1, cid: 2}
+     */
+    getPkFilter(pk) {
+      return this.dataAccess.GeneratePkFilter(this.pkFields, pk, this.tableName)
+    }
+
+    /**
+     * @method
+     * @description to encode a single value of a field from enum to integer
+     * @param {string} field the field name
+     * @param {any} value e.g. 'ADMIN'
+     */
+    encodeEnumValue(field, value) {
+      if (!this.enumMapping || !this.enumMapping[field]) return value
+      const enumItem = this.enumMapping[field]
+      return Object.prototype.hasOwnProperty.call(enumItem, value)
+        ? enumItem[value]
+        : value
+    }
+
+    /**
+     * @method
+     * @description to encode a filter object, and exclude the soft deleted rows if the model is paranoid
+     * @param {object} where the filter object
+     * @param {{withDeleted?: boolean}} options withDeleted keeps the soft deleted rows
+     * @returns {object} the encoded filter object
+     */
+    scopeWhere(where, { withDeleted = false } = {}) {
+      const encoded = this.encodeWhere(where)
+      if (!this.paranoid || withDeleted) return encoded
+      const scope = { [this.deletedAtField]: null }
+      return encoded ? { and: [encoded, scope] } : scope
+    }
+
+    /**
+     * @method
+     * @description to encode the values in a filter object from enum to integer
+     * @param {object} where the filter object
+     */
+    encodeWhere(where) {
+      if (!where || !this.enumMapping) return where
+      return MapFilterValues(where, (field, value) =>
+        this.encodeEnumValue(field, value)
+      )
     }
 
     /**
@@ -0,0 +1,80 @@
+/**
+ * @description A request-scoped loader of rows by primary key, all lookups in the same tick are coalesced into one query,
+ * and the results are cached until the loader is dropped with its context
+ */
+export declare class Loader {
+  /**
+   * @param {object} model an instance of model
+   * @param {{maxBatchSize?: number, usePrimary?: boolean, session?: object}} options maxBatchSize is the max count of keys in one query, default 1000,
+   * usePrimary and session choose where to read like the other reads of models, see ReadPool
+   */
+  constructor(
+    model: object,
+    options?: {
+      /** the max count of keys in one query, default 1000 */
+      maxBatchSize?: number
+      /** read from the primary even if there are replicas */
+      usePrimary?: boolean
+      /** from pglink.session(), to read from the primary for a while after the request writes */
+      session?: { lastWriteAt: number }
+    }
+  )
+
+  /**
+   * @description load a row by primary key
+   * @param {string|number|object} pk use object if multiple primary keys, e.g. {id: 1, cid: 2}
+   * @returns {Promise<object|null>} the row, null if it does not exist
+   */
+  load(pk: string | number | Object): Promise<any | null>
+
+  /**
+   * @description load rows by primary keys
+   * @param {Array<string|number|object>} pks
+   * @returns {Promise<Array<object|null>>} the rows in the same order, null if it does not exist
+   */
+  loadMany(pks: Array<string | number | Object>): Promise<Array<any | null>>
+
+  /**
+   * @description put a row into the cache, e.g. after it is updated
+   * @param {string|number|object} pk
+   * @param {object|null} row the formatted row
+   */
+  prime(pk: string | number | Object, row: object | null): this
+
+  /**
+   * @description remove a row from the cache
+   * @param {string|number|object} pk
+   */
+  clear(pk: string | number | Object): this
+
+  /**
+   * @description remove all rows from the cache
+   */
+  clearAll(): this
+
+  /** the max count of keys in one query */
+  protected maxBatchSize: number
+
+  /** read from the primary even if there are replicas */
+  protected usePrimary: boolean
+
+  /** from pglink.session(), to read from the primary for a while after the request writes */
+  protected session?: { lastWriteAt: number }
+
+  /** the promises of rows, keyed by the primary key */
+  protected cache: Map<string, Promise<any | null>>
+
+  /** get the cache key of a primary key */
+  protected keyOf(values: Array<any>): string
+
+  /** get the encoded values of primary key fields in order */
+  protected valuesOf(pk: string | number | Object): Array<any>
+
+  /** run the queued lookups, one query per maxBatchSize keys */
+  protected dispatch(): void
+
+  /** query a batch of lookups and settle their promises */
+  protected runBatch(batch: Array<object>): Promise<void>
+}
+
+export default Loader
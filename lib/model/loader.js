@@ -0,0 +1,203 @@
+const { QuoteIdentifier } = require('../core/filter')
+
+/**
+ * @class
+ * @description A request-scoped loader of rows by primary key, all lookups in the same tick are coalesced into one query,
+ * and the results are cached until the loader is dropped with its context, the soft deleted rows of a paranoid model are not loaded
+ */
+class Loader {
+  /**
+   * @param {object} model an instance of model
+   * @param {{maxBatchSize?: number, usePrimary?: boolean, session?: object}} options maxBatchSize is the max count of keys in one query, default 1000,
+   * usePrimary and session choose where to read like the other reads of models, see ReadPool
+   */
+  constructor(
+    model,
+    { maxBatchSize = 1000, usePrimary = false, session } = {}
+  ) {
+    /**
+     * @member
+     * @description the instance of model
+     */
+    this.model = model
+    /**
+     * @member
+     * @description the max count of keys in one query
+     */
+    this.maxBatchSize = maxBatchSize
+    /**
+     * @member
+     * @description read from the primary even if there are replicas
+     */
+    this.usePrimary = usePrimary
+    /**
+     * @member
+     * @description from pglink.session(), to read from the primary for a while after the request writes
+     */
+    this.session = session
+    /**
+     * @member
+     * @description the promises of rows, keyed by the primary key
+     */
+    this.cache = new Map()
+    /**
+     * @member
+     * @description the lookups waiting for the next query
+     */
+    this.queue = []
+  }
+
+  /**
+   * @description get the cache key of a primary key, the parts are encoded and stringified,
+   * so 1 and '1' are the same key like they are in postgres, the rows are matched to the lookups by position, not by the key
+   * @param {Array<any>} values the values of primary key fields in order
+   */
+  keyOf(values) {
+    return values.length === 1
+      ? String(values[0])
+      : JSON.stringify(values.map((v) => String(v)))
+  }
+
+  /**
+   * @description get the encoded values of primary key fields in order, throw if the primary key is invalid
+   * @param {string|number|object} pk use object if multiple primary keys, e.g. {id: 1, cid: 2}
+   */
+  valuesOf(pk) {
+    const { pkFields } = this.model
+    const filter = this.model.encodeWhere(this.model.getPkFilter(pk))
+    return pkFields.map((f) => filter[f])
+  }
+
+  /**
+   * @description load a row by primary key
+   * @param {string|number|object} pk use object if multiple primary keys, e.g. {id: 1, cid: 2}
+   * @returns {Promise<object|null>} the row, null if it does not exist
+   */
+  load(pk) {
+    let values
+    try {
+      values = this.valuesOf(pk)
+    } catch (e) {
+      return Promise.reject(e)
+    }
+    const key = this.keyOf(values)
+    if (this.cache.has(key)) return this.cache.get(key)
+    const promise = new Promise((resolve, reject) => {
+      this.queue.push({ key, values, resolve, reject })
+      if (this.queue.length === 1) {
+        // after the current promise jobs, so the lookups of resolved promises join the batch too
+        Promise.resolve().then(() => process.nextTick(() => this.dispatch()))
+      }
+    })
+    this.cache.set(key, promise)
+    return promise
+  }
+
+  /**
+   * @description load rows by primary keys
+   * @param {Array<string|number|object>} pks
+   * @returns {Promise<Array<object|null>>} the rows in the same order, null if it does not exist
+   */
+  loadMany(pks) {
+    return Promise.all(pks.map((pk) => this.load(pk)))
+  }
+
+  /**
+   * @description put a row into the cache, e.g. after it is updated
+   * @param {string|number|object} pk
+   * @param {object|null} row the formatted row
+   */
+  prime(pk, row) {
+    this.cache.set(this.keyOf(this.valuesOf(pk)), Promise.resolve(row))
+    return this
+  }
+
+  /**
+   * @description remove a row from the cache
+   * @param {string|number|object} pk
+   */
+  clear(pk) {
+    this.cache.delete(this.keyOf(this.valuesOf(pk)))
+    return this
+  }
+
+  /**
+   * @description remove all rows from the cache
+   */
+  clearAll() {
+    this.cache.clear()
+    return this
+  }
+
+  /**
+   * @description run the queued lookups, one query per maxBatchSize keys
+   */
+  dispatch() {
+    const queue = this.queue
+    this.queue = []
+    for (let i = 0; i < queue.length; i += this.maxBatchSize) {
+      this.runBatch(queue.slice(i, i + this.maxBatchSize))
+    }
+  }
+
+  /**
+   * @description query a batch of lookups and settle their promises
+   * @param {Array<{key: string, values: Array<any>, resolve: Function, reject: Function}>} batch
+   */
+  async runBatch(batch) {
+    const { pkFields, tableName, dataAccess, paranoid, deletedAtField } =
+      this.model
+    try {
+      const types = await dataAccess.GetColumnTypes(tableName)
+      pkFields.forEach((f) => {
+        if (!types[f]) {
+          throw new Error(`Table ${tableName} doesn't include field "${f}"`)
+        }
+      })
+      // the keys are cast to the types of columns and numbered, so a row is matched to its lookup by the number,
+      // a value of pg can differ from the key, e.g. the case of uuid, the scale of numeric, or a Date for a string
+      const replacements = []
+      const tuples = batch.map((b, index) => {
+        const placeholders = b.values.map((v, i) => {
+          replacements.push(v)
+          return `CAST($${replacements.length} AS ${types[pkFields[i]]})`
+        })
+        return `(${placeholders.join(', ')}, ${index})`
+      })
+      const target = (f) => `pglink_target.${QuoteIdentifier(f)}`
+      const source = (f) => `pglink_keys.${QuoteIdentifier(f)}`
+      const keysSql = `(VALUES ${tuples.join(', ')}) AS pglink_keys(${pkFields
+        .map((f) => QuoteIdentifier(f))
+        .join(', ')}, "pglink_index")`
+      const on = pkFields
+        .map((f) => `${target(f)} = ${source(f)}`)
+        .join(' AND ')
+      let sql = `SELECT pglink_target.*, pglink_keys."pglink_index" FROM ${keysSql} JOIN ${tableName} AS pglink_target ON ${on}`
+      if (paranoid) {
+        sql = sql.concat(` WHERE ${target(deletedAtField)} IS NULL`)
+      }
+      // a generated SELECT by primary keys, safe to read from a replica
+      const res = await dataAccess.Execute(sql, replacements, {
+        useReplica: true,
+        usePrimary: this.usePrimary,
+        session: this.session
+      })
+      const results = batch.map(() => null)
+      res.rows.forEach(({ pglink_index: index, ...row }) => {
+        results[index] = this.model.formatOutput(row)
+      })
+      await this.model.runAfterFind(results)
+      batch.forEach((b, i) => b.resolve(results[i]))
+    } catch (e) {
+      batch.forEach((b) => {
+        // failed lookups can be retried
+        this.cache.delete(b.key)
+        b.reject(e)
+      })
+    }
+  }
+}
+
+module.exports = { Loader }
+module.exports.Loader = Loader
+module.exports.default = Loader
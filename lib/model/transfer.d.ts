@@ -0,0 +1,53 @@
+import { Readable } from 'stream'
+
+/**
+ * @description check the format of exportTo and importFrom
+ * @param {string} format 'csv' or 'ndjson'
+ */
+export declare function CheckTransferFormat(format: string): void
+
+/**
+ * @description format a value as a csv field, null is an empty field and an empty string is "",
+ * so they are told apart by ParseCsvRecord, dates are in ISO format, objects and arrays are JSON
+ * @param {any} value
+ */
+export declare function FormatCsvValue(value: any): string
+
+/**
+ * @description format the values of a row as a csv record, without the line break
+ * @param {Array<any>} values
+ * @returns {string} e.g. 1,"a, b",,""
+ */
+export declare function FormatCsvRecord(values: Array<any>): string
+
+/**
+ * @description parse a csv record, an empty field is null and a quoted one is a string,
+ * throws if a quote is misplaced
+ * @param {string} text the lines of the record joined by \n
+ * @returns {Array<string|null>|null} null if a quoted field is not closed yet, so the record goes on in the next line
+ */
+export declare function ParseCsvRecord(
+  text: string
+): Array<string | null> | null
+
+/**
+ * @description read the records of a csv or ndjson stream one by one, blank lines are skipped,
+ * a record is a row of values for csv, or an object for ndjson, a record can not be parsed has the error instead
+ * @param {Readable} input the stream of text
+ * @param {string} format 'csv' or 'ndjson'
+ * @returns line is where the record starts, from 1
+ */
+export declare function ReadRecords(
+  input: Readable,
+  format: 'csv' | 'ndjson'
+): AsyncGenerator<
+  {
+    line: number
+    values?: Array<string | null> | { [field: string]: any }
+    error?: Error
+  },
+  void,
+  undefined
+>
+
+export default ReadRecords
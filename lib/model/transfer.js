@@ -0,0 +1,151 @@
+const readline = require('readline')
+
+/** the formats of exportTo and importFrom */
+const transferFormats = ['csv', 'ndjson']
+
+/**
+ * @description check the format of exportTo and importFrom
+ * @param {string} format 'csv' or 'ndjson'
+ */
+const CheckTransferFormat = (format) => {
+  if (!transferFormats.includes(format)) {
+    throw new Error(
+      `"format" should be one of ${transferFormats.join(
+        ', '
+      )}, but got ${format}`
+    )
+  }
+}
+
+/**
+ * @description format a value as a csv field, null is an empty field and an empty string is "",
+ * so they are told apart by ParseCsvRecord, dates are in ISO format, objects and arrays are JSON
+ * @param {any} value
+ * @returns {string}
+ */
+const FormatCsvValue = (value) => {
+  if (value === null || value === undefined) return ''
+  let text
+  if (value instanceof Date) {
+    text = value.toISOString()
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value)
+  } else {
+    text = String(value)
+  }
+  return text === '' || /[",\r\n]/.test(text) || text.trim() !== text
+    ? `"${text.replace(/"/g, '""')}"`
+    : text
+}
+
+/**
+ * @description format the values of a row as a csv record, without the line break
+ * @param {Array<any>} values
+ * @returns {string} e.g. 1,"a, b",,""
+ */
+const FormatCsvRecord = (values) => values.map(FormatCsvValue).join(',')
+
+/**
+ * @description parse a csv record, an empty field is null and a quoted one is a string,
+ * throws if a quote is misplaced
+ * @param {string} text the lines of the record joined by \n
+ * @returns {Array<string|null>|null} null if a quoted field is not closed yet, so the record goes on in the next line
+ */
+const ParseCsvRecord = (text) => {
+  const values = []
+  let i = 0
+  for (;;) {
+    if (text[i] === '"') {
+      let value = ''
+      i += 1
+      for (;;) {
+        const end = text.indexOf('"', i)
+        if (end < 0) return null
+        value = value.concat(text.slice(i, end))
+        // a doubled quote is a quote in the field
+        if (text[end + 1] !== '"') {
+          i = end + 1
+          break
+        }
+        value = value.concat('"')
+        i = end + 2
+      }
+      if (i < text.length && text[i] !== ',') {
+        throw new Error(`Unexpected character after a quoted field at ${i + 1}`)
+      }
+      values.push(value)
+    } else {
+      const end = text.indexOf(',', i)
+      const value = end < 0 ? text.slice(i) : text.slice(i, end)
+      if (value.includes('"')) {
+        throw new Error(`Unexpected quote in an unquoted field at ${i + 1}`)
+      }
+      values.push(value === '' ? null : value)
+      i = end < 0 ? text.length : end
+    }
+    if (i >= text.length) return values
+    i += 1
+  }
+}
+
+/**
+ * @description read the records of a csv or ndjson stream one by one, blank lines are skipped,
+ * a record is a row of values for csv, or an object for ndjson, a record can not be parsed has the error instead
+ * @param {Readable} input the stream of text
+ * @param {string} format 'csv' or 'ndjson'
+ * @returns {AsyncGenerator<{line: number, values?: Array<string|null>|object, error?: Error}>} line is where the record starts, from 1
+ */
+async function* ReadRecords(input, format) {
+  const lines = readline.createInterface({ input, crlfDelay: Infinity })
+  let lineNumber = 0
+  let pending = null
+  for await (const text of lines) {
+    lineNumber += 1
+    // the byte order mark of some editors
+    const line = lineNumber === 1 ? text.replace(/^\uFEFF/, '') : text
+    if (pending) {
+      pending.text = pending.text.concat('\n', line)
+    } else if (line.trim() === '') {
+      continue
+    } else {
+      pending = { line: lineNumber, text: line }
+    }
+    const record = { line: pending.line }
+    try {
+      if (format === 'csv') {
+        record.values = ParseCsvRecord(pending.text)
+        // a quoted field goes on in the next line
+        if (record.values === null) continue
+      } else {
+        record.values = JSON.parse(pending.text)
+        if (
+          Object.prototype.toString.call(record.values) !== '[object Object]'
+        ) {
+          throw new Error('A line of NDJSON should be an object')
+        }
+      }
+    } catch (e) {
+      delete record.values
+      record.error = e
+    }
+    pending = null
+    yield record
+  }
+  if (pending) {
+    yield { line: pending.line, error: new Error('Unclosed quoted field') }
+  }
+}
+
+module.exports = {
+  CheckTransferFormat,
+  FormatCsvValue,
+  FormatCsvRecord,
+  ParseCsvRecord,
+  ReadRecords
+}
+module.exports.CheckTransferFormat = CheckTransferFormat
+module.exports.FormatCsvValue = FormatCsvValue
+module.exports.FormatCsvRecord = FormatCsvRecord
+module.exports.ParseCsvRecord = ParseCsvRecord
+module.exports.ReadRecords = ReadRecords
+module.exports.default = ReadRecords
@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert')
+const { FakePool } = require('./fakePool')
+const { DataAccess } = require('../lib/core/dataAccess')
+const { ModelImpl } = require('../lib/model')
+const { InvalidWhereClauseError } = require('../lib/errors')
+
+const setup = () => {
+  const pool = FakePool()
+  const dataAccess = new DataAccess(pool, { logger: false })
+  class OrderModel extends ModelImpl(dataAccess) {
+    constructor() {
+      super({ tableName: 'orders' })
+    }
+  }
+  return { pool, OrderModel }
+}
+
+const metrics = { total: { sum: 'amount' } }
+
+describe('aggregate', () => {
+  it('filters the groups by having after the conditions of where', async () => {
+    const { pool, OrderModel } = setup()
+    await new OrderModel().aggregate({
+      where: { status: 'PAID' },
+      groupBy: ['userId'],
+      having: { total: { gt: 100 } },
+      metrics
+    })
+    assert.deepStrictEqual(
+      pool.log
+        .filter((l) => /^SELECT/.test(l.sql))
+        .map(({ sql, values }) => [sql, values]),
+      [
+        [
+          'SELECT "userId", SUM("amount") AS "total" FROM orders WHERE "status" = $1 GROUP BY "userId" HAVING SUM("amount") > $2',
+          ['PAID', 100]
+        ]
+      ]
+    )
+  })
+
+  for (const having of [
+    {},
+    { and: [] },
+    { and: [{ and: [] }] },
+    { userId: { notIn: [] } },
+    { total: {} }
+  ]) {
+    it(`rejects the having ${JSON.stringify(having)}`, async () => {
+      const { pool, OrderModel } = setup()
+      await assert.rejects(
+        new OrderModel().aggregate({ groupBy: ['userId'], having, metrics }),
+        InvalidWhereClauseError
+      )
+      assert.deepStrictEqual(pool.sqls(), [])
+    })
+  }
+})
@@ -0,0 +1,256 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert')
+const { FakePool, PgError } = require('./fakePool')
+const { DataAccess } = require('../lib/core/dataAccess')
+const { ModelImpl } = require('../lib/model')
+const { UniqueConstraintError } = require('../lib/errors')
+
+const auditFields = [
+  'tableName',
+  'pk',
+  'operation',
+  'before',
+  'after',
+  'diff',
+  'actorId'
+]
+
+// previous are the rows read FOR UPDATE, written are the rows returned by the writing
+const setup = ({ previous = [], written = [], auditError } = {}) => {
+  const pool = FakePool((sql) => {
+    if (/^INSERT INTO pglink_audit/.test(sql)) {
+      if (auditError) throw auditError
+      return undefined
+    }
+    if (/FROM pg_attribute/.test(sql)) {
+      return {
+        rows: [
+          { name: 'id', type: 'integer' },
+          { name: 'name', type: 'text' }
+        ]
+      }
+    }
+    if (/FOR UPDATE$/.test(sql))
+      return { rows: previous.map((r) => ({ ...r })) }
+    if (/^(INSERT|UPDATE)/.test(sql)) {
+      return { rows: written.map((r) => ({ ...r })) }
+    }
+    return undefined
+  })
+  const dataAccess = new DataAccess(pool, { logger: false })
+  class UserModel extends ModelImpl(dataAccess) {
+    constructor() {
+      super({ tableName: 'users', paranoid: true, audit: true })
+    }
+  }
+  return { pool, dataAccess, UserModel }
+}
+
+// the audit entries of the INSERTs into the audit table
+const entries = (pool) =>
+  pool.log
+    .filter((l) => /^INSERT INTO pglink_audit/.test(l.sql))
+    .flatMap(({ values }) => {
+      const res = []
+      for (let i = 0; i < values.length; i += auditFields.length) {
+        const entry = {}
+        auditFields.forEach((f, j) => {
+          entry[f] = values[i + j]
+        })
+        res.push(entry)
+      }
+      return res
+    })
+
+describe('audit', () => {
+  it('records the rows before bulkUpdateByPk with the actor', async () => {
+    const { pool, UserModel } = setup({
+      previous: [
+        { id: 1, name: 'a' },
+        { id: 2, name: 'b' }
+      ],
+      written: [
+        { id: 2, name: 'B' },
+        { id: 1, name: 'A' }
+      ]
+    })
+    await new UserModel().bulkUpdateByPk({
+      items: [
+        { id: 1, name: 'A' },
+        { id: 2, name: 'B' }
+      ],
+      actorId: 9
+    })
+    const read = pool.sqls().find((sql) => /FOR UPDATE$/.test(sql))
+    assert.strictEqual(
+      read,
+      'SELECT * FROM users WHERE (("id" = $1) OR ("id" = $2)) AND ("deletedAt" IS NULL) FOR UPDATE'
+    )
+    assert.deepStrictEqual(
+      entries(pool).map(({ pk, operation, diff, actorId }) => ({
+        pk,
+        operation,
+        diff,
+        actorId
+      })),
+      [
+        {
+          pk: '1',
+          operation: 'UPDATE',
+          diff: { name: { from: 'a', to: 'A' } },
+          actorId: '9'
+        },
+        {
+          pk: '2',
+          operation: 'UPDATE',
+          diff: { name: { from: 'b', to: 'B' } },
+          actorId: '9'
+        }
+      ]
+    )
+  })
+
+  it('reads the rows before bulkUpdateByPk in chunks under the limit of bind parameters', async () => {
+    const { pool, UserModel } = setup()
+    const items = Array.from({ length: 70000 }, (_, i) => ({
+      id: i + 1,
+      name: 'a'
+    }))
+    await new UserModel().bulkUpdateByPk({ items, actorId: 9 })
+    const reads = pool.log.filter((l) => /FOR UPDATE$/.test(l.sql || ''))
+    assert.deepStrictEqual(
+      reads.map((l) => l.values.length),
+      [65535, 4465]
+    )
+  })
+
+  it('records multiInsert with the actor', async () => {
+    const { pool, UserModel } = setup({ written: [{ id: 1, name: 'a' }] })
+    await new UserModel().multiInsert({ items: [{ name: 'a' }], actorId: 'x' })
+    assert.deepStrictEqual(entries(pool), [
+      {
+        tableName: 'users',
+        pk: '1',
+        operation: 'INSERT',
+        before: null,
+        after: { id: 1, name: 'a' },
+        diff: { id: { from: null, to: 1 }, name: { from: null, to: 'a' } },
+        actorId: 'x'
+      }
+    ])
+  })
+
+  it('records and hooks the upserted rows by what happened to them', async () => {
+    const { pool, UserModel } = setup({
+      previous: [{ id: 2, name: 'b' }],
+      written: [
+        { id: 1, name: 'a', pglink_inserted: true },
+        { id: 2, name: 'B', pglink_inserted: false }
+      ]
+    })
+    const seen = []
+    UserModel.addHook('beforeInsert', (item) => seen.push(['before', item.id]))
+    UserModel.addHook('afterInsert', (row) => seen.push(['inserted', row.id]))
+    UserModel.addHook('afterUpdate', (row) => seen.push(['updated', row.id]))
+    const res = await new UserModel().multiUpsert({
+      items: [
+        { id: 1, name: 'a' },
+        { id: 2, name: 'B' }
+      ],
+      actorId: 9
+    })
+    assert.deepStrictEqual(
+      res.map(({ inserted }) => inserted),
+      [true, false]
+    )
+    assert.deepStrictEqual(seen, [
+      ['before', 1],
+      ['before', 2],
+      ['inserted', 1],
+      ['updated', 2]
+    ])
+    assert.strictEqual(
+      pool.sqls().find((sql) => /FOR UPDATE$/.test(sql)),
+      'SELECT * FROM users WHERE ("id" = $1) OR ("id" = $2) FOR UPDATE'
+    )
+    assert.deepStrictEqual(
+      entries(pool).map(({ pk, operation, before, diff }) => ({
+        pk,
+        operation,
+        before,
+        diff
+      })),
+      [
+        {
+          pk: '1',
+          operation: 'INSERT',
+          before: null,
+          diff: { id: { from: null, to: 1 }, name: { from: null, to: 'a' } }
+        },
+        {
+          pk: '2',
+          operation: 'UPDATE',
+          before: { id: 2, name: 'b' },
+          diff: { name: { from: 'b', to: 'B' } }
+        }
+      ]
+    )
+  })
+
+  it('runs upsert through multiUpsert', async () => {
+    const { pool, UserModel } = setup({
+      written: [{ id: 1, name: 'a', pglink_inserted: true }]
+    })
+    const res = await new UserModel().upsert({
+      params: { id: 1, name: 'a' },
+      conflictTarget: ['id'],
+      actorId: 9
+    })
+    assert.deepStrictEqual(res, { row: { id: 1, name: 'a' }, inserted: true })
+    assert.deepStrictEqual(
+      entries(pool).map(({ operation, actorId }) => [operation, actorId]),
+      [['INSERT', '9']]
+    )
+  })
+
+  it('records and hooks restore as an update', async () => {
+    const deletedAt = new Date(0)
+    const { pool, UserModel } = setup({
+      previous: [{ id: 1, deletedAt }],
+      written: [{ id: 1, deletedAt: null }]
+    })
+    const seen = []
+    UserModel.addHook('beforeUpdate', (params) => seen.push(params))
+    await new UserModel().restore({ pk: 1, actorId: 9 })
+    assert.deepStrictEqual(seen, [{ deletedAt: null }])
+    assert.deepStrictEqual(
+      entries(pool).map(({ operation, diff, actorId }) => ({
+        operation,
+        diff,
+        actorId
+      })),
+      [
+        {
+          operation: 'UPDATE',
+          diff: { deletedAt: { from: deletedAt, to: null } },
+          actorId: '9'
+        }
+      ]
+    )
+  })
+
+  it('writes the audit entries through Query', async () => {
+    const { pool, dataAccess, UserModel } = setup({
+      written: [{ id: 1, name: 'a' }],
+      auditError: PgError('23505', { constraint: 'pglink_audit_pkey' })
+    })
+    const started = []
+    dataAccess.on('query:start', ({ sql }) => started.push(sql))
+    await assert.rejects(
+      new UserModel().insertOne({ params: { name: 'a' } }),
+      UniqueConstraintError
+    )
+    assert.ok(started.some((sql) => /^INSERT INTO pglink_audit/.test(sql)))
+    assert.deepStrictEqual(pool.sqls().slice(-1), ['ROLLBACK'])
+  })
+})
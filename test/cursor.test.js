@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert')
+const { FakePool, PgError } = require('./fakePool')
+const { DataAccess } = require('../lib/core/dataAccess')
+const { PgLinkError } = require('../lib/errors')
+
+// answers a FETCH of 2 with 2 rows, then 1 row
+const setup = (respond = () => undefined) => {
+  let fetched = 0
+  const pool = FakePool((sql, values) => {
+    const res = respond(sql, values)
+    if (res) return res
+    if (/^FETCH/.test(sql)) {
+      fetched += 1
+      return { rows: fetched === 1 ? [{ id: 1 }, { id: 2 }] : [{ id: 3 }] }
+    }
+    return undefined
+  })
+  const dataAccess = new DataAccess(pool, { logger: false })
+  return { pool, dataAccess }
+}
+
+const readAll = async (batches) => {
+  const rows = []
+  for await (const batch of batches) rows.push(...batch)
+  return rows
+}
+
+const args = { tableName: 'users', batchSize: 2 }
+
+describe('CursorExecutor', () => {
+  it('runs in its own transaction on a dedicated client', async () => {
+    const { pool, dataAccess } = setup()
+    const rows = await readAll(dataAccess.CursorExecutor(args))
+    assert.deepStrictEqual(rows, [{ id: 1 }, { id: 2 }, { id: 3 }])
+    assert.deepStrictEqual(pool.sqls(), [
+      'BEGIN',
+      'DECLARE pglink_cursor_1 NO SCROLL CURSOR FOR SELECT * FROM users',
+      'FETCH 2 FROM pglink_cursor_1',
+      'FETCH 2 FROM pglink_cursor_1',
+      'COMMIT'
+    ])
+    assert.deepStrictEqual(pool.log[pool.log.length - 1], { release: 1 })
+  })
+
+  it('commits and releases the dedicated client when the consumer breaks', async () => {
+    const { pool, dataAccess } = setup()
+    for await (const batch of dataAccess.CursorExecutor(args)) {
+      assert.strictEqual(batch.length, 2)
+      break
+    }
+    assert.deepStrictEqual(pool.sqls().slice(-1), ['COMMIT'])
+    assert.deepStrictEqual(pool.log[pool.log.length - 1], { release: 1 })
+  })
+
+  it('leaves the transaction of a given client to its owner', async () => {
+    const { pool, dataAccess } = setup()
+    const client = await pool.connect()
+    const rows = await readAll(dataAccess.CursorExecutor({ ...args, client }))
+    assert.strictEqual(rows.length, 3)
+    assert.deepStrictEqual(pool.sqls(), [
+      'DECLARE pglink_cursor_1 NO SCROLL CURSOR FOR SELECT * FROM users',
+      'FETCH 2 FROM pglink_cursor_1',
+      'FETCH 2 FROM pglink_cursor_1',
+      'CLOSE pglink_cursor_1'
+    ])
+    assert.ok(!pool.log.some((l) => l.release))
+  })
+
+  it('does not roll back or release a given client on errors', async () => {
+    const { pool, dataAccess } = setup((sql) => {
+      if (/^FETCH/.test(sql)) throw PgError('57014')
+    })
+    const client = await pool.connect()
+    await assert.rejects(
+      readAll(dataAccess.CursorExecutor({ ...args, client })),
+      /error 57014/
+    )
+    assert.deepStrictEqual(pool.sqls().slice(-1), [
+      'FETCH 2 FROM pglink_cursor_1'
+    ])
+    assert.ok(!pool.log.some((l) => l.release))
+  })
+
+  it('rejects a given client which is not in a transaction', async () => {
+    const { pool, dataAccess } = setup((sql) => {
+      if (/^DECLARE/.test(sql)) throw PgError('25P01')
+    })
+    const client = await pool.connect()
+    await assert.rejects(
+      readAll(dataAccess.CursorExecutor({ ...args, client })),
+      (e) =>
+        e instanceof PgLinkError && /should be in a transaction/.test(e.message)
+    )
+    assert.ok(!pool.sqls().some((sql) => /^(BEGIN|COMMIT|ROLLBACK)/.test(sql)))
+  })
+
+  it('runs in the transaction of RunTransaction', async () => {
+    const { pool, dataAccess } = setup()
+    await dataAccess.RunTransaction(async (tx) => {
+      await readAll(dataAccess.CursorExecutor({ ...args, client: tx.client }))
+    })
+    assert.deepStrictEqual(
+      pool.sqls().filter((sql) => /^(BEGIN|COMMIT|CLOSE)/.test(sql)),
+      ['BEGIN', 'CLOSE pglink_cursor_1', 'COMMIT']
+    )
+  })
+})
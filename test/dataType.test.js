@@ -0,0 +1,27 @@
+// a zone ahead of UTC, where local midnight is the day before in UTC
+process.env.TZ = 'Asia/Tokyo'
+
+const { describe, it } = require('node:test')
+const assert = require('node:assert')
+const { DataType } = require('../lib/dataType')
+
+describe('DATEONLY', () => {
+  const { coerce } = DataType.DATEONLY()
+
+  it('keeps the local date of a Date', () => {
+    assert.strictEqual(coerce(new Date(2024, 0, 1)), '2024-01-01')
+    assert.strictEqual(coerce(new Date(2024, 11, 31, 23, 59)), '2024-12-31')
+  })
+
+  it('reads back the Date pg parses from DATE', () => {
+    // pg parses DATE to a Date at local midnight
+    const parsed = new Date('2024-03-05T00:00:00')
+    assert.strictEqual(coerce(parsed), '2024-03-05')
+  })
+
+  it('keeps a YYYY-MM-DD string and rejects the others', () => {
+    assert.strictEqual(coerce('2024-02-29'), '2024-02-29')
+    assert.throws(() => coerce('2024/02/29'))
+    assert.throws(() => coerce(new Date('invalid')))
+  })
+})
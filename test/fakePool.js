@@ -0,0 +1,53 @@
+/**
+ * @description a pool of fake pg clients for the tests, every query is recorded in log,
+ * and answered by the responder, which can throw like postgres
+ * @param {(sql: string, values: Array<any>) => {rows: Array<object>}|undefined} responder default no rows
+ * @returns {object} the pool, log has { sql, values, processID } of queries and { release: processID } of releases
+ */
+const FakePool = (responder = () => undefined) => {
+  const log = []
+  let processID = 0
+  const answer = async (sql, values) => {
+    const text = typeof sql === 'string' ? sql : sql.text
+    return responder(text, values) || { rows: [] }
+  }
+  return {
+    log,
+    totalCount: 0,
+    idleCount: 0,
+    waitingCount: 0,
+    /** the sql of queries in order */
+    sqls() {
+      return log.filter((l) => l.sql).map((l) => l.sql)
+    },
+    async connect() {
+      processID += 1
+      const client = { processID }
+      client.query = async (sql, values) => {
+        log.push({ sql, values, processID: client.processID })
+        return answer(sql, values)
+      }
+      client.release = () => log.push({ release: client.processID })
+      return client
+    },
+    async query(sql, values) {
+      log.push({ sql, values })
+      return answer(sql, values)
+    },
+    on() {},
+    async end() {}
+  }
+}
+
+/**
+ * @description an error like the ones of pg
+ * @param {string} code the SQLSTATE, e.g. '23505'
+ * @param {object} fields the other fields, e.g. { constraint: 'users_email_key' }
+ */
+const PgError = (code, fields = {}) =>
+  Object.assign(new Error(fields.message || `error ${code}`), {
+    code,
+    ...fields
+  })
+
+module.exports = { FakePool, PgError }
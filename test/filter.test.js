@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert')
+const { CompileFilter } = require('../lib/core/filter')
+
+describe('CompileFilter', () => {
+  it('compiles fields, operators and groups to placeholders', () => {
+    assert.deepStrictEqual(
+      CompileFilter({
+        status: 'ACTIVE',
+        age: { gte: 18, lt: 60 },
+        id: [1, 2],
+        deletedAt: null,
+        or: [{ name: { ilike: '%t%' } }, { role: { ne: null } }],
+        not: { kind: { between: [1, 2] } }
+      }),
+      {
+        clause: [
+          '("status" = $1)',
+          '("age" >= $2 AND "age" < $3)',
+          '("id" IN ($4, $5))',
+          '("deletedAt" IS NULL)',
+          '(("name" ILIKE $6) OR ("role" IS NOT NULL))',
+          '(NOT ("kind" BETWEEN $7 AND $8))'
+        ].join(' AND '),
+        replacements: ['ACTIVE', 18, 60, 1, 2, '%t%', 1, 2]
+      }
+    )
+  })
+
+  it('starts the placeholders at startIndex', () => {
+    assert.deepStrictEqual(CompileFilter({ id: 1 }, 3), {
+      clause: '"id" = $3',
+      replacements: [1]
+    })
+  })
+
+  it('resolves empty lists without a syntax error', () => {
+    assert.strictEqual(CompileFilter({ id: [] }).clause, 'FALSE')
+    assert.strictEqual(CompileFilter({ or: [] }).clause, 'FALSE')
+  })
+
+  it('compiles filters matching every row to no condition', () => {
+    assert.strictEqual(CompileFilter({ id: { notIn: [] } }).clause, '')
+    assert.strictEqual(CompileFilter({ not: { or: [] } }).clause, '')
+    assert.strictEqual(CompileFilter({ or: [{}, { id: 1 }] }).clause, '')
+    assert.strictEqual(CompileFilter({ not: {} }).clause, 'FALSE')
+    assert.deepStrictEqual(CompileFilter({ id: { gt: 1, notIn: [] } }), {
+      clause: '"id" > $1',
+      replacements: [1]
+    })
+  })
+
+  it('compiles an empty filter to no condition', () => {
+    assert.strictEqual(CompileFilter({}).clause, '')
+    assert.strictEqual(CompileFilter({ and: [] }).clause, '')
+    assert.strictEqual(CompileFilter(undefined).clause, '')
+  })
+
+  it('rejects undefined values instead of dropping them', () => {
+    assert.throws(() => CompileFilter({ id: undefined }), /"id" is undefined/)
+    assert.throws(
+      () => CompileFilter({ id: { gt: undefined } }),
+      /"id.gt" is undefined/
+    )
+    assert.throws(
+      () => CompileFilter({ and: [{ id: undefined }] }),
+      /"id" is undefined/
+    )
+    assert.throws(() => CompileFilter({ not: undefined }), /"not"/)
+  })
+
+  it('rejects a field without operators', () => {
+    assert.throws(() => CompileFilter({ id: {} }), /should have an operator/)
+  })
+
+  it('rejects unknown operators and invalid values', () => {
+    assert.throws(() => CompileFilter({ id: { foo: 1 } }), /Unknown/)
+    assert.throws(() => CompileFilter({ id: { gt: null } }), /null/)
+    assert.throws(() => CompileFilter({ id: { between: [1] } }), /exactly 2/)
+  })
+
+  it('uses the expressions of fields which are not columns', () => {
+    assert.deepStrictEqual(
+      CompileFilter({ total: { gt: 100 } }, 2, { total: 'SUM("amount")' }),
+      { clause: 'SUM("amount") > $2', replacements: [100] }
+    )
+  })
+})
@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert')
+const { FakePool } = require('./fakePool')
+const { DataAccess } = require('../lib/core/dataAccess')
+const { ModelImpl } = require('../lib/model')
+const { DataType } = require('../lib/dataType')
+const { GenerateGraphQL } = require('../lib/graphql')
+const { InvalidWhereClauseError } = require('../lib/errors')
+
+const setup = () => {
+  const pool = FakePool()
+  const dataAccess = new DataAccess(pool, { logger: false })
+  class UserModel extends ModelImpl(dataAccess) {
+    constructor() {
+      super({
+        tableName: 'users',
+        attributes: {
+          id: { type: DataType.INTEGER, primaryKey: true },
+          name: DataType.STRING(50)
+        }
+      })
+    }
+  }
+  return { pool, ...GenerateGraphQL([UserModel]) }
+}
+
+describe('GenerateGraphQL', () => {
+  it('generates the types, queries and mutations of a model', () => {
+    const { typeDefs, resolvers } = setup()
+    assert.match(typeDefs, /type User \{\n {2}id: ID!\n {2}name: String\n\}/)
+    assert.match(typeDefs, /deleteUsers\(where: UserFilter!\): \[User!\]!/)
+    assert.deepStrictEqual(Object.keys(resolvers.Mutation), [
+      'createUser',
+      'updateUser',
+      'deleteUsers'
+    ])
+  })
+
+  for (const where of [
+    {},
+    { and: [] },
+    { id: {} },
+    { and: [{}] },
+    { not: { or: [] } }
+  ]) {
+    it(`deleteUsers rejects ${JSON.stringify(where)}`, async () => {
+      const { pool, resolvers } = setup()
+      await assert.rejects(
+        resolvers.Mutation.deleteUsers(null, { where }),
+        InvalidWhereClauseError
+      )
+      assert.deepStrictEqual(pool.sqls(), [])
+    })
+  }
+
+  it('deleteUsers deletes by the filter', async () => {
+    const { pool, resolvers } = setup()
+    await resolvers.Mutation.deleteUsers(null, { where: { id: { in: [1] } } })
+    assert.ok(
+      pool.sqls().includes('DELETE FROM users WHERE "id" IN ($1) RETURNING *')
+    )
+  })
+})
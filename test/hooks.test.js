@@ -0,0 +1,169 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert')
+const { FakePool, PgError } = require('./fakePool')
+const { DataAccess } = require('../lib/core/dataAccess')
+const { ModelImpl } = require('../lib/model')
+const { SerializationError } = require('../lib/errors')
+
+const setup = (responder = () => undefined) => {
+  const pool = FakePool(
+    (sql, values) =>
+      responder(sql, values) ||
+      (/^INSERT/.test(sql) ? { rows: [{ id: 1, name: 'a' }] } : undefined)
+  )
+  const dataAccess = new DataAccess(pool, { logger: false })
+  class UserModel extends ModelImpl(dataAccess) {
+    constructor() {
+      super({ tableName: 'users' })
+    }
+  }
+  return { pool, dataAccess, UserModel }
+}
+
+// the ends of transactions and the releases of clients
+const lifecycle = (pool) =>
+  pool.log
+    .filter((l) => l.release || /^(COMMIT|ROLLBACK)/.test(l.sql))
+    .map((l) => l.sql || `release ${l.release}`)
+
+describe('withHooks', () => {
+  it('commits and releases the transaction it begins', async () => {
+    const { pool, UserModel } = setup()
+    const seen = []
+    UserModel.addHook('afterInsert', (row, { client }) => {
+      seen.push(client.processID)
+    })
+    const row = await new UserModel().insertOne({ params: { name: 'a' } })
+    assert.deepStrictEqual(row, { id: 1, name: 'a' })
+    assert.deepStrictEqual(seen, [1])
+    assert.deepStrictEqual(lifecycle(pool), ['COMMIT', 'release 1'])
+  })
+
+  it('rolls back and releases the transaction it begins when a hook throws', async () => {
+    const { pool, UserModel } = setup()
+    UserModel.addHook('afterInsert', () => {
+      throw new Error('no')
+    })
+    await assert.rejects(
+      new UserModel().insertOne({ params: { name: 'a' } }),
+      /no/
+    )
+    assert.deepStrictEqual(lifecycle(pool), ['ROLLBACK', 'release 1'])
+  })
+
+  // the same call without hooks and with a hook, on a given client begun by its owner
+  const onGivenClient = async ({ preserveClient, responder }) => {
+    const lifecycles = []
+    for (const hooked of [false, true]) {
+      const { pool, dataAccess, UserModel } = setup(responder)
+      if (hooked) UserModel.addHook('beforeInsert', () => {})
+      const client = await dataAccess.BeginTransaction()
+      await new UserModel()
+        .insertOne({ params: { name: 'a' }, client, preserveClient })
+        .catch(() => {})
+      lifecycles.push(
+        pool.log
+          .filter((l) => l.release || /^(BEGIN|COMMIT|ROLLBACK)/.test(l.sql))
+          .map((l) => l.sql || `release ${l.release}`)
+      )
+    }
+    return lifecycles
+  }
+
+  for (const preserveClient of [false, true]) {
+    it(`ends a given client with preserveClient ${preserveClient} like without hooks`, async () => {
+      const [plain, hooked] = await onGivenClient({ preserveClient })
+      assert.deepStrictEqual(hooked, plain)
+      assert.deepStrictEqual(
+        hooked,
+        preserveClient
+          ? ['BEGIN', 'BEGIN']
+          : ['BEGIN', 'BEGIN', 'COMMIT', 'release 1']
+      )
+    })
+
+    it(`rolls back a given client with preserveClient ${preserveClient} like without hooks`, async () => {
+      const [plain, hooked] = await onGivenClient({
+        preserveClient,
+        responder: (sql) => {
+          if (/^INSERT/.test(sql)) throw PgError('23505')
+        }
+      })
+      assert.deepStrictEqual(hooked, plain)
+      // the failed query is rolled back by Transaction even on a preserved client
+      assert.deepStrictEqual(hooked, ['BEGIN', 'BEGIN', 'ROLLBACK'])
+    })
+  }
+
+  it('does not roll back or release a preserved client when a hook throws', async () => {
+    const { pool, dataAccess, UserModel } = setup()
+    UserModel.addHook('beforeInsert', () => {
+      throw new Error('no')
+    })
+    const client = await dataAccess.BeginTransaction()
+    await assert.rejects(
+      new UserModel().insertOne({
+        params: { name: 'a' },
+        client,
+        preserveClient: true
+      }),
+      /no/
+    )
+    assert.deepStrictEqual(lifecycle(pool), [])
+    assert.ok(!pool.sqls().some((sql) => /^INSERT/.test(sql)))
+  })
+
+  it('throws a failed COMMIT of the transaction it begins', async () => {
+    const { pool, UserModel } = setup((sql) => {
+      if (sql === 'COMMIT') throw PgError('40001')
+    })
+    UserModel.addHook('afterInsert', () => {})
+    await assert.rejects(
+      new UserModel().insertOne({
+        params: { name: 'a' },
+        transactionOptions: { isolationLevel: 'SERIALIZABLE' }
+      }),
+      SerializationError
+    )
+    assert.deepStrictEqual(lifecycle(pool), ['COMMIT', 'ROLLBACK', 'release 1'])
+  })
+
+  it('retries a failed COMMIT with the inputs as they were given', async () => {
+    let commits = 0
+    const { pool, UserModel } = setup((sql) => {
+      if (sql === 'COMMIT' && (commits += 1) === 1) throw PgError('40001')
+    })
+    UserModel.addHook('beforeInsert', (user) => {
+      user.name = `${user.name}!`
+      user.tags.push('hooked')
+    })
+    const params = { name: 'a', tags: ['given'] }
+    await new UserModel().insertOne({
+      params,
+      transactionOptions: {
+        isolationLevel: 'SERIALIZABLE',
+        retry: { attempts: 2, backoff: 0 }
+      }
+    })
+    const inserts = pool.log.filter((l) => /^INSERT/.test(l.sql))
+    assert.strictEqual(inserts.length, 2)
+    assert.deepStrictEqual(inserts[1].values, inserts[0].values)
+    assert.deepStrictEqual(params, { name: 'a!', tags: ['given', 'hooked'] })
+    assert.deepStrictEqual(lifecycle(pool), [
+      'COMMIT',
+      'ROLLBACK',
+      'release 1',
+      'COMMIT',
+      'release 2'
+    ])
+  })
+
+  it('runs in the transaction of RunTransaction', async () => {
+    const { pool, dataAccess, UserModel } = setup()
+    UserModel.addHook('afterInsert', () => {})
+    await dataAccess.RunTransaction(async (transaction) => {
+      await new UserModel().insertOne({ params: { name: 'a' }, transaction })
+    })
+    assert.deepStrictEqual(lifecycle(pool), ['COMMIT', 'release 1'])
+  })
+})
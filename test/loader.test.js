@@ -0,0 +1,105 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert')
+const { FakePool } = require('./fakePool')
+const { DataAccess } = require('../lib/core/dataAccess')
+const { ModelImpl } = require('../lib/model')
+
+// answers the lookups like postgres, by comparing the keys after casting them
+const setup = ({ pkName = 'id', types, rows, cast, paranoid = false }) => {
+  const pool = FakePool((sql, values) => {
+    if (/FROM pg_attribute/.test(sql)) {
+      return {
+        rows: Object.keys(types).map((name) => ({ name, type: types[name] }))
+      }
+    }
+    if (/pglink_keys/.test(sql)) {
+      const fields = pkName.split(',')
+      const matched = []
+      // the tuples of keys, the number of every tuple is its index
+      for (let i = 0; i < values.length; i += fields.length) {
+        const keys = values.slice(i, i + fields.length).map(cast)
+        const row = rows.find((r) =>
+          fields.every((f, j) => cast(r[f]) === keys[j])
+        )
+        if (row) matched.push({ ...row, pglink_index: i / fields.length })
+      }
+      return { rows: matched }
+    }
+    return undefined
+  })
+  const dataAccess = new DataAccess(pool, { logger: false })
+  class ItemModel extends ModelImpl(dataAccess) {
+    constructor() {
+      super({ tableName: 'items', pkName, paranoid })
+    }
+  }
+  return { pool, ItemModel }
+}
+
+const lookups = (pool) => pool.sqls().filter((sql) => /pglink_keys/.test(sql))
+
+describe('loader', () => {
+  it('matches the rows of uuid keys in another case', async () => {
+    const id = '0f8fad5b-d9cb-469f-a165-70867728950e'
+    const { pool, ItemModel } = setup({
+      types: { id: 'uuid' },
+      rows: [{ id, name: 'a' }],
+      cast: (v) => String(v).toLowerCase()
+    })
+    const loader = ItemModel.loader({})
+    const [upper, lower, missing] = await Promise.all([
+      loader.load(id.toUpperCase()),
+      loader.load(id),
+      loader.load('00000000-0000-0000-0000-000000000000')
+    ])
+    assert.deepStrictEqual(upper, { id, name: 'a' })
+    assert.deepStrictEqual(lower, { id, name: 'a' })
+    assert.strictEqual(missing, null)
+    assert.deepStrictEqual(lookups(pool), [
+      'SELECT pglink_target.*, pglink_keys."pglink_index" FROM (VALUES (CAST($1 AS uuid), 0), (CAST($2 AS uuid), 1), (CAST($3 AS uuid), 2)) AS pglink_keys("id", "pglink_index") JOIN items AS pglink_target ON pglink_target."id" = pglink_keys."id"'
+    ])
+  })
+
+  it('matches numeric and bigint keys by value', async () => {
+    const { ItemModel } = setup({
+      types: { id: 'numeric(10,2)' },
+      rows: [{ id: '1.50' }, { id: '9007199254740993' }],
+      cast: (v) => Number(v)
+    })
+    const loader = ItemModel.loader({})
+    const rows = await loader.loadMany([1.5, '9007199254740993'])
+    assert.deepStrictEqual(rows, [{ id: '1.50' }, { id: '9007199254740993' }])
+  })
+
+  it('matches the rows of multiple primary keys with dates', async () => {
+    const day = new Date('2024-01-02T00:00:00.000Z')
+    const { pool, ItemModel } = setup({
+      pkName: 'id,day',
+      types: { id: 'integer', day: 'timestamp with time zone' },
+      rows: [{ id: 1, day, name: 'a' }],
+      cast: (v) =>
+        v instanceof Date ? v.getTime() : Date.parse(v) || Number(v),
+      paranoid: true
+    })
+    const row = await ItemModel.loader({}).load({
+      id: '1',
+      day: '2024-01-02T00:00:00.000Z'
+    })
+    assert.deepStrictEqual(row, { id: 1, day, name: 'a' })
+    assert.deepStrictEqual(lookups(pool), [
+      'SELECT pglink_target.*, pglink_keys."pglink_index" FROM (VALUES (CAST($1 AS integer), CAST($2 AS timestamp with time zone), 0)) AS pglink_keys("id", "day", "pglink_index") JOIN items AS pglink_target ON pglink_target."id" = pglink_keys."id" AND pglink_target."day" = pglink_keys."day" WHERE pglink_target."deletedAt" IS NULL'
+    ])
+  })
+
+  it('rejects the lookups of a field which is not a column', async () => {
+    const { ItemModel } = setup({
+      types: { name: 'text' },
+      rows: [],
+      cast: String
+    })
+    await assert.rejects(
+      ItemModel.loader({}).load(1),
+      /doesn't include field "id"/
+    )
+  })
+})
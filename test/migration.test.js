@@ -0,0 +1,120 @@
+const { describe, it, before, after } = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { FakePool } = require('./fakePool')
+const { DataAccess } = require('../lib/core/dataAccess')
+const { Migrator } = require('../lib/migration')
+const { parseArgs } = require('../bin/pglink-lite')
+
+const migration = (up, down, extra = '') => `module.exports = {
+  up: async ({ client }) => client.query('${up}'),
+  down: async ({ client }) => client.query('${down}')${extra}
+}
+`
+
+describe('Migrator', () => {
+  let directory
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pglink-migrations-'))
+    fs.writeFileSync(
+      path.join(directory, '1_create_users.js'),
+      migration('CREATE TABLE users', 'DROP TABLE users')
+    )
+    fs.writeFileSync(
+      path.join(directory, '2_index_users.js'),
+      migration(
+        'CREATE INDEX CONCURRENTLY users_email',
+        'DROP INDEX CONCURRENTLY users_email',
+        ',\n  transaction: false'
+      )
+    )
+  })
+  after(() => fs.rmSync(directory, { recursive: true, force: true }))
+
+  const setup = (applied = []) => {
+    const pool = FakePool((sql) =>
+      /^SELECT "version"/.test(sql) ? { rows: applied } : undefined
+    )
+    const dataAccess = new DataAccess(pool, { logger: false })
+    const migrator = new Migrator({ dataAccess, directory })
+    // the statements of migrations and the ledger, without the lock
+    const statements = () =>
+      pool
+        .sqls()
+        .filter(
+          (sql) => !/pg_advisory|CREATE TABLE IF NOT EXISTS|^SELECT/.test(sql)
+        )
+    return { pool, migrator, statements }
+  }
+
+  it('runs a migration with transaction: false outside of a transaction and records it after', async () => {
+    const { pool, migrator, statements } = setup()
+    const done = await migrator.Up()
+    assert.deepStrictEqual(
+      done.map((m) => m.version),
+      ['1', '2']
+    )
+    assert.deepStrictEqual(statements(), [
+      'BEGIN',
+      'INSERT INTO pglink_migrations ("version", "name") VALUES ($1, $2)',
+      'CREATE TABLE users',
+      'COMMIT',
+      'CREATE INDEX CONCURRENTLY users_email',
+      'INSERT INTO pglink_migrations ("version", "name") VALUES ($1, $2)'
+    ])
+    // on the client holding the lock
+    const index = pool.log.find(
+      (l) => l.sql === 'CREATE INDEX CONCURRENTLY users_email'
+    )
+    const lock = pool.log.find((l) => /pg_advisory_lock/.test(l.sql || ''))
+    assert.strictEqual(index.processID, lock.processID)
+  })
+
+  it('leaves a failed migration with transaction: false pending', async () => {
+    const pool = FakePool((sql) => {
+      if (/CONCURRENTLY/.test(sql)) throw new Error('canceled')
+      return undefined
+    })
+    const dataAccess = new DataAccess(pool, { logger: false })
+    const migrator = new Migrator({ dataAccess, directory })
+    await assert.rejects(migrator.Up(), /canceled/)
+    const inserts = pool.log.filter((l) => /^INSERT/.test(l.sql || ''))
+    assert.deepStrictEqual(
+      inserts.map((l) => l.values),
+      [['1', 'create_users']]
+    )
+    assert.ok(pool.sqls().some((sql) => /pg_advisory_unlock/.test(sql)))
+  })
+
+  it('reverts a migration with transaction: false outside of a transaction', async () => {
+    const { migrator, statements } = setup([
+      { version: '1', name: 'create_users' },
+      { version: '2', name: 'index_users' }
+    ])
+    await migrator.Down()
+    assert.deepStrictEqual(statements(), [
+      'DROP INDEX CONCURRENTLY users_email',
+      'DELETE FROM pglink_migrations WHERE "version" = $1'
+    ])
+  })
+})
+
+describe('pglink-lite arguments', () => {
+  it('splits "--key=value" only on the first "="', () => {
+    const { positional, options } = parseArgs([
+      'migrate',
+      'up',
+      '--config=configs/a=b.js',
+      '--to',
+      '2'
+    ])
+    assert.deepStrictEqual(positional, ['migrate', 'up'])
+    assert.deepStrictEqual(options, { config: 'configs/a=b.js', to: '2' })
+  })
+
+  it('keeps an empty value after "="', () => {
+    assert.deepStrictEqual(parseArgs(['--table=']).options, { table: '' })
+  })
+})
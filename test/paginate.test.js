@@ -0,0 +1,134 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert')
+const { FakePool } = require('./fakePool')
+const { DataAccess } = require('../lib/core/dataAccess')
+const { ModelImpl } = require('../lib/model')
+
+// the microseconds are lost in a Date, 2 and 3 tie on createdAt
+const table = [
+  { id: 1, createdAt: '2024-01-01 00:00:00.000001+00' },
+  { id: 2, createdAt: '2024-01-01 00:00:00.000002+00' },
+  { id: 3, createdAt: '2024-01-01 00:00:00.000002+00' },
+  { id: 4, createdAt: '2024-01-01 00:00:00.5+00' },
+  { id: 5, createdAt: '2024-01-02 00:00:00+00' }
+]
+
+// answers the pages like postgres, comparing createdAt by its text and id as a number
+const setup = () => {
+  const pool = FakePool((sql, values = []) => {
+    if (!/^SELECT \*/.test(sql)) return undefined
+    const sequence = (field) =>
+      new RegExp(`"${field}" DESC`).test(sql.split('ORDER BY')[1]) ? -1 : 1
+    const compare = (a, b) =>
+      (a.createdAt < b.createdAt ? -1 : a.createdAt > b.createdAt ? 1 : 0) *
+        sequence('createdAt') || (a.id - b.id) * sequence('id')
+    let rows = [...table].sort(compare)
+    if (values.length > 0) {
+      const cursor = { createdAt: values[0], id: Number(values[2]) }
+      rows = rows.filter((row) => compare(row, cursor) > 0)
+    }
+    const limit = /LIMIT (\d+)/.exec(sql)
+    return {
+      rows: rows.slice(0, limit ? Number(limit[1]) : undefined).map((row) => ({
+        id: row.id,
+        createdAt: new Date(
+          row.createdAt.replace(' ', 'T').replace(/\+00$/, 'Z')
+        ),
+        pglink_cursor_0: row.createdAt,
+        pglink_cursor_1: String(row.id)
+      }))
+    }
+  })
+  const dataAccess = new DataAccess(pool, { logger: false })
+  class PostModel extends ModelImpl(dataAccess) {
+    constructor() {
+      super({ tableName: 'posts' })
+    }
+  }
+  const selects = () => pool.log.filter((l) => /^SELECT \*/.test(l.sql))
+  return { PostModel, selects }
+}
+
+const orderBy = [{ field: 'createdAt' }]
+const ids = (connection) => connection.edges.map((e) => e.node.id)
+
+describe('paginate', () => {
+  it('reads every row once across the pages by the text of timestamps', async () => {
+    const { PostModel, selects } = setup()
+    const model = new PostModel()
+    const pages = []
+    let after
+    for (;;) {
+      const connection = await model.paginate({ orderBy, first: 2, after })
+      pages.push(ids(connection))
+      if (!connection.pageInfo.hasNextPage) break
+      after = connection.pageInfo.endCursor
+    }
+    assert.deepStrictEqual(pages, [[1, 2], [3, 4], [5]])
+    assert.strictEqual(
+      selects()[0].sql,
+      'SELECT *, "createdAt"::text AS "pglink_cursor_0", "id"::text AS "pglink_cursor_1" FROM posts ORDER BY "createdAt" ASC,"id" ASC LIMIT 3'
+    )
+    // the cursor of 2 keeps its microseconds, and the primary key breaks the tie with 3
+    assert.deepStrictEqual(selects()[1].values, [
+      '2024-01-01 00:00:00.000002+00',
+      '2024-01-01 00:00:00.000002+00',
+      '2'
+    ])
+  })
+
+  it('pages backward with last and before', async () => {
+    const { PostModel } = setup()
+    const model = new PostModel()
+    const last = await model.paginate({ orderBy, last: 2 })
+    assert.deepStrictEqual(ids(last), [4, 5])
+    assert.deepStrictEqual(
+      [last.pageInfo.hasPreviousPage, last.pageInfo.hasNextPage],
+      [true, false]
+    )
+    const before = await model.paginate({
+      orderBy,
+      last: 2,
+      before: last.pageInfo.startCursor
+    })
+    assert.deepStrictEqual(ids(before), [2, 3])
+    assert.deepStrictEqual(
+      [before.pageInfo.hasPreviousPage, before.pageInfo.hasNextPage],
+      [true, true]
+    )
+  })
+
+  it('returns the rows without the text of the sort fields', async () => {
+    const { PostModel } = setup()
+    const { edges } = await new PostModel().paginate({ orderBy, first: 1 })
+    assert.deepStrictEqual(Object.keys(edges[0].node), ['id', 'createdAt'])
+    assert.ok(edges[0].node.createdAt instanceof Date)
+  })
+
+  it('rejects a cursor tampered with or of another order', async () => {
+    const { PostModel, selects } = setup()
+    const model = new PostModel()
+    const { pageInfo } = await model.paginate({ orderBy, first: 1 })
+    const decoded = JSON.parse(
+      Buffer.from(pageInfo.endCursor, 'base64').toString()
+    )
+    const tampered = Buffer.from(
+      JSON.stringify({ ...decoded, f: ['id', 'createdAt'] })
+    ).toString('base64')
+    for (const after of ['not a cursor', tampered]) {
+      await assert.rejects(
+        model.paginate({ orderBy, first: 1, after }),
+        /Invalid cursor/
+      )
+    }
+    await assert.rejects(
+      model.paginate({
+        orderBy: [{ field: 'createdAt', sequence: 'DESC' }, { field: 'title' }],
+        first: 1,
+        after: pageInfo.endCursor
+      }),
+      /Invalid cursor/
+    )
+    assert.strictEqual(selects().length, 1)
+  })
+})
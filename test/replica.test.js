@@ -0,0 +1,114 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert')
+const { FakePool } = require('./fakePool')
+const { DataAccess } = require('../lib/core/dataAccess')
+const { ModelImpl } = require('../lib/model')
+
+// a row of users for the reads, and the types of columns for the metadata
+const responder = (sql) => {
+  if (/FROM pg_attribute/.test(sql)) {
+    return { rows: [{ name: 'id', type: 'integer' }] }
+  }
+  if (/COUNT/.test(sql)) return { rows: [{ count: '1' }] }
+  return { rows: [{ id: 1 }] }
+}
+
+const setup = () => {
+  const primary = FakePool(responder)
+  const replica = FakePool(responder)
+  const dataAccess = new DataAccess(primary, {
+    replicas: [replica],
+    logger: false
+  })
+  class UserModel extends ModelImpl(dataAccess) {
+    constructor() {
+      super({ tableName: 'users' })
+    }
+  }
+  return { primary, replica, dataAccess, UserModel }
+}
+
+// the queries of a pool, run by itself or by its clients, without the ones of transactions
+const sqls = (pool) =>
+  pool.sqls().filter((sql) => !/^(BEGIN|COMMIT|ROLLBACK)/.test(sql))
+
+describe('read replicas', () => {
+  it('runs the SELECTs of Execute on the primary by default', async () => {
+    const { primary, replica, dataAccess } = setup()
+    await dataAccess.Execute("SELECT nextval('users_id_seq')")
+    await dataAccess.Execute('SELECT pg_advisory_lock(1)')
+    assert.deepStrictEqual(sqls(replica), [])
+    assert.strictEqual(sqls(primary).length, 2)
+  })
+
+  it('runs a SELECT of Execute on a replica with useReplica', async () => {
+    const { primary, replica, dataAccess } = setup()
+    await dataAccess.Execute('SELECT * FROM users', [], { useReplica: true })
+    await dataAccess.Execute('SELECT * FROM users FOR UPDATE', [], {
+      useReplica: true
+    })
+    await dataAccess.Execute('UPDATE users SET "a" = 1', [], {
+      useReplica: true
+    })
+    assert.deepStrictEqual(sqls(replica), ['SELECT * FROM users'])
+    assert.deepStrictEqual(sqls(primary), [
+      'SELECT * FROM users FOR UPDATE',
+      'UPDATE users SET "a" = 1'
+    ])
+  })
+
+  it('reads the types of columns from the primary', async () => {
+    const { primary, replica, dataAccess } = setup()
+    assert.deepStrictEqual(await dataAccess.GetColumnTypes('users'), {
+      id: 'integer'
+    })
+    assert.deepStrictEqual(sqls(replica), [])
+    assert.strictEqual(sqls(primary).length, 1)
+  })
+
+  it('reads existsByPk and paginate from a replica', async () => {
+    const { primary, replica, UserModel } = setup()
+    const user = new UserModel()
+    assert.strictEqual(await user.existsByPk({ pk: 1 }), true)
+    await user.paginate({ first: 1, withTotalCount: true })
+    assert.deepStrictEqual(sqls(primary), [])
+    assert.strictEqual(sqls(replica).length, 3)
+  })
+
+  it('reads existsByPk and paginate from the primary with usePrimary or a written session', async () => {
+    const { primary, replica, dataAccess, UserModel } = setup()
+    dataAccess.stickyWindow = 60000
+    const user = new UserModel()
+    await user.existsByPk({ pk: 1, usePrimary: true })
+    const session = dataAccess.CreateSession()
+    dataAccess.MarkWrite(session)
+    await user.paginate({ first: 1, withTotalCount: true, session })
+    assert.deepStrictEqual(sqls(replica), [])
+    assert.strictEqual(sqls(primary).length, 3)
+  })
+
+  // the batches of the loader, without the read of the types of columns
+  const lookups = (pool) => sqls(pool).filter((sql) => /pglink_keys/.test(sql))
+
+  it('reads the batches of the loader from a replica', async () => {
+    const { primary, replica, UserModel } = setup()
+    await UserModel.loader({}).load(1)
+    assert.strictEqual(lookups(replica).length, 1)
+    assert.deepStrictEqual(lookups(primary), [])
+  })
+
+  it('reads the batches of the loader from the primary with usePrimary or a written session', async () => {
+    const { primary, replica, dataAccess, UserModel } = setup()
+    dataAccess.stickyWindow = 60000
+    await UserModel.loader({}, { usePrimary: true }).load(1)
+    const session = dataAccess.CreateSession()
+    const loader = UserModel.loader({}, { session })
+    await loader.load(1)
+    assert.strictEqual(lookups(replica).length, 1)
+    // the same loader sticks to the primary once the request writes
+    dataAccess.MarkWrite(session)
+    await loader.load(2)
+    assert.strictEqual(lookups(replica).length, 1)
+    assert.strictEqual(lookups(primary).length, 2)
+  })
+})
@@ -0,0 +1,170 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert')
+const { FakePool, PgError } = require('./fakePool')
+const { DataAccess } = require('../lib/core/dataAccess')
+const { ModelImpl } = require('../lib/model')
+
+const setup = (responder) => {
+  const pool = FakePool(responder)
+  const dataAccess = new DataAccess(pool, { logger: false })
+  return { pool, dataAccess }
+}
+
+// the statements of transactions and savepoints, and the releases of clients
+const lifecycle = (pool) =>
+  pool.log
+    .filter(
+      (l) =>
+        l.release || /^(BEGIN|COMMIT|ROLLBACK|SAVEPOINT|RELEASE)/.test(l.sql)
+    )
+    .map((l) => l.sql || `release ${l.release}`)
+
+describe('RunTransaction', () => {
+  it('commits, releases and runs the afterCommit hooks', async () => {
+    const { pool, dataAccess } = setup()
+    const done = []
+    const res = await dataAccess.RunTransaction(async (tx) => {
+      tx.afterCommit(() => done.push(lifecycle(pool).length))
+      return 1
+    })
+    assert.strictEqual(res, 1)
+    assert.deepStrictEqual(lifecycle(pool), ['BEGIN', 'COMMIT', 'release 1'])
+    assert.deepStrictEqual(done, [3])
+  })
+
+  it('rolls back, releases and drops the afterCommit hooks on errors', async () => {
+    const { pool, dataAccess } = setup()
+    const done = []
+    await assert.rejects(
+      dataAccess.RunTransaction(async (tx) => {
+        tx.afterCommit(() => done.push(1))
+        throw new Error('no')
+      }),
+      /no/
+    )
+    assert.deepStrictEqual(lifecycle(pool), ['BEGIN', 'ROLLBACK', 'release 1'])
+    assert.deepStrictEqual(done, [])
+  })
+
+  it('runs the steps of Transaction in it without their own BEGIN and COMMIT', async () => {
+    const { pool, dataAccess } = setup()
+    await dataAccess.RunTransaction((tx) =>
+      dataAccess.Transaction({
+        params: [{ sql: 'SELECT 1' }],
+        client: tx.client
+      })
+    )
+    assert.deepStrictEqual(lifecycle(pool), ['BEGIN', 'COMMIT', 'release 1'])
+    assert.deepStrictEqual(dataAccess.clientCounter, {})
+  })
+
+  it('rejects the client of a finished transaction', async () => {
+    const { dataAccess } = setup()
+    let scope
+    await dataAccess.RunTransaction(async (tx) => {
+      scope = tx
+    })
+    assert.throws(() => scope.client, /can not be used any more/)
+  })
+})
+
+describe('savepoints', () => {
+  it('nests savepoints and rolls back only the failed one', async () => {
+    const { pool, dataAccess } = setup()
+    const done = []
+    await dataAccess.RunTransaction(async (tx) => {
+      await tx.transaction(async (inner) => {
+        inner.afterCommit(() => done.push('kept'))
+        await inner.transaction(async (deepest) => {
+          deepest.afterCommit(() => done.push('kept too'))
+        })
+      })
+      await assert.rejects(
+        tx.transaction(async (inner) => {
+          inner.afterCommit(() => done.push('dropped'))
+          throw new Error('no')
+        }),
+        /no/
+      )
+    })
+    assert.deepStrictEqual(lifecycle(pool), [
+      'BEGIN',
+      'SAVEPOINT pglink_savepoint_1',
+      'SAVEPOINT pglink_savepoint_2',
+      'RELEASE SAVEPOINT pglink_savepoint_2',
+      'RELEASE SAVEPOINT pglink_savepoint_1',
+      'SAVEPOINT pglink_savepoint_3',
+      'ROLLBACK TO SAVEPOINT pglink_savepoint_3',
+      'COMMIT',
+      'release 1'
+    ])
+    assert.deepStrictEqual(done, ['kept', 'kept too'])
+  })
+
+  it('keeps the original error when rolling back to the savepoint fails', async () => {
+    const rollbackError = PgError('08006')
+    const { dataAccess } = setup((sql) => {
+      if (/^ROLLBACK TO SAVEPOINT/.test(sql)) throw rollbackError
+    })
+    await assert.rejects(
+      dataAccess.RunTransaction((tx) =>
+        tx.transaction(async () => {
+          throw new Error('the original one')
+        })
+      ),
+      (e) => {
+        assert.strictEqual(e.message, 'the original one')
+        assert.strictEqual(e.rollbackError, rollbackError)
+        return true
+      }
+    )
+  })
+})
+
+describe('Transaction with a given client', () => {
+  it('commits and releases its own client', async () => {
+    const { pool, dataAccess } = setup()
+    await dataAccess.Transaction({ params: [{ sql: 'SELECT 1' }] })
+    assert.deepStrictEqual(lifecycle(pool), ['BEGIN', 'COMMIT', 'release 1'])
+    assert.deepStrictEqual(dataAccess.clientCounter, {})
+  })
+
+  it('neither commits nor releases a preserved client, and keeps its count', async () => {
+    const { pool, dataAccess } = setup()
+    const client = await pool.connect()
+    await dataAccess.Transaction({
+      params: [{ sql: 'SELECT 1' }],
+      client,
+      preserveClient: true
+    })
+    assert.deepStrictEqual(lifecycle(pool), ['BEGIN'])
+    assert.deepStrictEqual(dataAccess.clientCounter, { 1: 1 })
+  })
+
+  it('rolls back a given client without releasing it', async () => {
+    const { pool, dataAccess } = setup((sql) => {
+      if (sql === 'SELECT 1') throw new Error('no')
+    })
+    const client = await pool.connect()
+    await assert.rejects(
+      dataAccess.Transaction({ params: [{ sql: 'SELECT 1' }], client }),
+      /no/
+    )
+    assert.deepStrictEqual(lifecycle(pool), ['BEGIN', 'ROLLBACK'])
+  })
+
+  it('leaves the transaction begun for the hooks of a model to them', async () => {
+    const { pool, dataAccess } = setup((sql) =>
+      /^INSERT/.test(sql) ? { rows: [{ id: 1 }] } : undefined
+    )
+    class UserModel extends ModelImpl(dataAccess) {
+      constructor() {
+        super({ tableName: 'users' })
+      }
+    }
+    UserModel.addHook('afterInsert', () => {})
+    await new UserModel().insertOne({ params: { id: 1 } })
+    assert.deepStrictEqual(lifecycle(pool), ['BEGIN', 'COMMIT', 'release 1'])
+    assert.deepStrictEqual(dataAccess.clientCounter, {})
+  })
+})
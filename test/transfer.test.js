@@ -0,0 +1,219 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert')
+const { Readable, Writable } = require('stream')
+const { FakePool, PgError } = require('./fakePool')
+const { DataAccess } = require('../lib/core/dataAccess')
+const { ModelImpl } = require('../lib/model')
+const { DataType } = require('../lib/dataType')
+const {
+  FormatCsvRecord,
+  ParseCsvRecord,
+  ReadRecords
+} = require('../lib/model/transfer')
+
+const readAll = async (text, format) => {
+  const records = []
+  for await (const record of ReadRecords(Readable.from([text]), format)) {
+    records.push(record)
+  }
+  return records
+}
+
+const sink = () => {
+  const chunks = []
+  const stream = new Writable({
+    highWaterMark: 16,
+    write(chunk, encoding, callback) {
+      chunks.push(chunk.toString())
+      setImmediate(callback)
+    }
+  })
+  stream.text = () => chunks.join('')
+  return stream
+}
+
+const rows = [
+  {
+    id: 1,
+    status: 1,
+    name: 'a, "quoted"',
+    note: '',
+    tags: ['x', 'y'],
+    meta: { k: [1, 2] },
+    amount: '1.50'
+  },
+  {
+    id: 2,
+    status: 2,
+    name: ' multi\nline ',
+    note: null,
+    tags: null,
+    meta: null,
+    amount: null
+  }
+]
+
+const setup = (responder) => {
+  const pool = FakePool(responder)
+  const dataAccess = new DataAccess(pool, { logger: false })
+  class UserModel extends ModelImpl(dataAccess) {
+    constructor() {
+      super({
+        tableName: 'users',
+        enumMapping: { status: { ACTIVE: 1, BANNED: 2 } },
+        attributes: {
+          id: { type: DataType.INTEGER, primaryKey: true },
+          status: { type: DataType.INTEGER, allowNull: false },
+          name: { type: DataType.STRING(20), allowNull: false },
+          note: DataType.TEXT,
+          tags: DataType.ARRAY(DataType.TEXT),
+          meta: DataType.JSONB,
+          amount: { type: DataType.NUMERIC(), as: 'number' }
+        }
+      })
+    }
+  }
+  return { pool, UserModel }
+}
+
+// answers the cursor of exportTo with rows, and every INSERT with its values
+const responder = (sql, values) => {
+  if (/^FETCH/.test(sql)) return { rows: rows.map((row) => ({ ...row })) }
+  if (/^INSERT/.test(sql)) {
+    if (values.includes('dup')) {
+      throw PgError('23505', { constraint: 'users_name_key' })
+    }
+    // a row per tuple of VALUES
+    const count = (sql.match(/\), \(/g) || []).length + 1
+    return { rows: Array.from({ length: count }, () => ({})) }
+  }
+  return undefined
+}
+
+describe('csv records', () => {
+  it('round-trips quotes, commas, line breaks, null and empty strings', () => {
+    const values = ['1', 'a, "b"', null, '', ' x ', 'two\nlines']
+    assert.deepStrictEqual(ParseCsvRecord(FormatCsvRecord(values)), values)
+  })
+
+  it('formats dates in ISO format and objects as JSON', () => {
+    assert.strictEqual(
+      FormatCsvRecord([new Date(0), { a: 1 }, [1], true]),
+      '1970-01-01T00:00:00.000Z,"{""a"":1}",[1],true'
+    )
+  })
+
+  it('returns null for an unclosed quoted field', () => {
+    assert.strictEqual(ParseCsvRecord('1,"open'), null)
+  })
+
+  it('throws on a misplaced quote', () => {
+    assert.throws(() => ParseCsvRecord('a"b'), /Unexpected quote/)
+    assert.throws(() => ParseCsvRecord('"a"b'), /Unexpected character/)
+  })
+
+  it('reads records across lines with their first line numbers', async () => {
+    const records = await readAll(
+      '\uFEFFid,name\r\n1,"x\ny"\n\n2,z\n3,"open\n',
+      'csv'
+    )
+    assert.deepStrictEqual(records, [
+      { line: 1, values: ['id', 'name'] },
+      { line: 2, values: ['1', 'x\ny'] },
+      { line: 5, values: ['2', 'z'] },
+      { line: 6, error: records[3].error }
+    ])
+    assert.match(records[3].error.message, /Unclosed quoted field/)
+  })
+
+  it('reads ndjson objects and rejects the other lines', async () => {
+    const records = await readAll('{"id":1}\n[1]\nnope\n', 'ndjson')
+    assert.deepStrictEqual(records[0], { line: 1, values: { id: 1 } })
+    assert.match(records[1].error.message, /should be an object/)
+    assert.strictEqual(records[2].line, 3)
+    assert.ok(records[2].error instanceof SyntaxError)
+  })
+})
+
+describe('exportTo and importFrom', () => {
+  for (const format of ['csv', 'ndjson']) {
+    it(`round-trips the rows as ${format}`, async () => {
+      const { pool, UserModel } = setup(responder)
+      const stream = sink()
+      assert.strictEqual(await UserModel.exportTo(stream, { format }), 2)
+      const report = await UserModel.importFrom(
+        Readable.from([stream.text()]),
+        { format }
+      )
+      assert.deepStrictEqual(report, {
+        inserted: 2,
+        updated: 0,
+        skipped: 0,
+        rejected: []
+      })
+      const insert = pool.log.find((l) => /^INSERT/.test(l.sql))
+      assert.deepStrictEqual(insert.values, [
+        1,
+        1,
+        'a, "quoted"',
+        '',
+        ['x', 'y'],
+        JSON.stringify({ k: [1, 2] }),
+        // csv is text, ndjson keeps the number
+        format === 'csv' ? '1.5' : 1.5,
+        2,
+        2,
+        ' multi\nline ',
+        null,
+        null,
+        null,
+        null
+      ])
+    })
+  }
+
+  it('writes the header of csv with enum names', async () => {
+    const { UserModel } = setup(responder)
+    const stream = sink()
+    await UserModel.exportTo(stream, { columns: ['id', 'status'] })
+    assert.strictEqual(stream.text(), 'id,status\n1,ACTIVE\n2,BANNED\n')
+  })
+
+  it('reports the rejected lines in order and keeps the other batches', async () => {
+    const { pool, UserModel } = setup(responder)
+    const csv = [
+      'id,status,name',
+      '1,ACTIVE,a',
+      '2,NOPE,b',
+      '3,ACTIVE,dup',
+      '4,BANNED,d',
+      '5,ACTIVE'
+    ].join('\n')
+    const report = await UserModel.importFrom(Readable.from([csv]), {
+      batchSize: 2
+    })
+    assert.strictEqual(report.inserted, 1)
+    assert.deepStrictEqual(
+      report.rejected.map(({ line, error }) => [line, error.constructor.name]),
+      // the first batch is lines 2 and 4, rolled back as a whole
+      [
+        [2, 'UniqueConstraintError'],
+        [3, 'Error'],
+        [4, 'UniqueConstraintError'],
+        [6, 'Error']
+      ]
+    )
+    assert.deepStrictEqual(
+      pool.sqls().filter((sql) => /^(BEGIN|COMMIT|ROLLBACK)/.test(sql)),
+      ['BEGIN', 'ROLLBACK', 'BEGIN', 'COMMIT']
+    )
+  })
+
+  it('stops at a csv header which can not be read', async () => {
+    const { UserModel } = setup(responder)
+    await assert.rejects(
+      UserModel.importFrom(Readable.from(['id,,name\n1,2,3\n'])),
+      /empty column/
+    )
+  })
+})
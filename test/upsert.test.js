@@ -0,0 +1,110 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert')
+const { FakePool } = require('./fakePool')
+const { DataAccess } = require('../lib/core/dataAccess')
+const { ModelImpl } = require('../lib/model')
+const { DataType } = require('../lib/dataType')
+
+const setup = ({ paranoid = false } = {}) => {
+  const pool = FakePool((sql, values) =>
+    /^INSERT INTO users/.test(sql)
+      ? { rows: [{ id: values[0], name: values[1], pglink_inserted: false }] }
+      : undefined
+  )
+  const dataAccess = new DataAccess(pool, { logger: false })
+  class UserModel extends ModelImpl(dataAccess) {
+    constructor() {
+      super({
+        tableName: 'users',
+        attributes: {
+          id: { type: DataType.INTEGER, primaryKey: true },
+          name: DataType.TEXT,
+          status: { type: DataType.TEXT, defaultValue: 'ACTIVE' }
+        },
+        versionField: 'version',
+        paranoid
+      })
+    }
+  }
+  const upserts = () =>
+    pool.log
+      .filter((l) => /^INSERT INTO users/.test(l.sql))
+      .map(({ sql, values }) => [
+        sql.replace(/^.* ON CONFLICT/, 'ON CONFLICT'),
+        values
+      ])
+  return { UserModel, upserts }
+}
+
+describe('upsert', () => {
+  it('updates only the given fields and increments the version on conflict', async () => {
+    const { UserModel, upserts } = setup()
+    const { row, inserted } = await new UserModel().upsert({
+      params: { id: 1, name: 'x' }
+    })
+    assert.deepStrictEqual(row, { id: 1, name: 'x' })
+    assert.strictEqual(inserted, false)
+    assert.deepStrictEqual(upserts(), [
+      [
+        'ON CONFLICT ("id") DO UPDATE SET "name" = EXCLUDED."name", "version" = users."version" + 1 RETURNING *, (xmax = 0) AS "pglink_inserted"',
+        // the defaults are inserted for a new row
+        [1, 'x', 'ACTIVE', 0]
+      ]
+    ])
+  })
+
+  it('never copies the version from the excluded values', async () => {
+    const { UserModel, upserts } = setup()
+    await new UserModel().multiUpsert({
+      items: [{ id: 1, name: 'x', status: 'LOCKED', version: 5 }],
+      updateFields: ['status', 'version']
+    })
+    assert.strictEqual(
+      upserts()[0][0],
+      'ON CONFLICT ("id") DO UPDATE SET "status" = EXCLUDED."status", "version" = users."version" + 1 RETURNING *, (xmax = 0) AS "pglink_inserted"'
+    )
+  })
+
+  it('keeps the fields added by the hooks', async () => {
+    const { UserModel, upserts } = setup()
+    UserModel.addHook('beforeInsert', (user) => {
+      user.status = 'INVITED'
+    })
+    await new UserModel().upsert({ params: { id: 1, name: 'x' } })
+    assert.strictEqual(
+      upserts()[0][0],
+      'ON CONFLICT ("id") DO UPDATE SET "name" = EXCLUDED."name", "status" = EXCLUDED."status", "version" = users."version" + 1 RETURNING *, (xmax = 0) AS "pglink_inserted"'
+    )
+  })
+
+  it('does nothing on conflict when only the conflict columns are given', async () => {
+    const { UserModel, upserts } = setup()
+    await new UserModel().upsert({ params: { id: 1 } })
+    assert.strictEqual(
+      upserts()[0][0],
+      'ON CONFLICT ("id") DO NOTHING RETURNING *, (xmax = 0) AS "pglink_inserted"'
+    )
+  })
+
+  it('restores a soft deleted row of a paranoid model', async () => {
+    const { UserModel, upserts } = setup({ paranoid: true })
+    await new UserModel().upsert({ params: { id: 1, name: 'x' } })
+    assert.strictEqual(
+      upserts()[0][0],
+      'ON CONFLICT ("id") DO UPDATE SET "name" = EXCLUDED."name", "version" = users."version" + 1, "deletedAt" = NULL RETURNING *, (xmax = 0) AS "pglink_inserted"'
+    )
+  })
+
+  it('keeps the deletedAt given in updateFields', async () => {
+    const { UserModel, upserts } = setup({ paranoid: true })
+    const deletedAt = new Date()
+    await new UserModel().upsert({
+      params: { id: 1, name: 'x', deletedAt },
+      updateFields: ['deletedAt']
+    })
+    assert.strictEqual(
+      upserts()[0][0],
+      'ON CONFLICT ("id") DO UPDATE SET "deletedAt" = EXCLUDED."deletedAt", "version" = users."version" + 1 RETURNING *, (xmax = 0) AS "pglink_inserted"'
+    )
+  })
+})
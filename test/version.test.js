@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert')
+const { FakePool } = require('./fakePool')
+const { DataAccess } = require('../lib/core/dataAccess')
+const { ModelImpl } = require('../lib/model')
+const { StaleRecordError } = require('../lib/errors')
+
+// an update matches its row unless the version read is older than current
+const setup = (current = 3) => {
+  const pool = FakePool((sql, values) => {
+    if (!/^UPDATE/.test(sql)) return undefined
+    const [id, name, , version] = values
+    return version === current
+      ? { rows: [{ id, name, version: current + 1 }] }
+      : { rows: [] }
+  })
+  const dataAccess = new DataAccess(pool, { logger: false })
+  class UserModel extends ModelImpl(dataAccess) {
+    constructor() {
+      super({ tableName: 'users', versionField: 'version' })
+    }
+  }
+  const statements = () =>
+    pool.sqls().filter((sql) => /^(UPDATE|COMMIT|ROLLBACK)/.test(sql))
+  return { pool, UserModel, statements }
+}
+
+describe('optimistic locking', () => {
+  it('updates by the version read and increments it', async () => {
+    const { pool, UserModel } = setup()
+    const row = await new UserModel().updateByPk({
+      params: { id: 1, name: 'a', version: 3 }
+    })
+    assert.deepStrictEqual(row, { id: 1, name: 'a', version: 4 })
+    const update = pool.log.find((l) => /^UPDATE/.test(l.sql))
+    assert.strictEqual(
+      update.sql,
+      'UPDATE users SET "id" = $1, "name" = $2, "version" = "version" + 1 WHERE 1 = 1 AND "id" = $3 AND "version" = $4 RETURNING *'
+    )
+    assert.deepStrictEqual(update.values, [1, 'a', 1, 3])
+  })
+
+  it('throws StaleRecordError and rolls back if the row has been changed since', async () => {
+    const { UserModel, statements } = setup(4)
+    await assert.rejects(
+      new UserModel().updateByPk({ params: { id: 1, name: 'a', version: 3 } }),
+      (e) =>
+        e instanceof StaleRecordError &&
+        e.tableName === 'users' &&
+        e.versionField === 'version' &&
+        e.version === 3 &&
+        JSON.stringify(e.pk) === JSON.stringify({ id: 1 })
+    )
+    assert.deepStrictEqual(statements().slice(1), ['ROLLBACK'])
+  })
+
+  it('requires the version read', async () => {
+    const { pool, UserModel } = setup()
+    await assert.rejects(
+      new UserModel().updateByPk({ params: { id: 1, name: 'a' } }),
+      /"version" is required/
+    )
+    assert.ok(!pool.sqls().some((sql) => /^UPDATE/.test(sql)))
+  })
+
+  it('rolls back every item of multiUpdateWithConditions if one is stale', async () => {
+    const { UserModel, statements } = setup()
+    await assert.rejects(
+      new UserModel().multiUpdateWithConditions({
+        items: [
+          { id: 1, name: 'a', version: 3 },
+          { id: 2, name: 'b', version: 2 }
+        ]
+      }),
+      StaleRecordError
+    )
+    assert.deepStrictEqual(statements().slice(-1), ['ROLLBACK'])
+    assert.ok(!statements().includes('COMMIT'))
+  })
+})
@@ -0,0 +1,165 @@
+const { describe, it } = require('node:test')
+const assert = require('node:assert')
+const { FakePool } = require('./fakePool')
+const { DataAccess } = require('../lib/core/dataAccess')
+const { ModelImpl } = require('../lib/model')
+const { InvalidWhereClauseError } = require('../lib/errors')
+
+const setup = ({ paranoid = false, responder } = {}) => {
+  const pool = FakePool(responder)
+  const dataAccess = new DataAccess(pool, { logger: false })
+  class UserModel extends ModelImpl(dataAccess) {
+    constructor() {
+      super({ tableName: 'users', paranoid })
+    }
+  }
+  return { pool, dataAccess, UserModel }
+}
+
+// the statements which change rows
+const writes = (pool) =>
+  pool.sqls().filter((sql) => /^(UPDATE|DELETE|INSERT)/.test(sql))
+
+const emptyFilters = [
+  {},
+  { and: [] },
+  { and: [{ and: [] }] },
+  { id: { notIn: [] } },
+  { not: { or: [] } }
+]
+
+describe('the conditions of updates and deletes', () => {
+  for (const paranoid of [false, true]) {
+    for (const where of emptyFilters) {
+      it(`deleteByConditions rejects ${JSON.stringify(where)}${
+        paranoid ? ' of a paranoid model' : ''
+      }`, async () => {
+        const { pool, UserModel } = setup({ paranoid })
+        await assert.rejects(
+          new UserModel().deleteByConditions({ where }),
+          InvalidWhereClauseError
+        )
+        assert.deepStrictEqual(writes(pool), [])
+      })
+
+      it(`updateByConditions rejects ${JSON.stringify(where)}${
+        paranoid ? ' of a paranoid model' : ''
+      }`, async () => {
+        const { pool, UserModel } = setup({ paranoid })
+        await assert.rejects(
+          new UserModel().updateByConditions({ params: { name: 'x' }, where }),
+          InvalidWhereClauseError
+        )
+        assert.deepStrictEqual(writes(pool), [])
+      })
+    }
+  }
+
+  it('rejects undefined values and fields without operators', async () => {
+    const { pool, UserModel } = setup({ paranoid: true })
+    for (const where of [{ id: undefined }, { id: {} }]) {
+      await assert.rejects(
+        new UserModel().deleteByConditions({ where }),
+        InvalidWhereClauseError
+      )
+      await assert.rejects(
+        new UserModel().restore({ where }),
+        InvalidWhereClauseError
+      )
+    }
+    assert.deepStrictEqual(writes(pool), [])
+  })
+
+  it('rejects empty conditions in DeleteExecutor and GenerateUpdateSQL', async () => {
+    const { dataAccess } = setup()
+    await assert.rejects(
+      dataAccess.DeleteExecutor({ tableName: 'users', where: { and: [] } }),
+      InvalidWhereClauseError
+    )
+    await assert.rejects(
+      dataAccess.GenerateUpdateSQL({
+        tableName: 'users',
+        params: { name: 'x' },
+        where: { and: [] }
+      }),
+      InvalidWhereClauseError
+    )
+  })
+
+  it('deletes and soft deletes by the conditions', async () => {
+    const { pool, UserModel } = setup({ paranoid: true })
+    await new UserModel().deleteByConditions({ where: { id: 1 } })
+    await new UserModel().deleteByConditions({
+      where: { id: 1 },
+      forceDelete: true
+    })
+    assert.deepStrictEqual(writes(pool), [
+      'UPDATE users SET "deletedAt" = CURRENT_TIMESTAMP WHERE ("id" = $1) AND ("deletedAt" IS NULL) RETURNING *',
+      'DELETE FROM users WHERE "id" = $1 RETURNING *'
+    ])
+  })
+
+  it('updates by the conditions or the primary key in params', async () => {
+    const { pool, UserModel } = setup()
+    await new UserModel().updateByConditions({
+      params: { name: 'x' },
+      where: { age: { gt: 1 } }
+    })
+    await new UserModel().updateByConditions({ params: { id: 2, name: 'y' } })
+    const updates = pool.log.filter((l) => /^UPDATE/.test(l.sql))
+    assert.deepStrictEqual(
+      updates.map(({ sql, values }) => [sql, values]),
+      [
+        [
+          'UPDATE users SET "name" = $1 WHERE 1 = 1 AND "age" > $2 RETURNING *',
+          ['x', 1]
+        ],
+        [
+          'UPDATE users SET "id" = $1, "name" = $2 WHERE 1 = 1 AND "id" = $3 RETURNING *',
+          [2, 'y', 2]
+        ]
+      ]
+    )
+  })
+})
+
+describe('bulk updates', () => {
+  const types = {
+    id: 'integer',
+    name: 'text',
+    status: 'text',
+    deletedAt: 'timestamp with time zone'
+  }
+  const columns = (sql) =>
+    /FROM pg_attribute/.test(sql)
+      ? {
+          rows: Object.keys(types).map((name) => ({ name, type: types[name] }))
+        }
+      : undefined
+
+  it('qualifies the columns of the filter with the target table', async () => {
+    const { dataAccess } = setup({ responder: columns })
+    const { sql, replacements } = await dataAccess.GenerateBulkUpdateSQL({
+      items: [{ id: 1, status: 'DONE' }],
+      fields: ['status'],
+      tableName: 'users',
+      where: { status: 'OPEN', or: [{ name: null }, { id: { gt: 0 } }] }
+    })
+    assert.strictEqual(
+      sql,
+      'UPDATE users AS pglink_target SET "status" = pglink_values."status" FROM (VALUES (CAST($1 AS integer), CAST($2 AS text))) AS pglink_values("id", "status") WHERE pglink_target."id" = pglink_values."id" AND (pglink_target."status" = $3) AND ((pglink_target."name" IS NULL) OR (pglink_target."id" > $4)) RETURNING pglink_target.*'
+    )
+    assert.deepStrictEqual(replacements, [1, 'DONE', 'OPEN', 0])
+  })
+
+  it('qualifies the deletedAt field of a paranoid model', async () => {
+    const { pool, UserModel } = setup({ paranoid: true, responder: columns })
+    await new UserModel().bulkUpdateByPk({ items: [{ id: 1, name: 'a' }] })
+    assert.deepStrictEqual(
+      writes(pool).filter((sql) => /pglink_values/.test(sql)),
+      [
+        'UPDATE users AS pglink_target SET "name" = pglink_values."name" FROM (VALUES (CAST($1 AS integer), CAST($2 AS text))) AS pglink_values("id", "name") WHERE pglink_target."id" = pglink_values."id" AND pglink_target."deletedAt" IS NULL RETURNING pglink_target.*'
+      ]
+    )
+  })
+})